@@ -0,0 +1,87 @@
+// REST API of the karma indexer over a KarmaStore. Read-only, JSON only,
+// open CORS so the browser client can use it from any origin.
+//
+//   GET /health                    { ok, votes, posts }
+//   GET /posts/:id/score           { post, author, score, ups, downs, created_at }
+//   GET /posts/:id/voters          { post, voters: [{ pubkey, sign, created_at, id }] }
+//   GET /users/:pubkey/karma       { pubkey, karma, votes, targets }
+//   GET /top?window=24h&limit=20   { window, posts: [...] }   window: 24h | 7d | all
+//   GET /votes?post=<id>&post=...  { votes: [event, ...] }    raw latest vote events
+//   GET /votes?author=<pubkey>     { votes: [event, ...] }
+
+import { createServer } from 'node:http'
+
+export const TOP_WINDOWS = { '24h': 86400, '7d': 7 * 86400, all: 0 }
+export const MAX_TOP = 100
+export const MAX_POSTS_PER_QUERY = 200
+
+const HEX64 = /^[0-9a-f]{64}$/
+
+export function createApiHandler(store, { now = () => Math.floor(Date.now() / 1000) } = {}) {
+  const routes = [
+    [/^\/health$/, () => ({ ok: true, ...store.counts() })],
+    [/^\/posts\/([0-9a-f]{64})\/score$/, (_, id) => store.postScore(id)],
+    [/^\/posts\/([0-9a-f]{64})\/voters$/, (_, id) => ({ post: id, voters: store.voters(id) })],
+    [/^\/users\/([0-9a-f]{64})\/karma$/, (_, pubkey) => store.userKarma(pubkey)],
+    [/^\/top$/, (query) => {
+      const window = query.get('window') || '24h'
+      if (!(window in TOP_WINDOWS)) throw new HttpError(400, `window must be one of ${Object.keys(TOP_WINDOWS).join(', ')}`)
+      const limit = Math.min(MAX_TOP, Math.max(1, Number(query.get('limit')) || 20))
+      const since = TOP_WINDOWS[window] ? now() - TOP_WINDOWS[window] : 0
+      return { window, posts: store.topPosts({ since, limit }) }
+    }],
+    [/^\/votes$/, (query) => {
+      const author = query.get('author')
+      if (author) {
+        if (!HEX64.test(author)) throw new HttpError(400, 'author must be a hex pubkey')
+        return { votes: store.voteEvents({ author }) }
+      }
+      const posts = query.getAll('post').flatMap(p => p.split(','))
+      if (!posts.length || posts.length > MAX_POSTS_PER_QUERY || !posts.every(p => HEX64.test(p))) {
+        throw new HttpError(400, `post must be 1 to ${MAX_POSTS_PER_QUERY} hex event ids`)
+      }
+      return { votes: store.voteEvents({ posts }) }
+    }]
+  ]
+
+  return (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    if (req.method === 'OPTIONS') return send(res, 204)
+    if (req.method !== 'GET') return send(res, 405, { error: 'method not allowed' })
+
+    const url = new URL(req.url, 'http://indexer')
+    for (const [pattern, handler] of routes) {
+      const match = pattern.exec(url.pathname)
+      if (!match) continue
+      try {
+        return send(res, 200, handler(url.searchParams, ...match.slice(1)))
+      } catch (e) {
+        if (e instanceof HttpError) return send(res, e.status, { error: e.message })
+        console.error('indexer api error', e)
+        return send(res, 500, { error: 'internal error' })
+      }
+    }
+    send(res, 404, { error: 'not found' })
+  }
+}
+
+export function startApi(store, { port = 8080, host = '0.0.0.0' } = {}) {
+  const server = createServer(createApiHandler(store))
+  return new Promise((resolve) => server.listen(port, host, () => resolve(server)))
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function send(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status)
+    return res.end()
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
@@ -0,0 +1,136 @@
+// Relay ingestion for the karma indexer: one subscription per connected
+// relay for votes and notes, validated before they reach the store. Each
+// relay resumes from its own cursor in the store, backfilling in pages.
+
+import { verifySignature } from 'nostr-tools'
+
+import { KIND_NOTE, KIND_KARMA_VOTE } from '../src/karma.js'
+import { validateVotes } from '../src/validate.js'
+import { collectUntilEose } from '../src/relays.js'
+
+export class Indexer {
+  constructor({
+    store,
+    relays,                          // RelayManager
+    minPow = 0,                      // same meaning as the client's "min PoW bits"
+    voteBackfillSecs = 30 * 86400,   // first run: how far back to ask for votes
+    noteBackfillSecs = 86400,        // ...and for notes
+    resumeOverlapSecs = 600,         // later runs re-read this much before the relay's cursor
+    backfillLimit = 500,             // events per filter and page while backfilling
+    pageTimeoutMs = 10000,           // a relay that sends no EOSE for a page
+    noteRetentionSecs = 2 * 86400,   // unvoted notes older than this are pruned
+    pruneEveryMs = 60 * 60 * 1000,
+    log = console
+  }) {
+    this.store = store
+    this.relays = relays
+    this.minPow = minPow
+    this.voteBackfillSecs = voteBackfillSecs
+    this.noteBackfillSecs = noteBackfillSecs
+    this.resumeOverlapSecs = resumeOverlapSecs
+    this.backfillLimit = backfillLimit
+    this.pageTimeoutMs = pageTimeoutMs
+    this.noteRetentionSecs = noteRetentionSecs
+    this.pruneEveryMs = pruneEveryMs
+    this.log = log
+
+    this.subs = new Map()   // relay -> sub
+    this.pruneTimer = null
+    this.stats = { votes: 0, notes: 0, rejected: 0 }
+  }
+
+  async start() {
+    this.relays.on('connect', (relay) => this.subscribe(relay))
+    this.relays.on('disconnect', (relay) => this.subs.delete(relay))
+    this.pruneTimer = setInterval(() => this.prune(), this.pruneEveryMs)
+    await this.relays.connectAll()
+  }
+
+  // the live subscription doubles as the first backfill page; filters that
+  // fill it are paged further back on EOSE. The relay's cursor (the newest
+  // created_at read, future dates capped at now) is saved once the backfill
+  // is complete and then with every newer event, so a restart mid-backfill
+  // starts it over rather than leave a gap
+  subscribe(relay, now = Math.floor(Date.now() / 1000)) {
+    const cursor = this.store.relayCursor(relay.url)
+    const resume = cursor ? cursor - this.resumeOverlapSecs : 0
+    const windows = [
+      { kinds: [KIND_KARMA_VOTE], since: resume || now - this.voteBackfillSecs },
+      { kinds: [KIND_NOTE], since: Math.max(resume, now - this.noteBackfillSecs) }
+    ]
+    const read = { newest: cursor, firstPage: [], eose: false, backfilled: false }
+    const sub = relay.sub(windows.map(f => ({ ...f, limit: this.backfillLimit })))
+    sub.on('event', (ev) => {
+      this.ingest(ev)
+      if (!read.eose) read.firstPage.push(ev)
+      const seen = Math.min(ev.created_at, Math.floor(Date.now() / 1000))
+      if (seen <= read.newest) return
+      read.newest = seen
+      if (read.backfilled) this.store.saveRelayCursor(relay.url, seen)
+    })
+    sub.on('eose', () => this.backfill(relay, sub, windows, read))
+    this.subs.set(relay, sub)
+    this.log.info?.(`indexing ${relay.url}`)
+    return sub
+  }
+
+  // pages of backfillLimit, `until` the oldest event so far, for each
+  // filter until one comes back short
+  async backfill(relay, sub, windows, read) {
+    if (read.eose) return
+    read.eose = true
+    for (const filter of windows) {
+      let page = read.firstPage.filter(ev => filter.kinds.includes(ev.kind))
+      let until = Infinity
+      while (page.length >= this.backfillLimit) {
+        const oldest = Math.min(...page.map(ev => ev.created_at))
+        // `until` is inclusive: a full page from one second would come back forever
+        until = oldest < until ? oldest : oldest - 1
+        if (until < filter.since) break
+        page = await collectUntilEose(relay, [{ ...filter, until, limit: this.backfillLimit }], this.pageTimeoutMs)
+        if (this.subs.get(relay) !== sub) return   // disconnected meanwhile: no cursor
+        page.forEach(ev => this.ingest(ev))
+      }
+    }
+    read.backfilled = true
+    read.firstPage = []
+    if (read.newest) this.store.saveRelayCursor(relay.url, read.newest)
+  }
+
+  // store one event from a relay; returns 'vote' | 'note' | null
+  ingest(ev) {
+    if (ev?.kind === KIND_KARMA_VOTE) {
+      const { accepted } = validateVotes([ev], { minPow: this.minPow, postAuthor: (id) => this.store.postAuthor(id) })
+      if (!accepted.length) {
+        this.stats.rejected++
+        return null
+      }
+      if (this.store.addVote(ev)) this.stats.votes++
+      return 'vote'
+    }
+    if (ev?.kind === KIND_NOTE) {
+      if (typeof ev.content !== 'string' || !verifySignature(ev)) {
+        this.stats.rejected++
+        return null
+      }
+      if (this.store.addNote(ev)) this.stats.notes++
+      return 'note'
+    }
+    return null
+  }
+
+  prune(now = Math.floor(Date.now() / 1000)) {
+    const pruned = this.store.pruneNotes(now - this.noteRetentionSecs)
+    if (pruned) this.log.info?.(`pruned ${pruned} unvoted notes`)
+    return pruned
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer)
+    this.pruneTimer = null
+    for (const sub of this.subs.values()) {
+      try { sub.unsub() } catch {}
+    }
+    this.subs.clear()
+  }
+}
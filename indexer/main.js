@@ -0,0 +1,39 @@
+// Karma indexer entry point: `npm run indexer`. It has its own package.json
+// (the native SQLite addon and ws), installed with `npm --prefix indexer
+// install`, so the browser client never builds them. Configured by environment:
+//   INDEXER_RELAYS   comma-separated relay urls (default: the client's defaults)
+//   INDEXER_DB       SQLite file (default: karma-index.db)
+//   INDEXER_PORT     HTTP port (default: 8080)
+//   INDEXER_MIN_POW  votes below this committed PoW are ignored (default: 0)
+
+import WebSocket from 'ws'
+
+import { RelayManager, DEFAULT_RELAYS } from '../src/relay-manager.js'
+import { KarmaStore } from './store.js'
+import { Indexer } from './indexer.js'
+import { startApi } from './api.js'
+
+// nostr-tools opens relays through the global WebSocket, which Node 20 lacks
+globalThis.WebSocket ??= WebSocket
+
+const env = process.env
+const relayUrls = env.INDEXER_RELAYS ? env.INDEXER_RELAYS.split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_RELAYS
+const port = Number(env.INDEXER_PORT) || 8080
+
+const store = new KarmaStore(env.INDEXER_DB || 'karma-index.db')
+const relays = new RelayManager({ storage: null, defaults: relayUrls })
+const indexer = new Indexer({ store, relays, minPow: Number(env.INDEXER_MIN_POW) || 0 })
+
+const server = await startApi(store, { port })
+console.info(`karma indexer listening on :${port}, ${relayUrls.length} relays`)
+indexer.start().catch(e => console.error('indexer failed to start', e))
+
+const shutdown = () => {
+  indexer.stop()
+  relays.close()
+  server.close()
+  store.close()
+  process.exit(0)
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
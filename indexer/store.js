@@ -0,0 +1,191 @@
+// SQLite storage for the karma indexer. The votes table only ever holds the
+// latest vote per voter per target, so every aggregate over it follows the
+// same latest-vote-per-voter rule as computeScore / computeUserKarma.
+
+import Database from 'better-sqlite3'
+
+import { parseVote } from '../src/karma.js'
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS votes (
+    target     TEXT    NOT NULL,   -- post id, or 'user:<pubkey>' for user votes
+    voter      TEXT    NOT NULL,
+    post       TEXT,
+    author     TEXT    NOT NULL,
+    sign       INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    id         TEXT    NOT NULL,
+    event      TEXT    NOT NULL,   -- raw JSON, so clients can verify it themselves
+    PRIMARY KEY (target, voter)
+  );
+  CREATE INDEX IF NOT EXISTS votes_author ON votes (author);
+
+  CREATE TABLE IF NOT EXISTS post_scores (
+    post   TEXT PRIMARY KEY,
+    author TEXT    NOT NULL,
+    score  INTEGER NOT NULL,
+    ups    INTEGER NOT NULL,
+    downs  INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS post_scores_score ON post_scores (score);
+
+  CREATE TABLE IF NOT EXISTS posts (
+    id         TEXT PRIMARY KEY,
+    author     TEXT    NOT NULL,
+    created_at INTEGER NOT NULL,
+    content    TEXT    NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS posts_created_at ON posts (created_at);
+
+  CREATE TABLE IF NOT EXISTS relay_cursors (
+    relay      TEXT PRIMARY KEY,
+    created_at INTEGER NOT NULL   -- newest event read from it, none older missing
+  );
+`
+
+export class KarmaStore {
+  constructor(filename = ':memory:') {
+    this.db = new Database(filename)
+    this.db.pragma('journal_mode = WAL')
+    this.db.exec(SCHEMA)
+
+    // a newer vote replaces the voter's previous one on that target; two in
+    // the same second resolve to the lower id, as validateVotes does
+    this.upsertVote = this.db.prepare(`
+      INSERT INTO votes (target, voter, post, author, sign, created_at, id, event)
+      VALUES (@target, @voter, @post, @author, @sign, @created_at, @id, @event)
+      ON CONFLICT (target, voter) DO UPDATE SET
+        sign = excluded.sign, created_at = excluded.created_at, id = excluded.id, event = excluded.event
+      WHERE excluded.created_at > votes.created_at
+         OR (excluded.created_at = votes.created_at AND excluded.id < votes.id)
+    `)
+    this.updatePostScore = this.db.prepare(`
+      INSERT INTO post_scores (post, author, score, ups, downs)
+      SELECT post, author, SUM(sign), SUM(sign > 0), SUM(sign < 0) FROM votes WHERE target = ?
+      ON CONFLICT (post) DO UPDATE SET score = excluded.score, ups = excluded.ups, downs = excluded.downs
+    `)
+    this.insertPost = this.db.prepare(`
+      INSERT OR IGNORE INTO posts (id, author, created_at, content) VALUES (?, ?, ?, ?)
+    `)
+    this.selectPostAuthor = this.db.prepare('SELECT author FROM posts WHERE id = ?').pluck()
+    this.deleteMistargeted = this.db.prepare('DELETE FROM votes WHERE post = ? AND author != ?')
+    this.deletePostScore = this.db.prepare('DELETE FROM post_scores WHERE post = ?')
+    this.hasVotes = this.db.prepare('SELECT 1 FROM votes WHERE target = ? LIMIT 1').pluck()
+  }
+
+  // author of a stored note, or undefined (for validateVotes' postAuthor)
+  postAuthor(postId) {
+    return this.selectPostAuthor.get(postId)
+  }
+
+  // store a validated vote event; true if it became the voter's latest
+  addVote(ev) {
+    const vote = parseVote(ev)
+    if (!vote?.author) return false
+    const target = vote.post || `user:${vote.author}`
+    return this.db.transaction(() => {
+      const { changes } = this.upsertVote.run({
+        target,
+        voter: vote.voter,
+        post: vote.post,
+        author: vote.author,
+        sign: vote.sign,
+        created_at: vote.created_at,
+        id: ev.id,
+        event: JSON.stringify(ev)
+      })
+      if (changes && vote.post) this.updatePostScore.run(target)
+      return changes > 0
+    })()
+  }
+
+  // store a verified kind-1 note; true if it was new. Votes on it that came
+  // first and 'p'-tag someone else can be told apart now, and are dropped
+  addNote(ev) {
+    return this.db.transaction(() => {
+      const added = this.insertPost.run(ev.id, ev.pubkey, ev.created_at, ev.content || '').changes > 0
+      if (added && this.deleteMistargeted.run(ev.id, ev.pubkey).changes) {
+        this.deletePostScore.run(ev.id)
+        if (this.hasVotes.get(ev.id)) this.updatePostScore.run(ev.id)
+      }
+      return added
+    })()
+  }
+
+  // { post, author, score, ups, downs, created_at } (zeros for unknown posts)
+  postScore(postId) {
+    const row = this.db.prepare(`
+      SELECT s.post, s.author, s.score, s.ups, s.downs, p.created_at
+      FROM post_scores s LEFT JOIN posts p ON p.id = s.post WHERE s.post = ?
+    `).get(postId)
+    return row || { post: postId, author: null, score: 0, ups: 0, downs: 0, created_at: null }
+  }
+
+  // same totals as computeUserKarma: every post of theirs plus user votes
+  userKarma(pubkey) {
+    const { karma, votes, targets } = this.db.prepare(`
+      SELECT COALESCE(SUM(sign), 0) AS karma, COUNT(*) AS votes, COUNT(DISTINCT target) AS targets
+      FROM votes WHERE author = ?
+    `).get(pubkey)
+    return { pubkey, karma, votes, targets }
+  }
+
+  // highest scored posts created at or after `since` (0 = all time)
+  topPosts({ since = 0, limit = 20 } = {}) {
+    return this.db.prepare(`
+      SELECT s.post, s.author, s.score, s.ups, s.downs, p.created_at, p.content
+      FROM post_scores s ${since ? 'JOIN' : 'LEFT JOIN'} posts p ON p.id = s.post
+      ${since ? 'WHERE p.created_at >= @since' : ''}
+      ORDER BY s.score DESC, s.ups DESC LIMIT @limit
+    `).all({ since, limit })
+  }
+
+  // latest vote per voter on a post, cleared ones included
+  voters(postId) {
+    return this.db.prepare(`
+      SELECT voter AS pubkey, sign, created_at, id FROM votes WHERE target = ? ORDER BY created_at DESC
+    `).all(postId)
+  }
+
+  // the raw latest vote events for some posts, or every vote on an author
+  voteEvents({ posts = [], author = null } = {}) {
+    const rows = author
+      ? this.db.prepare('SELECT event FROM votes WHERE author = ?').all(author)
+      : posts.length
+        ? this.db.prepare(`SELECT event FROM votes WHERE target IN (${posts.map(() => '?').join(',')})`).all(...posts)
+        : []
+    return rows.map(row => JSON.parse(row.event))
+  }
+
+  // how far `relay` has been read, to resume its subscription after a
+  // restart; 0 for a relay never read to the end of its backfill
+  relayCursor(relay) {
+    return this.db.prepare('SELECT created_at FROM relay_cursors WHERE relay = ?').pluck().get(relay) || 0
+  }
+
+  // cursors only move forward
+  saveRelayCursor(relay, created_at) {
+    this.db.prepare(`
+      INSERT INTO relay_cursors (relay, created_at) VALUES (?, ?)
+      ON CONFLICT (relay) DO UPDATE SET created_at = MAX(created_at, excluded.created_at)
+    `).run(relay, created_at)
+  }
+
+  // drop notes older than `before` that nobody voted on
+  pruneNotes(before) {
+    return this.db.prepare(`
+      DELETE FROM posts WHERE created_at < ? AND id NOT IN (SELECT post FROM post_scores)
+    `).run(before).changes
+  }
+
+  counts() {
+    return {
+      votes: this.db.prepare('SELECT COUNT(*) AS n FROM votes').get().n,
+      posts: this.db.prepare('SELECT COUNT(*) AS n FROM posts').get().n
+    }
+  }
+
+  close() {
+    this.db.close()
+  }
+}
@@ -0,0 +1,157 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent, generatePrivateKey } from 'nostr-tools'
+
+import { computeScore, computeUserKarma } from '../../src/karma.js'
+import { IndexerClient } from '../../src/indexer-client.js'
+import { KarmaStore } from '../store.js'
+import { Indexer } from '../indexer.js'
+import { startApi } from '../api.js'
+import { pubkeys, notes, votes } from '../../test/fixtures/index.js'
+import { fakeRelay } from '../../test/fixtures/fake-relay.js'
+
+const allVotes = [votes.aliceUp, votes.aliceClear, votes.aliceUpAgain, votes.bobDown, votes.carolUp, votes.carolUpNote2, votes.bobUpUser, votes.aliceDownUser]
+const quiet = { info: () => {} }
+
+function indexed(events = allVotes) {
+  const store = new KarmaStore(':memory:')
+  for (const ev of events) store.addVote(ev)
+  return store
+}
+
+test('store keeps the latest vote per voter, in any arrival order', () => {
+  const store = indexed([...allVotes].reverse())
+  const forNote = allVotes.filter(ev => ev.tags.some(t => t[0] === 'e' && t[1] === notes.note.id))
+  const { score, ups, downs } = store.postScore(notes.note.id)
+  assert.equal(score, computeScore(forNote))
+  assert.deepEqual([ups, downs], [2, 1])
+  assert.deepEqual(store.voters(notes.note.id).map(v => [v.pubkey, v.sign]).sort(), [
+    [pubkeys.alice, 1], [pubkeys.bob, -1], [pubkeys.carol, 1]
+  ].sort())
+
+  // re-adding an older vote changes nothing
+  assert.equal(store.addVote(votes.aliceClear), false)
+  assert.equal(store.postScore(notes.note.id).score, score)
+  store.close()
+})
+
+test('store user karma matches computeUserKarma', () => {
+  const store = indexed()
+  const { karma, targets } = computeUserKarma(allVotes)
+  assert.deepEqual(store.userKarma(pubkeys.author), { pubkey: pubkeys.author, karma, votes: 6, targets })
+  assert.deepEqual(store.userKarma(pubkeys.bob), { pubkey: pubkeys.bob, karma: 0, votes: 0, targets: 0 })
+  store.close()
+})
+
+test('top posts respect the time window and unvoted notes are pruned', () => {
+  const store = indexed()
+  store.addNote(notes.note)
+  store.addNote({ ...notes.note2, created_at: notes.note.created_at - 86400 * 3 })
+  store.addNote({ id: 'f'.repeat(64), pubkey: pubkeys.bob, created_at: 1, content: 'unvoted', kind: 1, tags: [] })
+
+  assert.deepEqual(store.topPosts().map(p => p.post), [notes.note.id, notes.note2.id])
+  assert.deepEqual(store.topPosts({ since: notes.note.created_at - 86400 }).map(p => p.post), [notes.note.id])
+  assert.equal(store.pruneNotes(notes.note.created_at - 86400 * 10), 1)
+  assert.equal(store.counts().posts, 2)
+  store.close()
+})
+
+test('ingest validates votes and notes before storing them', () => {
+  const store = new KarmaStore(':memory:')
+  const indexer = new Indexer({ store, relays: null, log: quiet })
+  const forged = { ...JSON.parse(JSON.stringify(votes.bobDown)), tags: votes.aliceUp.tags }
+  assert.equal(indexer.ingest(votes.aliceUp), 'vote')
+  assert.equal(indexer.ingest(forged), null)
+  assert.equal(indexer.ingest(votes.malformedSign), null)
+  assert.equal(indexer.ingest(finishEvent({ kind: 1, created_at: 5, tags: [], content: 'hi' }, generatePrivateKey())), 'note')
+  assert.equal(indexer.ingest({ ...notes.note, content: 'edited' }), null)
+  assert.deepEqual(indexer.stats, { votes: 1, notes: 1, rejected: 3 })
+  store.close()
+})
+
+test('votes p-tagging someone other than the note author never reach their karma', () => {
+  const store = new KarmaStore(':memory:')
+  const indexer = new Indexer({ store, relays: null, log: quiet })
+  const sk = generatePrivateKey()
+  const forged = (sign, created_at) => finishEvent({
+    kind: 30010, created_at, content: '', tags: [['p', pubkeys.bob], ['e', notes.note.id], ['v', String(sign)]]
+  }, sk)
+
+  // before the note is known the vote can't be told apart...
+  assert.equal(indexer.ingest(forged(-1, 10)), 'vote')
+  assert.equal(indexer.ingest(votes.aliceUp), 'vote')
+  assert.equal(store.userKarma(pubkeys.bob).karma, -1)
+  // ...and is dropped once it is; later ones are rejected outright
+  assert.equal(indexer.ingest(notes.note), 'note')
+  assert.equal(store.userKarma(pubkeys.bob).karma, 0)
+  assert.deepEqual(store.postScore(notes.note.id).author, pubkeys.author)
+  assert.equal(store.postScore(notes.note.id).score, 1)
+  assert.equal(indexer.ingest(forged(-1, 20)), null)
+  store.close()
+})
+
+test('subscriptions backfill in pages and resume from each relay\'s cursor', async () => {
+  const store = new KarmaStore(':memory:')
+  const options = { store, relays: null, voteBackfillSecs: 1000, noteBackfillSecs: 100, resumeOverlapSecs: 10, backfillLimit: 2, log: quiet }
+  const indexer = new Indexer(options)
+  const now = Math.floor(Date.now() / 1000)
+  const sk = generatePrivateKey()
+  let n = 0
+  const note = (created_at) => finishEvent({ kind: 1, created_at, tags: [], content: `note ${n++}` }, sk)
+  // two from the same second straddle a page boundary
+  const relay = fakeRelay([note(now - 50), note(now - 40), note(now - 30), note(now - 30), note(now - 20)])
+  const settled = () => new Promise(resolve => setTimeout(resolve, 20))
+
+  indexer.subscribe(relay, now)
+  assert.deepEqual(relay.subs[0].filters.map(f => [f.since, f.limit]), [[now - 1000, 2], [now - 100, 2]])
+  await settled()
+  assert.equal(store.counts().posts, 5)
+  assert.deepEqual(relay.subs.slice(1).map(s => s.filters[0].until), [now - 30, now - 31, now - 50])
+  assert.equal(store.relayCursor(relay.url), now - 20)
+
+  // live events move the cursor on; the next run starts from it
+  relay.emit(note(now - 5))
+  assert.equal(store.relayCursor(relay.url), now - 5)
+  indexer.stop()
+  indexer.subscribe(relay, now + 1000)
+  assert.deepEqual(relay.subs.at(-1).filters.map(f => f.since), [now - 15, now + 900])
+  indexer.stop()
+
+  // a relay that drops mid-backfill keeps no cursor, so the next run backfills again
+  const other = fakeRelay(relay.events, { url: 'wss://other.test' })
+  indexer.subscribe(other, now)
+  indexer.subs.delete(other)
+  await settled()
+  assert.equal(store.relayCursor(other.url), 0)
+  store.close()
+})
+
+test('REST API serves scores, karma, top posts, voters and raw votes', async (t) => {
+  const store = indexed()
+  store.addNote(notes.note)
+  const server = await startApi(store, { port: 0, host: '127.0.0.1' })
+  t.after(() => { server.close(); store.close() })
+  const base = `http://127.0.0.1:${server.address().port}`
+  const get = async (path) => {
+    const res = await fetch(base + path)
+    return { status: res.status, body: await res.json(), cors: res.headers.get('access-control-allow-origin') }
+  }
+
+  const score = await get(`/posts/${notes.note.id}/score`)
+  assert.equal(score.cors, '*')
+  assert.deepEqual(score.body, { post: notes.note.id, author: pubkeys.author, score: 1, ups: 2, downs: 1, created_at: notes.note.created_at })
+  assert.equal((await get(`/users/${pubkeys.author}/karma`)).body.karma, computeUserKarma(allVotes).karma)
+  assert.equal((await get(`/posts/${notes.note.id}/voters`)).body.voters.length, 3)
+  assert.deepEqual((await get('/top?window=all&limit=1')).body.posts.map(p => p.post), [notes.note.id])
+  assert.equal((await get('/top?window=1y')).status, 400)
+  assert.equal((await get('/votes?post=nope')).status, 400)
+  assert.equal((await get('/nowhere')).status, 404)
+
+  // the browser client gets raw events it can verify itself
+  const client = new IndexerClient({ baseUrl: `${base}/` })
+  const forPosts = await client.votesForPosts([notes.note.id, notes.note2.id])
+  assert.deepEqual(forPosts.map(ev => ev.id).sort(), [votes.aliceUpAgain, votes.bobDown, votes.carolUp, votes.carolUpNote2].map(ev => ev.id).sort())
+  assert.equal((await client.votesForUser(pubkeys.author)).length, 6)
+  assert.equal((await client.health()).votes, 6)
+  await assert.rejects(() => new IndexerClient({ baseUrl: `${base}/missing` }).health(), /HTTP 404/)
+})
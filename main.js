@@ -1,44 +1,117 @@
 // v1 client with per-post upvote/downvote, one vote per user per post,
 // buffered feed, SVG icons, and score display.
 
-import {
-  generatePrivateKey,
-  getPublicKey,
-  finishEvent,
-  relayInit,
-  nip19
-} from 'nostr-tools'
-
-// ---- Custom kinds for moderation/karma ----
-const KIND_NOTE       = 1
-const KIND_KARMA_VOTE = 30010  // tags: ['p', author], ['e', eventId], ['v', +1|-1|0]
-
-// Light PoW miner (optional). Uses hex prefix zeros; bits≈nibbles*4.
-function mineAndFinish(unsigned, sk, powBits = 8, maxIters = 20000) {
-  const nibbles = Math.max(0, Math.floor(powBits / 4))
-  const targetPrefix = '0'.repeat(nibbles)
-  let nonce = 0
-  while (nonce < maxIters) {
-    const u = {
-      ...unsigned,
-      tags: [...(unsigned.tags || []), ['nonce', String(nonce)]]
-    }
-    const ev = finishEvent(u, sk)
-    if (!nibbles || ev.id.startsWith(targetPrefix)) return ev
-    nonce++
-  }
-  return finishEvent(unsigned, sk)
-}
+import { nip19 } from 'nostr-tools'
 
-class NostrClient {
+import {
+  KIND_NOTE,
+  KIND_KARMA_VOTE,
+  parsePubkey,
+  parseVote,
+  buildPostVote,
+  buildUserVote,
+  computeUserKarma,
+  karmaHistory
+} from './src/karma.js'
+import {
+  REVIEW_DECISIONS,
+  normalizeReportReason,
+  buildReport,
+  buildReview,
+  computeReportStatus
+} from './src/moderation.js'
+import {
+  fetchVotesForUser,
+  fetchNote,
+  fetchModerationForPosts,
+  fetchThread,
+  fetchNotesByAuthor,
+  fetchContactLists,
+  fetchWebOfTrust,
+  fetchVoterHistory,
+  fetchVotesByVoter,
+  collectUntilEose,
+  queryRelays
+} from './src/relays.js'
+import { RelayManager, KIND_RELAY_LIST, supportsNip } from './src/relay-manager.js'
+import { validateVotes, summarizeRejections } from './src/validate.js'
+import { ScoreService } from './src/score-service.js'
+import { Outbox, describeDelivery } from './src/outbox.js'
+import { minePow } from './src/pow.js'
+import { FEED_SORTS, DEFAULT_SORT, rankPosts, voteCounts, sourceCounts } from './src/ranking.js'
+import { INTEROP_KINDS, buildReaction, buildReactionDeletion } from './src/interop.js'
+import { buildReply, buildThread, byScore, isReply, parseThreadRefs } from './src/threads.js'
+import { ProfileService, displayName, resolveNip05 } from './src/profiles.js'
+import { karmaChartSvg } from './src/chart.js'
+import {
+  KIND_MUTE_LIST,
+  DEFAULT_FILTER_SETTINGS,
+  LOW_SCORE_ACTIONS,
+  emptyMuteList,
+  parseMuteList,
+  buildMuteList,
+  compileRegexFilters,
+  muteReason,
+  lowScoreAction,
+  hasScoreRules
+} from './src/filters.js'
+import { MAX_WOT_HOPS, parseContactList, buildContactList } from './src/follows.js'
+import { SYBIL_FLAGS, analyzeVotes, flaggedVoters } from './src/sybil.js'
+import { VoteHistory, voteTarget, voteHistoryJson, voteHistoryCsv } from './src/vote-history.js'
+import { NotificationInbox, notificationFilter, classifyNotification, describeNotification } from './src/notifications.js'
+import { IndexerClient } from './src/indexer-client.js'
+import { EventStore } from './src/event-store.js'
+import { FeedPager } from './src/feed-pager.js'
+import { visibleRange } from './src/virtual-list.js'
+import { parseContent, contentHtml } from './src/content.js'
+import { parseSearch, matchesSearch } from './src/search.js'
+import {
+  buildNote,
+  contentWarning,
+  charCount,
+  mentionQuery,
+  insertMention,
+  matchProfiles
+} from './src/composer.js'
+import { ScheduledQueue } from './src/scheduled.js'
+import {
+  LocalSigner,
+  Nip07Signer,
+  Nip46Signer,
+  parsePrivateKey
+} from './src/signers.js'
+import {
+  SCORING_MODES,
+  DEFAULT_MODE,
+  computeReputation,
+  scoreVotes,
+  formatModeScore
+} from './src/scoring.js'
+
+// the karma panel's PoW input; mining runs in a worker, so high targets
+// only cost time (each extra bit doubles the expected work)
+const MAX_POW_BITS = 24
+
+// what a vote from a key flagged by the brigade check is worth
+const FLAGGED_WEIGHTS = [
+  { value: 1,    label: 'Count flagged votes fully' },
+  { value: 0.25, label: 'Count flagged votes ¼' },
+  { value: 0,    label: 'Ignore flagged votes' }
+]
+
+export class NostrClient {
   constructor() {
-    // keys
-    this.privateKey = null
-    this.publicKey  = null
+    // keys: all signing goes through this.signer (see src/signers.js)
+    this.signer    = null
+    this.publicKey = null
+
+    // relays: list, roles, reconnects and stats live in the manager
+    this.relayManager = new RelayManager()
 
-    // relays
-    this.relays = []
-    this.connectedRelays = new Set()
+    // offline store (IndexedDB): cached notes render before any relay
+    // answers, and relays are then only asked for notes after catchUpSince
+    this.events = new EventStore()
+    this.catchUpSince = 0
 
     // feed/state
     this.seenIds = new Set()
@@ -46,49 +119,387 @@ class NostrClient {
     this.bufferFlushMs = 45000      // only used if you call startAutoFlush()
     this.bufferTimer = null
 
-    // feed/state
-    this.seenIds = new Set()
-    this.buffer = []
-    this.bufferFlushMs = 45000
-    this.bufferTimer = null
+    // feed order (see src/ranking.js): id -> { id, created_at, score, ups, downs }
+    const savedSort = localStorage.getItem('nostr-karma-feed-sort')
+    this.feedSort = FEED_SORTS.some(s => s.id === savedSort) ? savedSort : DEFAULT_SORT
+    this.postRanks = new Map()
+    this.reorderTimer = null
+    this.reorderDelayMs = 400      // coalesce score updates into one reorder
+
+    // virtualized feed (see src/virtual-list.js): every note keeps its
+    // element, but only those near the viewport are in the document
+    this.feedOrder = []             // visible note ids in rank order
+    this.noteEls = new Map()        // id -> element, mounted or not
+    this.noteHeights = new Map()    // id -> measured px, margin included
+    this.mounted = new Set()
+    this.windowFrame = null
+    this.loadOlderMarginPx = 1200   // fetch older notes this close to the end
+
+    // older pages, fetched with per-relay until cursors (src/feed-pager.js)
+    this.pager = new FeedPager({ getRelays: () => this.readRelays.filter(r => this.servesFeed(r)) })
+
+    // threads (NIP-10): root id -> { events: Map(id -> reply), open }
+    this.threads = new Map()
+    this.eventsById = new Map()    // rendered notes + replies, for replying to them
+    this.replyScores = new Map()   // reply id -> score, for sorting threads by karma
+    this.threadSortQueue = new Set()
+    this.threadSortTimer = null
 
     // posting rate limit (ms since epoch)
     this.lastPostAt = 0
 
-    // local vote cache: eventId -> -1, 0, or +1 for THIS user
-    this.localVotes = {}
+    // THIS user's votes (persisted per key, merged with their 30010s on relays)
+    this.voteHistory = new VoteHistory()
+    this.latestVoteIds = {}     // vote target -> id of the newest vote we signed for it
+
+    // votes, reactions, replies and mentions aimed at THIS user (src/notifications.js)
+    this.notifications = new NotificationInbox()
+    this.notificationSubs = new Map()          // relay -> live #p sub
+    this.notificationBackfillSecs = 7 * 86400  // how far back a new sub reaches
+    this.notificationTimer = null
+
+    // every signed event is published through the outbox (OK tracking + retry)
+    this.outbox = new Outbox({ getRelays: () => this.writeRelays })
+
+    // composer: scheduled notes are signed at compose time and wait in a
+    // local queue; drafts autosave; @-mention autocomplete state
+    this.scheduled = new ScheduledQueue({ publish: (ev) => this.publishScheduled(ev) })
+    this.draftTimer = null
+    this.mentionMatches = []        // profiles offered for the @query at the caret
+    this.mentionIndex = 0
+
+    // PoW jobs in flight (AbortControllers); mining runs in a worker
+    this.powJobs = new Set()
+
+    // votes below this committed PoW (bits) are dropped before scoring
+    this.minVotePow = Number(localStorage.getItem('nostr-karma-min-pow')) || 0
+
+    // scoring strategy (see src/scoring.js) and the vote pool that
+    // reputation mode learns voter weights from
+    const savedMode = localStorage.getItem('nostr-karma-scoring-mode')
+    this.scoringMode = SCORING_MODES.some(m => m.id === savedMode) ? savedMode : DEFAULT_MODE
+    this.seenVotes = new Map()      // vote id -> validated vote event
+    this.reputation = new Map()
+    this.reputationTimer = null
+    this.reputationDelayMs = 500
+
+    // compatibility mode (src/interop.js): count other clients' NIP-25
+    // reactions and NIP-57 zaps, and optionally send a reaction with each vote
+    this.compatMode = localStorage.getItem('nostr-karma-compat') === 'on'
+    this.compatReactions = localStorage.getItem('nostr-karma-compat-reactions') === 'on'
+    this.zappers = new Map()        // author -> their LNURL server's zap key (null: none / not looked up yet)
+
+    // optional karma indexer (indexer/): a fast path for vote lookups,
+    // relays are still asked whenever it fails
+    const indexerUrl = localStorage.getItem('nostr-karma-indexer')
+    this.indexer = indexerUrl ? new IndexerClient({ baseUrl: indexerUrl }) : null
+
+    // batched + cached vote fetching for every rendered post
+    this.scores = new ScoreService({
+      getRelays: () => this.relayManager.readRelays(),
+      getIndexer: () => this.indexer,
+      getKinds: () => (this.compatMode ? [KIND_KARMA_VOTE, ...INTEROP_KINDS] : [KIND_KARMA_VOTE])
+    })
+
+    // kind-0 metadata for every author on screen, and the open profile view
+    this.profiles = new ProfileService({ getRelays: () => this.readRelays, eventStore: this.events })
+    this.profilePubkey = null
+
+    // filters: applied before notes reach the buffer (see src/filters.js)
+    this.filterSettings = this.loadFilterSettings()
+    this.regexFilters = compileRegexFilters(this.filterSettings.regexes).regexes
+    this.muteListEvent = this.loadJson('nostr-karma-mute-list')   // our latest kind-10000
+    this.mutes = this.muteListEvent ? parseMuteList(this.muteListEvent) : emptyMuteList()
+    this.authorKarma = new Map()    // pubkey -> { promise, value, at }
+    this.authorKarmaTtlMs = 10 * 60 * 1000
+    this.scoreWaitMs = 6000         // new notes wait this long for votes before the threshold check
+
+    // follow graph: our kind-3, the Following feed and web-of-trust scoring
+    this.contactListEvent = this.loadJson('nostr-karma-contacts')
+    this.follows = new Set(parseContactList(this.contactListEvent))
+    this.contactsSynced = false     // true once relays answered for our kind-3
+    this.feedSource = localStorage.getItem('nostr-karma-feed-source') === 'following' ? 'following' : 'global'
+    this.feedTag = null             // '#t' the feed is narrowed to (hashtag chips)
+    this.feedSearch = null          // NIP-50 search text the feed shows results for
+    this.searchRelays = new Set()   // read relay urls advertising NIP-50 (NIP-11)
+    this.feedEpoch = 0              // bumped on every feed reset; late results check it
+    this.noteSubs = new Map()       // relay -> live note sub
+    const savedHops = Number(localStorage.getItem('nostr-karma-wot-hops')) || 2
+    this.wotHops = Math.min(MAX_WOT_HOPS, Math.max(1, savedHops))
+    this.trust = new Map()          // pubkey -> follow hops from us (wot mode)
+    this.trustBuild = 0             // drops results of superseded rebuilds
+
+    // brigade check (src/sybil.js): the last report, the keys it flagged
+    // (kept across reloads) and how much their votes still count
+    this.sybilReport = null
+    this.flaggedVoters = new Set(this.loadJson('nostr-karma-flagged-voters') || [])
+    const savedWeight = Number(localStorage.getItem('nostr-karma-flagged-weight') ?? 1)
+    this.flaggedWeight = FLAGGED_WEIGHTS.some(w => w.value === savedWeight) ? savedWeight : 1
+
+    // moderation: distinct reviews needed before a report is decided, and
+    // whose reviews count (hex pubkeys; unset: anyone but the parties)
+    this.reviewQuorum = 3
+    this.reviewers = this.loadJson('nostr-karma-reviewers')
+    this.reportQueue = new Set()    // post ids waiting for a batched report lookup
+    this.reportTimer = null
+    this.reportDelayMs = 50
+
+    // dom (filled in by start())
+    this.elements = {}
+  }
 
-    // dom
+  // query the DOM, wire up handlers and connect; kept out of the
+  // constructor so the client can be built without a document
+  start(doc = document) {
     this.elements = {
-      status:      document.getElementById('status'),
-      pubkey:      document.getElementById('pubkey'),
-      generateKeys:document.getElementById('generate-keys'),
-      noteContent: document.getElementById('note-content'),
-      publishNote: document.getElementById('publish-note'),
-      feed:        document.getElementById('feed'),
-      showNew:     document.getElementById('show-new')
+      status:      doc.getElementById('status'),
+      relayStats:  doc.getElementById('relay-stats'),
+      pubkey:      doc.getElementById('pubkey'),
+      generateKeys:doc.getElementById('generate-keys'),
+      signerType:  doc.getElementById('signer-type'),
+      bunkerUrl:   doc.getElementById('bunker-url'),
+      signerUse:   doc.getElementById('signer-use'),
+      signerStatus:doc.getElementById('signer-status'),
+      signerAuth:  doc.getElementById('signer-auth'),
+      keyImport:   doc.getElementById('key-import'),
+      importKey:   doc.getElementById('import-key'),
+      exportKey:   doc.getElementById('export-key'),
+      noteContent: doc.getElementById('note-content'),
+      publishNote: doc.getElementById('publish-note'),
+      feed:        doc.getElementById('feed'),
+      showNew:     doc.getElementById('show-new'),
+      feedMore:    doc.getElementById('feed-more'),
+      scoreMode:   doc.getElementById('score-mode'),
+      feedSort:    doc.getElementById('feed-sort'),
+      feedSource:  doc.getElementById('feed-source'),
+      feedFilter:  doc.getElementById('feed-filter'),
+      feedFilterClear: doc.getElementById('feed-filter-clear'),
+      searchInput: doc.getElementById('search-input'),
+      searchGo:    doc.getElementById('search-go'),
+      wotHops:     doc.getElementById('wot-hops'),
+      wotStatus:   doc.getElementById('wot-status'),
+      compatMode:      doc.getElementById('compat-mode'),
+      compatReactions: doc.getElementById('compat-reactions'),
+
+      // user-level karma panel
+      karmaTarget:    doc.getElementById('karma-target'),
+      karmaUp:        doc.getElementById('karma-up'),
+      karmaDown:      doc.getElementById('karma-down'),
+      karmaStake:     doc.getElementById('karma-stake'),
+      karmaPow:       doc.getElementById('karma-pow'),
+      karmaRecompute: doc.getElementById('karma-recompute'),
+      karmaScore:     doc.getElementById('karma-score'),
+      karmaMinPow:    doc.getElementById('karma-min-pow'),
+      powProgress:    doc.getElementById('pow-progress'),
+      powCancel:      doc.getElementById('pow-cancel'),
+
+      // reporting & review
+      reportEvent:    doc.getElementById('report-event'),
+      reportReason:   doc.getElementById('report-reason'),
+      reportSend:     doc.getElementById('report-send'),
+      reviewEvent:    doc.getElementById('review-event'),
+      reviewDecision: doc.getElementById('review-decision'),
+      reviewSend:     doc.getElementById('review-send'),
+
+      // brigade check
+      sybilRun:       doc.getElementById('sybil-run'),
+      sybilExport:    doc.getElementById('sybil-export'),
+      sybilWeight:    doc.getElementById('sybil-weight'),
+      sybilSummary:   doc.getElementById('sybil-summary'),
+      sybilReport:    doc.getElementById('sybil-report'),
+
+      // relay manager
+      relayList:      doc.getElementById('relay-list'),
+      relayUrl:       doc.getElementById('relay-url'),
+      relayAdd:       doc.getElementById('relay-add'),
+      relayImport:    doc.getElementById('relay-import'),
+      indexerUrl:     doc.getElementById('indexer-url'),
+      indexerSave:    doc.getElementById('indexer-save'),
+      indexerStatus:  doc.getElementById('indexer-status'),
+
+      // author profile view
+      profileView:    doc.getElementById('profile-view'),
+      profileHeader:  doc.getElementById('profile-header'),
+      profileKarma:   doc.getElementById('profile-karma'),
+      profileChart:   doc.getElementById('profile-chart'),
+      profileNotes:   doc.getElementById('profile-notes'),
+      profileClose:   doc.getElementById('profile-close'),
+
+      // filters & mutes
+      filterMinScore: doc.getElementById('filter-min-score'),
+      filterMinKarma: doc.getElementById('filter-min-karma'),
+      filterAction:   doc.getElementById('filter-action'),
+      muteWords:      doc.getElementById('mute-words'),
+      muteHashtags:   doc.getElementById('mute-hashtags'),
+      mutePubkeys:    doc.getElementById('mute-pubkeys'),
+      filterRegexes:  doc.getElementById('filter-regexes'),
+      filtersSave:    doc.getElementById('filters-save'),
+      filtersStatus:  doc.getElementById('filters-status'),
+
+      // my votes
+      myVotesList:       doc.getElementById('my-votes-list'),
+      myVotesStatus:     doc.getElementById('my-votes-status'),
+      myVotesExportJson: doc.getElementById('my-votes-export-json'),
+      myVotesExportCsv:  doc.getElementById('my-votes-export-csv'),
+      myVotesMigrate:    doc.getElementById('my-votes-migrate'),
+
+      // notifications
+      notifyBadge:    doc.getElementById('notify-badge'),
+      notifyStatus:   doc.getElementById('notify-status'),
+      notifyMarkRead: doc.getElementById('notify-mark-read'),
+      notifyList:     doc.getElementById('notify-list'),
+
+      // composer
+      noteCount:      doc.getElementById('note-count'),
+      noteCw:         doc.getElementById('note-cw'),
+      noteCwReason:   doc.getElementById('note-cw-reason'),
+      noteSchedule:   doc.getElementById('note-schedule'),
+      mentionSuggest: doc.getElementById('mention-suggest'),
+      scheduledList:  doc.getElementById('scheduled-list')
     }
 
     // bind UI
     this.bindUI()
+    this.scores.onUpdate((eventId, votes) => this.renderScore(eventId, votes))
+    this.outbox.onChange((entry, summary) => this.onDeliveryChange(entry, summary))
+    this.profiles.onUpdate((pubkey) => {
+      this.renderAuthor(pubkey)
+      this.renderNotificationsSoon()
+      // a new lightning address may mean a new zap key
+      if (this.zappers.delete(pubkey)) this.rescoreAll()
+    })
+    this.scheduled.onChange(() => this.renderScheduled())
 
-    // boot
-    this.loadOrGenerateKeys()
-    this.connectToRelays()
+    // boot: cached feed first, then relays for what's newer
+    this.loadSigner()
+    this.renderCachedFeed().finally(() => this.connectToRelays())
+    this.scheduled.start()
+    return this
   }
 
   bindUI() {
     this.elements.generateKeys?.addEventListener('click', () => this.generateNewKeys())
+    this.elements.signerUse?.addEventListener('click', () => this.switchSigner(this.elements.signerType?.value))
+    this.elements.signerAuth?.addEventListener('click', () => { this.elements.signerAuth.hidden = true })
+    this.elements.importKey?.addEventListener('click', () => this.importKey())
+    this.elements.exportKey?.addEventListener('click', () => this.exportKey())
     this.elements.publishNote?.addEventListener('click', () => this.publishNote())
     this.elements.noteContent?.addEventListener('keydown', (e) => {
-      if (e.ctrlKey && e.key === 'Enter') this.publishNote()
+      if (e.ctrlKey && e.key === 'Enter') return this.publishNote()
+      this.handleMentionKey(e)
+    })
+
+    // Composer: draft autosave, counter, @-mentions, content warning, schedule
+    this.restoreDraft()
+    this.elements.noteContent?.addEventListener('input', () => {
+      this.saveDraftSoon()
+      this.updateComposer()
+    })
+    this.elements.noteContent?.addEventListener('click', () => this.updateMentionSuggest())
+    this.elements.noteContent?.addEventListener('blur', () => this.hideMentionSuggest())
+    this.elements.mentionSuggest?.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('li[data-index]')
+      if (!item) return
+      e.preventDefault()   // keep the textarea focused
+      this.chooseMention(Number(item.dataset.index))
+    })
+    this.elements.noteCw?.addEventListener('change', () => {
+      this.updateComposer()
+      this.saveDraftSoon()
+    })
+    this.elements.noteCwReason?.addEventListener('input', () => this.saveDraftSoon())
+    this.elements.noteSchedule?.addEventListener('change', () => this.updateComposer())
+    this.elements.scheduledList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.scheduled-cancel')
+      if (!btn) return
+      this.scheduled.remove(btn.dataset.id)
+      this.toast('Scheduled note cancelled')
+    })
+    this.renderScheduled()
+
+    // the feed window follows the page scroll (and pages back near the end)
+    window.addEventListener('scroll', () => this.scheduleWindow(), { passive: true })
+    window.addEventListener('resize', () => this.scheduleWindow())
+
+    // offline: the cached feed stays readable, relays reconnect when back
+    window.addEventListener('offline', () => this.updateStatus())
+    window.addEventListener('online', () => {
+      this.updateStatus()
+      this.relayManager.reconnectNow()
     })
 
     // “Show new posts” buffer flush button
     this.elements.showNew?.addEventListener('click', () => this.flushBufferToFeed())
 
-    // Event delegation for per-post voting
+    // Scoring strategy picker
+    if (this.elements.scoreMode) {
+      this.elements.scoreMode.innerHTML = SCORING_MODES
+        .map(m => `<option value="${m.id}">${m.label}</option>`)
+        .join('')
+      this.elements.scoreMode.value = this.scoringMode
+      this.elements.scoreMode.addEventListener('change', () => this.setScoringMode(this.elements.scoreMode.value))
+    }
+
+    // Global / Following feed
+    if (this.elements.feedSource) {
+      this.elements.feedSource.value = this.feedSource
+      this.elements.feedSource.addEventListener('change', () => this.setFeedSource(this.elements.feedSource.value))
+    }
+    this.elements.feedFilterClear?.addEventListener('click', () => this.setFeedTag(null))
+    this.elements.searchGo?.addEventListener('click', () => this.runSearch(this.elements.searchInput?.value))
+    this.elements.searchInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.runSearch(this.elements.searchInput.value)
+    })
+
+    // Web-of-trust depth
+    if (this.elements.wotHops) {
+      this.elements.wotHops.value = String(this.wotHops)
+      this.elements.wotHops.addEventListener('change', () => this.setWotHops(Number(this.elements.wotHops.value)))
+    }
+
+    // Reactions & zaps compatibility
+    if (this.elements.compatMode) {
+      this.elements.compatMode.checked = this.compatMode
+      this.elements.compatMode.addEventListener('change', () => this.setCompatMode(this.elements.compatMode.checked))
+    }
+    if (this.elements.compatReactions) {
+      this.elements.compatReactions.checked = this.compatReactions
+      this.elements.compatReactions.addEventListener('change', () => {
+        this.compatReactions = this.elements.compatReactions.checked
+        localStorage.setItem('nostr-karma-compat-reactions', this.compatReactions ? 'on' : 'off')
+      })
+    }
+
+    // Feed order picker
+    if (this.elements.feedSort) {
+      this.elements.feedSort.innerHTML = FEED_SORTS
+        .map(s => `<option value="${s.id}">${s.label}</option>`)
+        .join('')
+      this.elements.feedSort.value = this.feedSort
+      this.elements.feedSort.addEventListener('change', () => this.setFeedSort(this.elements.feedSort.value))
+    }
+
+    // Event delegation for per-post voting and replies (notes and thread replies alike)
     this.elements.feed?.addEventListener('click', (e) => {
+      const authorLink = e.target.closest('.note-author[data-pubkey]')
+      if (authorLink) {
+        e.preventDefault()
+        return this.openProfile(authorLink.dataset.pubkey)
+      }
+      if (this.handleContentClick(e)) return
+
+      const follow = e.target.closest('.follow-btn')
+      if (follow) return this.toggleFollow(follow.dataset.pubkey)
+      const mute = e.target.closest('.mute-btn')
+      if (mute) return this.muteAuthor(mute.dataset.pubkey)
+      const expand = e.target.closest('.expand-btn')
+      if (expand) return this.expandNote(expand.closest('[data-eid]'))
+
+      const action = e.target.closest('.reply-btn, .thread-btn, .reply-send')
+      if (action?.classList.contains('reply-btn')) return this.toggleReplyBox(action.dataset.eid)
+      if (action?.classList.contains('thread-btn')) return this.toggleThread(action.dataset.eid)
+      if (action?.classList.contains('reply-send')) return this.sendReply(action.dataset.eid)
+
       const btn = e.target.closest('.vote-btn')
       if (!btn) return
       const sign = Number(btn.dataset.sign)   // +1 or -1
@@ -97,113 +508,575 @@ class NostrClient {
       if (!eid || !author || ![1, -1].includes(sign)) return
       this.sendVote(author, eid, sign)
     })
+
+    // User-level karma panel
+    this.elements.karmaUp?.addEventListener('click', () => this.sendUserVote(1))
+    this.elements.karmaDown?.addEventListener('click', () => this.sendUserVote(-1))
+    this.elements.karmaRecompute?.addEventListener('click', () => this.recomputeUserKarma())
+    this.elements.powCancel?.addEventListener('click', () => this.cancelMining())
+    if (this.elements.karmaMinPow) this.elements.karmaMinPow.value = String(this.minVotePow)
+    this.elements.karmaMinPow?.addEventListener('change', () => {
+      this.minVotePow = Math.max(0, Math.floor(Number(this.elements.karmaMinPow.value) || 0))
+      localStorage.setItem('nostr-karma-min-pow', String(this.minVotePow))
+    })
+
+    // Filters & mutes
+    this.renderFilterInputs()
+    this.elements.filtersSave?.addEventListener('click', () => this.saveFilters())
+
+    // Author profile view
+    this.elements.profileClose?.addEventListener('click', () => this.closeProfile())
+    this.elements.profileNotes?.addEventListener('click', (e) => this.handleContentClick(e))
+
+    // Reporting & review
+    this.elements.reportSend?.addEventListener('click', () => this.sendReport())
+    this.elements.reviewSend?.addEventListener('click', () => this.sendReview())
+
+    // My votes
+    this.elements.myVotesExportJson?.addEventListener('click', () => this.exportMyVotes('json'))
+    this.elements.myVotesExportCsv?.addEventListener('click', () => this.exportMyVotes('csv'))
+    this.elements.myVotesMigrate?.addEventListener('click', () => this.migrateVotes())
+    this.elements.myVotesList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.my-vote-flip, .my-vote-clear')
+      if (!btn) return
+      const entry = this.voteHistory.get(btn.closest('.my-vote')?.dataset.target)
+      if (entry) this.changeVote(entry, btn.classList.contains('my-vote-flip') ? -entry.sign : 0)
+    })
+    this.renderMyVotes()
+
+    // Notifications
+    this.elements.notifyMarkRead?.addEventListener('click', () => {
+      this.notifications.markRead()
+      this.renderNotifications()
+    })
+    this.elements.notifyList?.addEventListener('click', (e) => {
+      const authorLink = e.target.closest('.note-author[data-pubkey]')
+      if (!authorLink) return
+      e.preventDefault()
+      this.openProfile(authorLink.dataset.pubkey)
+    })
+    this.renderNotifications()
+
+    // Brigade check
+    this.elements.sybilRun?.addEventListener('click', () => this.runSybilCheck())
+    this.elements.sybilExport?.addEventListener('click', () => this.exportSybilReport())
+    if (this.elements.sybilWeight) {
+      this.elements.sybilWeight.innerHTML = FLAGGED_WEIGHTS
+        .map(w => `<option value="${w.value}">${w.label}</option>`)
+        .join('')
+      this.elements.sybilWeight.value = String(this.flaggedWeight)
+      this.elements.sybilWeight.addEventListener('change', () => this.setFlaggedWeight(Number(this.elements.sybilWeight.value)))
+    }
+    this.elements.sybilReport?.addEventListener('click', (e) => {
+      const authorLink = e.target.closest('.note-author[data-pubkey]')
+      if (!authorLink) return
+      e.preventDefault()
+      this.openProfile(authorLink.dataset.pubkey)
+    })
+    this.renderSybilReport()
+
+    // Relay manager
+    this.elements.relayAdd?.addEventListener('click', () => this.addRelay())
+    this.elements.relayUrl?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addRelay()
+    })
+    this.elements.relayImport?.addEventListener('click', () => this.importRelayList())
+    if (this.elements.indexerUrl) this.elements.indexerUrl.value = this.indexer?.baseUrl || ''
+    this.elements.indexerSave?.addEventListener('click', () => this.setIndexerUrl(this.elements.indexerUrl?.value))
+    this.checkIndexer()
+    this.elements.relayList?.addEventListener('change', (e) => {
+      const box = e.target.closest('input[data-role]')
+      if (!box) return
+      this.relayManager.setRoles(box.dataset.url, { [box.dataset.role]: box.checked })
+    })
+    this.elements.relayList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.relay-remove')
+      if (btn) this.relayManager.remove(btn.dataset.url)
+    })
   }
 
   // ---------- Keys ----------
-  loadOrGenerateKeys() {
-    const saved = localStorage.getItem('nostr-private-key')
-    if (saved) {
-      this.privateKey = saved
-      this.publicKey = getPublicKey(saved)
-    } else {
-      this.generateNewKeys()
+  // signer choice: { type: 'local' | 'nip07' | 'nip46', bunker? };
+  // a local key is only ever stored as a NIP-49 ncryptsec
+  async loadSigner() {
+    let saved = null
+    try { saved = JSON.parse(localStorage.getItem('nostr-karma-signer') || 'null') } catch {}
+
+    try {
+      if (saved?.type === 'nip07') return await this.useSigner(new Nip07Signer())
+      if (saved?.type === 'nip46') return await this.useSigner(await this.connectBunker(saved.bunker))
+    } catch (e) {
+      console.error('signer error', e)
+      this.toast(`Signer unavailable: ${e.message}`, 'error')
     }
-    this.updateKeyDisplay()
+    await this.unlockLocalKey()
+  }
+
+  async unlockLocalKey() {
+    const ncryptsec = localStorage.getItem('nostr-karma-ncryptsec')
+    if (ncryptsec) {
+      const passphrase = prompt('Passphrase to unlock your key')
+      if (passphrase === null) return this.toast('Key locked: read-only until you unlock or import one', 'error')
+      try {
+        return await this.useSigner(LocalSigner.fromNcryptsec(ncryptsec, passphrase))
+      } catch {
+        return this.toast('Wrong passphrase: key stays locked', 'error')
+      }
+    }
+
+    // keys from older versions sat in localStorage as plain hex: move them,
+    // and leave them locked until there is a passphrase to move them under
+    const legacy = localStorage.getItem('nostr-private-key')
+    if (legacy) {
+      const signer = new LocalSigner(legacy)
+      const ncryptsec = this.encryptLocalKey(signer)
+      if (!ncryptsec) return this.toast('Key locked: choose a passphrase to encrypt it, read-only until then', 'error')
+      return await this.useSigner(signer, { ncryptsec })
+    }
+
+    if (await this.useSigner(new LocalSigner(), { store: true })) this.toast('New keys generated! 🎉')
+  }
+
+  // the local key as an ncryptsec, or null when no passphrase was given
+  encryptLocalKey(signer) {
+    const passphrase = prompt('Choose a passphrase to encrypt your key on this device')
+    return passphrase ? signer.toNcryptsec(passphrase) : null
   }
 
-  generateNewKeys() {
-    this.privateKey = generatePrivateKey()
-    this.publicKey  = getPublicKey(this.privateKey)
-    localStorage.setItem('nostr-private-key', this.privateKey)
+  storedKey() {
+    return localStorage.getItem('nostr-karma-ncryptsec') || localStorage.getItem('nostr-private-key')
+  }
+
+  // store: encrypt a local key under a new passphrase; ncryptsec: keep
+  // this already encrypted form of it instead, in place of any stored key.
+  // Without a passphrase a new local key lives for this session only, and
+  // not at all while another key is stored: false when it was turned down
+  async useSigner(signer, { store = false, ncryptsec = null } = {}) {
+    if (store && !ncryptsec && signer.type === 'local') {
+      ncryptsec = this.encryptLocalKey(signer)
+      if (!ncryptsec && this.storedKey()) {
+        this.toast('No passphrase: kept the key stored on this device', 'error')
+        return false
+      }
+      if (!ncryptsec) this.toast('No passphrase: key kept for this session only', 'error')
+    }
+
+    const previous = this.signer
+    const previousKey = this.publicKey
+    this.signer = signer
+    this.publicKey = await signer.getPublicKey()
+    if (previous && previous !== signer) previous.close?.()
+
+    const saved = { type: signer.type, ...(signer.type === 'nip46' ? { bunker: signer.bunkerUrl } : {}) }
+    localStorage.setItem('nostr-karma-signer', JSON.stringify(saved))
+    if (ncryptsec && signer.type === 'local') {
+      localStorage.setItem('nostr-karma-ncryptsec', ncryptsec)
+      localStorage.removeItem('nostr-private-key')
+    }
+
     this.updateKeyDisplay()
-    this.toast('New keys generated! 🎉')
+    if (previousKey !== this.publicKey) {
+      this.voteHistory.load(this.publicKey)
+      this.refreshVoteStyles()
+      this.syncVoteHistory()
+      this.notifications.load(this.publicKey)
+      this.readRelays.forEach(relay => this.subscribeNotifications(relay))
+      this.renderNotifications()
+      this.syncMuteList()
+      this.contactsSynced = false
+      this.syncContacts()
+    }
+    return true
+  }
+
+  // also when the stored key is still locked: it is an identity all the same
+  confirmReplaceKeys() {
+    if (!this.publicKey && !this.storedKey()) return true
+    return confirm('This replaces your current identity on this device. Make sure you have exported your key first. Continue?')
+  }
+
+  async generateNewKeys() {
+    if (!this.confirmReplaceKeys()) return
+    if (await this.useSigner(new LocalSigner(), { store: true })) this.toast('New keys generated! 🎉')
+  }
+
+  async switchSigner(type) {
+    if (type === this.signer?.type && type !== 'nip46') return
+    if (!this.confirmReplaceKeys()) return
+    try {
+      if (type === 'nip07') {
+        await this.useSigner(new Nip07Signer())
+      } else if (type === 'nip46') {
+        this.toast('Connecting to remote signer…')
+        await this.useSigner(await this.connectBunker(this.elements.bunkerUrl?.value))
+      } else {
+        return this.unlockLocalKey()
+      }
+      this.toast('Signer connected')
+    } catch (e) {
+      console.error('signer error', e)
+      this.toast(`Signer failed: ${e.message}`, 'error')
+    }
+  }
+
+  connectBunker(bunkerUrl) {
+    return new Nip46Signer(bunkerUrl, { onAuthUrl: (url) => this.showSignerAuth(url) }).connect()
+  }
+
+  // a bunker waiting for approval in the browser: link its page under the
+  // signer controls until followed (web links only)
+  showSignerAuth(url) {
+    let link
+    try { link = new URL(url) } catch { return }
+    if (link.protocol !== 'https:' && link.protocol !== 'http:') return
+    if (this.elements.signerAuth) {
+      this.elements.signerAuth.href = link.href
+      this.elements.signerAuth.hidden = false
+    }
+    this.toast('Your remote signer asks for approval: follow the link by the signer settings')
+  }
+
+  // nsec / hex, or an ncryptsec (asks for its passphrase)
+  async importKey() {
+    const input = (this.elements.keyImport?.value || '').trim()
+    let signer = null
+    try {
+      if (input.startsWith('ncryptsec1')) {
+        const passphrase = prompt('Passphrase for this ncryptsec')
+        if (passphrase === null) return
+        signer = LocalSigner.fromNcryptsec(input, passphrase)
+      } else {
+        const key = parsePrivateKey(input)
+        if (key) signer = new LocalSigner(key)
+      }
+    } catch {
+      return this.toast('Could not decrypt that key', 'error')
+    }
+    if (!signer) return this.toast('Enter an nsec, hex or ncryptsec key', 'error')
+    if (!this.confirmReplaceKeys()) return
+
+    const encrypted = input.startsWith('ncryptsec1')
+    if (!(await this.useSigner(signer, encrypted ? { ncryptsec: input } : { store: true }))) return
+    this.elements.keyImport.value = ''
+    this.toast('Key imported')
+  }
+
+  exportKey() {
+    if (this.signer?.type !== 'local') return this.toast('Only local keys can be exported', 'error')
+    if (!confirm('Your nsec gives full control of this identity. Show it?')) return
+    prompt('Your nsec (copy it somewhere safe)', this.signer.exportNsec())
   }
 
   updateKeyDisplay() {
     if (this.publicKey) this.elements.pubkey.value = nip19.npubEncode(this.publicKey)
+    if (this.elements.signerType && this.signer) this.elements.signerType.value = this.signer.type
+    if (this.elements.signerStatus) {
+      const labels = { local: 'local key (encrypted)', nip07: 'browser extension', nip46: 'remote signer' }
+      this.elements.signerStatus.textContent = this.signer ? `signing with ${labels[this.signer.type]}` : 'locked'
+    }
+  }
+
+  // every event we publish is signed here
+  signEvent(template) {
+    if (!this.signer) throw new Error('No signer')
+    return this.signer.signEvent(template)
+  }
+
+  // mine off-thread, then sign; null when the PoW target wasn't reached
+  // (the caller tells the user), AbortError when mining was cancelled
+  async mineAndSign(template, powBits) {
+    if (!powBits) return this.signEvent(template)
+
+    const controller = new AbortController()
+    this.powJobs.add(controller)
+    this.showPowProgress({ tried: 0, best: 0 }, powBits)
+    try {
+      const { event, tried, best } = await minePow(
+        { template, pubkey: this.publicKey, bits: powBits },
+        { signal: controller.signal, onProgress: (p) => this.showPowProgress(p, powBits) }
+      )
+      if (!event) {
+        this.toast(`PoW target of ${powBits} bits not reached after ${tried.toLocaleString()} tries (best ${best}); nothing was published`, 'error')
+        return null
+      }
+      return await this.signEvent(event)
+    } finally {
+      this.powJobs.delete(controller)
+      if (this.powJobs.size === 0) this.showPowProgress(null)
+    }
+  }
+
+  cancelMining() {
+    for (const controller of this.powJobs) controller.abort()
+  }
+
+  showPowProgress(progress, bits) {
+    const { powProgress, powCancel } = this.elements
+    if (powCancel) powCancel.hidden = !progress
+    if (!powProgress) return
+    powProgress.textContent = progress
+      ? `⛏️ mining ${bits} bits… ${progress.tried.toLocaleString()} tries, best ${progress.best}`
+      : ''
   }
 
   // ---------- Relays ----------
   async connectToRelays() {
-    const urls = [
-      'wss://relay.damus.io',
-      'wss://nos.lol',
-      'wss://relay.snort.social',
-      'wss://relay.nostr.band'
-    ]
     this.elements.status.textContent = 'Connecting...'
 
-    for (const url of urls) {
-      const relay = relayInit(url)
+    this.relayManager.on('connect', (relay, entry) => {
+      // re-send anything this relay hasn't acknowledged yet
+      if (entry.write) this.outbox.attachRelay(relay)
+      if (!entry.read) return
 
-      relay.on('connect', () => {
-        this.connectedRelays.add(url)
-        this.updateStatus()
+      // If you want NO live updates at all, comment out this line:
+      this.subscribeNotes(relay)
 
-        // If you want NO live updates at all, comment out this line:
-        this.subscribeNotes(relay)
+      // One-time recent snapshot
+      this.fetchRecentBurst(relay)
 
-        // One-time recent snapshot
-        this.fetchRecentBurst(relay)
-      })
+      // live vote updates for everything on screen
+      this.scores.attachRelay(relay)
 
-      relay.on('error', () => {
-        this.connectedRelays.delete(url)
-        this.updateStatus()
-      })
+      // votes, replies and mentions for us
+      this.subscribeNotifications(relay)
 
-      try {
-        await relay.connect()
-        this.relays.push(relay)
-      } catch (e) {
-        console.error('connect error', url, e)
-      }
-    }
+      // profiles requested before any relay was up
+      this.profiles.retry()
+
+      // our votes, NIP-51 mute list and contact list may be newer on this relay
+      this.syncVoteHistory([relay])
+      this.syncMuteList([relay])
+      this.syncContacts([relay])
+      if (this.scoringMode === 'wot' && this.trust.size === 0) this.rebuildTrust()
+    })
+    this.relayManager.on('disconnect', (relay) => {
+      this.scores.detachRelay(relay)
+      this.noteSubs.delete(relay)
+      this.notificationSubs.delete(relay)
+    })
+    this.relayManager.on('change', () => this.updateStatus())
+
+    // all relays at once; failures retry with backoff inside the manager
+    await this.relayManager.connectAll()
 
     // If you don't want auto-flush, keep this commented out:
     // this.startAutoFlush()
   }
 
+  get readRelays() {
+    return this.relayManager.readRelays()
+  }
+
+  get writeRelays() {
+    return this.relayManager.writeRelays()
+  }
+
   updateStatus() {
-    const n = this.connectedRelays.size
-    this.elements.status.textContent = n > 0 ? `Connected to ${n} relays` : 'Disconnected'
+    const list = this.relayManager.list()
+    const n = this.relayManager.connected().length
+    const el = this.elements.status
+    const offline = globalThis.navigator?.onLine === false
+    el.textContent = n > 0 ? `Connected to ${n}/${list.length} relays` : offline ? 'Offline: read-only (cached feed)' : 'Disconnected'
+    el.classList.toggle('connected', n > 0)
+    el.classList.toggle('disconnected', n === 0)
+
+    // per-relay latency / error stats under the status pill
+    const rows = list.map(({ url }) => {
+      const st = this.relayManager.statsFor(url)
+      const latency = st.latencyMs != null ? `${st.latencyMs} ms` : '–'
+      const err = st.lastError ? ` · last: ${this.escapeHtml(st.lastError)}` : ''
+      return `<li class="relay-stat relay-${st.status}" title="${this.escapeHtml(url)}">
+        ${this.escapeHtml(url.replace(/^wss?:\/\//, ''))}: ${st.status} · ${latency} · ${st.errors} errors${err}
+      </li>`
+    })
+    if (this.elements.relayStats) this.elements.relayStats.innerHTML = rows.join('')
+
+    this.renderRelayList()
+  }
+
+  renderRelayList() {
+    const el = this.elements.relayList
+    if (!el) return
+    el.innerHTML = this.relayManager.list().map(({ url, read, write }) => {
+      const safe = this.escapeHtml(url)
+      const status = this.relayManager.statsFor(url).status
+      return `<div class="relay-row">
+        <span class="relay-url">${safe}</span>
+        <label><input type="checkbox" data-url="${safe}" data-role="read" ${read ? 'checked' : ''}> read</label>
+        <label><input type="checkbox" data-url="${safe}" data-role="write" ${write ? 'checked' : ''}> write</label>
+        <span class="relay-status relay-${status}">${status}</span>
+        <button class="relay-remove" data-url="${safe}">✕</button>
+      </div>`
+    }).join('')
+  }
+
+  addRelay() {
+    const url = this.relayManager.add(this.elements.relayUrl?.value)
+    if (!url) return this.toast('Enter a wss:// relay url', 'error')
+    this.elements.relayUrl.value = ''
+    this.toast(`Added ${url}`)
+  }
+
+  // NIP-65: merge the newest kind-10002 list we can find for our key
+  async importRelayList() {
+    if (!this.publicKey) return this.toast('No keys loaded', 'error')
+    const lists = await queryRelays(this.readRelays, [{ kinds: [KIND_RELAY_LIST], authors: [this.publicKey], limit: 5 }])
+    const latest = lists.sort((a, b) => b.created_at - a.created_at)[0]
+    if (!latest) return this.toast('No NIP-65 relay list found', 'error')
+
+    const added = this.relayManager.importRelayList(latest)
+    this.toast(`Imported relay list (${added} new)`)
+  }
+
+  // empty input turns the indexer off
+  setIndexerUrl(input) {
+    const value = (input || '').trim()
+    if (value && !/^https?:\/\/[^\s/]+/i.test(value)) return this.toast('Enter an http(s) URL', 'error')
+    this.indexer = value ? new IndexerClient({ baseUrl: value }) : null
+    if (value) localStorage.setItem('nostr-karma-indexer', this.indexer.baseUrl)
+    else localStorage.removeItem('nostr-karma-indexer')
+    this.checkIndexer()
+  }
+
+  async checkIndexer() {
+    const el = this.elements.indexerStatus
+    if (!el) return
+    const indexer = this.indexer
+    if (!indexer) {
+      el.textContent = 'off: scores come from relays'
+      return
+    }
+    el.textContent = 'checking…'
+    try {
+      const { votes } = await indexer.health()
+      if (this.indexer === indexer) el.textContent = `ok (${votes} votes indexed)`
+    } catch {
+      if (this.indexer === indexer) el.textContent = 'unreachable: falling back to relays'
+    }
+  }
+
+  // every vote on a user and their posts: indexer first, relays if it fails
+  async fetchUserVotes(pubkey) {
+    if (this.indexer) {
+      try {
+        return await this.indexer.votesForUser(pubkey)
+      } catch (e) {
+        console.warn('indexer unavailable, asking relays', e)
+      }
+    }
+    return fetchVotesForUser(this.readRelays, pubkey)
   }
 
   // ---------- Feed behavior ----------
   // Live subscription: keep open but push into buffer
+  // kind-1 filter for the current feed source; null = nothing to ask for
+  noteFilter(extra) {
+    const base = { kinds: [KIND_NOTE] }
+    if (this.feedTag) base['#t'] = [this.feedTag]
+    if (this.feedSearch) base.search = this.feedSearch
+    if (this.feedSource !== 'following') return { ...base, ...extra }
+    const authors = [...this.follows, this.publicKey].filter(Boolean)
+    return authors.length ? { ...base, authors, ...extra } : null
+  }
+
   subscribeNotes(relay) {
-    const sub = relay.sub([{ kinds: [KIND_NOTE], limit: 0 }]) // live only
+    try { this.noteSubs.get(relay)?.unsub() } catch {}
+    this.noteSubs.delete(relay)
+    const filter = this.noteFilter({ limit: 0 }) // live only
+    if (!filter || !this.servesFeed(relay)) return
+    const sub = relay.sub([filter])
     sub.on('event', (ev) => this.bufferIncoming(ev))
+    this.noteSubs.set(relay, sub)
+  }
+
+  // One-shot catch-up on (each) connection: everything after the newest
+  // cached note, or a recent page on a cold cache; ends on EOSE. Search
+  // results skip the buffer: they are what the user just asked for
+  async fetchRecentBurst(relay) {
+    const filter = this.noteFilter(
+      this.feedSearch ? { limit: 100 }
+        : this.catchUpSince ? { since: this.catchUpSince, limit: 500 } : { limit: 40 }
+    )
+    if (!filter || !this.servesFeed(relay)) return
+    const epoch = this.feedEpoch
+    const events = await collectUntilEose(relay, [filter])
+    if (epoch !== this.feedEpoch) return
+    events.forEach(ev => this.bufferIncoming(ev))
+    if (this.feedSearch) this.flushBufferToFeed()
   }
 
-  // One-shot recent page on (each) connection: gives instant content
-  fetchRecentBurst(relay) {
-    const recent = relay.sub([{ kinds: [KIND_NOTE], limit: 40 }])
-    recent.on('event', (ev) => this.bufferIncoming(ev))
-    setTimeout(() => { try { recent.unsub() } catch {} }, 2500)
+  // a search feed only asks relays that can search
+  servesFeed(relay) {
+    return !this.feedSearch || this.searchRelays.has(relay.url)
   }
 
   bufferIncoming(ev) {
     if (!ev?.id || this.seenIds.has(ev.id)) return
     this.seenIds.add(ev.id)
+    // replies live in their thread, not the top-level feed
+    if (!isReply(ev)) this.events.putNotes([ev])
+    if (this.muteReason(ev)) return
+    if (isReply(ev)) return this.addReply(ev)
+    if (!this.inFeedSource(ev)) return
+    this.admitToBuffer(ev)
+  }
+
+  inFeedSource(ev) {
+    if (this.feedTag && !ev.tags?.some(t => t[0] === 't' && String(t[1]).toLowerCase() === this.feedTag)) return false
+    return this.feedSource !== 'following' || this.follows.has(ev.pubkey) || ev.pubkey === this.publicKey
+  }
+
+  // cold start (and feed switches): the newest cached notes for this feed,
+  // shown before any relay answers
+  async renderCachedFeed() {
+    const epoch = this.feedEpoch
+    const cached = await this.events.recentNotes({
+      limit: 100,
+      accept: ev => !isReply(ev) && !this.muteReason(ev) && this.inFeedSource(ev) &&
+        (!this.feedSearch || matchesSearch(ev, this.feedSearch))
+    })
+    if (epoch !== this.feedEpoch) return
+    for (const ev of cached.reverse()) {
+      if (this.seenIds.has(ev.id)) continue
+      this.seenIds.add(ev.id)
+      this.renderNote(ev)
+      this.catchUpSince = Math.max(this.catchUpSince, ev.created_at || 0)
+    }
+  }
+
+  // notes under a 'hide' threshold never reach the buffer, so the pill
+  // only counts what will be shown; they wait for their votes first
+  async admitToBuffer(ev) {
+    if (hasScoreRules(this.filterSettings) && this.filterSettings.action === 'hide') {
+      const epoch = this.feedEpoch
+      const { minScore, minAuthorKarma } = this.filterSettings
+      const [score, authorKarma] = await Promise.all([
+        minScore !== null ? this.waitForScore(ev.id) : null,
+        minAuthorKarma !== null ? this.fetchAuthorKarma(ev.pubkey) : null
+      ])
+      if (lowScoreAction({ score, authorKarma }, this.filterSettings) === 'hide') return
+      if (epoch !== this.feedEpoch) return   // feed switched while we waited
+    }
     this.buffer.push(ev)
-    // Update pill
+    this.updateBufferPill()
+  }
+
+  updateBufferPill() {
     if (this.elements.showNew) {
-      this.elements.showNew.style.display = 'inline-block'
+      this.elements.showNew.style.display = this.buffer.length ? 'inline-block' : 'none'
       this.elements.showNew.textContent = `Show new posts (${this.buffer.length})`
     }
   }
 
   flushBufferToFeed() {
-    if (!this.buffer.length) return
+    // mutes may have changed while notes sat in the buffer
+    this.buffer = this.buffer.filter(ev => !this.muteReason(ev))
+    if (!this.buffer.length) return this.updateBufferPill()
     // newest first
     this.buffer.sort((a, b) => (b.created_at || 0) - (a.created_at || 0))
-    for (const ev of this.buffer) this.renderNote(ev, { toTop: true })
+    for (const ev of this.buffer) this.renderNote(ev)
     this.buffer = []
-    if (this.elements.showNew) {
-      this.elements.showNew.style.display = 'none'
-      this.elements.showNew.textContent = 'Show new posts (0)'
-    }
+    this.updateBufferPill()
   }
 
   startAutoFlush() {
@@ -213,198 +1086,1284 @@ class NostrClient {
     }, this.bufferFlushMs)
   }
 
+  // next older page once the window nears the end of the feed; replies
+  // and filtered notes are dropped like live ones
+  async loadOlder() {
+    if (this.pager.loading || !this.readRelays.length) return
+    if (!this.pager.filter) {
+      const filter = this.noteFilter()
+      if (!filter) return
+      this.pager.reset(filter, this.oldestNoteAt())
+    }
+    if (this.pager.done) return this.updateFeedMore()
+
+    this.updateFeedMore('Loading older notes…')
+    const epoch = this.feedEpoch
+    const events = await this.pager.next()
+    if (epoch !== this.feedEpoch) return
+    for (const ev of events) {
+      if (this.seenIds.has(ev.id)) continue
+      this.seenIds.add(ev.id)
+      if (isReply(ev)) this.addReply(ev)
+      else if (!this.muteReason(ev) && this.inFeedSource(ev)) this.renderNote(ev)
+    }
+    this.updateFeedMore()
+    this.scheduleWindow()   // still near the end: the next page follows
+  }
+
+  oldestNoteAt() {
+    const times = [...this.postRanks.values(), ...this.buffer].map(n => n.created_at || 0)
+    return times.length ? Math.min(...times) : Math.floor(Date.now() / 1000)
+  }
+
+  updateFeedMore(text) {
+    const el = this.elements.feedMore
+    if (el) el.textContent = text ?? (this.pager.filter && this.pager.done ? 'No older notes' : '')
+  }
+
   // ---------- Rendering ----------
-  renderNote(ev, { toTop = true } = {}) {
+  // builds the note's element; reorderFeed() decides whether it is mounted
+  renderNote(ev) {
     const div = document.createElement('div')
     div.className = 'note'
+    div.dataset.eid = ev.id
     const date = new Date((ev.created_at || Math.floor(Date.now()/1000)) * 1000).toLocaleString()
-    const short = (ev.pubkey || '').slice(0, 8) + '...' + (ev.pubkey || '').slice(-8)
-    const content = this.escapeHtml(ev.content || '')
 
     // SVG-based vote controls + score
     div.innerHTML = `
       <div class="note-header">
-        <span class="note-author">${short}</span>
+        ${this.authorHtml(ev.pubkey)}
+        <span id="report-badge-${ev.id}" class="report-badge" style="display:none;"></span>
         <span class="note-time">${date}</span>
       </div>
-      <div class="note-content">${content}</div>
-      <div class="note-actions" style="margin-top:6px; display:flex; gap:8px; align-items:center;">
-        <button class="vote-btn" data-sign="1"  data-author="${ev.pubkey}" data-eid="${ev.id}">▲</button>
-        <span id="score-${ev.id}" class="vote-score">…</span>
-        <button class="vote-btn" data-sign="-1" data-author="${ev.pubkey}" data-eid="${ev.id}">▼</button>
+      <div class="note-content">${this.noteContentHtml(ev)}</div>
+      ${this.collapsedNoticeHtml()}
+      ${this.noteActionsHtml(ev, `<button class="thread-btn" data-eid="${ev.id}">🧵 Thread</button>`)}
+      ${this.replyBoxHtml(ev)}
+      <div class="thread" id="thread-${ev.id}" data-root="${ev.id}" hidden>
+        <div class="thread-status"></div>
+        <div class="replies"></div>
       </div>
     `
-
-    const feed = this.elements.feed
-    if (toTop && feed.firstChild) feed.insertBefore(div, feed.firstChild)
-    else feed.appendChild(div)
-
-    while (feed.children.length > 200) feed.removeChild(feed.lastChild)
-
-    // fetch and display score for this post (network-level)
-    this.updateScoreForPost(ev.id)
+    this.eventsById.set(ev.id, ev)
+    this.renderAuthor(ev.pubkey, div)
+    this.renderMentions(div)
+    this.noteEls.set(ev.id, div)
+
+    this.postRanks.set(ev.id, { id: ev.id, created_at: ev.created_at || 0, score: 0, ups: 0, downs: 0 })
+    // every note's votes are fetched for ranking; live updates only
+    // while it is mounted
+    this.scores.request(ev.id)
+    this.reorderFeed()
   }
 
-  escapeHtml(t) { const d = document.createElement('div'); d.textContent = t; return d.innerHTML }
-
-  // ---------- Score / votes ----------
-  async updateScoreForPost(eventId) {
-    const scoreEl = document.getElementById(`score-${eventId}`)
-    if (!scoreEl) return
-    scoreEl.textContent = '…'
-
-    const votes = await this.fetchVotesForPost(eventId)
-    const score = this.computeScore(votes)
-
-    scoreEl.textContent = score > 0 ? `+${score}` : `${score}`
+  // content with links, media toggles, mentions, quotes and hashtags (see
+  // src/content.js); everything from the note is escaped there
+  noteContentHtml(ev, { quotes = true } = {}) {
+    const html = contentHtml(parseContent(ev.content), {
+      name: (pubkey) => displayName(this.profiles.get(pubkey), pubkey),
+      quotes
+    })
+    // NIP-36: content stays folded until the reader opens it
+    const warning = contentWarning(ev)
+    if (warning === null) return html
+    return `<details class="content-warning"><summary>⚠️ Content warning${warning ? `: ${this.escapeHtml(warning)}` : ''}</summary>${html}</details>`
   }
 
-  async fetchVotesForPost(eventIdHex, timeoutMs = 4000) {
-    const results = []
-    const filters = [{ kinds: [KIND_KARMA_VOTE], '#e': [eventIdHex], limit: 200 }]
+  // clicks inside note content; true when handled
+  handleContentClick(e) {
+    const mention = e.target.closest('.mention[data-pubkey]')
+    const hashtag = e.target.closest('.hashtag[data-tag]')
+    const media = e.target.closest('.media-load')
+    if (mention) this.openProfile(mention.dataset.pubkey)
+    else if (hashtag) this.setFeedTag(hashtag.dataset.tag)
+    else if (media) this.showMedia(media.closest('.media'))
+    else return false
+    e.preventDefault()
+    return true
+  }
 
-    for (const relay of this.relays) {
-      try {
-        const events = await this.collectFromRelay(relay, filters, timeoutMs)
-        results.push(...events)
-      } catch (e) {
-        console.warn('vote fetch error on relay', relay.url, e)
-      }
+  // click-to-load preview; the url is only ever set as a property
+  showMedia(box) {
+    if (!box) return
+    const video = box.dataset.kind === 'video'
+    const media = document.createElement(video ? 'video' : 'img')
+    media.className = 'media-preview'
+    media.referrerPolicy = 'no-referrer'
+    if (video) {
+      media.controls = true
+      media.preload = 'metadata'
+    } else {
+      media.alt = ''
     }
-    return results
+    media.src = box.dataset.url
+    box.querySelector('.media-load')?.remove()
+    box.prepend(media)
+    media.addEventListener(video ? 'loadedmetadata' : 'load', () => this.scheduleWindow(), { once: true })
   }
 
-  collectFromRelay(relay, filters, timeoutMs = 3000) {
-    return new Promise((resolve) => {
-      const out = {}
-      const sub = relay.sub(filters)
-
-      sub.on('event', (ev) => { out[ev.id] = ev })
+  // mentioned profiles load (and fill in) like note authors
+  renderMentions(root) {
+    const pubkeys = new Set([...root.querySelectorAll('.mention[data-pubkey]')].map(el => el.dataset.pubkey))
+    pubkeys.forEach(pubkey => this.renderAuthor(pubkey, root))
+  }
 
-      setTimeout(() => {
-        try { sub.unsub() } catch {}
-        resolve(Object.values(out))
-      }, timeoutMs)
+  // quoted notes (nostr:note / nevent) load once, with their score; without
+  // a relay they stay pending until the note is mounted again
+  loadQuotes(root) {
+    if (!this.readRelays.length) return
+    root.querySelectorAll('.quote[data-quote]:not([data-loaded])').forEach(async (box) => {
+      box.dataset.loaded = '1'
+      const id = box.dataset.quote
+      const ev = (await queryRelays(this.readRelays, [{ ids: [id], limit: 1 }])).find(e => e.id === id)
+      if (!ev) {
+        box.innerHTML = '<span class="muted">Quoted note not found</span>'
+        return
+      }
+      box.innerHTML = `
+        <div class="note-header">
+          ${this.authorHtml(ev.pubkey)}
+          <span class="note-time">${new Date(ev.created_at * 1000).toLocaleString()}</span>
+        </div>
+        <div class="note-content">${this.noteContentHtml(ev, { quotes: false })}</div>
+        <span class="quote-score" data-eid="${ev.id}">score …</span>
+      `
+      this.renderAuthor(ev.pubkey, box)
+      this.renderMentions(box)
+      if (this.scores.has(id)) this.renderQuoteScores(id, this.scorePost(id, this.scores.get(id)).score, box)
+      this.scores.request(id)
     })
   }
 
-  // one vote per pubkey per post: only the latest vote from each voter counts
-  computeScore(voteEvents) {
-    const latestByVoter = new Map()
-
-    for (const ev of voteEvents) {
-      const signTag = ev.tags.find(t => t[0] === 'v')
-      if (!signTag) continue
-
-      const sign = Number(signTag[1])
-      // allow 1, -1, 0 (0 = cleared vote)
-      if (![1, -1, 0].includes(sign)) continue
+  renderQuoteScores(eventId, score, root = document) {
+    root.querySelectorAll(`.quote-score[data-eid="${eventId}"]`).forEach((el) => {
+      el.textContent = `score ${formatModeScore(this.scoringMode, score)}`
+    })
+  }
 
-      const voter = ev.pubkey
-      if (!voter) continue
+  scheduleWindow() {
+    if (this.windowFrame) return
+    this.windowFrame = requestAnimationFrame(() => {
+      this.windowFrame = null
+      this.renderWindow()
+    })
+  }
 
-      const ts = ev.created_at || 0
-      const prev = latestByVoter.get(voter)
-      if (!prev || ts > prev.ts) {
-        latestByVoter.set(voter, { ts, sign })
-      }
+  // mount the notes near the viewport in rank order, unmount the rest and
+  // pad the feed for the space they would take
+  renderWindow() {
+    const feed = this.elements.feed
+    if (!feed) return
+    const { start, end, before, after } = visibleRange({
+      ids: this.feedOrder,
+      heights: this.noteHeights,
+      offset: Math.max(0, -feed.getBoundingClientRect().top),
+      viewport: window.innerHeight
+    })
+    const ids = this.feedOrder.slice(start, end)
+    const keep = new Set(ids)
+    for (const id of [...this.mounted]) {
+      if (!keep.has(id)) this.unmountNote(id)
     }
+    ids.forEach((id, index) => {
+      const el = this.noteEls.get(id)
+      if (feed.children[index] !== el) feed.insertBefore(el, feed.children[index] || null)
+      if (!this.mounted.has(id)) this.mountNote(id)
+    })
+    feed.style.paddingTop = `${before}px`
+    feed.style.paddingBottom = `${after}px`
 
-    let score = 0
-    for (const { sign } of latestByVoter.values()) {
-      score += sign
+    for (const id of ids) {
+      const el = this.noteEls.get(id)
+      const height = el.offsetHeight
+      this.noteHeights.set(id, height && height + (parseFloat(getComputedStyle(el).marginBottom) || 0))
     }
-    return score
+    if (feed.getBoundingClientRect().bottom - window.innerHeight < this.loadOlderMarginPx) this.loadOlder()
   }
 
-  applyVoteStyles(eventId, sign) {
-    const upBtn = document.querySelector(`.vote-btn[data-eid="${eventId}"][data-sign="1"]`)
-    const downBtn = document.querySelector(`.vote-btn[data-eid="${eventId}"][data-sign="-1"]`)
-
-    upBtn?.classList.remove('vote-upvoted')
-    downBtn?.classList.remove('vote-downvoted')
-
-    if (sign === 1) {
-      upBtn?.classList.add('vote-upvoted')
-    } else if (sign === -1) {
-      downBtn?.classList.add('vote-downvoted')
+  // a note entering the window goes live and catches up on what changed
+  // while it was out of the document
+  mountNote(id) {
+    const el = this.noteEls.get(id)
+    const ev = this.eventsById.get(id)
+    this.mounted.add(id)
+    this.renderAuthor(ev.pubkey, el)
+    this.renderMentions(el)
+    this.loadQuotes(el)
+    this.applyVoteStyles(id, this.voteHistory.sign(id))
+    el.classList.toggle('mute-hidden', !!this.muteReason(ev))
+    const follow = el.querySelector('.follow-btn')
+    if (follow) follow.textContent = this.follows.has(ev.pubkey) ? 'Unfollow' : 'Follow'
+
+    // score shows from cache, then batch fetch, then live updates
+    this.scores.watch(id)
+    if (!el.dataset.reportChecked) {
+      el.dataset.reportChecked = '1'
+      this.requestReportStatus(id)
     }
-    // sign === 0 => neither class; both appear neutral
   }
 
-  animateScore(eventId, sign) {
-    const scoreEl = document.getElementById(`score-${eventId}`)
-    if (!scoreEl) return
-
-    if (sign === 1) {
-      scoreEl.classList.remove('vote-flash')
-      void scoreEl.offsetWidth
-      scoreEl.classList.add('vote-flash')
-    } else if (sign === -1) {
-      scoreEl.classList.remove('vote-flash-down')
-      void scoreEl.offsetWidth
-      scoreEl.classList.add('vote-flash-down')
-    }
+  unmountNote(id) {
+    this.mounted.delete(id)
+    this.scores.unwatch(id)
+    this.closeThread(id)
+    this.noteEls.get(id)?.remove()
   }
 
-  // ---------- Posting ----------
-  // ---------- Posting ----------
-async publishNote() {
-  const content = (this.elements.noteContent?.value || '').trim()
-  if (!content) {
-    return alert('Enter content')
+  // ---------- Feed order ----------
+  setFeedSort(sort) {
+    if (!FEED_SORTS.some(s => s.id === sort)) return
+    this.feedSort = sort
+    localStorage.setItem('nostr-karma-feed-sort', sort)
+    this.reorderFeed()
   }
-  if (this.connectedRelays.size === 0) {
-    return alert('Not connected to any relays')
+
+  scheduleReorder() {
+    if (this.reorderTimer) return
+    this.reorderTimer = setTimeout(() => {
+      this.reorderTimer = null
+      this.reorderFeed()
+    }, this.reorderDelayMs)
   }
 
-  // --- RATE LIMIT: 1 post per 5 seconds ---
-  const now = Date.now()
-  const COOLDOWN_MS = 5000  // 5 seconds
-  const elapsed = now - this.lastPostAt
+  // rank order decides what the window shows; only nodes that are out of
+  // place move, and notes outside a Top window stay ranked but unmounted
+  reorderFeed() {
+    this.feedOrder = rankPosts([...this.postRanks.values()], this.feedSort).visible
+    this.renderWindow()
+  }
 
-  if (elapsed < COOLDOWN_MS) {
-    const remainingSec = Math.ceil((COOLDOWN_MS - elapsed) / 1000)
-    this.toast(`You are posting too fast. Please wait ${remainingSec}s.`, 'error')
-    return
+  // vote controls + reply button shared by notes and thread replies;
+  // clicks are handled by the delegation in bindUI
+  noteActionsHtml(ev, extra = '') {
+    const mine = this.voteHistory.sign(ev.id)
+    return `
+      <div class="note-actions" style="margin-top:6px; display:flex; gap:8px; align-items:center;">
+        <button class="vote-btn${mine === 1 ? ' vote-upvoted' : ''}" data-sign="1"  data-author="${ev.pubkey}" data-eid="${ev.id}">▲</button>
+        <span id="score-${ev.id}" class="vote-score">…</span>
+        <button class="vote-btn${mine === -1 ? ' vote-downvoted' : ''}" data-sign="-1" data-author="${ev.pubkey}" data-eid="${ev.id}">▼</button>
+        <span id="sources-${ev.id}" class="score-sources muted"></span>
+        <button class="reply-btn" data-eid="${ev.id}">💬 Reply</button>
+        ${extra}
+        <button class="follow-btn" data-pubkey="${ev.pubkey}"${ev.pubkey === this.publicKey ? ' hidden' : ''}>${this.follows.has(ev.pubkey) ? 'Unfollow' : 'Follow'}</button>
+        <button class="mute-btn" data-pubkey="${ev.pubkey}" title="Mute this author">🔇</button>
+        <span id="delivery-${ev.id}" class="delivery"></span>
+      </div>
+    `
   }
 
-  try {
-    this.elements.publishNote.disabled = true
-    this.elements.publishNote.textContent = 'Publishing...'
+  // shown instead of content + actions while a note is .collapsed
+  collapsedNoticeHtml() {
+    return `
+      <div class="collapsed-notice">
+        Collapsed: below your score filter <button class="expand-btn">show</button>
+      </div>
+    `
+  }
 
-    const created_at = Math.floor(Date.now()/1000)
-    const ev = finishEvent(
-      { kind: KIND_NOTE, created_at, tags: [], content },
-      this.privateKey
-    )
+  replyBoxHtml(ev) {
+    return `
+      <div class="reply-box" id="reply-box-${ev.id}" hidden>
+        <textarea class="reply-content" rows="2" placeholder="Write a reply..."></textarea>
+        <button class="reply-send" data-eid="${ev.id}">Reply</button>
+      </div>
+    `
+  }
 
-    // Optimistic render (shows immediately)
-    this.renderNote(ev, { toTop: true })
+  // ---------- Authors & profiles ----------
+  // placeholder filled in by renderAuthor() once kind-0 metadata is known
+  authorHtml(pubkey) {
+    return `
+      <a href="#" class="note-author" data-pubkey="${pubkey}" title="${pubkey}">
+        <img class="avatar" alt="" hidden>
+        <span class="author-name"></span>
+        <span class="author-nip05"></span>
+      </a>
+    `
+  }
 
-    await Promise.allSettled(
-      this.relays.map(r => r.status === 1 && r.publish(ev))
-    )
+  // fill every author link for `pubkey` under `root` (default: whole page)
+  renderAuthor(pubkey, root = document) {
+    const profile = this.profiles.get(pubkey)
+    const links = root.querySelectorAll(`.note-author[data-pubkey="${pubkey}"]`)
+    for (const link of links) {
+      link.querySelector('.author-name').textContent = displayName(profile, pubkey)
+      const img = link.querySelector('.avatar')
+      img.hidden = !profile?.picture
+      if (profile?.picture && img.getAttribute('src') !== profile.picture) img.src = profile.picture
+    }
+    root.querySelectorAll(`.mention[data-pubkey="${pubkey}"]`).forEach((el) => {
+      el.textContent = `@${displayName(profile, pubkey)}`
+    })
+    if (!profile) this.profiles.request(pubkey)
 
-    this.elements.noteContent.value = ''
-    this.toast('Note published! 🎉')
+    // NIP-05 badge only once the domain confirms it
+    if (profile?.nip05 && links.length) {
+      this.profiles.verify(pubkey).then((ok) => {
+        root.querySelectorAll(`.note-author[data-pubkey="${pubkey}"] .author-nip05`)
+          .forEach(el => { el.textContent = ok ? `✓ ${profile.nip05}` : '' })
+      })
+    }
+    if (root === document && pubkey === this.profilePubkey) this.renderProfileHeader(pubkey)
+  }
 
-    // Only update lastPostAt AFTER successful publish
-    this.lastPostAt = now
+  async openProfile(pubkey) {
+    const { profileView, profileKarma, profileChart, profileNotes } = this.elements
+    if (!profileView) return
+    this.profilePubkey = pubkey
+    profileView.hidden = false
+    this.profiles.request(pubkey, { force: true })
+    this.renderProfileHeader(pubkey)
+    if (profileKarma) profileKarma.textContent = 'karma: …'
+    if (profileChart) profileChart.innerHTML = ''
+    if (profileNotes) profileNotes.textContent = 'Loading notes…'
+    profileView.scrollIntoView({ behavior: 'smooth', block: 'start' })
+
+    const [votes, notes] = await Promise.all([
+      this.fetchUserVotes(pubkey),
+      fetchNotesByAuthor(this.readRelays, pubkey)
+    ])
+    if (this.profilePubkey !== pubkey) return   // another profile opened meanwhile
+
+    const { accepted, rejected } = this.validateVotes(votes, { author: pubkey })
+    this.rememberVotes(accepted)
+    const score = events => this.scoreVotes(events)
+    const { karma, targets } = computeUserKarma(accepted, score)
+    const format = v => formatModeScore(this.scoringMode, v)
+
+    if (profileKarma) {
+      const dropped = rejected.length ? `, ${rejected.length} dropped` : ''
+      profileKarma.textContent = `karma: ${format(karma)} (${accepted.length} votes across ${targets} targets${dropped})`
+      profileKarma.title = this.describeRejections(accepted, rejected)
+    }
+    if (profileChart) {
+      profileChart.innerHTML = karmaChartSvg(karmaHistory(accepted, { score }), { format }) || '<p class="muted">No votes yet</p>'
+    }
+    if (profileNotes) {
+      const recent = notes.filter(ev => !isReply(ev)).sort((a, b) => b.created_at - a.created_at)
+      profileNotes.innerHTML = recent.length
+        ? recent.map(ev => `
+          <div class="profile-note">
+            <span class="note-time">${new Date(ev.created_at * 1000).toLocaleString()}</span>
+            <div class="note-content">${this.noteContentHtml(ev)}</div>
+          </div>
+        `).join('')
+        : '<p class="muted">No notes found</p>'
+      this.renderMentions(profileNotes)
+      this.loadQuotes(profileNotes)
+    }
+  }
+
+  renderProfileHeader(pubkey) {
+    const el = this.elements.profileHeader
+    if (!el) return
+    const profile = this.profiles.get(pubkey)
+    const npub = nip19.npubEncode(pubkey)
+    el.innerHTML = `
+      ${profile?.picture ? `<img class="profile-picture" alt="" src="${this.escapeHtml(profile.picture)}">` : ''}
+      <div>
+        <h3>${this.escapeHtml(displayName(profile, pubkey))}</h3>
+        <div class="author-nip05"></div>
+        <code class="profile-npub">${npub}</code>
+        ${profile?.about ? `<p class="profile-about">${this.escapeHtml(profile.about)}</p>` : ''}
+      </div>
+    `
+    if (profile?.nip05) {
+      this.profiles.verify(pubkey).then((ok) => {
+        const badge = el.querySelector('.author-nip05')
+        if (badge && this.profilePubkey === pubkey) badge.textContent = ok ? `✓ ${profile.nip05}` : `✗ ${profile.nip05} (unverified)`
+      })
+    }
+  }
 
-  } catch (e) {
-    console.error('publish error', e)
-    this.toast('Failed to publish', 'error')
-  } finally {
-    this.elements.publishNote.disabled = false
-    this.elements.publishNote.textContent = 'Publish Note'
+  closeProfile() {
+    this.profilePubkey = null
+    if (this.elements.profileView) this.elements.profileView.hidden = true
+  }
+
+  escapeHtml(t) { const d = document.createElement('div'); d.textContent = t; return d.innerHTML }
+
+  // ---------- Score / votes ----------
+  renderScore(eventId, votes) {
+    const scoreEl = document.getElementById(`score-${eventId}`)
+    const rank = this.postRanks.get(eventId)
+    const quoted = document.querySelector(`.quote-score[data-eid="${eventId}"]`)
+    // unmounted feed notes still rank, so the window order stays right
+    if (!scoreEl && !rank && !quoted) return
+
+    const { accepted, rejected, score } = this.scorePost(eventId, votes)
+
+    if (rank) {
+      Object.assign(rank, { score }, voteCounts(accepted))
+      if (this.feedSort !== 'new') this.scheduleReorder()
+    }
+    if (quoted) this.renderQuoteScores(eventId, score)
+    if (!scoreEl) return
+
+    scoreEl.textContent = formatModeScore(this.scoringMode, score)
+    scoreEl.title = this.describeRejections(accepted, rejected)
+    this.renderSources(eventId, accepted)
+
+    const thread = scoreEl.closest('.reply')?.closest('.thread')
+    if (thread) {
+      this.replyScores.set(eventId, score)
+      this.scheduleThreadSort(thread.dataset.root)
+    }
+
+    this.applyScoreFilter(eventId, score)
+  }
+
+  scorePost(eventId, votes) {
+    // reactions and zaps cached while the compatibility mode was on don't count once it's off
+    const counted = this.compatMode ? votes : votes.filter(ev => ev.kind === KIND_KARMA_VOTE)
+    const { accepted, rejected } = this.validateVotes(counted, { postId: eventId })
+    this.rememberVotes(accepted)
+    return { accepted, rejected, score: this.scoreVotes(accepted) }
+  }
+
+  scoreVotes(voteEvents) {
+    return scoreVotes(voteEvents, {
+      mode: this.scoringMode,
+      reputation: this.reputation,
+      trusted: this.trust,
+      flagged: this.flaggedVoters,
+      flaggedWeight: this.flaggedWeight
+    })
+  }
+
+  // feed every validated vote into the reputation graph; the graph is
+  // rebuilt once the pool stops growing (reputationDelayMs), not per batch
+  rememberVotes(voteEvents) {
+    let added = 0
+    for (const ev of voteEvents) {
+      if (this.seenVotes.has(ev.id)) continue
+      this.seenVotes.set(ev.id, ev)
+      added++
+    }
+    if (added && this.scoringMode === 'reputation') this.scheduleReputation()
+  }
+
+  scheduleReputation() {
+    clearTimeout(this.reputationTimer)
+    this.reputationTimer = setTimeout(() => {
+      this.reputationTimer = null
+      if (this.scoringMode !== 'reputation') return
+      this.reputation = computeReputation([...this.seenVotes.values()])
+      this.rescoreAll()
+    }, this.reputationDelayMs)
+  }
+
+  setScoringMode(mode) {
+    if (!SCORING_MODES.some(m => m.id === mode)) return
+    this.scoringMode = mode
+    localStorage.setItem('nostr-karma-scoring-mode', mode)
+    if (mode === 'reputation') this.reputation = computeReputation([...this.seenVotes.values()])
+    if (mode === 'wot') this.rebuildTrust()
+    this.rescoreAll()
+  }
+
+  setCompatMode(on) {
+    this.compatMode = on
+    localStorage.setItem('nostr-karma-compat', on ? 'on' : 'off')
+    this.rescoreAll()
+    if (on) this.scores.refetch()
+  }
+
+  // per-source breakdown under the score, in the compatibility mode only
+  renderSources(eventId, accepted) {
+    const el = document.getElementById(`sources-${eventId}`)
+    if (!el) return
+    if (!this.compatMode) {
+      el.textContent = ''
+      return
+    }
+    const { votes, reactions, zaps } = sourceCounts(accepted)
+    const parts = [`votes ▲${votes.ups} ▼${votes.downs}`, `reactions +${reactions.ups} −${reactions.downs}`]
+    if (zaps.count) parts.push(`⚡${zaps.count} (${zaps.sats.toLocaleString()} sats)`)
+    el.textContent = parts.join(' · ')
+    el.title = zaps.count ? `zaps add +${Math.round(zaps.points * 10) / 10} (log-scaled sats per sender)` : ''
+  }
+
+  // rescore everything on screen from cached votes
+  rescoreAll() {
+    document.querySelectorAll('.vote-score[id^="score-"]').forEach((el) => {
+      const eventId = el.id.slice('score-'.length)
+      if (this.scores.has(eventId)) this.renderScore(eventId, this.scores.get(eventId))
+    })
+  }
+
+  // drop unverifiable votes before they are counted; describeRejections
+  // says what was dropped in the score's title
+  validateVotes(votes, opts) {
+    const postAuthor = (id) => this.eventsById.get(id)?.pubkey
+    const zapperOf = (pubkey) => this.zapperOf(pubkey)
+    return validateVotes(votes, { minPow: this.minVotePow, postAuthor, zapperOf, ...opts })
+  }
+
+  // the key an author's zap receipts must be signed by (NIP-57). Looked up
+  // in the background from their kind-0 lud16 / lud06; their zaps stay
+  // uncounted until it's known, then everything is rescored
+  zapperOf(pubkey) {
+    if (this.zappers.has(pubkey)) return this.zappers.get(pubkey) || undefined
+    this.zappers.set(pubkey, null)
+    if (!this.profiles.get(pubkey)) {
+      this.profiles.request(pubkey)   // onUpdate asks again
+      return undefined
+    }
+    this.profiles.zapper(pubkey).then((key) => {
+      if (!this.zappers.has(pubkey)) return
+      this.zappers.set(pubkey, key)
+      if (key) this.rescoreAll()
+    })
+    return undefined
+  }
+
+  describeRejections(accepted, rejected) {
+    const counted = `${accepted.length} vote(s) counted`
+    if (!rejected.length) return counted
+    const reasons = Object.entries(summarizeRejections(rejected))
+      .map(([reason, n]) => `${reason} ×${n}`)
+      .join(', ')
+    return `${counted}, ${rejected.length} dropped: ${reasons}`
+  }
+
+  applyVoteStyles(eventId, sign) {
+    const upBtn = document.querySelector(`.vote-btn[data-eid="${eventId}"][data-sign="1"]`)
+    const downBtn = document.querySelector(`.vote-btn[data-eid="${eventId}"][data-sign="-1"]`)
+
+    upBtn?.classList.remove('vote-upvoted')
+    downBtn?.classList.remove('vote-downvoted')
+
+    if (sign === 1) {
+      upBtn?.classList.add('vote-upvoted')
+    } else if (sign === -1) {
+      downBtn?.classList.add('vote-downvoted')
+    }
+    // sign === 0 => neither class; both appear neutral
+  }
+
+  animateScore(eventId, sign) {
+    const scoreEl = document.getElementById(`score-${eventId}`)
+    if (!scoreEl) return
+
+    if (sign === 1) {
+      scoreEl.classList.remove('vote-flash')
+      void scoreEl.offsetWidth
+      scoreEl.classList.add('vote-flash')
+    } else if (sign === -1) {
+      scoreEl.classList.remove('vote-flash-down')
+      void scoreEl.offsetWidth
+      scoreEl.classList.add('vote-flash-down')
+    }
+  }
+
+  // ---------- Filters & mutes ----------
+  loadJson(key) {
+    try { return JSON.parse(localStorage.getItem(key) || 'null') } catch { return null }
+  }
+
+  loadFilterSettings() {
+    const saved = this.loadJson('nostr-karma-filters') || {}
+    const settings = { ...DEFAULT_FILTER_SETTINGS, ...saved }
+    if (!LOW_SCORE_ACTIONS.includes(settings.action)) settings.action = DEFAULT_FILTER_SETTINGS.action
+    return settings
+  }
+
+  muteReason(ev) {
+    if (ev.pubkey === this.publicKey) return null   // never hide our own notes
+    return muteReason(ev, { mutes: this.mutes, regexes: this.regexFilters })
+  }
+
+  renderFilterInputs() {
+    const el = this.elements
+    const { minScore, minAuthorKarma, action, regexes } = this.filterSettings
+    if (el.filterMinScore) el.filterMinScore.value = minScore ?? ''
+    if (el.filterMinKarma) el.filterMinKarma.value = minAuthorKarma ?? ''
+    if (el.filterAction) el.filterAction.value = action
+    if (el.filterRegexes) el.filterRegexes.value = regexes.join('\n')
+    if (el.muteWords) el.muteWords.value = this.mutes.words.join('\n')
+    if (el.muteHashtags) el.muteHashtags.value = this.mutes.hashtags.map(t => `#${t}`).join('\n')
+    if (el.mutePubkeys) el.mutePubkeys.value = this.mutes.pubkeys.map(pk => nip19.npubEncode(pk)).join('\n')
+  }
+
+  async saveFilters() {
+    const el = this.elements
+    const lines = (input) => (input?.value || '').split('\n').map(l => l.trim()).filter(Boolean)
+    const number = (input) => {
+      const value = (input?.value || '').trim()
+      return value === '' || !Number.isFinite(Number(value)) ? null : Number(value)
+    }
+
+    const regexes = lines(el.filterRegexes)
+    const compiled = compileRegexFilters(regexes)
+    if (compiled.errors.length) return this.toast(`Invalid regex: ${compiled.errors.join(', ')}`, 'error')
+
+    const pubkeys = lines(el.mutePubkeys).map(parsePubkey)
+    if (pubkeys.includes(null)) return this.toast('Muted pubkeys must be npub or hex', 'error')
+
+    this.filterSettings = {
+      minScore: number(el.filterMinScore),
+      minAuthorKarma: number(el.filterMinKarma),
+      action: LOW_SCORE_ACTIONS.includes(el.filterAction?.value) ? el.filterAction.value : 'collapse',
+      regexes
+    }
+    this.regexFilters = compiled.regexes
+    localStorage.setItem('nostr-karma-filters', JSON.stringify(this.filterSettings))
+
+    await this.setMutes({ pubkeys, words: lines(el.muteWords), hashtags: lines(el.muteHashtags) })
+    this.applyFilters()
+  }
+
+  async muteAuthor(pubkey) {
+    if (!pubkey || pubkey === this.publicKey || this.mutes.pubkeys.includes(pubkey)) return
+    await this.setMutes({ ...this.mutes, pubkeys: [...this.mutes.pubkeys, pubkey] })
+    this.renderFilterInputs()
+    this.applyFilters()
+  }
+
+  // store locally, and publish as NIP-51 when we can sign
+  async setMutes(mutes) {
+    const template = buildMuteList({ ...mutes, previous: this.muteListEvent })
+    const status = this.elements.filtersStatus
+    try {
+      const ev = this.signer ? await this.signEvent(template) : template
+      this.muteListEvent = ev
+      this.mutes = parseMuteList(ev)
+      localStorage.setItem('nostr-karma-mute-list', JSON.stringify(ev))
+      if (!this.signer) {
+        if (status) status.textContent = 'Saved on this device (no keys to sync)'
+        return
+      }
+      const result = await this.outbox.publish(ev)
+      if (status) status.textContent = `Mute list synced to ${result.ok}/${result.total} relays`
+      this.toast('Filters saved')
+    } catch (e) {
+      console.error('mute list error', e)
+      this.toast('Could not save the mute list', 'error')
+    }
+  }
+
+  // adopt a newer kind-10000 of ours from relays
+  async syncMuteList(relays = this.readRelays) {
+    if (!this.publicKey || !relays.length) return
+    const events = await queryRelays(relays, [{ kinds: [KIND_MUTE_LIST], authors: [this.publicKey], limit: 1 }])
+    const newest = events
+      .filter(ev => ev.pubkey === this.publicKey)
+      .sort((a, b) => b.created_at - a.created_at)[0]
+    if (!newest || newest.created_at <= (this.muteListEvent?.pubkey === this.publicKey ? this.muteListEvent.created_at : 0)) return
+
+    this.muteListEvent = newest
+    this.mutes = parseMuteList(newest)
+    localStorage.setItem('nostr-karma-mute-list', JSON.stringify(newest))
+    this.renderFilterInputs()
+    this.applyFilters()
+  }
+
+  // re-check everything on screen after the rules changed
+  applyFilters() {
+    document.querySelectorAll('.note[data-eid], .reply[data-eid]').forEach((el) => {
+      const ev = this.eventsById.get(el.dataset.eid)
+      if (!ev) return
+      el.classList.toggle('mute-hidden', !!this.muteReason(ev))
+      const votes = this.scores.has(ev.id) ? this.scores.get(ev.id) : []
+      this.applyScoreFilter(ev.id, this.scorePost(ev.id, votes).score)
+    })
+    this.buffer = this.buffer.filter(ev => !this.muteReason(ev))
+    this.updateBufferPill()
+  }
+
+  // collapse or hide a rendered note under the thresholds; a note the
+  // user expanded stays open
+  applyScoreFilter(eventId, score) {
+    const el = document.querySelector(`.note[data-eid="${eventId}"], .reply[data-eid="${eventId}"]`)
+    const ev = this.eventsById.get(eventId)
+    if (!el || !ev) return
+
+    const cached = this.authorKarma.get(ev.pubkey)
+    if (this.filterSettings.minAuthorKarma !== null && !cached) this.fetchAuthorKarma(ev.pubkey)
+    const action = ev.pubkey === this.publicKey
+      ? 'show'
+      : lowScoreAction({ score, authorKarma: cached?.value ?? null }, this.filterSettings)
+
+    el.classList.toggle('collapsed', action === 'collapse' && el.dataset.expanded !== '1')
+    el.classList.toggle('score-hidden', action === 'hide')
+  }
+
+  expandNote(el) {
+    if (!el) return
+    el.dataset.expanded = '1'
+    el.classList.remove('collapsed')
+  }
+
+  // resolves with the note's score once its votes are in (0 after scoreWaitMs)
+  waitForScore(eventId) {
+    return new Promise((resolve) => {
+      const off = this.scores.onUpdate((id, votes) => {
+        if (id !== eventId) return
+        clearTimeout(timer)
+        off()
+        resolve(this.scorePost(eventId, votes).score)
+      })
+      const timer = setTimeout(() => { off(); resolve(0) }, this.scoreWaitMs)
+      this.scores.request(eventId)
+    })
+  }
+
+  // author karma, cached for authorKarmaTtlMs; re-applies the filter to
+  // their rendered notes once known
+  fetchAuthorKarma(pubkey) {
+    const cached = this.authorKarma.get(pubkey)
+    if (cached && Date.now() - cached.at < this.authorKarmaTtlMs) return cached.promise
+
+    const entry = { value: null, at: Date.now(), promise: null }
+    entry.promise = this.fetchUserVotes(pubkey).then((votes) => {
+      const { accepted } = this.validateVotes(votes, { author: pubkey })
+      entry.value = computeUserKarma(accepted, events => this.scoreVotes(events)).karma
+      document.querySelectorAll(`.note-author[data-pubkey="${pubkey}"]`).forEach((link) => {
+        const eid = link.closest('[data-eid]')?.dataset.eid
+        const votes = eid && this.scores.has(eid) ? this.scores.get(eid) : []
+        if (eid) this.applyScoreFilter(eid, this.scorePost(eid, votes).score)
+      })
+      return entry.value
+    }).catch(() => null)
+    this.authorKarma.set(pubkey, entry)
+    return entry.promise
+  }
+
+  // ---------- Follows & web of trust ----------
+  setFeedSource(source) {
+    this.feedSource = source === 'following' ? 'following' : 'global'
+    localStorage.setItem('nostr-karma-feed-source', this.feedSource)
+    if (this.feedSource === 'following' && !this.follows.size) {
+      this.toast('You are not following anyone yet: use Follow on a note', 'error')
+    }
+    this.restartFeed()
+  }
+
+  // narrow the feed to one hashtag (null: all notes again); ends a search
+  setFeedTag(tag) {
+    this.feedTag = tag ? String(tag).toLowerCase() : null
+    this.feedSearch = null
+    this.restartFeed()
+  }
+
+  // show NIP-50 search results in the feed, from the read relays whose
+  // NIP-11 document lists NIP-50 (cached notes are searched locally)
+  async setFeedSearch(text) {
+    const relays = this.readRelays
+    const infos = await Promise.all(relays.map(r => this.relayManager.info(r.url)))
+    this.searchRelays = new Set(relays.filter((r, i) => supportsNip(infos[i], 50)).map(r => r.url))
+    if (!this.searchRelays.size) this.toast('None of your read relays supports search (NIP-50): showing cached notes only', 'error')
+    this.feedTag = null
+    this.feedSearch = text
+    this.restartFeed()
+  }
+
+  // search bar: #tag feed, profile by key or NIP-05, or full-text search
+  async runSearch(input) {
+    const query = parseSearch(input)
+    if (!query) return
+    if (query.type === 'tag') return this.setFeedTag(query.tag)
+    if (query.type === 'pubkey') return this.openProfile(query.pubkey)
+    if (query.type === 'nip05') {
+      const pubkey = await resolveNip05(query.nip05)
+      return pubkey ? this.openProfile(pubkey) : this.toast(`No NIP-05 mapping for ${query.nip05}`, 'error')
+    }
+    return this.setFeedSearch(query.text)
+  }
+
+  renderFeedFilter() {
+    const chip = this.elements.feedFilter
+    if (!chip) return
+    chip.hidden = !this.feedTag && !this.feedSearch
+    const label = chip.querySelector('.feed-filter-name')
+    if (label) label.textContent = this.feedTag ? `#${this.feedTag}` : this.feedSearch ? `🔎 ${this.feedSearch}` : ''
+  }
+
+  // clear the feed and fill it again for the current source and filter
+  restartFeed() {
+    this.resetFeed()
+    this.renderFeedFilter()
+    if (this.feedTag || this.feedSearch) this.elements.feed?.scrollIntoView({ block: 'start' })
+    this.renderCachedFeed().finally(() => {
+      for (const relay of this.readRelays) {
+        this.subscribeNotes(relay)
+        this.fetchRecentBurst(relay)
+      }
+    })
+  }
+
+  // empty the feed so the new source starts clean
+  resetFeed() {
+    for (const id of this.mounted) {
+      this.scores.unwatch(id)
+      this.closeThread(id)
+    }
+    this.mounted.clear()
+    this.noteEls.clear()
+    this.noteHeights.clear()
+    this.feedOrder = []
+    this.pager.reset(null)
+    this.updateFeedMore()
+    this.postRanks.clear()
+    this.eventsById.clear()
+    this.threads.clear()
+    this.seenIds.clear()
+    this.feedEpoch++
+    this.catchUpSince = 0
+    this.buffer = []
+    this.updateBufferPill()
+    if (this.elements.feed) {
+      this.elements.feed.innerHTML = ''
+      this.elements.feed.style.padding = ''
+    }
+  }
+
+  // adopt a newer kind-3 of ours; edits wait for this so they can't
+  // overwrite follows made in other clients
+  async syncContacts(relays = this.readRelays) {
+    if (!this.publicKey || !relays.length) return
+    if (this.contactListEvent && this.contactListEvent.pubkey !== this.publicKey) {
+      this.setContactList(null)
+    }
+    const newest = (await fetchContactLists(relays, [this.publicKey])).get(this.publicKey)
+    this.contactsSynced = true
+    if (newest && newest.created_at > (this.contactListEvent?.created_at || 0)) this.setContactList(newest)
+  }
+
+  setContactList(ev) {
+    const before = [...this.follows].sort().join()
+    this.contactListEvent = ev
+    this.follows = new Set(parseContactList(ev))
+    if (ev) localStorage.setItem('nostr-karma-contacts', JSON.stringify(ev))
+    else localStorage.removeItem('nostr-karma-contacts')
+
+    document.querySelectorAll('.follow-btn').forEach((btn) => {
+      btn.textContent = this.follows.has(btn.dataset.pubkey) ? 'Unfollow' : 'Follow'
+    })
+    if (before === [...this.follows].sort().join()) return
+    if (this.feedSource === 'following') {
+      this.readRelays.forEach(relay => this.subscribeNotes(relay))
+      this.pager.reset(null)   // older pages restart with the new authors
+    }
+    if (this.scoringMode === 'wot') this.rebuildTrust()
+  }
+
+  async toggleFollow(pubkey) {
+    if (!this.signer) return this.toast('No keys loaded', 'error')
+    if (!pubkey || pubkey === this.publicKey) return
+    if (!this.contactsSynced) await this.syncContacts()
+    if (!this.contactsSynced) return this.toast('Your contact list has not loaded yet; try again once relays connect', 'error')
+
+    const follows = new Set(this.follows)
+    const unfollow = follows.has(pubkey)
+    if (unfollow) follows.delete(pubkey)
+    else follows.add(pubkey)
+
+    try {
+      const ev = await this.signEvent(buildContactList({ follows: [...follows], previous: this.contactListEvent }))
+      this.setContactList(ev)
+      const result = await this.outbox.publish(ev)
+      if (result.ok === 0) return this.toast('Contact list rejected by every relay; will retry on reconnect', 'error')
+      this.toast(unfollow ? 'Unfollowed' : 'Followed')
+    } catch (e) {
+      console.error('follow error', e)
+      this.toast('Could not update your follows', 'error')
+    }
+  }
+
+  setWotHops(hops) {
+    this.wotHops = Math.min(MAX_WOT_HOPS, Math.max(1, Math.floor(hops) || 1))
+    localStorage.setItem('nostr-karma-wot-hops', String(this.wotHops))
+    if (this.elements.wotHops) this.elements.wotHops.value = String(this.wotHops)
+    if (this.scoringMode === 'wot') this.rebuildTrust()
+  }
+
+  // pubkeys within wotHops follows of us; in wot mode only their votes count
+  async rebuildTrust() {
+    const status = this.elements.wotStatus
+    if (!this.publicKey) {
+      if (status) status.textContent = 'web of trust needs your keys'
+      return
+    }
+    if (!this.readRelays.length) return   // retried when a relay connects
+
+    const build = ++this.trustBuild
+    if (status) status.textContent = 'building web of trust…'
+    const trust = await fetchWebOfTrust(this.readRelays, this.publicKey, { hops: this.wotHops })
+    if (build !== this.trustBuild) return
+
+    this.trust = trust
+    if (status) status.textContent = `${trust.size - 1} keys within ${this.wotHops} hop(s)`
+    this.rescoreAll()
+  }
+
+  // ---------- Threads ----------
+  toggleReplyBox(eventId) {
+    const box = document.getElementById(`reply-box-${eventId}`)
+    if (!box) return
+    box.hidden = !box.hidden
+    if (!box.hidden) box.querySelector('.reply-content')?.focus()
+  }
+
+  toggleThread(rootId) {
+    if (this.threads.get(rootId)?.open) this.closeThread(rootId)
+    else this.openThread(rootId)
+  }
+
+  async openThread(rootId) {
+    const container = document.getElementById(`thread-${rootId}`)
+    if (!container) return
+    if (!this.threads.has(rootId)) this.threads.set(rootId, { events: new Map(), open: false })
+    const thread = this.threads.get(rootId)
+    thread.open = true
+    container.hidden = false
+    this.updateThreadButton(rootId)
+    // replies rendered before the thread was last closed go live again
+    container.querySelectorAll('.reply').forEach(el => this.scores.watch(el.dataset.eid))
+
+    const status = container.querySelector('.thread-status')
+    if (status) status.textContent = 'Loading replies…'
+    try {
+      const replies = await fetchThread(this.readRelays, rootId)
+      for (const ev of replies) {
+        this.seenIds.add(ev.id)
+        if (isReply(ev) && !this.muteReason(ev)) thread.events.set(ev.id, ev)
+      }
+    } catch (e) {
+      console.error('thread fetch error', e)
+      this.toast('Could not load replies', 'error')
+    }
+    this.renderThread(rootId)
+  }
+
+  closeThread(rootId) {
+    const thread = this.threads.get(rootId)
+    if (!thread?.open) return
+    thread.open = false
+    for (const id of thread.events.keys()) this.scores.unwatch(id)
+    const container = document.getElementById(`thread-${rootId}`)
+    if (container) container.hidden = true
+    this.updateThreadButton(rootId)
+  }
+
+  updateThreadButton(rootId) {
+    const btn = document.querySelector(`.thread-btn[data-eid="${rootId}"]`)
+    const thread = this.threads.get(rootId)
+    if (!btn) return
+    const count = thread?.events.size || 0
+    btn.textContent = thread?.open ? '🧵 Hide thread' : `🧵 Thread${count ? ` (${count})` : ''}`
   }
-}
 
+  // a reply we signed or one that arrived live; only threads we've
+  // started tracking keep it
+  addReply(ev) {
+    const rootId = parseThreadRefs(ev).root
+    const thread = this.threads.get(rootId)
+    if (!thread) return
+    thread.events.set(ev.id, ev)
+    if (thread.open) this.renderThread(rootId)
+    else this.updateThreadButton(rootId)
+  }
+
+  // build/reorder the reply tree in place: existing reply elements are
+  // moved, not re-rendered, so open reply boxes keep their text
+  renderThread(rootId) {
+    const container = document.getElementById(`thread-${rootId}`)
+    const thread = this.threads.get(rootId)
+    if (!container || !thread?.open) return
+
+    const tree = buildThread(rootId, [...thread.events.values()], byScore(id => this.replyScores.get(id)))
+    const place = (node, list) => {
+      node.children.forEach((child, i) => {
+        const el = container.querySelector(`.reply[data-eid="${child.event.id}"]`) || this.createReplyElement(child.event)
+        if (list.children[i] !== el) list.insertBefore(el, list.children[i] || null)
+        place(child, el.querySelector(':scope > .replies'))
+      })
+    }
+    place(tree, container.querySelector(':scope > .replies'))
+
+    const status = container.querySelector('.thread-status')
+    if (status) status.textContent = thread.events.size ? '' : 'No replies yet'
+    this.updateThreadButton(rootId)
+  }
+
+  createReplyElement(ev) {
+    const div = document.createElement('div')
+    div.className = 'reply'
+    div.dataset.eid = ev.id
+    const date = new Date((ev.created_at || 0) * 1000).toLocaleString()
+    div.innerHTML = `
+      <div class="note-header">
+        ${this.authorHtml(ev.pubkey)}
+        <span class="note-time">${date}</span>
+      </div>
+      <div class="note-content">${this.noteContentHtml(ev)}</div>
+      ${this.collapsedNoticeHtml()}
+      ${this.noteActionsHtml(ev)}
+      ${this.replyBoxHtml(ev)}
+      <div class="replies"></div>
+    `
+    this.eventsById.set(ev.id, ev)
+    this.renderAuthor(ev.pubkey, div)
+    this.renderMentions(div)
+    this.loadQuotes(div)
+    this.scores.watch(ev.id)
+    return div
+  }
+
+  scheduleThreadSort(rootId) {
+    this.threadSortQueue.add(rootId)
+    if (this.threadSortTimer) return
+    this.threadSortTimer = setTimeout(() => {
+      this.threadSortTimer = null
+      const roots = [...this.threadSortQueue]
+      this.threadSortQueue.clear()
+      roots.forEach(id => this.renderThread(id))
+    }, this.reorderDelayMs)
+  }
+
+  async sendReply(parentId) {
+    if (!this.signer) return this.toast('No keys loaded', 'error')
+    if (this.writeRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+
+    const box = document.getElementById(`reply-box-${parentId}`)
+    const textarea = box?.querySelector('.reply-content')
+    const content = (textarea?.value || '').trim()
+    if (!content) return this.toast('Enter a reply', 'error')
+    const parent = this.eventsById.get(parentId)
+    if (!parent) return this.toast('That note is no longer loaded', 'error')
+
+    const btn = box.querySelector('.reply-send')
+    try {
+      if (btn) btn.disabled = true
+      const ev = await this.signEvent(buildReply({ parent, content }))
+      const rootId = parseThreadRefs(ev).root
+      this.seenIds.add(ev.id)
+      if (!this.threads.has(rootId)) this.threads.set(rootId, { events: new Map(), open: false })
+      this.addReply(ev)
+      if (!this.threads.get(rootId).open) this.openThread(rootId)
+      textarea.value = ''
+      box.hidden = true
+
+      const result = await this.outbox.publish(ev, { ref: ev.id })
+      if (result.ok === 0) return this.toast('No relay accepted the reply; will retry on reconnect', 'error')
+      this.toast('Reply published')
+    } catch (e) {
+      console.error('reply error', e)
+      this.toast('Failed to reply', 'error')
+    } finally {
+      if (btn) btn.disabled = false
+    }
+  }
+
+  // ---------- Posting ----------
+  async publishNote() {
+    const content = (this.elements.noteContent?.value || '').trim()
+    if (!content) {
+      return alert('Enter content')
+    }
+    const scheduleAt = this.elements.noteSchedule?.value ? new Date(this.elements.noteSchedule.value).getTime() : null
+    if (scheduleAt !== null && !(scheduleAt > Date.now())) {
+      return this.toast('Pick a time in the future to schedule the note', 'error')
+    }
+    if (scheduleAt === null && this.writeRelays.length === 0) {
+      return alert('Not connected to any relays')
+    }
+
+    // --- RATE LIMIT: 1 post per 5 seconds ---
+    const now = Date.now()
+    const COOLDOWN_MS = 5000  // 5 seconds
+    const elapsed = now - this.lastPostAt
+
+    if (elapsed < COOLDOWN_MS) {
+      const remainingSec = Math.ceil((COOLDOWN_MS - elapsed) / 1000)
+      this.toast(`You are posting too fast. Please wait ${remainingSec}s.`, 'error')
+      return
+    }
+
+    try {
+      this.elements.publishNote.disabled = true
+      this.elements.publishNote.textContent = scheduleAt ? 'Scheduling...' : 'Publishing...'
+
+      // a scheduled note carries its publish time, so it reads as new then
+      const created_at = Math.floor((scheduleAt || now) / 1000)
+      const contentWarning = this.elements.noteCw?.checked ? (this.elements.noteCwReason?.value || '') : null
+      const ev = await this.signEvent(buildNote({ content, contentWarning, created_at }))
+
+      if (scheduleAt) {
+        this.scheduled.add(ev, scheduleAt)
+        this.resetComposer()
+        this.toast(`Note scheduled for ${new Date(scheduleAt).toLocaleString()}`)
+        this.lastPostAt = now
+        return
+      }
+
+      // Optimistic render (shows immediately)
+      this.seenIds.add(ev.id)
+      this.events.putNotes([ev])
+      this.renderNote(ev)
+
+      const result = await this.outbox.publish(ev)
+      if (result.ok === 0) {
+        this.toast('No relay accepted the note; will retry on reconnect', 'error')
+        return
+      }
+
+      this.resetComposer()
+      this.toast(`Note published to ${result.ok}/${result.total} relays 🎉`)
+
+      // Only update lastPostAt AFTER successful publish
+      this.lastPostAt = now
+
+    } catch (e) {
+      console.error('publish error', e)
+      this.toast('Failed to publish', 'error')
+    } finally {
+      this.elements.publishNote.disabled = false
+      this.updateComposer()
+    }
+  }
+
+  // the scheduled queue's publisher: a note some relay accepted shows up
+  // in the feed like one published right away
+  async publishScheduled(ev) {
+    if (this.writeRelays.length === 0) return { ok: 0, total: 0 }
+    const result = await this.outbox.publish(ev)
+    if (result.ok && !this.seenIds.has(ev.id)) {
+      this.seenIds.add(ev.id)
+      this.events.putNotes([ev])
+      this.renderNote(ev)
+      this.toast('Scheduled note published')
+    }
+    return result
+  }
+
+  // ---------- Composer ----------
+  restoreDraft() {
+    const draft = this.loadJson('nostr-karma-draft')
+    const { noteContent, noteCw, noteCwReason } = this.elements
+    if (draft && noteContent) {
+      noteContent.value = draft.content || ''
+      if (noteCw) noteCw.checked = draft.contentWarning !== null && draft.contentWarning !== undefined
+      if (noteCwReason) noteCwReason.value = draft.contentWarning || ''
+    }
+    this.updateComposer()
+  }
+
+  saveDraftSoon() {
+    clearTimeout(this.draftTimer)
+    this.draftTimer = setTimeout(() => this.saveDraft(), 500)
+  }
+
+  saveDraft() {
+    const content = this.elements.noteContent?.value || ''
+    const contentWarning = this.elements.noteCw?.checked ? (this.elements.noteCwReason?.value || '') : null
+    if (!content.trim() && contentWarning === null) return localStorage.removeItem('nostr-karma-draft')
+    localStorage.setItem('nostr-karma-draft', JSON.stringify({ content, contentWarning }))
+  }
+
+  resetComposer() {
+    const { noteContent, noteCw, noteCwReason, noteSchedule } = this.elements
+    if (noteContent) noteContent.value = ''
+    if (noteCw) noteCw.checked = false
+    if (noteCwReason) noteCwReason.value = ''
+    if (noteSchedule) noteSchedule.value = ''
+    clearTimeout(this.draftTimer)
+    localStorage.removeItem('nostr-karma-draft')
+    this.updateComposer()
+  }
+
+  // counter, content-warning reason field and publish button label
+  updateComposer() {
+    const { noteContent, noteCount, noteCw, noteCwReason, noteSchedule, publishNote } = this.elements
+    const n = charCount(noteContent?.value)
+    if (noteCount) noteCount.textContent = `${n} character${n === 1 ? '' : 's'}`
+    if (noteCwReason) noteCwReason.hidden = !noteCw?.checked
+    if (publishNote && !publishNote.disabled) publishNote.textContent = noteSchedule?.value ? 'Schedule Note' : 'Publish Note'
+    this.updateMentionSuggest()
+  }
+
+  // known profiles matching the @query at the caret; followed ones first
+  updateMentionSuggest() {
+    const input = this.elements.noteContent
+    const box = this.elements.mentionSuggest
+    if (!input || !box) return
+    const query = mentionQuery(input.value, input.selectionStart ?? input.value.length)
+    this.mentionMatches = query?.query
+      ? matchProfiles(this.profiles.all(), query.query, { boost: pk => this.follows.has(pk) })
+      : []
+    this.mentionIndex = 0
+    this.renderMentionSuggest()
+  }
+
+  renderMentionSuggest() {
+    const box = this.elements.mentionSuggest
+    if (!box) return
+    box.hidden = !this.mentionMatches.length
+    box.innerHTML = this.mentionMatches.map((profile, i) => `
+      <li data-index="${i}" class="${i === this.mentionIndex ? 'active' : ''}">
+        ${this.escapeHtml(displayName(profile))}
+        <span class="muted">${this.escapeHtml(profile.nip05 || '')}</span>
+      </li>
+    `).join('')
+  }
+
+  hideMentionSuggest() {
+    this.mentionMatches = []
+    this.renderMentionSuggest()
+  }
+
+  // arrows pick, Enter/Tab insert, Escape closes; true when handled
+  handleMentionKey(e) {
+    const n = this.mentionMatches.length
+    if (!n) return false
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      this.mentionIndex = (this.mentionIndex + (e.key === 'ArrowDown' ? 1 : n - 1)) % n
+      this.renderMentionSuggest()
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      this.chooseMention(this.mentionIndex)
+    } else if (e.key === 'Escape') {
+      this.hideMentionSuggest()
+    } else {
+      return false
+    }
+    e.preventDefault()
+    return true
+  }
+
+  // NIP-27: the @query becomes nostr:npub…; the p tag is added on publish
+  chooseMention(index) {
+    const input = this.elements.noteContent
+    const profile = this.mentionMatches[index]
+    const query = input && mentionQuery(input.value, input.selectionStart)
+    if (!profile || !query) return this.hideMentionSuggest()
+    const { text, caret } = insertMention(input.value, query, profile.pubkey)
+    input.value = text
+    input.setSelectionRange(caret, caret)
+    this.hideMentionSuggest()
+    this.saveDraftSoon()
+    this.updateComposer()
+  }
+
+  renderScheduled() {
+    const list = this.elements.scheduledList
+    if (!list) return
+    const entries = this.scheduled.list()
+    list.innerHTML = entries.length
+      ? entries.map(({ event, publishAt }) => `
+        <li class="scheduled-post">
+          <span class="note-time">${new Date(publishAt).toLocaleString()}</span>
+          <span class="scheduled-text">${this.escapeHtml(event.content.slice(0, 80))}</span>
+          <button class="scheduled-cancel" data-id="${event.id}">Cancel</button>
+        </li>
+      `).join('')
+      : '<li class="muted">Nothing scheduled</li>'
+  }
 
   // ---------- Voting (per-post) ----------
   async sendVote(authorHex, eventIdHex, sign) {
-    if (!this.privateKey || !this.publicKey) {
+    if (!this.signer) {
       return this.toast('No keys loaded', 'error')
     }
 
@@ -412,49 +2371,535 @@ async publishNote() {
     const powBits = 8
 
     // toggle logic: clicking same sign again clears vote (0)
-    const current = this.localVotes[eventIdHex] || 0
+    const current = this.voteHistory.sign(eventIdHex)
     let finalSign = sign
     if (current === sign) {
       finalSign = 0 // unvote
     }
 
-    const unsigned = {
-      kind: KIND_KARMA_VOTE,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ['p', authorHex],          // target author
-        ['e', eventIdHex],         // the specific note being voted on
-        ['v', String(finalSign)],  // +1 / -1 / 0
-        ...(stake > 0 ? [['stake', String(stake)]] : []),
-        ['client', 'nostr_karma_postvote']
-      ],
-      content: ''
-    }
-
-    const ev = mineAndFinish(unsigned, this.privateKey, powBits, 15000)
+    const unsigned = buildPostVote({ author: authorHex, eventId: eventIdHex, sign: finalSign, stake })
 
     try {
-      await Promise.allSettled(this.relays.map(r => r.status === 1 && r.publish(ev)))
-
-      // remember local state
-      this.localVotes[eventIdHex] = finalSign
-
-      // UI: colors + flash + new score
-      this.applyVoteStyles(eventIdHex, finalSign)
-      this.animateScore(eventIdHex, finalSign)
-      this.updateScoreForPost(eventIdHex)
+      const result = await this.publishVote(unsigned, powBits)
+      if (!result) return
+      if (result.ok === 0) {
+        this.toast('Vote rejected by every relay; will retry on reconnect', 'error')
+        return
+      }
 
       if (finalSign === 0) {
         this.toast('Vote cleared')
       } else {
         this.toast(finalSign > 0 ? 'Upvoted' : 'Downvoted')
       }
+      await this.publishReaction(authorHex, eventIdHex, finalSign)
+    } catch (e) {
+      if (e.name === 'AbortError') return this.toast('Mining cancelled; vote not sent')
+      console.error('vote error', e)
+      this.toast('Vote failed', 'error')
+    }
+  }
+
+  // the NIP-25 twin of a post vote, for clients that only read reactions.
+  // NIP-25 can't clear a vote, so the reaction sent with the previous vote
+  // (if any, even with the option since turned off) is deleted (NIP-09)
+  // first; NIP-25 clients would otherwise count it forever
+  async publishReaction(author, eventId, sign) {
+    const previous = this.voteHistory.reaction(eventId)
+    const unsigned = this.compatReactions ? buildReaction({ author, eventId, sign }) : null
+    if (!previous && !unsigned) return
+    try {
+      if (previous) {
+        const deletion = await this.signEvent(buildReactionDeletion([previous]))
+        const result = await this.outbox.publish(deletion)
+        if (result.ok > 0) this.voteHistory.setReaction(eventId, null)
+      }
+      if (!unsigned) return
+      const ev = await this.signEvent(unsigned)
+      const result = await this.outbox.publish(ev)
+      if (result.ok > 0) {
+        this.scores.add([ev])
+        this.voteHistory.setReaction(eventId, ev.id)
+      }
+    } catch (e) {
+      console.warn('reaction not sent', e)
+    }
+  }
+
+  // mine, sign and publish a post or user vote; null if mining missed.
+  // Local state + UI follow delivery (onDeliveryChange), so a vote every
+  // relay rejected doesn't light up its button
+  async publishVote(unsigned, powBits) {
+    const ev = await this.mineAndSign(unsigned, powBits)
+    if (!ev) return null
+    const vote = parseVote(ev)
+    this.latestVoteIds[voteTarget(vote)] = ev.id
+    return this.outbox.publish(ev, vote.post ? { ref: vote.post } : {})
+  }
+
+  // ---------- Delivery ----------
+  onDeliveryChange(entry, summary) {
+    const { event, ref } = entry
+
+    const el = document.getElementById(`delivery-${ref}`)
+    if (el) {
+      const what = event.kind === KIND_KARMA_VOTE ? 'vote ' : event.kind === KIND_NOTE ? '' : 'report '
+      el.textContent = what + describeDelivery(summary)
+      el.className = `delivery delivery-${summary.state}`
+      el.title = Object.entries(entry.results)
+        .map(([url, r]) => `${url}: ${r.status}${r.message ? ` (${r.message})` : ''}${r.notice ? ` notice: ${r.notice}` : ''}`)
+        .join('\n')
+    }
+
+    // a vote counts locally once at least one relay took it
+    const vote = event.kind === KIND_KARMA_VOTE ? parseVote(event) : null
+    if (!vote || summary.ok === 0 || this.latestVoteIds[voteTarget(vote)] !== event.id) return
+    if (!this.voteHistory.add([event], { replaceTies: true }).size) return
+    if (vote.post) {
+      this.applyVoteStyles(vote.post, vote.sign)
+      this.animateScore(vote.post, vote.sign)
+      this.scores.add([event])
+    }
+    this.renderMyVotes()
+  }
+
+  // ---------- Notifications ----------
+  // live #p sub for our key: the last notificationBackfillSecs up to EOSE,
+  // then whatever arrives
+  subscribeNotifications(relay) {
+    try { this.notificationSubs.get(relay)?.unsub() } catch {}
+    this.notificationSubs.delete(relay)
+    if (!this.publicKey) return
+    const pubkey = this.publicKey
+    const since = Math.floor(Date.now() / 1000) - this.notificationBackfillSecs
+    const sub = relay.sub([notificationFilter(pubkey, { since })])
+    sub.on('event', (ev) => {
+      if (this.publicKey === pubkey) this.addNotifications([ev])
+    })
+    this.notificationSubs.set(relay, sub)
+  }
+
+  // votes and reactions pass the same checks as the ones we score
+  addNotifications(events) {
+    const about = events.filter(ev => classifyNotification(ev, this.publicKey))
+    const votes = about.filter(ev => ev.kind !== KIND_NOTE)
+    const { accepted } = votes.length ? this.validateVotes(votes, { author: this.publicKey }) : { accepted: [] }
+    if (this.notifications.add([...about.filter(ev => ev.kind === KIND_NOTE), ...accepted])) this.renderNotificationsSoon()
+  }
+
+  renderNotificationsSoon() {
+    if (this.notificationTimer) return
+    this.notificationTimer = setTimeout(() => {
+      this.notificationTimer = null
+      this.renderNotifications()
+    }, 100)
+  }
+
+  renderNotifications() {
+    const { notifyBadge, notifyStatus, notifyList } = this.elements
+    const entries = this.notifications.list()
+    const unread = entries.filter(entry => this.notifications.isUnread(entry)).length
+    if (notifyBadge) {
+      notifyBadge.hidden = !unread
+      notifyBadge.textContent = unread > 99 ? '99+' : String(unread)
+    }
+    if (notifyStatus) {
+      notifyStatus.textContent = !this.publicKey ? 'No keys loaded'
+        : unread ? `${unread} unread of ${entries.length}` : `${entries.length} notification(s)`
+    }
+    if (!notifyList) return
+
+    const name = (pk) => `<a href="#" class="note-author" data-pubkey="${pk}">${this.escapeHtml(displayName(this.profiles.get(pk), pk))}</a>`
+    notifyList.innerHTML = entries.slice(0, 100).map((entry) => {
+      if (entry.actors.length === 1) this.profiles.request(entry.actors[0])
+      // replies and mentions quote themselves, votes the note they were on
+      const quoted = entry.type === 'reply' || entry.type === 'mention'
+        ? this.notifications.events.get(entry.ids[0])
+        : entry.target && this.eventsById.get(entry.target)
+      const preview = quoted ? `: ${this.escapeHtml((quoted.content || '').slice(0, 80))}` : ''
+      return `
+        <li class="notify-item${this.notifications.isUnread(entry) ? ' unread' : ''}">
+          <span class="notify-text">${describeNotification(entry, name)}${preview}</span>
+          <span class="note-time">${new Date(entry.created_at * 1000).toLocaleString()}</span>
+        </li>
+      `
+    }).join('')
+  }
+
+  // ---------- My votes ----------
+  // pull our own votes back from relays (other devices, or before a reload)
+  async syncVoteHistory(relays = this.readRelays) {
+    if (!this.publicKey || !relays.length) return
+    const pubkey = this.publicKey
+    const events = await fetchVotesByVoter(relays, pubkey)
+    if (this.publicKey !== pubkey) return   // key switched meanwhile
+
+    const changed = this.voteHistory.add(events)
+    for (const target of changed) {
+      const entry = this.voteHistory.get(target)
+      if (entry.post) this.applyVoteStyles(entry.post, entry.sign)
+    }
+    this.renderMyVotes()
+  }
+
+  // vote buttons on screen after the history was swapped or rebuilt
+  refreshVoteStyles() {
+    const posts = new Set([...document.querySelectorAll('.vote-btn[data-eid]')].map(btn => btn.dataset.eid))
+    for (const post of posts) this.applyVoteStyles(post, this.voteHistory.sign(post))
+    this.renderMyVotes()
+  }
+
+  // flip or clear a vote from the My votes panel
+  async changeVote(entry, sign) {
+    if (!this.signer) return this.toast('No keys loaded', 'error')
+    if (this.writeRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+
+    const unsigned = entry.post
+      ? buildPostVote({ author: entry.author, eventId: entry.post, sign })
+      : buildUserVote({ target: entry.author, sign })
+    try {
+      const result = await this.publishVote(unsigned, entry.post ? 8 : this.readKarmaInputs().powBits)
+      if (!result) return
+      if (result.ok === 0) return this.toast('Vote rejected by every relay; will retry on reconnect', 'error')
+      this.toast(sign === 0 ? 'Vote cleared' : 'Vote flipped')
+      if (entry.post) await this.publishReaction(entry.author, entry.post, sign)
     } catch (e) {
+      if (e.name === 'AbortError') return this.toast('Mining cancelled; vote not sent')
       console.error('vote error', e)
       this.toast('Vote failed', 'error')
     }
   }
 
+  // re-publish standing v1 votes (no d tag, see src/karma.js) as v2: relays
+  // keep only a voter's newest v1 vote of all, but one v2 vote per target
+  async migrateVotes() {
+    if (!this.signer) return this.toast('No keys loaded', 'error')
+    if (this.writeRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+    const entries = this.voteHistory.legacy()
+    if (!entries.length) return
+
+    const btn = this.elements.myVotesMigrate
+    if (btn) btn.disabled = true
+    let sent = 0
+    try {
+      for (const entry of entries) {
+        const stake = entry.stake || 0
+        const unsigned = entry.post
+          ? buildPostVote({ author: entry.author, eventId: entry.post, sign: entry.sign, stake })
+          : buildUserVote({ target: entry.author, sign: entry.sign, stake })
+        const result = await this.publishVote(unsigned, entry.post ? 8 : this.readKarmaInputs().powBits)
+        if (result?.ok) sent++
+      }
+    } catch (e) {
+      if (e.name !== 'AbortError') console.error('vote upgrade error', e)
+    } finally {
+      if (btn) btn.disabled = false
+    }
+    if (sent === entries.length) this.toast(`Upgraded ${sent} vote(s)`)
+    else this.toast(`Upgraded ${sent} of ${entries.length} vote(s)`, 'error')
+  }
+
+  renderMyVotes() {
+    const { myVotesList, myVotesStatus } = this.elements
+    if (!myVotesList) return
+    const entries = this.voteHistory.list()
+    const shown = entries.slice(0, 200)
+    if (myVotesStatus) {
+      myVotesStatus.textContent = !this.publicKey ? 'No keys loaded'
+        : entries.length > shown.length ? `newest ${shown.length} of ${entries.length} votes`
+          : `${entries.length} vote(s)`
+    }
+    if (this.elements.myVotesMigrate) {
+      const legacy = this.voteHistory.legacy().length
+      this.elements.myVotesMigrate.hidden = !legacy
+      this.elements.myVotesMigrate.textContent = `Upgrade ${legacy} old-format vote(s)`
+    }
+
+    const signLabel = { 1: '▲ up', '-1': '▼ down', 0: 'cleared' }
+    myVotesList.innerHTML = shown.map((entry) => {
+      const note = entry.post ? this.eventsById.get(entry.post) : null
+      const author = this.escapeHtml(displayName(this.profiles.get(entry.author), entry.author))
+      const target = !entry.post
+        ? `user <strong>${author}</strong>`
+        : note
+          ? `<strong>${author}</strong>: ${this.escapeHtml((note.content || '').slice(0, 80))}`
+          : `<strong>${author}</strong>: <code>${entry.post.slice(0, 12)}…</code>`
+      return `
+        <li class="my-vote" data-target="${voteTarget(entry)}">
+          <span class="my-vote-sign my-vote-sign-${entry.sign}">${signLabel[entry.sign]}</span>
+          <span class="my-vote-target">${target}</span>
+          <span class="note-time">${new Date(entry.created_at * 1000).toLocaleString()}</span>
+          ${entry.sign !== 0 ? '<button class="my-vote-flip">Flip</button><button class="my-vote-clear">Clear</button>' : ''}
+        </li>
+      `
+    }).join('')
+  }
+
+  exportMyVotes(format) {
+    const entries = this.voteHistory.list()
+    if (!entries.length) return this.toast('No votes to export', 'error')
+    const stamp = Math.floor(Date.now() / 1000)
+    if (format === 'csv') this.downloadFile(`my-votes-${stamp}.csv`, voteHistoryCsv(entries), 'text/csv')
+    else this.downloadFile(`my-votes-${stamp}.json`, voteHistoryJson(entries), 'application/json')
+  }
+
+  // ---------- Voting (per-user) ----------
+  readKarmaInputs() {
+    const stake = Math.max(0, Math.floor(Number(this.elements.karmaStake?.value) || 0))
+    const powBits = Math.min(MAX_POW_BITS, Math.max(0, Math.floor(Number(this.elements.karmaPow?.value) || 0)))
+    return { stake, powBits }
+  }
+
+  async sendUserVote(sign) {
+    if (!this.signer) {
+      return this.toast('No keys loaded', 'error')
+    }
+    const target = parsePubkey(this.elements.karmaTarget?.value)
+    if (!target) return this.toast('Enter a valid npub or hex pubkey', 'error')
+    if (this.writeRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+
+    const { stake, powBits } = this.readKarmaInputs()
+
+    const unsigned = buildUserVote({ target, sign, stake })
+
+    const btn = sign > 0 ? this.elements.karmaUp : this.elements.karmaDown
+    try {
+      if (btn) btn.disabled = true
+      const result = await this.publishVote(unsigned, powBits)
+      if (!result) return
+      if (result.ok === 0) return this.toast('Vote rejected by every relay; will retry on reconnect', 'error')
+      this.toast(sign > 0 ? 'User upvoted' : 'User downvoted')
+      this.recomputeUserKarma()
+    } catch (e) {
+      if (e.name === 'AbortError') return this.toast('Mining cancelled; vote not sent')
+      console.error('user vote error', e)
+      this.toast('Vote failed', 'error')
+    } finally {
+      if (btn) btn.disabled = false
+    }
+  }
+
+  async recomputeUserKarma() {
+    const scoreEl = this.elements.karmaScore
+    const target = parsePubkey(this.elements.karmaTarget?.value)
+    if (!target) return this.toast('Enter a valid npub or hex pubkey', 'error')
+
+    if (scoreEl) scoreEl.textContent = 'karma: …'
+    const votes = await this.fetchUserVotes(target)
+    const { accepted, rejected } = this.validateVotes(votes, { author: target })
+    this.rememberVotes(accepted)
+    const { karma, targets } = computeUserKarma(accepted, events => this.scoreVotes(events))
+
+    if (scoreEl) {
+      const dropped = rejected.length ? `, ${rejected.length} dropped` : ''
+      scoreEl.textContent = `karma: ${formatModeScore(this.scoringMode, karma)} (${accepted.length} votes across ${targets} targets${dropped})`
+      scoreEl.title = this.describeRejections(accepted, rejected)
+    }
+  }
+
+  // ---------- Reporting & review ----------
+  // author of a note: from the rendered feed if we have it, else ask relays
+  async findNoteAuthor(eventIdHex) {
+    const btn = document.querySelector(`.vote-btn[data-eid="${eventIdHex}"]`)
+    if (btn?.dataset.author) return btn.dataset.author
+
+    const ev = await fetchNote(this.readRelays, eventIdHex)
+    return ev?.pubkey || null
+  }
+
+  async sendReport() {
+    if (!this.signer) return this.toast('No keys loaded', 'error')
+    if (this.writeRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+
+    const eventIdHex = (this.elements.reportEvent?.value || '').trim().toLowerCase()
+    if (!/^[0-9a-f]{64}$/.test(eventIdHex)) return this.toast('Enter a valid event id', 'error')
+
+    const text = (this.elements.reportReason?.value || '').trim()
+    const reason = normalizeReportReason(text)
+
+    const author = await this.findNoteAuthor(eventIdHex)
+    if (!author) return this.toast('Could not find that note on any relay', 'error')
+
+    try {
+      const ev = await this.signEvent(buildReport({ eventId: eventIdHex, author, text }))
+      const result = await this.outbox.publish(ev, { ref: eventIdHex })
+      if (result.ok === 0) return this.toast('Report rejected by every relay; will retry on reconnect', 'error')
+      this.elements.reportReason.value = ''
+      this.toast(`Report sent (${reason})`)
+      this.requestReportStatus(eventIdHex)
+    } catch (e) {
+      console.error('report error', e)
+      this.toast('Report failed', 'error')
+    }
+  }
+
+  async sendReview() {
+    if (!this.signer) return this.toast('No keys loaded', 'error')
+    if (this.writeRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+
+    const eventIdHex = (this.elements.reviewEvent?.value || '').trim().toLowerCase()
+    if (!/^[0-9a-f]{64}$/.test(eventIdHex)) return this.toast('Enter a valid event id', 'error')
+
+    const decision = this.elements.reviewDecision?.value
+    if (!REVIEW_DECISIONS.includes(decision)) return this.toast('Pick a decision', 'error')
+
+    try {
+      const ev = await this.signEvent(buildReview({ eventId: eventIdHex, decision }))
+      const result = await this.outbox.publish(ev, { ref: eventIdHex })
+      if (result.ok === 0) return this.toast('Review rejected by every relay; will retry on reconnect', 'error')
+      this.toast(decision === 'confirm' ? 'Report confirmed' : 'Report rejected')
+      this.requestReportStatus(eventIdHex)
+    } catch (e) {
+      console.error('review error', e)
+      this.toast('Review failed', 'error')
+    }
+  }
+
+  // report badges are looked up in batches, like scores: ids queued within
+  // reportDelayMs go out as one '#e' query per relay
+  requestReportStatus(eventIdHex) {
+    this.reportQueue.add(eventIdHex)
+    if (!this.reportTimer) this.reportTimer = setTimeout(() => this.flushReportStatus(), this.reportDelayMs)
+  }
+
+  async flushReportStatus() {
+    this.reportTimer = null
+    const ids = [...this.reportQueue].filter(id => this.reportBadge(id))
+    this.reportQueue.clear()
+    if (!ids.length) return
+    const byPost = await fetchModerationForPosts(this.readRelays, ids)
+    for (const [id, { reports, reviews }] of byPost) this.renderReportStatus(id, reports, reviews)
+  }
+
+  // feed notes scrolled out of the window keep their (detached) element
+  reportBadge(eventIdHex) {
+    return document.getElementById(`report-badge-${eventIdHex}`) ||
+      this.noteEls.get(eventIdHex)?.querySelector('.report-badge') || null
+  }
+
+  renderReportStatus(eventIdHex, reports, reviews) {
+    const badge = this.reportBadge(eventIdHex)
+    if (!badge) return
+
+    const { status, reporters, confirms, rejects } = computeReportStatus(reports, reviews, {
+      quorum: this.reviewQuorum,
+      author: this.eventsById.get(eventIdHex)?.pubkey,
+      reviewers: this.reviewers
+    })
+
+    badge.classList.remove('report-reported', 'report-confirmed')
+    if (status === 'reported' || status === 'confirmed') {
+      badge.textContent = status === 'confirmed' ? '🚩 confirmed' : '⚠️ reported'
+      badge.title = `${reporters} report(s), ${confirms} confirm / ${rejects} reject`
+      badge.classList.add(`report-${status}`)
+      badge.style.display = 'inline-block'
+    } else {
+      badge.style.display = 'none'
+    }
+  }
+
+  // ---------- Brigade check ----------
+  // analyse every validated vote seen this session; voter history (kind 0/1)
+  // is looked up on the read relays first
+  async runSybilCheck() {
+    const votes = [...this.seenVotes.values()]
+    if (!votes.length) return this.toast('No votes collected yet: let the feed load first', 'error')
+    if (this.readRelays.length === 0) return this.toast('Not connected to any relays', 'error')
+
+    const btn = this.elements.sybilRun
+    try {
+      if (btn) btn.disabled = true
+      if (this.elements.sybilSummary) this.elements.sybilSummary.textContent = `Checking ${votes.length} votes…`
+      const voters = [...new Set(votes.map(ev => ev.pubkey))]
+      const history = await fetchVoterHistory(this.readRelays, voters)
+      this.sybilReport = analyzeVotes(votes, { history })
+    } catch (e) {
+      console.error('brigade check error', e)
+      return this.toast('Brigade check failed', 'error')
+    } finally {
+      if (btn) btn.disabled = false
+    }
+
+    this.flaggedVoters = flaggedVoters(this.sybilReport)
+    localStorage.setItem('nostr-karma-flagged-voters', JSON.stringify([...this.flaggedVoters]))
+    this.renderSybilReport()
+    if (this.flaggedWeight !== 1) this.rescoreAll()
+  }
+
+  setFlaggedWeight(weight) {
+    if (!FLAGGED_WEIGHTS.some(w => w.value === weight)) return
+    this.flaggedWeight = weight
+    localStorage.setItem('nostr-karma-flagged-weight', String(weight))
+    this.rescoreAll()
+  }
+
+  renderSybilReport() {
+    const { sybilSummary, sybilReport, sybilExport } = this.elements
+    const report = this.sybilReport
+    if (sybilExport) sybilExport.disabled = !report
+    if (!report) {
+      if (sybilSummary) {
+        sybilSummary.textContent = this.flaggedVoters.size
+          ? `${this.flaggedVoters.size} key(s) flagged by the last check`
+          : 'Not run yet'
+      }
+      if (sybilReport) sybilReport.innerHTML = ''
+      return
+    }
+
+    const { votes, voters, flagged, checked } = report.totals
+    if (sybilSummary) {
+      sybilSummary.textContent = `${flagged} of ${voters} voter(s) flagged across ${votes} votes ` +
+        `(${checked} histories checked, ${report.bursts.length} burst(s), ${report.lockstep.length} lockstep pair(s))`
+    }
+    if (!sybilReport) return
+
+    const name = (pk) => `<a href="#" class="note-author" data-pubkey="${pk}">${this.escapeHtml(displayName(this.profiles.get(pk), pk))}</a>`
+    const pct = (share) => `${Math.round(share * 100)}%`
+    const reasons = (flags) => Object.entries(flags)
+      .filter(([, n]) => n > 0)
+      .map(([flag, n]) => `<span title="${SYBIL_FLAGS[flag]}">${flag} ×${n}</span>`)
+      .join(', ')
+    const rows = (entries, cells) => entries.slice(0, 10).map(e => `<tr>${cells(e).map(c => `<td>${c}</td>`).join('')}</tr>`).join('')
+
+    sybilReport.innerHTML = `
+      <h4>Authors</h4>
+      ${report.authors.length ? `
+        <table class="sybil-table">
+          <tr><th>Author</th><th>Flagged votes</th><th>Share</th><th>Why</th></tr>
+          ${rows(report.authors, a => [name(a.pubkey), `${a.flagged} / ${a.votes}`, pct(a.share), reasons(a.flags)])}
+        </table>` : '<p class="muted">Nothing suspicious</p>'}
+      <h4>Posts</h4>
+      ${report.posts.length ? `
+        <table class="sybil-table">
+          <tr><th>Post</th><th>Author</th><th>Flagged votes</th><th>Share</th><th>Why</th></tr>
+          ${rows(report.posts, p => [`<code>${p.id.slice(0, 12)}…</code>`, name(p.author), `${p.flagged} / ${p.votes}`, pct(p.share), reasons(p.flags)])}
+        </table>` : '<p class="muted">Nothing suspicious</p>'}
+      ${report.bursts.length ? `
+        <h4>Bursts</h4>
+        <ul>${report.bursts.slice(0, 10).map(b => `
+          <li>${b.voters.length} keys ${b.sign > 0 ? 'upvoted' : 'downvoted'} ${name(b.author)} within
+            ${Math.max(1, Math.round((b.end - b.start) / 60))} min (${new Date(b.start * 1000).toLocaleString()})</li>`).join('')}
+        </ul>` : ''}
+    `
+  }
+
+  exportSybilReport() {
+    if (!this.sybilReport) return this.toast('Run the brigade check first', 'error')
+    this.downloadFile(`brigade-report-${this.sybilReport.generated_at}.json`, JSON.stringify(this.sybilReport, null, 2), 'application/json')
+  }
+
+  downloadFile(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    a.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
   // ---------- UI toast ----------
   toast(message, type='success') {
     const n = document.createElement('div')
@@ -475,4 +2920,4 @@ async publishNote() {
   }
 }
 
-document.addEventListener('DOMContentLoaded', () => new NostrClient())
+document.addEventListener('DOMContentLoaded', () => new NostrClient().start())
@@ -0,0 +1,29 @@
+// Tiny SVG line chart for karma history. Returns markup; no DOM needed.
+
+// points: [{ t, karma }] in time order
+export function karmaChartSvg(points, { width = 480, height = 120, pad = 6, format = String } = {}) {
+  if (!points.length) return ''
+
+  const values = points.map(p => p.karma)
+  const min = Math.min(0, ...values)
+  const max = Math.max(0, ...values)
+  const spanY = max - min || 1
+  const t0 = points[0].t
+  const spanT = points[points.length - 1].t - t0 || 1
+
+  const x = (t) => pad + ((t - t0) / spanT) * (width - 2 * pad)
+  const y = (v) => pad + (1 - (v - min) / spanY) * (height - 2 * pad)
+  const round = (n) => Math.round(n * 10) / 10
+
+  const line = points.map(p => `${round(x(p.t))},${round(y(p.karma))}`).join(' ')
+  const zero = round(y(0))
+  const lastValue = values[values.length - 1]
+
+  return `<svg class="karma-chart" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img" aria-label="karma over time">
+  <line class="karma-chart-zero" x1="${pad}" x2="${width - pad}" y1="${zero}" y2="${zero}" />
+  <polyline class="karma-chart-line" fill="none" points="${line}" />
+  <text class="karma-chart-label" x="${pad}" y="${pad + 10}">${format(max)}</text>
+  <text class="karma-chart-label" x="${pad}" y="${height - pad}">${format(min)}</text>
+  <text class="karma-chart-label" x="${width - pad}" y="${round(y(lastValue)) - 4}" text-anchor="end">${format(lastValue)}</text>
+</svg>`
+}
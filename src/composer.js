@@ -0,0 +1,82 @@
+// Composer helpers: the kind-1 event built from the textarea (p tags for
+// NIP-27 mentions, t tags for hashtags, NIP-36 content warning) and the
+// text side of @-mention autocomplete. No DOM here.
+
+import { nip19 } from 'nostr-tools'
+
+import { KIND_NOTE } from './karma.js'
+import { parseContent } from './content.js'
+
+const now = () => Math.floor(Date.now() / 1000)
+
+// tags derived from the content: one p per mentioned pubkey, one t per hashtag
+export function contentTags(content) {
+  const pubkeys = new Set()
+  const hashtags = new Set()
+  for (const token of parseContent(content)) {
+    if (token.type === 'mention') pubkeys.add(token.pubkey)
+    if (token.type === 'hashtag') hashtags.add(token.tag)
+  }
+  return [...[...pubkeys].map(pk => ['p', pk]), ...[...hashtags].map(t => ['t', t])]
+}
+
+// NIP-36 tag; the reason is optional
+export function contentWarningTag(reason = '') {
+  const text = reason.trim()
+  return text ? ['content-warning', text] : ['content-warning']
+}
+
+// unsigned kind-1 note; contentWarning: null (none) or a reason ('' allowed)
+export function buildNote({ content, contentWarning = null, created_at = now() }) {
+  const tags = contentTags(content)
+  if (contentWarning !== null) tags.push(contentWarningTag(contentWarning))
+  return { kind: KIND_NOTE, created_at, tags, content }
+}
+
+// the NIP-36 reason of an event: null without the tag, '' with no reason
+export function contentWarning(ev) {
+  const tag = ev?.tags?.find(t => t[0] === 'content-warning')
+  return tag ? String(tag[1] || '') : null
+}
+
+// code points, which is what people count (an emoji is one)
+export function charCount(text) {
+  return [...(text || '')].length
+}
+
+// the `@query` the caret is in, or null: { start, end, query }
+export function mentionQuery(text, caret) {
+  const before = text.slice(0, caret)
+  const match = /(^|\s)@([\p{L}\p{N}_.-]*)$/u.exec(before)
+  if (!match) return null
+  const start = caret - match[2].length - 1
+  const rest = /^[\p{L}\p{N}_.-]*/u.exec(text.slice(caret))[0]
+  return { start, end: caret + rest.length, query: match[2] }
+}
+
+// replace the `@query` with a NIP-27 reference; returns the new text and caret
+export function insertMention(text, { start, end }, pubkey) {
+  const ref = `nostr:${nip19.npubEncode(pubkey)} `
+  return { text: text.slice(0, start) + ref + text.slice(end).replace(/^ /, ''), caret: start + ref.length }
+}
+
+// profiles whose name (or nip05) matches, prefix matches and boosted
+// (e.g. followed) pubkeys first
+export function matchProfiles(profiles, query, { limit = 8, boost = () => false } = {}) {
+  const q = query.toLowerCase()
+  const scored = []
+  for (const profile of profiles) {
+    const name = (profile.name || '').toLowerCase()
+    const nip05 = (profile.nip05 || '').toLowerCase()
+    let rank
+    if (name.startsWith(q)) rank = 0
+    else if (name.includes(q)) rank = 1
+    else if (nip05.includes(q)) rank = 2
+    else continue
+    scored.push({ profile, rank: rank - (boost(profile.pubkey) ? 3 : 0) })
+  }
+  return scored
+    .sort((a, b) => a.rank - b.rank || (a.profile.name || '').localeCompare(b.profile.name || ''))
+    .slice(0, limit)
+    .map(s => s.profile)
+}
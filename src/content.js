@@ -0,0 +1,126 @@
+// Note content: split kind-1 text into tokens (links, media, NIP-21/27
+// nostr: URIs, hashtags) and render them as HTML. Every piece of content
+// and every attribute value goes through escapeHtml; links are http(s)
+// only, so nothing a note says can become markup or a script URL.
+
+import { nip19 } from 'nostr-tools'
+
+const HEX64 = /^[0-9a-f]{64}$/
+const IMAGE_EXT = /\.(?:jpe?g|png|gif|webp|avif|svg)$/i
+const VIDEO_EXT = /\.(?:mp4|webm|mov|ogv)$/i
+
+// urls, nostr: URIs (bech32 charset) and #hashtags, in one pass
+const TOKEN_RE = /(https?:\/\/[^\s<>"]+)|nostr:((?:npub|nprofile|note|nevent)1[023456789acdefghjklmnpqrstuvwxyz]+)|(^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// 'image' | 'video' | null, by the path's extension
+export function mediaKind(url) {
+  let path
+  try { path = new URL(url).pathname } catch { return null }
+  if (IMAGE_EXT.test(path)) return 'image'
+  if (VIDEO_EXT.test(path)) return 'video'
+  return null
+}
+
+// sentence punctuation after a url is not part of it; a closing paren only
+// when the url has no matching opener
+function trimUrl(url) {
+  let end = url.length
+  while (end > 0) {
+    const ch = url[end - 1]
+    if ('.,;:!?\'"]'.includes(ch)) end--
+    else if (ch === ')' && (url.slice(0, end).match(/\(/g) || []).length < (url.slice(0, end).match(/\)/g) || []).length) end--
+    else break
+  }
+  return url.slice(0, end)
+}
+
+// nostr: URI payload -> mention / quote token, or null if it doesn't decode
+function decodeUri(bech32) {
+  let decoded
+  try { decoded = nip19.decode(bech32) } catch { return null }
+  const { type, data } = decoded
+  const hex = type === 'nprofile' ? data.pubkey : type === 'nevent' ? data.id : data
+  if (!HEX64.test(hex)) return null
+  if (type === 'npub' || type === 'nprofile') return { type: 'mention', pubkey: hex }
+  if (type === 'note' || type === 'nevent') return { type: 'quote', id: hex }
+  return null
+}
+
+// tokens: { type: 'text', text } | { type: 'link' | 'image' | 'video', url }
+//   | { type: 'mention', pubkey } | { type: 'quote', id } | { type: 'hashtag', tag, text }
+export function parseContent(content) {
+  const text = String(content || '')
+  const tokens = []
+  const pushText = (t) => {
+    if (!t) return
+    const last = tokens[tokens.length - 1]
+    if (last?.type === 'text') last.text += t
+    else tokens.push({ type: 'text', text: t })
+  }
+
+  let pos = 0
+  for (const match of text.matchAll(TOKEN_RE)) {
+    const [whole, rawUrl, uri, lead, hashtag] = match
+    pushText(text.slice(pos, match.index))
+    pos = match.index + whole.length
+
+    if (rawUrl) {
+      const url = trimUrl(rawUrl)
+      tokens.push({ type: mediaKind(url) || 'link', url })
+      pushText(rawUrl.slice(url.length))
+    } else if (uri) {
+      const token = decodeUri(uri)
+      if (token) tokens.push(token)
+      else pushText(whole)
+    } else {
+      pushText(lead)
+      tokens.push({ type: 'hashtag', tag: hashtag.toLowerCase(), text: hashtag })
+    }
+  }
+  pushText(text.slice(pos))
+  return tokens
+}
+
+const shortBech32 = (s) => `${s.slice(0, 12)}…${s.slice(-6)}`
+
+function linkHtml(url, label = url) {
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(label)}</a>`
+}
+
+// `name(pubkey)`: label for mentions; `quotes: false` renders quoted notes
+// as plain references (for content inside a quote)
+export function contentHtml(tokens, { name = (pubkey) => shortBech32(nip19.npubEncode(pubkey)), quotes = true } = {}) {
+  return tokens.map((token) => {
+    switch (token.type) {
+      case 'text':
+        return escapeHtml(token.text)
+      case 'link':
+        return linkHtml(token.url)
+      case 'image':
+      case 'video':
+        // nothing is fetched until the reader asks for it
+        return `<span class="media" data-kind="${token.type}" data-url="${escapeHtml(token.url)}">` +
+          `<button class="media-load">${token.type === 'image' ? '🖼 Show image' : '🎬 Show video'}</button> ` +
+          `${linkHtml(token.url)}</span>`
+      case 'mention':
+        return `<a href="#" class="mention" data-pubkey="${token.pubkey}">@${escapeHtml(name(token.pubkey))}</a>`
+      case 'quote':
+        return quotes
+          ? `<div class="quote" data-quote="${token.id}"><span class="muted">Loading quoted note…</span></div>`
+          : `<span class="muted">${escapeHtml(shortBech32(nip19.noteEncode(token.id)))}</span>`
+      case 'hashtag':
+        return `<a href="#" class="hashtag" data-tag="${escapeHtml(token.tag)}">#${escapeHtml(token.text)}</a>`
+      default:
+        return ''
+    }
+  }).join('')
+}
@@ -0,0 +1,151 @@
+// Offline event store: the IndexedDB database behind the cold-start feed.
+// Notes and kind-0 profiles live here with eviction limits; vote events
+// share the database through VoteCache. Without IndexedDB (Node, tests)
+// nothing is stored and every read comes back empty.
+
+const DB_NAME = 'nostr-karma'
+const DB_VERSION = 2
+
+// votes:    { id, post, created_at, event }, indexes 'post', 'created_at'
+// notes:    kind-1 events, index 'created_at'
+// profiles: { pubkey, stored_at, event }, index 'stored_at'
+function upgrade(db, oldVersion) {
+  if (oldVersion < 2) {
+    // v1 votes had no created_at to evict by; they are only a cache
+    if (db.objectStoreNames.contains('votes')) db.deleteObjectStore('votes')
+    const votes = db.createObjectStore('votes', { keyPath: 'id' })
+    votes.createIndex('post', 'post')
+    votes.createIndex('created_at', 'created_at')
+
+    db.createObjectStore('notes', { keyPath: 'id' }).createIndex('created_at', 'created_at')
+    db.createObjectStore('profiles', { keyPath: 'pubkey' }).createIndex('stored_at', 'stored_at')
+  }
+}
+
+// shared by every store on the same IndexedDB factory; null if unavailable
+const databases = new WeakMap()
+export function openDatabase(idb) {
+  if (!idb) return Promise.resolve(null)
+  if (!databases.has(idb)) {
+    databases.set(idb, new Promise((resolve) => {
+      const req = idb.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion)
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => {
+        console.warn('event store unavailable', req.error)
+        resolve(null)
+      }
+    }))
+  }
+  return databases.get(idb)
+}
+
+const done = (req) => new Promise((resolve) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => resolve(null)
+})
+
+// delete the oldest rows (by `index`) beyond `max`; resolves to how many
+// went. Callbacks, not awaits, so the transaction stays active throughout.
+export function evictOldest(db, storeName, index, max) {
+  return new Promise((resolve) => {
+    const store = db.transaction(storeName, 'readwrite').objectStore(storeName)
+    const count = store.count()
+    count.onerror = () => resolve(0)
+    count.onsuccess = () => {
+      const excess = count.result - max
+      if (excess <= 0) return resolve(0)
+      let removed = 0
+      const req = store.index(index).openCursor()
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor || removed >= excess) return resolve(removed)
+        cursor.delete()
+        removed++
+        cursor.continue()
+      }
+      req.onerror = () => resolve(removed)
+    }
+  })
+}
+
+export class EventStore {
+  constructor({
+    indexedDB = globalThis.indexedDB,
+    maxNotes = 2000,
+    maxProfiles = 1000,
+    evictEvery = 100     // writes between eviction passes
+  } = {}) {
+    this.idb = indexedDB || null
+    this.maxNotes = maxNotes
+    this.maxProfiles = maxProfiles
+    this.evictEvery = evictEvery
+    this.writes = 0
+  }
+
+  open() {
+    return openDatabase(this.idb)
+  }
+
+  async put(storeName, rows) {
+    const db = await this.open()
+    if (!db || !rows.length) return
+    try {
+      const tx = db.transaction(storeName, 'readwrite')
+      const store = tx.objectStore(storeName)
+      for (const row of rows) store.put(row)
+      await new Promise((resolve) => { tx.oncomplete = tx.onerror = tx.onabort = resolve })
+    } catch (e) {
+      console.warn('event store write failed', e)
+    }
+    this.writes += rows.length
+    if (this.writes >= this.evictEvery) {
+      this.writes = 0
+      await this.evict()
+    }
+  }
+
+  // ---------- Notes ----------
+  putNotes(events) {
+    return this.put('notes', events)
+  }
+
+  // newest first; `accept(ev)` filters while reading, so `limit` counts
+  // only the notes the caller will actually show
+  async recentNotes({ limit = 100, accept = () => true } = {}) {
+    const db = await this.open()
+    if (!db) return []
+    const out = []
+    await new Promise((resolve) => {
+      const req = db.transaction('notes', 'readonly').objectStore('notes').index('created_at').openCursor(null, 'prev')
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor || out.length >= limit) return resolve()
+        if (accept(cursor.value)) out.push(cursor.value)
+        cursor.continue()
+      }
+      req.onerror = () => resolve()
+    })
+    return out
+  }
+
+  // ---------- Profiles ----------
+  // kind-0 events, one per pubkey (callers only pass newer ones)
+  putProfiles(events, now = Date.now()) {
+    return this.put('profiles', events.map(event => ({ pubkey: event.pubkey, stored_at: now, event })))
+  }
+
+  async profiles() {
+    const db = await this.open()
+    if (!db) return []
+    const rows = await done(db.transaction('profiles', 'readonly').objectStore('profiles').getAll())
+    return (rows || []).map(row => row.event)
+  }
+
+  async evict() {
+    const db = await this.open()
+    if (!db) return
+    await evictOldest(db, 'notes', 'created_at', this.maxNotes)
+    await evictOldest(db, 'profiles', 'stored_at', this.maxProfiles)
+  }
+}
@@ -0,0 +1,77 @@
+// Backward pagination of the note feed across relays. Each relay has its
+// own `until` cursor; a note is only handed out once every relay that may
+// still hold newer ones has been read past it, so pages merged from fast
+// and slow relays come out newest first without gaps.
+
+import { collectUntilEose } from './relays.js'
+
+export class FeedPager {
+  constructor({ getRelays = () => [], pageSize = 30, timeoutMs = 4000 } = {}) {
+    this.getRelays = getRelays
+    this.pageSize = pageSize
+    this.timeoutMs = timeoutMs
+    this.reset(null)
+  }
+
+  // start over below `until` (unix seconds); a null filter pages nothing
+  reset(filter, until = Math.floor(Date.now() / 1000)) {
+    this.filter = filter
+    this.until = until
+    this.cursors = new Map()     // relay url -> until for its next page
+    this.exhausted = new Set()   // relay urls that sent a short page
+    this.pending = new Map()     // id -> note fetched but not handed out yet
+    this.released = new Set()    // ids handed out
+    this.loading = null
+  }
+
+  get done() {
+    return !this.filter || (!this.pending.size && this.getRelays().every(r => this.exhausted.has(r.url)))
+  }
+
+  // the next page, newest first (may be empty while relays catch up);
+  // concurrent calls share one fetch
+  next() {
+    if (!this.loading) this.loading = this.load().finally(() => { this.loading = null })
+    return this.loading
+  }
+
+  async load() {
+    const filter = this.filter
+    if (!filter) return []
+    const relays = this.getRelays().filter(r => !this.exhausted.has(r.url))
+    await Promise.all(relays.map(relay => this.loadRelay(relay, filter)))
+    if (filter !== this.filter) return []   // reset while we waited
+
+    // below the highest open cursor some relay may still hold unseen notes
+    const open = relays.filter(r => !this.exhausted.has(r.url))
+    const horizon = open.length ? Math.max(...open.map(r => this.cursors.get(r.url))) : -Infinity
+    const page = [...this.pending.values()]
+      .filter(ev => ev.created_at >= horizon)
+      .sort((a, b) => b.created_at - a.created_at)
+    for (const ev of page) {
+      this.pending.delete(ev.id)
+      this.released.add(ev.id)
+    }
+    return page
+  }
+
+  async loadRelay(relay, filter) {
+    const until = this.cursors.get(relay.url) ?? this.until
+    const events = await collectUntilEose(relay, [{ ...filter, until, limit: this.pageSize }], this.timeoutMs)
+    if (filter !== this.filter) return
+
+    let oldest = until
+    let fresh = 0
+    for (const ev of events) {
+      if (!(ev.created_at <= until)) continue   // relay ignored the cursor
+      oldest = Math.min(oldest, ev.created_at)
+      if (this.pending.has(ev.id) || this.released.has(ev.id)) continue
+      this.pending.set(ev.id, ev)
+      fresh++
+    }
+    if (events.length < this.pageSize) this.exhausted.add(relay.url)
+    // `until` is inclusive: a full page of already-seen notes from one
+    // second would come back forever, so step past it
+    else this.cursors.set(relay.url, fresh ? oldest : oldest - 1)
+  }
+}
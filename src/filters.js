@@ -0,0 +1,109 @@
+// Feed filters: NIP-51 mute lists, local regex filters and score/karma
+// thresholds. Decides what reaches the feed; no DOM, no network.
+
+export const KIND_MUTE_LIST = 10000   // NIP-51: ['p', pk], ['word', w], ['t', tag]
+
+// what to do with a note under the score / author-karma threshold
+export const LOW_SCORE_ACTIONS = ['collapse', 'hide']
+
+export const DEFAULT_FILTER_SETTINGS = {
+  minScore: null,        // null = off
+  minAuthorKarma: null,  // null = off
+  action: 'collapse',
+  regexes: []            // local only, never published
+}
+
+const HEX64 = /^[0-9a-f]{64}$/
+
+export function emptyMuteList() {
+  return { pubkeys: [], words: [], hashtags: [], created_at: 0 }
+}
+
+const unique = (values) => [...new Set(values.filter(Boolean))]
+
+function normalizeMutes({ pubkeys = [], words = [], hashtags = [] }) {
+  return {
+    pubkeys: unique(pubkeys.map(pk => String(pk).toLowerCase()).filter(pk => HEX64.test(pk))),
+    words: unique(words.map(w => String(w).trim().toLowerCase())),
+    hashtags: unique(hashtags.map(t => String(t).trim().replace(/^#/, '').toLowerCase()))
+  }
+}
+
+// public items of a kind-10000 list; private (encrypted) items are left alone
+export function parseMuteList(ev) {
+  if (!ev || ev.kind !== KIND_MUTE_LIST || !Array.isArray(ev.tags)) return emptyMuteList()
+  const values = (name) => ev.tags.filter(t => t[0] === name).map(t => t[1])
+  return {
+    ...normalizeMutes({ pubkeys: values('p'), words: values('word'), hashtags: values('t') }),
+    created_at: ev.created_at || 0
+  }
+}
+
+// New list event. Tags we don't manage (e.g. muted threads) and the
+// encrypted private content of `previous` are carried over untouched.
+export function buildMuteList({ pubkeys, words, hashtags, previous = null, created_at = Math.floor(Date.now() / 1000) }) {
+  const mutes = normalizeMutes({ pubkeys, words, hashtags })
+  const kept = (previous?.tags || []).filter(t => !['p', 'word', 't'].includes(t[0]))
+  return {
+    kind: KIND_MUTE_LIST,
+    created_at,
+    tags: [
+      ...mutes.pubkeys.map(pk => ['p', pk]),
+      ...mutes.hashtags.map(t => ['t', t]),
+      ...mutes.words.map(w => ['word', w]),
+      ...kept
+    ],
+    content: previous?.content || ''
+  }
+}
+
+// one pattern per entry: "/source/flags" or a bare source (case-insensitive).
+// Returns { regexes, errors } so bad patterns can be reported, not thrown.
+export function compileRegexFilters(patterns = []) {
+  const regexes = []
+  const errors = []
+  for (const raw of patterns) {
+    const pattern = String(raw).trim()
+    if (!pattern) continue
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern)
+    try {
+      regexes.push(literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i'))
+    } catch {
+      errors.push(pattern)
+    }
+  }
+  return { regexes, errors }
+}
+
+// why `ev` is filtered out, or null if it may be shown
+export function muteReason(ev, { mutes = emptyMuteList(), regexes = [] } = {}) {
+  if (mutes.pubkeys.includes(ev.pubkey)) return 'muted author'
+
+  const content = ev.content || ''
+  const lower = content.toLowerCase()
+  const tags = new Set([
+    ...(ev.tags || []).filter(t => t[0] === 't').map(t => String(t[1]).toLowerCase()),
+    ...[...lower.matchAll(/#([\p{L}\p{N}_-]+)/gu)].map(m => m[1])
+  ])
+  const tag = mutes.hashtags.find(t => tags.has(t))
+  if (tag) return `muted #${tag}`
+
+  const word = mutes.words.find(w => lower.includes(w))
+  if (word) return `muted word "${word}"`
+
+  const re = regexes.find(r => { r.lastIndex = 0; return r.test(content) })
+  if (re) return `filter ${re}`
+  return null
+}
+
+// 'show' | 'collapse' | 'hide' for a note's score and its author's karma
+// (either may be null = unknown, which never triggers a threshold)
+export function lowScoreAction({ score = null, authorKarma = null }, { minScore = null, minAuthorKarma = null, action = 'collapse' } = {}) {
+  const below = (value, min) => min !== null && value !== null && value < min
+  if (below(score, minScore) || below(authorKarma, minAuthorKarma)) return action
+  return 'show'
+}
+
+export function hasScoreRules({ minScore = null, minAuthorKarma = null } = {}) {
+  return minScore !== null || minAuthorKarma !== null
+}
@@ -0,0 +1,60 @@
+// Follow graph: kind-3 contact lists and the web of trust built from them.
+// No DOM, no network.
+
+export const KIND_CONTACTS = 3   // ['p', pubkey, relay?, petname?]
+
+export const MAX_WOT_HOPS = 3
+
+const HEX64 = /^[0-9a-f]{64}$/
+
+export function parseContactList(ev) {
+  if (!ev || ev.kind !== KIND_CONTACTS || !Array.isArray(ev.tags)) return []
+  const follows = ev.tags
+    .filter(t => t[0] === 'p' && HEX64.test(t[1] || ''))
+    .map(t => t[1])
+  return [...new Set(follows)]
+}
+
+// New contact list following exactly `follows`. Relay hints and petnames
+// of people still followed, other tags and the content of `previous` are
+// kept, so editing from here doesn't wipe what other clients wrote.
+export function buildContactList({ follows, previous = null, created_at = Math.floor(Date.now() / 1000) }) {
+  const wanted = new Set(follows.filter(pk => HEX64.test(pk)))
+  const tags = []
+  for (const tag of previous?.tags || []) {
+    if (tag[0] !== 'p') tags.push(tag)
+    else if (wanted.delete(tag[1])) tags.push(tag)
+  }
+  for (const pk of wanted) tags.push(['p', pk])
+  return { kind: KIND_CONTACTS, created_at, tags, content: previous?.content || '' }
+}
+
+// newest contact list per author
+export function latestContactLists(events) {
+  const byAuthor = new Map()
+  for (const ev of events) {
+    if (ev.kind !== KIND_CONTACTS) continue
+    const prev = byAuthor.get(ev.pubkey)
+    if (!prev || ev.created_at > prev.created_at) byAuthor.set(ev.pubkey, ev)
+  }
+  return byAuthor
+}
+
+// Breadth-first walk from `root`: Map(pubkey -> hops), root at 0.
+// `followsOf(pubkey)` returns that key's follows (or [] if unknown).
+export function trustDistances(root, followsOf, hops = 2) {
+  const distance = new Map([[root, 0]])
+  let frontier = [root]
+  for (let d = 1; d <= hops && frontier.length; d++) {
+    const next = []
+    for (const pk of frontier) {
+      for (const follow of followsOf(pk)) {
+        if (distance.has(follow)) continue
+        distance.set(follow, d)
+        next.push(follow)
+      }
+    }
+    frontier = next
+  }
+  return distance
+}
@@ -0,0 +1,43 @@
+// Client for the optional karma indexer (indexer/ in this repo). It hands
+// back raw vote events, which go through the same validation as relay
+// results, so an indexer can only withhold votes, never invent them.
+// Every call throws on failure so callers can fall back to the relays.
+
+export class IndexerClient {
+  constructor({ baseUrl, fetchImpl = globalThis.fetch, timeoutMs = 3000 }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.fetchImpl = fetchImpl
+    this.timeoutMs = timeoutMs
+  }
+
+  async get(path) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs)
+    try {
+      const res = await this.fetchImpl(`${this.baseUrl}${path}`, { signal: controller.signal })
+      if (!res.ok) throw new Error(`indexer ${path}: HTTP ${res.status}`)
+      return await res.json()
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // latest vote events for these posts
+  async votesForPosts(postIds) {
+    const query = postIds.map(id => `post=${id}`).join('&')
+    const { votes } = await this.get(`/votes?${query}`)
+    if (!Array.isArray(votes)) throw new Error('indexer /votes: bad response')
+    return votes
+  }
+
+  // latest vote events on a user and on each of their posts
+  async votesForUser(pubkey) {
+    const { votes } = await this.get(`/votes?author=${pubkey}`)
+    if (!Array.isArray(votes)) throw new Error('indexer /votes: bad response')
+    return votes
+  }
+
+  health() {
+    return this.get('/health')
+  }
+}
@@ -0,0 +1,180 @@
+// Compatibility with what other clients publish: NIP-25 reactions and
+// NIP-57 zap receipts, read as signals on a post. "+" / "" reactions are
+// upvotes and "-" downvotes (emoji reactions don't vote); a zap counts for
+// its sats. Parsing, plus looking up who may sign a recipient's zap
+// receipts — checking receipts against that key is validate.js's job.
+
+import { sha256 } from '@noble/hashes/sha256'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils'
+import { bech32 } from '@scure/base'
+
+export const KIND_REACTION    = 7
+export const KIND_ZAP_REQUEST = 9734
+export const KIND_ZAP_RECEIPT = 9735
+export const KIND_DELETION    = 5
+
+// what the compatibility mode fetches on top of karma votes
+export const INTEROP_KINDS = [KIND_REACTION, KIND_ZAP_RECEIPT]
+
+const REACTION_SIGNS = { '+': 1, '': 1, '-': -1 }
+
+// BOLT-11 amount multipliers, in millisats per unit (pico: a tenth)
+const BOLT11_MSATS = { '': 1e11, m: 1e8, u: 1e5, n: 100 }
+
+const BOLT11_TIMESTAMP_WORDS = 7
+const BOLT11_SIGNATURE_WORDS = 104
+const BOLT11_DESCRIPTION_HASH = 23   // the 'h' field
+
+const HEX64 = /^[0-9a-f]{64}$/
+
+const lastTag = (ev, name) => ev.tags.filter(t => t[0] === name).at(-1)?.[1] || null
+
+// ---------- Reactions ----------
+// reaction -> the same shape as parseVote: { voter, sign, post, author, stake, created_at }
+// or null; NIP-25 puts the reacted-to note and author in the last e / p tags
+export function parseReaction(ev) {
+  if (!ev || ev.kind !== KIND_REACTION || !Array.isArray(ev.tags)) return null
+  if (typeof ev.pubkey !== 'string' || !ev.pubkey) return null
+
+  const sign = REACTION_SIGNS[String(ev.content ?? '').trim()]
+  const post = lastTag(ev, 'e')
+  if (sign === undefined || !post) return null
+
+  return { voter: ev.pubkey, sign, post, author: lastTag(ev, 'p'), stake: 0, created_at: ev.created_at || 0 }
+}
+
+// unsigned reaction mirroring a post vote; null for a cleared vote, which
+// NIP-25 has no way to say
+export function buildReaction({ author, eventId, sign, created_at = Math.floor(Date.now() / 1000) }) {
+  if (sign !== 1 && sign !== -1) return null
+  return {
+    kind: KIND_REACTION,
+    created_at,
+    tags: [['e', eventId], ['p', author]],
+    content: sign > 0 ? '+' : '-'
+  }
+}
+
+// NIP-09 deletion of our own earlier reactions: NIP-25 can't say "no
+// vote", so a cleared or flipped vote takes its old reaction back
+export function buildReactionDeletion(reactionIds, created_at = Math.floor(Date.now() / 1000)) {
+  return {
+    kind: KIND_DELETION,
+    created_at,
+    tags: [...reactionIds.map(id => ['e', id]), ['k', String(KIND_REACTION)]],
+    content: ''
+  }
+}
+
+// ---------- Zaps ----------
+// invoice amount in millisats, null when the invoice doesn't state one
+export function bolt11Msats(invoice) {
+  const match = /^ln[a-z]+?(\d+)([munp]?)1[02-9ac-hj-np-z]+$/.exec(String(invoice || '').toLowerCase())
+  if (!match) return null
+  const [, digits, unit] = match
+  const msats = unit === 'p' ? Number(digits) / 10 : Number(digits) * BOLT11_MSATS[unit]
+  return Number.isInteger(msats) && msats > 0 ? msats : null
+}
+
+// hex sha256 the invoice commits to in its 'h' field, or null
+export function bolt11DescriptionHash(invoice) {
+  try {
+    const { words } = bech32.decode(String(invoice || '').toLowerCase(), Number.MAX_SAFE_INTEGER)
+    const fields = words.slice(BOLT11_TIMESTAMP_WORDS, -BOLT11_SIGNATURE_WORDS)
+    // tagged fields: 5-bit type, 10-bit length in words, then the data
+    for (let i = 0; i + 3 <= fields.length;) {
+      const type = fields[i]
+      const length = fields[i + 1] * 32 + fields[i + 2]
+      const data = fields.slice(i + 3, i + 3 + length)
+      i += 3 + length
+      if (type === BOLT11_DESCRIPTION_HASH && length === 52) return bytesToHex(bech32.fromWords(data))
+    }
+  } catch {}
+  return null
+}
+
+// the zap request a receipt carries in its description tag, or null
+export function zapRequestOf(ev) {
+  try {
+    const request = JSON.parse(ev.tags.find(t => t[0] === 'description')?.[1] || '')
+    return request?.kind === KIND_ZAP_REQUEST && Array.isArray(request.tags) ? request : null
+  } catch {
+    return null
+  }
+}
+
+// zap receipt -> { voter, post, author, msats, created_at } or null; the
+// voter is whoever signed the zap request, and the receipt must agree with
+// that request on the note, the recipient and (when it names one) the
+// amount. The invoice has to commit to the request (NIP-57 Appendix F:
+// its description hash is the sha256 of the description tag), or any
+// paid invoice could be passed off as a zap.
+export function parseZap(ev) {
+  if (!ev || ev.kind !== KIND_ZAP_RECEIPT || !Array.isArray(ev.tags)) return null
+  const request = zapRequestOf(ev)
+  if (!request || typeof request.pubkey !== 'string' || !request.pubkey) return null
+
+  const description = ev.tags.find(t => t[0] === 'description')[1]
+  const invoice = lastTag(ev, 'bolt11')
+  if (bolt11DescriptionHash(invoice) !== bytesToHex(sha256(utf8ToBytes(description)))) return null
+
+  const post = lastTag(ev, 'e')
+  const author = lastTag(ev, 'p')
+  if (!post || post !== lastTag(request, 'e') || author !== lastTag(request, 'p')) return null
+
+  const msats = bolt11Msats(invoice)
+  const asked = lastTag(request, 'amount')
+  if (!msats || (asked !== null && Number(asked) !== msats)) return null
+
+  return { voter: request.pubkey, post, author, msats, created_at: ev.created_at || 0 }
+}
+
+// LNURL-pay endpoint from a profile's lud16 (name@domain) or lud06
+// (bech32 lnurl), or null
+export function lnurlPayUrl(profile) {
+  const match = /^([a-z0-9._-]+)@([a-z0-9.-]+\.[a-z]{2,})$/i.exec((profile?.lud16 || '').trim())
+  if (match) return `https://${match[2]}/.well-known/lnurlp/${encodeURIComponent(match[1])}`
+  try {
+    const { prefix, words } = bech32.decode((profile?.lud06 || '').trim().toLowerCase(), Number.MAX_SAFE_INTEGER)
+    const url = new TextDecoder().decode(bech32.fromWords(words))
+    return prefix === 'lnurl' && /^https:\/\//i.test(url) ? url : null
+  } catch {
+    return null
+  }
+}
+
+// NIP-57: the key an LNURL-pay server signs zap receipts with, or null
+// when it doesn't do zaps
+export async function resolveZapper(payUrl, fetchImpl = globalThis.fetch) {
+  if (!payUrl || !fetchImpl) return null
+  try {
+    const res = await fetchImpl(payUrl)
+    if (!res.ok) return null
+    const json = await res.json()
+    return json?.allowsNostr === true && HEX64.test(json.nostrPubkey || '') ? json.nostrPubkey : null
+  } catch {
+    return null
+  }
+}
+
+// points for a sender's zaps on one post: log-scaled, so 1000 sats count for
+// three upvotes and not a thousand
+export function zapPoints(msats) {
+  return Math.round(Math.log10(1 + msats / 1000) * 10) / 10
+}
+
+// every zap on a target summed per sender (zaps add up, unlike votes):
+// Map(voter -> { voter, msats, count, points })
+export function zapsBySender(events) {
+  const bySender = new Map()
+  for (const ev of events) {
+    const zap = parseZap(ev)
+    if (!zap) continue
+    const entry = bySender.get(zap.voter) || { voter: zap.voter, msats: 0, count: 0, points: 0 }
+    entry.msats += zap.msats
+    entry.count++
+    bySender.set(zap.voter, entry)
+  }
+  for (const entry of bySender.values()) entry.points = zapPoints(entry.msats)
+  return bySender
+}
@@ -0,0 +1,228 @@
+// Headless karma core: vote event construction, parsing and scoring.
+// No DOM, no network — shared by the browser client and Node-side tools.
+
+import { finishEvent, getPublicKey, nip19 } from 'nostr-tools'
+
+import { mineRange } from './pow-core.js'
+import { KIND_REACTION, parseReaction, zapsBySender } from './interop.js'
+
+// ---- Kinds ----
+export const KIND_NOTE       = 1
+export const KIND_KARMA_VOTE = 30010  // tags: see "Vote schema" below
+
+export const CLIENT_POST_VOTE = 'nostr_karma_postvote'
+export const CLIENT_USER_VOTE = 'nostr_karma_uservote'
+
+const HEX64 = /^[0-9a-f]{64}$/
+
+// ---------- Vote schema ----------
+// Version 2 (current). Kind 30010, empty content, tags in this order:
+//   ['d', <post id>]            post votes; 'p:<pubkey>' for user votes.
+//                               30010 is parameterized replaceable (NIP-01),
+//                               so relays keep one vote per voter per target
+//   ['p', <author pubkey>]      exactly one: the voted-on author
+//   ['e', <post id>]            post votes only, at most one
+//   ['v', '1' | '-1' | '0']     0 clears an earlier vote
+//   ['stake', <n>]              optional, n > 0; declared, never verified
+//   ['client', <name>]          nostr_karma_postvote / nostr_karma_uservote
+//   ['schema', '2']
+//   ['nonce', <n>, <bits>]      optional NIP-13 proof of work, added by mining
+// A d tag that doesn't match the target makes the vote malformed.
+//
+// Version 1: the same without 'd' and 'schema'. Still read, but relays file
+// every one of them under d='' and keep only each voter's newest, so a
+// voter's older v1 votes may be gone; voteSchema() tells them apart so our
+// own can be re-published as v2 (VoteHistory.legacy in src/vote-history.js).
+export const VOTE_SCHEMA = 2
+
+// accepts npub1... or 64-char hex; returns hex pubkey or null
+export function parsePubkey(input) {
+  const value = (input || '').trim()
+  if (/^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase()
+  if (value.startsWith('npub1')) {
+    try {
+      const { type, data } = nip19.decode(value)
+      if (type === 'npub') return data
+    } catch {}
+  }
+  return null
+}
+
+// the d tag a vote on this target carries
+export function voteDTag({ post, author }) {
+  return post || `p:${author}`
+}
+
+// schema version of a vote event: declared, or 1 for the tagless kind
+export function voteSchema(ev) {
+  const declared = Number(ev?.tags?.find(t => t[0] === 'schema')?.[1])
+  if (Number.isInteger(declared) && declared > 0) return declared
+  return ev?.tags?.some(t => t[0] === 'd') ? VOTE_SCHEMA : 1
+}
+
+// ---------- Building ----------
+// unsigned vote on a single post
+export function buildPostVote({ author, eventId, sign, stake = 0, created_at = now() }) {
+  return {
+    kind: KIND_KARMA_VOTE,
+    created_at,
+    tags: [
+      ['d', voteDTag({ post: eventId })],
+      ['p', author],             // target author
+      ['e', eventId],            // the specific note being voted on
+      ['v', String(sign)],       // +1 / -1 / 0
+      ...(stake > 0 ? [['stake', String(stake)]] : []),
+      ['client', CLIENT_POST_VOTE],
+      ['schema', String(VOTE_SCHEMA)]
+    ],
+    content: ''
+  }
+}
+
+// unsigned vote on a user: 'p' tag only, no 'e' tag
+export function buildUserVote({ target, sign, stake = 0, created_at = now() }) {
+  return {
+    kind: KIND_KARMA_VOTE,
+    created_at,
+    tags: [
+      ['d', voteDTag({ author: target })],
+      ['p', target],
+      ['v', String(sign)],
+      ...(stake > 0 ? [['stake', String(stake)]] : []),
+      ['client', CLIENT_USER_VOTE],
+      ['schema', String(VOTE_SCHEMA)]
+    ],
+    content: ''
+  }
+}
+
+// Synchronous PoW miner for Node-side tools and tests; the browser mines
+// in a worker through minePow() (src/pow.js). Targets exact leading-zero
+// bits and returns null when maxIters runs out, never an un-mined event.
+export function mineEvent(unsigned, pubkey, powBits = 8, maxIters = 20000) {
+  if (!powBits) return unsigned
+  return mineRange(unsigned, pubkey, powBits, 0, maxIters).event
+}
+
+export function mineAndFinish(unsigned, sk, powBits = 8, maxIters = 20000) {
+  const mined = mineEvent(unsigned, getPublicKey(sk), powBits, maxIters)
+  return mined && finishEvent(mined, sk)
+}
+
+// ---------- Parsing ----------
+// vote event -> { voter, sign, post, author, stake, created_at } or null if it isn't a usable vote.
+// NIP-25 "+" / "-" reactions read as post votes too (src/interop.js); they
+// are only around when the compatibility mode fetched them.
+export function parseVote(ev) {
+  if (ev?.kind === KIND_REACTION) return parseReaction(ev)
+  if (!ev || ev.kind !== KIND_KARMA_VOTE || !Array.isArray(ev.tags)) return null
+  if (typeof ev.pubkey !== 'string' || !ev.pubkey) return null
+
+  const signTag = ev.tags.find(t => t[0] === 'v')
+  if (!signTag) return null
+  const sign = Number(signTag[1])
+  // allow 1, -1, 0 (0 = cleared vote)
+  if (![1, -1, 0].includes(sign)) return null
+
+  const author = ev.tags.find(t => t[0] === 'p')?.[1] || null
+  const post = ev.tags.find(t => t[0] === 'e')?.[1] || null
+  const stake = Math.max(0, Number(ev.tags.find(t => t[0] === 'stake')?.[1]) || 0)
+
+  return { voter: ev.pubkey, sign, post, author, stake, created_at: ev.created_at || 0 }
+}
+
+export function isVoteEvent(ev) {
+  const vote = parseVote(ev)
+  if (!vote || !vote.author || !HEX64.test(vote.author)) return false
+  return !vote.post || HEX64.test(vote.post)
+}
+
+// ---------- Scoring ----------
+// NIP-01's rule for replaceable events: the later created_at, and in the
+// same second the lowest id, so every reader settles ties the same way.
+// `prev` is a parsed vote carrying its `event`
+export function newer(vote, ev, prev) {
+  if (vote.created_at !== prev.created_at) return vote.created_at > prev.created_at
+  return (ev.id || '') < (prev.event.id || '')
+}
+
+// one vote per pubkey per target: only the latest vote from each voter counts
+// Map(voter -> parsed vote plus its `event`)
+export function latestVotesByVoter(voteEvents) {
+  const latestByVoter = new Map()
+
+  for (const ev of voteEvents) {
+    const vote = parseVote(ev)
+    if (!vote) continue
+
+    const prev = latestByVoter.get(vote.voter)
+    if (!prev || newer(vote, ev, prev)) {
+      latestByVoter.set(vote.voter, { ...vote, event: ev })
+    }
+  }
+  return latestByVoter
+}
+
+// zap receipts among the events add their (log-scaled) sats on top
+export function computeScore(voteEvents) {
+  let score = 0
+  for (const { sign } of latestVotesByVoter(voteEvents).values()) {
+    score += sign
+  }
+  for (const { points } of zapsBySender(voteEvents).values()) {
+    score += points
+  }
+  return score
+}
+
+// user karma = sum over every target (each post, plus the user itself) of
+// the latest-vote-per-voter score for that target; `score` can be swapped
+// for a weighted strategy from scoring.js
+export function computeUserKarma(voteEvents, score = computeScore) {
+  const byTarget = new Map()
+  for (const ev of voteEvents) {
+    const vote = parseVote(ev)
+    if (!vote) continue
+    const key = vote.post || ''   // '' = user-level vote (no e tag)
+    if (!byTarget.has(key)) byTarget.set(key, [])
+    byTarget.get(key).push(ev)
+  }
+
+  let karma = 0
+  for (const events of byTarget.values()) {
+    karma += score(events)
+  }
+  return { karma, targets: byTarget.size, votes: voteEvents.length }
+}
+
+// karma as it stood over time: [{ t, karma }] with one point per bucket
+// (end of bucket), replaying the votes cast up to each point through
+// computeUserKarma, so a changed vote replaces the earlier one there too.
+// Buckets widen past `bucketSecs` to keep at most `maxPoints` points.
+export function karmaHistory(voteEvents, { score = computeScore, bucketSecs = 86400, maxPoints = 60 } = {}) {
+  const events = voteEvents
+    .filter(ev => parseVote(ev))
+    .sort((a, b) => a.created_at - b.created_at)
+  if (!events.length) return []
+
+  const first = events[0].created_at
+  const last = events[events.length - 1].created_at
+  const step = Math.max(bucketSecs, Math.ceil((last - first + 1) / maxPoints))
+
+  const points = []
+  let upTo = 0
+  for (let t = first - (first % step) + step; ; t += step) {
+    while (upTo < events.length && events[upTo].created_at < t) upTo++
+    points.push({ t, karma: computeUserKarma(events.slice(0, upTo), score).karma })
+    if (upTo === events.length) break
+  }
+  return points
+}
+
+export function formatScore(score) {
+  return score > 0 ? `+${score}` : `${score}`
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000)
+}
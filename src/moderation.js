@@ -0,0 +1,89 @@
+// Reports and reviews: event construction and report status.
+// No DOM, no network.
+
+export const KIND_REPORT        = 1984   // NIP-56: ['e', eventId, reason], ['p', author, reason]
+export const KIND_REPORT_REVIEW = 30011  // tags: ['d', eventId], ['e', eventId], ['decision', confirm|reject]
+
+// NIP-56 report types; free-text reasons that don't match go out as 'other'
+export const REPORT_REASONS = ['nudity', 'malware', 'profanity', 'illegal', 'spam', 'impersonation', 'other']
+export const REVIEW_DECISIONS = ['confirm', 'reject']
+
+export function normalizeReportReason(text) {
+  const reason = (text || '').trim().toLowerCase()
+  return REPORT_REASONS.includes(reason) ? reason : 'other'
+}
+
+export function buildReport({ eventId, author, text = '', created_at = now() }) {
+  const reason = normalizeReportReason(text)
+  return {
+    kind: KIND_REPORT,
+    created_at,
+    tags: [
+      ['e', eventId, reason],
+      ['p', author, reason],
+      ['client', 'nostr_karma_report']
+    ],
+    content: (text || '').trim()
+  }
+}
+
+// 'd' = reported event id, so each reviewer's latest decision replaces the previous one
+export function buildReview({ eventId, decision, created_at = now() }) {
+  return {
+    kind: KIND_REPORT_REVIEW,
+    created_at,
+    tags: [
+      ['d', eventId],
+      ['e', eventId],
+      ['decision', decision],
+      ['client', 'nostr_karma_review']
+    ],
+    content: ''
+  }
+}
+
+// status of a reported note:
+//   'none'      no reports
+//   'reported'  reports exist, fewer than `quorum` distinct reviewers so far
+//   'confirmed' / 'rejected'  majority of the latest decision per reviewer
+// ties are broken by the reports themselves: enough distinct reporters
+// (>= quorum) confirm, otherwise the report is rejected.
+// Nobody reviews their own case: the reported `author` and the reporters
+// don't count as reviewers. `reviewers` (pubkeys), when given, is the only
+// set whose reviews count at all.
+export function computeReportStatus(reports, reviews, { quorum = 3, author = null, reviewers = null } = {}) {
+  const reporters = new Set(reports.map(ev => ev.pubkey).filter(Boolean))
+  if (reporters.size === 0) return { status: 'none', reporters: 0, confirms: 0, rejects: 0 }
+  const allowed = reviewers && new Set(reviewers)
+
+  const latestByReviewer = new Map()
+  for (const ev of reviews) {
+    const decision = ev.tags.find(t => t[0] === 'decision')?.[1]
+    if (!REVIEW_DECISIONS.includes(decision)) continue
+    if (!ev.pubkey || ev.pubkey === author || reporters.has(ev.pubkey)) continue
+    if (allowed && !allowed.has(ev.pubkey)) continue
+
+    const ts = ev.created_at || 0
+    const prev = latestByReviewer.get(ev.pubkey)
+    if (!prev || ts > prev.ts) latestByReviewer.set(ev.pubkey, { ts, decision })
+  }
+
+  let confirms = 0
+  let rejects = 0
+  for (const { decision } of latestByReviewer.values()) {
+    if (decision === 'confirm') confirms++
+    else rejects++
+  }
+
+  let status = 'reported'
+  if (confirms + rejects >= quorum) {
+    if (confirms > rejects) status = 'confirmed'
+    else if (rejects > confirms) status = 'rejected'
+    else status = reporters.size >= quorum ? 'confirmed' : 'rejected'
+  }
+  return { status, reporters: reporters.size, confirms, rejects }
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000)
+}
@@ -0,0 +1,138 @@
+// Notifications: what others did to the signed-in user — votes and NIP-25
+// reactions on their notes (or on them), replies and mentions — read from
+// one live `#p: [me]` subscription. Votes are grouped per note and
+// direction ("3 people upvoted your note") counting each voter's latest
+// vote only; replies and mentions stay one entry each. The read mark is
+// kept per pubkey in localStorage.
+
+import { KIND_NOTE, KIND_KARMA_VOTE, newer, parseVote } from './karma.js'
+import { KIND_REACTION } from './interop.js'
+import { parseThreadRefs } from './threads.js'
+
+export const NOTIFICATION_KINDS = [KIND_NOTE, KIND_REACTION, KIND_KARMA_VOTE]
+
+const STORAGE_PREFIX = 'nostr-karma-notifications-read:'
+
+export function notificationFilter(pubkey, { since, limit = 200 } = {}) {
+  return { kinds: NOTIFICATION_KINDS, '#p': [pubkey], ...(since ? { since } : {}), limit }
+}
+
+// event -> { id, type, target, actor, created_at } or null when it isn't
+// about `me`. type: 'upvote' | 'downvote' | 'clear' (a vote taken back) for
+// votes and reactions, whose target is the note (null: a vote on `me`);
+// 'reply' (target: the note replied to) or 'mention' (target: the note itself)
+export function classifyNotification(ev, me) {
+  if (!ev?.id || !me || ev.pubkey === me) return null
+  const base = { id: ev.id, actor: ev.pubkey, created_at: ev.created_at || 0 }
+
+  if (ev.kind === KIND_NOTE) {
+    if (!ev.tags?.some(t => t[0] === 'p' && t[1] === me)) return null
+    const { reply } = parseThreadRefs(ev)
+    return reply ? { ...base, type: 'reply', target: reply } : { ...base, type: 'mention', target: ev.id }
+  }
+
+  const vote = parseVote(ev)
+  if (!vote || vote.author !== me) return null
+  const type = vote.sign > 0 ? 'upvote' : vote.sign < 0 ? 'downvote' : 'clear'
+  return { ...base, type, target: vote.post || null }
+}
+
+// notifications -> entries, newest first:
+//   { key, type, target, actors, ids, created_at }
+// Each voter's latest vote or reaction per target decides which group they
+// are in, if any (a cleared vote leaves them out).
+export function groupNotifications(events, me) {
+  const latestVotes = new Map()   // `${target}|${actor}` -> item with its event
+  const groups = new Map()
+  const addTo = (key, item, init) => {
+    if (!groups.has(key)) groups.set(key, { key, ...init, actors: [], ids: [], created_at: 0 })
+    const group = groups.get(key)
+    if (!group.actors.includes(item.actor)) group.actors.push(item.actor)
+    group.ids.push(item.id)
+    group.created_at = Math.max(group.created_at, item.created_at)
+  }
+
+  for (const ev of events) {
+    const item = classifyNotification(ev, me)
+    if (!item) continue
+    if (item.type === 'reply' || item.type === 'mention') {
+      addTo(item.id, item, { type: item.type, target: item.target })
+      continue
+    }
+    const slot = `${item.target}|${item.actor}`
+    const prev = latestVotes.get(slot)
+    if (!prev || newer(item, ev, prev)) latestVotes.set(slot, { ...item, event: ev })
+  }
+
+  for (const item of latestVotes.values()) {
+    if (item.type === 'clear') continue
+    addTo(`${item.type}:${item.target}`, item, { type: item.type, target: item.target })
+  }
+  return [...groups.values()].sort((a, b) => b.created_at - a.created_at)
+}
+
+// "Alice upvoted your note", "3 people downvoted you", "Bob replied to you"
+export function describeNotification(group, name = (pubkey) => pubkey) {
+  const who = group.actors.length === 1 ? name(group.actors[0]) : `${group.actors.length} people`
+  const what = group.target ? 'your note' : 'you'
+  switch (group.type) {
+    case 'upvote':   return `${who} upvoted ${what}`
+    case 'downvote': return `${who} downvoted ${what}`
+    case 'reply':    return `${who} replied to you`
+    default:         return `${who} mentioned you`
+  }
+}
+
+export class NotificationInbox {
+  constructor({ storage = globalThis.localStorage, maxEvents = 1000 } = {}) {
+    this.storage = storage
+    this.maxEvents = maxEvents
+    this.pubkey = null
+    this.events = new Map()   // id -> event about us
+    this.readAt = 0           // entries newer than this are unread
+  }
+
+  // switch to `pubkey`'s inbox (null = nobody signed in)
+  load(pubkey) {
+    this.pubkey = pubkey
+    this.events.clear()
+    this.readAt = 0
+    if (!pubkey) return
+    this.readAt = Number(this.storage?.getItem(STORAGE_PREFIX + pubkey)) || 0
+  }
+
+  // true when anything new came in; the oldest go past maxEvents
+  add(events) {
+    let added = 0
+    for (const ev of events) {
+      if (this.events.has(ev.id) || !classifyNotification(ev, this.pubkey)) continue
+      this.events.set(ev.id, ev)
+      added++
+    }
+    if (this.events.size > this.maxEvents) {
+      const kept = [...this.events.values()].sort((a, b) => b.created_at - a.created_at).slice(0, this.maxEvents)
+      this.events = new Map(kept.map(ev => [ev.id, ev]))
+    }
+    return added > 0
+  }
+
+  list() {
+    return groupNotifications(this.events.values(), this.pubkey)
+  }
+
+  isUnread(entry) {
+    return entry.created_at > this.readAt
+  }
+
+  unreadCount() {
+    return this.list().filter(entry => this.isUnread(entry)).length
+  }
+
+  markRead(now = Math.floor(Date.now() / 1000)) {
+    this.readAt = Math.max(now, ...[...this.events.values()].map(ev => ev.created_at || 0))
+    if (!this.pubkey) return
+    try {
+      this.storage?.setItem(STORAGE_PREFIX + this.pubkey, String(this.readAt))
+    } catch {}
+  }
+}
@@ -0,0 +1,183 @@
+// Outbox: every signed event we publish goes through here. It records the
+// per-relay OK / NOTICE outcome, keeps undelivered events across reloads
+// and re-sends to relays that failed once they reconnect.
+
+const STORAGE_KEY = 'nostr-karma-outbox'
+
+export class Outbox {
+  constructor({
+    storage = globalThis.localStorage,
+    getRelays = () => [],          // connected write relays
+    timeoutMs = 10000,             // no OK within this = failed
+    maxAgeMs = 24 * 60 * 60 * 1000 // undelivered events are dropped after this
+  } = {}) {
+    this.storage = storage
+    this.getRelays = getRelays
+    this.timeoutMs = timeoutMs
+    this.maxAgeMs = maxAgeMs
+
+    // event id -> { event, ref, targets: [url], results: { url: { status, message, at } }, createdAt }
+    this.entries = new Map()
+    this.listeners = new Set()
+    this.attached = new WeakSet()
+
+    this.load()
+  }
+
+  onChange(cb) {
+    this.listeners.add(cb)
+    return () => this.listeners.delete(cb)
+  }
+
+  emit(entry) {
+    const summary = summarize(entry)
+    for (const cb of this.listeners) cb(entry, summary)
+  }
+
+  // publish to every connected write relay; resolves with the delivery
+  // summary once each relay answered or timed out.
+  // `ref` is what the UI shows the state next to (defaults to the event id)
+  async publish(event, { ref = event.id } = {}) {
+    const relays = this.getRelays()
+    const entry = this.entries.get(event.id) || {
+      event,
+      ref,
+      targets: [],
+      results: {},
+      createdAt: Date.now()
+    }
+    for (const r of relays) if (!entry.targets.includes(r.url)) entry.targets.push(r.url)
+    this.entries.set(event.id, entry)
+    this.emit(entry)
+
+    await Promise.all(relays.map(r => this.sendTo(entry, r)))
+    return summarize(entry)
+  }
+
+  async sendTo(entry, relay) {
+    const url = relay.url
+    entry.results[url] = { status: 'pending', message: '', at: Date.now() }
+    this.save()
+    this.emit(entry)
+
+    let result
+    if (relay.status !== 1) {
+      result = { status: 'failed', message: 'not connected' }
+    } else {
+      let timer
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('no OK from relay')), this.timeoutMs)
+      })
+      try {
+        await Promise.race([relay.publish(entry.event), timeout])
+        result = { status: 'ok', message: '' }
+      } catch (e) {
+        // OK false carries the relay's reason; a NOTICE may have explained it too
+        const notice = entry.results[url]?.notice
+        result = { status: 'failed', message: e?.message || notice || 'rejected' }
+      } finally {
+        clearTimeout(timer)
+      }
+    }
+
+    entry.results[url] = { ...entry.results[url], ...result, at: Date.now() }
+    this.save()
+    this.emit(entry)
+  }
+
+  // a relay (re)connected: listen for its NOTICEs and retry what it missed
+  attachRelay(relay) {
+    if (!this.attached.has(relay)) {
+      this.attached.add(relay)
+      relay.on('notice', (msg) => this.recordNotice(relay.url, msg))
+    }
+    for (const entry of this.entries.values()) {
+      // events signed while no relay was up adopt the first ones that come back
+      if (!entry.targets.length) entry.targets.push(relay.url)
+      const result = entry.results[relay.url]
+      if (entry.targets.includes(relay.url) && result?.status !== 'ok' && result?.status !== 'pending') {
+        this.sendTo(entry, relay)
+      }
+    }
+  }
+
+  // NOTICEs aren't tied to an event; pin them on whatever is in flight there
+  recordNotice(url, message) {
+    for (const entry of this.entries.values()) {
+      const result = entry.results[url]
+      if (result?.status === 'pending') {
+        result.notice = message
+        this.emit(entry)
+      }
+    }
+  }
+
+  get(id) {
+    return this.entries.get(id) || null
+  }
+
+  summary(id) {
+    const entry = this.entries.get(id)
+    return entry ? summarize(entry) : null
+  }
+
+  // events some target relay hasn't acknowledged yet
+  pending() {
+    return [...this.entries.values()].filter(e => summarize(e).state !== 'delivered')
+  }
+
+  // ---------- Persistence ----------
+  load() {
+    let saved = []
+    try {
+      saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]')
+    } catch {}
+    const cutoff = Date.now() - this.maxAgeMs
+    for (const entry of Array.isArray(saved) ? saved : []) {
+      if (!entry?.event?.id || entry.createdAt < cutoff) continue
+      // a send interrupted by the reload never got its answer
+      for (const result of Object.values(entry.results || {})) {
+        if (result.status === 'pending') Object.assign(result, { status: 'failed', message: 'interrupted' })
+      }
+      this.entries.set(entry.event.id, entry)
+    }
+  }
+
+  // only undelivered events are worth keeping across reloads
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.pending()))
+    } catch (e) {
+      console.warn('could not save outbox', e)
+    }
+  }
+}
+
+// { ok, failed, pending, total, state } with state one of
+// 'sending' | 'delivered' (every target OK) | 'partial' | 'failed'
+export function summarize(entry) {
+  const total = entry.targets.length
+  let ok = 0
+  let failed = 0
+  let pending = 0
+  for (const url of entry.targets) {
+    const status = entry.results[url]?.status
+    if (status === 'ok') ok++
+    else if (status === 'failed') failed++
+    else pending++
+  }
+
+  let state = 'sending'
+  if (pending === 0) {
+    if (total > 0 && ok === total) state = 'delivered'
+    else if (ok > 0) state = 'partial'
+    else state = 'failed'
+  }
+  return { ok, failed, pending, total, state }
+}
+
+export function describeDelivery({ ok, total, state }) {
+  if (state === 'sending') return `sending… (${ok}/${total})`
+  if (state === 'failed') return total ? 'failed' : 'not sent (no relays)'
+  return `sent to ${ok}/${total} relays`
+}
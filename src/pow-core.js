@@ -0,0 +1,64 @@
+// NIP-13 proof of work, the mining itself: exact leading-zero-bit
+// targeting, in chunks with progress and cancel. Mining only hashes, so it
+// works for any signer: a mined template (with its ['nonce', n, target]
+// tag) hashes to the mined id once `pubkey` signs it. Shared by the worker
+// (pow-worker.js) and the main thread; pow.js is what starts the worker.
+
+import { getEventHash, nip13 } from 'nostr-tools'
+
+export const DEFAULT_CHUNK_SIZE = 2000
+
+// enough tries that missing the target is very unlikely (~e^-16)
+export function defaultMaxIters(bits) {
+  return Math.max(10000, 2 ** bits * 16)
+}
+
+function withNonce(template, nonce, bits) {
+  return {
+    ...template,
+    tags: [...(template.tags || []).filter(t => t[0] !== 'nonce'), ['nonce', String(nonce), String(bits)]]
+  }
+}
+
+// try nonces [start, start + count); returns { event, tried, best } where
+// event is the mined template or null, best the most zero bits seen
+export function mineRange(template, pubkey, bits, start = 0, count = DEFAULT_CHUNK_SIZE) {
+  let best = 0
+  for (let nonce = start; nonce < start + count; nonce++) {
+    const candidate = withNonce(template, nonce, bits)
+    const got = nip13.getPow(getEventHash({ ...candidate, pubkey }))
+    if (got >= bits) return { event: candidate, tried: nonce - start + 1, best: got }
+    if (got > best) best = got
+  }
+  return { event: null, tried: count, best }
+}
+
+// Mine chunk by chunk, reporting { tried, best, maxIters } after each.
+// Resolves { event, tried, best }; event is null when maxIters ran out.
+// `pause` runs between chunks (to yield when mining on the main thread).
+export async function mineInChunks({ template, pubkey, bits, maxIters = defaultMaxIters(bits), chunkSize = DEFAULT_CHUNK_SIZE }, {
+  onProgress,
+  signal,
+  pause
+} = {}) {
+  if (!bits) return { event: template, tried: 0, best: 0 }
+
+  let tried = 0
+  let best = 0
+  while (tried < maxIters) {
+    if (signal?.aborted) throw abortError()
+    const r = mineRange(template, pubkey, bits, tried, Math.min(chunkSize, maxIters - tried))
+    tried += r.tried
+    best = Math.max(best, r.best)
+    if (r.event) return { event: r.event, tried, best }
+    onProgress?.({ tried, best, maxIters })
+    if (pause) await pause()
+  }
+  return { event: null, tried, best }
+}
+
+export function abortError() {
+  const err = new Error('Mining cancelled')
+  err.name = 'AbortError'
+  return err
+}
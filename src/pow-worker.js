@@ -0,0 +1,15 @@
+// Web Worker side of minePow(): mines one job, posts progress, then the
+// result. Cancelling is done by terminating the worker.
+
+import { mineInChunks } from './pow-core.js'
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await mineInChunks(data, {
+      onProgress: (p) => self.postMessage({ type: 'progress', ...p })
+    })
+    self.postMessage({ type: 'done', ...result })
+  } catch (e) {
+    self.postMessage({ type: 'error', message: e.message })
+  }
+}
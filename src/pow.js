@@ -0,0 +1,46 @@
+// NIP-13 proof of work off the main thread: minePow() runs a job from
+// pow-core.js in a Web Worker (pow-worker.js) with progress and cancel.
+// The worker imports pow-core.js, never this module, so the two don't
+// import each other.
+
+import { abortError, mineInChunks } from './pow-core.js'
+
+function defaultCreateWorker() {
+  if (typeof Worker === 'undefined') return null
+  return new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' })
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0))
+
+// Mine `job` ({ template, pubkey, bits, maxIters?, chunkSize? }) off the
+// main thread. Aborting `signal` terminates the worker and rejects with an
+// AbortError. Without Worker support it mines in-thread between frames.
+export function minePow(job, { onProgress, signal, createWorker = defaultCreateWorker } = {}) {
+  const worker = job.bits > 0 ? createWorker() : null
+  if (!worker) return mineInChunks(job, { onProgress, signal, pause: yieldToEventLoop })
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      signal?.removeEventListener('abort', cancel)
+      worker.terminate()
+    }
+    const cancel = () => {
+      finish()
+      reject(abortError())
+    }
+    if (signal?.aborted) return cancel()
+    signal?.addEventListener('abort', cancel, { once: true })
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') return onProgress?.(data)
+      finish()
+      if (data.type === 'error') reject(new Error(data.message))
+      else resolve({ event: data.event, tried: data.tried, best: data.best })
+    }
+    worker.onerror = (e) => {
+      finish()
+      reject(new Error(e.message || 'PoW worker failed'))
+    }
+    worker.postMessage(job)
+  })
+}
@@ -0,0 +1,205 @@
+// Profiles: kind-0 metadata, parsed, cached and fetched in batches, plus
+// NIP-05 verification and the NIP-57 zapper key. Listeners get
+// (pubkey, profile) when one changes.
+// The cache is the event store (IndexedDB) when given one, else storage.
+
+import { nip19, verifySignature } from 'nostr-tools'
+
+import { lnurlPayUrl, resolveZapper } from './interop.js'
+import { queryRelays } from './relays.js'
+
+export const KIND_METADATA = 0
+
+const STORAGE_KEY = 'nostr-karma-profiles'
+const HEX64 = /^[0-9a-f]{64}$/
+
+// kind-0 event -> { pubkey, name, picture, nip05, about, lud16, lud06, created_at }
+// or null.
+// Only http(s) pictures survive; names are trimmed and capped.
+export function parseProfile(ev) {
+  if (!ev || ev.kind !== KIND_METADATA || !HEX64.test(ev.pubkey || '')) return null
+  let meta
+  try {
+    meta = JSON.parse(ev.content)
+  } catch {
+    return null
+  }
+  if (!meta || typeof meta !== 'object') return null
+
+  const text = (v, max) => (typeof v === 'string' ? v.trim().slice(0, max) : '')
+  const picture = text(meta.picture, 2000)
+  return {
+    pubkey: ev.pubkey,
+    name: text(meta.display_name, 64) || text(meta.displayName, 64) || text(meta.name, 64),
+    picture: /^https?:\/\//i.test(picture) ? picture : '',
+    nip05: text(meta.nip05, 320).toLowerCase(),
+    about: text(meta.about, 1000),
+    lud16: text(meta.lud16, 320).toLowerCase(),
+    lud06: text(meta.lud06, 2000).toLowerCase(),
+    created_at: ev.created_at || 0
+  }
+}
+
+export function shortKey(pubkey) {
+  const npub = nip19.npubEncode(pubkey)
+  return `${npub.slice(0, 10)}…${npub.slice(-6)}`
+}
+
+export function displayName(profile, pubkey = profile?.pubkey) {
+  return profile?.name || shortKey(pubkey)
+}
+
+// NIP-05: the pubkey https://<domain>/.well-known/nostr.json maps the
+// name to, or null
+export async function resolveNip05(nip05, fetchImpl = globalThis.fetch) {
+  const match = /^([a-z0-9._-]+)@([a-z0-9.-]+\.[a-z]{2,})$/i.exec((nip05 || '').trim())
+  if (!match || !fetchImpl) return null
+  const [, name, domain] = match
+  try {
+    const res = await fetchImpl(`https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`)
+    if (!res.ok) return null
+    const json = await res.json()
+    const pubkey = json?.names?.[name]
+    return HEX64.test(pubkey || '') ? pubkey : null
+  } catch {
+    return null
+  }
+}
+
+// NIP-05: true if the domain maps the name to pubkey
+export async function verifyNip05(nip05, pubkey, fetchImpl = globalThis.fetch) {
+  return (await resolveNip05(nip05, fetchImpl)) === pubkey
+}
+
+export class ProfileService {
+  constructor({
+    getRelays = () => [],
+    storage = globalThis.localStorage,
+    eventStore = null,      // EventStore: keeps the raw kind-0s instead of storage
+    fetchImpl = globalThis.fetch,
+    batchDelayMs = 100,     // how long requests accumulate before a query
+    maxBatch = 100,         // authors per filter
+    timeoutMs = 4000,
+    maxCached = 500         // profiles kept in storage
+  } = {}) {
+    this.getRelays = getRelays
+    this.storage = storage
+    this.eventStore = eventStore
+    this.fetchImpl = fetchImpl
+    this.batchDelayMs = batchDelayMs
+    this.maxBatch = maxBatch
+    this.timeoutMs = timeoutMs
+    this.maxCached = maxCached
+
+    this.profiles = new Map()    // pubkey -> profile
+    this.fetched = new Set()     // pubkeys already queried this session
+    this.queue = new Set()
+    this.batchTimer = null
+    this.verified = new Map()    // `${pubkey}:${nip05}` -> Promise<boolean>
+    this.zappers = new Map()     // LNURL-pay url -> Promise<nostrPubkey | null>
+    this.listeners = new Set()
+
+    this.ready = this.load()
+  }
+
+  onUpdate(cb) {
+    this.listeners.add(cb)
+    return () => this.listeners.delete(cb)
+  }
+
+  get(pubkey) {
+    return this.profiles.get(pubkey) || null
+  }
+
+  // every profile in memory (mention autocomplete)
+  all() {
+    return [...this.profiles.values()]
+  }
+
+  request(pubkey, { force = false } = {}) {
+    if (!HEX64.test(pubkey || '')) return
+    if (!force && this.fetched.has(pubkey)) return
+    this.queue.add(pubkey)
+    if (!this.batchTimer) this.batchTimer = setTimeout(() => this.flush(), this.batchDelayMs)
+  }
+
+  async flush() {
+    this.batchTimer = null
+    const relays = this.getRelays()
+    if (!relays.length) return   // stays queued until retry() with relays
+    const pubkeys = [...this.queue]
+    this.queue.clear()
+
+    for (let i = 0; i < pubkeys.length; i += this.maxBatch) {
+      const chunk = pubkeys.slice(i, i + this.maxBatch)
+      const events = await queryRelays(relays, [{ kinds: [KIND_METADATA], authors: chunk }], this.timeoutMs)
+      chunk.forEach(pk => this.fetched.add(pk))
+      this.add(events)
+    }
+  }
+
+  // a relay connected: ask again for everything still waiting
+  retry() {
+    if (this.queue.size && !this.batchTimer) this.batchTimer = setTimeout(() => this.flush(), this.batchDelayMs)
+  }
+
+  // keep the newest kind-0 per author; relays can't forge someone's name
+  // (events from our own store were verified before they went in)
+  add(events, { persist = true, verify = true } = {}) {
+    const changed = new Map()   // pubkey -> kind-0 event
+    for (const ev of events) {
+      const profile = parseProfile(ev)
+      if (!profile || (verify && !verifySignature(ev))) continue
+      const prev = this.profiles.get(profile.pubkey)
+      if (prev && prev.created_at >= profile.created_at) continue
+      this.profiles.delete(profile.pubkey)   // re-insert: most recent last
+      this.profiles.set(profile.pubkey, profile)
+      changed.set(profile.pubkey, ev)
+    }
+    if (!changed.size) return
+    if (persist) this.save([...changed.values()])
+    for (const pubkey of changed.keys()) this.emit(this.profiles.get(pubkey))
+  }
+
+  emit(profile) {
+    for (const cb of this.listeners) cb(profile.pubkey, profile)
+  }
+
+  // cached per pubkey + identifier, so a profile change re-verifies
+  verify(pubkey) {
+    const profile = this.get(pubkey)
+    if (!profile?.nip05) return Promise.resolve(false)
+    const key = `${pubkey}:${profile.nip05}`
+    if (!this.verified.has(key)) this.verified.set(key, verifyNip05(profile.nip05, pubkey, this.fetchImpl))
+    return this.verified.get(key)
+  }
+
+  // the key the author's LNURL server signs zap receipts with, or null;
+  // cached per pay url, so a new lightning address is looked up again
+  zapper(pubkey) {
+    const url = lnurlPayUrl(this.get(pubkey))
+    if (!url) return Promise.resolve(null)
+    if (!this.zappers.has(url)) this.zappers.set(url, resolveZapper(url, this.fetchImpl))
+    return this.zappers.get(url)
+  }
+
+  // resolves once cached profiles are in memory
+  async load() {
+    if (this.eventStore) return this.add(await this.eventStore.profiles(), { persist: false, verify: false })
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]')
+      for (const profile of saved) {
+        if (HEX64.test(profile?.pubkey || '')) this.profiles.set(profile.pubkey, profile)
+      }
+    } catch {}
+  }
+
+  // the most recently updated profiles win when over maxCached
+  save(events) {
+    if (this.eventStore) return this.eventStore.putProfiles(events)
+    const all = [...this.profiles.values()]
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(all.slice(-this.maxCached)))
+    } catch {}
+  }
+}
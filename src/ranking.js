@@ -0,0 +1,106 @@
+// Feed ordering from vote data: New, Hot, Top (24h / 7d / all) and
+// Controversial. Headless; the client keeps one entry per rendered post,
+//   { id, created_at, score, ups, downs }
+// where score comes from the active scoring mode (src/scoring.js).
+
+import { latestVotesByVoter } from './karma.js'
+import { KIND_REACTION, zapsBySender } from './interop.js'
+
+export const FEED_SORTS = [
+  { id: 'new',           label: 'New' },
+  { id: 'hot',           label: 'Hot' },
+  { id: 'top-24h',       label: 'Top (24h)' },
+  { id: 'top-7d',        label: 'Top (7d)' },
+  { id: 'top-all',       label: 'Top (all time)' },
+  { id: 'controversial', label: 'Controversial' }
+]
+
+export const DEFAULT_SORT = 'new'
+
+// posts older than this drop out of a Top view (still rendered, just hidden)
+export const TOP_WINDOWS = {
+  'top-24h': 24 * 3600,
+  'top-7d':  7 * 24 * 3600,
+  'top-all': Infinity
+}
+
+// latest non-zero vote per voter, split by sign
+export function voteCounts(voteEvents) {
+  let ups = 0
+  let downs = 0
+  for (const vote of latestVotesByVoter(voteEvents).values()) {
+    if (vote.sign > 0) ups++
+    else if (vote.sign < 0) downs++
+  }
+  return { ups, downs }
+}
+
+// the same counts split by where they came from: karma votes, NIP-25
+// reactions (one voice per voter across both), and zaps summed per sender
+export function sourceCounts(voteEvents) {
+  const counts = {
+    votes:     { ups: 0, downs: 0 },
+    reactions: { ups: 0, downs: 0 },
+    zaps:      { count: 0, sats: 0, points: 0 }
+  }
+  for (const vote of latestVotesByVoter(voteEvents).values()) {
+    if (!vote.sign) continue
+    const bucket = vote.event.kind === KIND_REACTION ? counts.reactions : counts.votes
+    bucket[vote.sign > 0 ? 'ups' : 'downs']++
+  }
+  for (const zap of zapsBySender(voteEvents).values()) {
+    counts.zaps.count += zap.count
+    counts.zaps.sats += Math.floor(zap.msats / 1000)
+    counts.zaps.points += zap.points
+  }
+  return counts
+}
+
+// Reddit-style hot rank: log of the score plus age, so every 12.5h of
+// recency is worth 10x the score. Doesn't depend on "now", so the order
+// only changes when a score does.
+const HOT_EPOCH = 1700000000
+export function hotRank({ score = 0, created_at = 0 }) {
+  const order = Math.log10(Math.max(Math.abs(score), 1))
+  return Math.sign(score) * order + (created_at - HOT_EPOCH) / 45000
+}
+
+// lots of votes, split close to evenly; 0 without both ups and downs
+export function controversy({ ups = 0, downs = 0 }) {
+  if (ups <= 0 || downs <= 0) return 0
+  const balance = ups > downs ? downs / ups : ups / downs
+  return (ups + downs) ** balance
+}
+
+function sortKey(sort, post) {
+  switch (sort) {
+    case 'hot':           return hotRank(post)
+    case 'controversial': return controversy(post)
+    case 'new':           return post.created_at || 0
+    default:              return post.score || 0   // top-*
+  }
+}
+
+export function inSortWindow(sort, post, now = Math.floor(Date.now() / 1000)) {
+  const window = TOP_WINDOWS[sort]
+  return window === undefined || now - (post.created_at || 0) <= window
+}
+
+// Order posts for `sort`. Ties fall back to newest first, then id, so equal
+// posts never swap places between reorders. Returns ids:
+//   { visible, hidden } — hidden are outside a Top window, newest first
+export function rankPosts(posts, sort = DEFAULT_SORT, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const byNewest = (a, b) => (b.created_at || 0) - (a.created_at || 0) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+
+  const visible = []
+  const hidden = []
+  for (const post of posts) (inSortWindow(sort, post, now) ? visible : hidden).push(post)
+
+  const keyed = visible.map(post => ({ post, key: sortKey(sort, post) }))
+  keyed.sort((a, b) => b.key - a.key || byNewest(a.post, b.post))
+
+  return {
+    visible: keyed.map(({ post }) => post.id),
+    hidden: hidden.sort(byNewest).map(post => post.id)
+  }
+}
@@ -0,0 +1,310 @@
+// Relay manager: the user's relay list (persisted), read/write roles,
+// parallel connects, reconnect with exponential backoff, per-relay stats
+// and NIP-11 information documents.
+
+import { relayInit } from 'nostr-tools'
+
+export const KIND_RELAY_LIST = 10002   // NIP-65: ['r', url] or ['r', url, 'read'|'write']
+
+export const DEFAULT_RELAYS = [
+  'wss://relay.damus.io',
+  'wss://nos.lol',
+  'wss://relay.snort.social',
+  'wss://relay.nostr.band'
+]
+
+const STORAGE_KEY = 'nostr-karma-relays'
+
+// 'wss://Relay.Example/' -> 'wss://relay.example'; null if not a ws(s) url
+export function normalizeRelayUrl(input) {
+  try {
+    const url = new URL((input || '').trim())
+    if (url.protocol !== 'wss:' && url.protocol !== 'ws:') return null
+    url.hash = ''
+    return url.toString().replace(/\/+$/, '')
+  } catch {
+    return null
+  }
+}
+
+// NIP-65 relay list event -> [{ url, read, write }]
+export function parseRelayList(ev) {
+  const out = new Map()
+  for (const tag of ev?.tags || []) {
+    if (tag[0] !== 'r') continue
+    const url = normalizeRelayUrl(tag[1])
+    if (!url) continue
+    const marker = tag[2]
+    const prev = out.get(url) || { url, read: false, write: false }
+    if (!marker || marker === 'read') prev.read = true
+    if (!marker || marker === 'write') prev.write = true
+    out.set(url, prev)
+  }
+  return [...out.values()]
+}
+
+// delay before reconnect attempt `attempt` (0-based), with ±20% jitter
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 60000, random = Math.random } = {}) {
+  const delay = Math.min(maxMs, baseMs * 2 ** attempt)
+  return Math.round(delay * (0.8 + 0.4 * random()))
+}
+
+// NIP-11: the relay's information document (over http(s) at the same
+// address), or null
+export async function fetchRelayInfo(url, fetchImpl = globalThis.fetch, timeoutMs = 3000) {
+  if (!fetchImpl) return null
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeoutMs)
+  try {
+    const res = await fetchImpl(url.replace(/^ws/, 'http'), {
+      headers: { Accept: 'application/nostr+json' },
+      signal: controller.signal
+    })
+    if (!res.ok) return null
+    const info = await res.json()
+    return info && typeof info === 'object' ? info : null
+  } catch {
+    return null
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+export function supportsNip(info, nip) {
+  return Array.isArray(info?.supported_nips) && info.supported_nips.some(n => Number(n) === nip)
+}
+
+export class RelayManager {
+  constructor({
+    storage = globalThis.localStorage,
+    init = relayInit,
+    defaults = DEFAULT_RELAYS,
+    backoff = {},
+    fetchImpl = globalThis.fetch
+  } = {}) {
+    this.storage = storage
+    this.init = init
+    this.backoff = backoff
+    this.fetchImpl = fetchImpl
+
+    this.entries = new Map()   // url -> { url, read, write }
+    this.handles = new Map()   // url -> nostr-tools relay
+    this.stats = new Map()     // url -> { status, latencyMs, errors, reconnects, lastError, attempt }
+    this.timers = new Map()    // url -> pending reconnect timer
+    this.infos = new Map()     // url -> Promise of the NIP-11 document (or null)
+
+    this.listeners = { connect: new Set(), disconnect: new Set(), change: new Set() }
+
+    for (const entry of this.loadList(defaults)) this.entries.set(entry.url, entry)
+  }
+
+  on(type, cb) {
+    this.listeners[type].add(cb)
+    return () => this.listeners[type].delete(cb)
+  }
+
+  emit(type, ...args) {
+    for (const cb of this.listeners[type]) cb(...args)
+  }
+
+  // ---------- List ----------
+  loadList(defaults) {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || 'null')
+      if (Array.isArray(saved)) {
+        return saved
+          .map(e => ({ url: normalizeRelayUrl(e.url), read: e.read !== false, write: e.write !== false }))
+          .filter(e => e.url)
+      }
+    } catch {}
+    return defaults.map(url => ({ url: normalizeRelayUrl(url), read: true, write: true }))
+  }
+
+  saveList() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.list()))
+    } catch (e) {
+      console.warn('could not save relay list', e)
+    }
+  }
+
+  list() {
+    return [...this.entries.values()].map(e => ({ ...e }))
+  }
+
+  add(input, { read = true, write = true } = {}) {
+    const url = normalizeRelayUrl(input)
+    if (!url) return null
+    if (!this.entries.has(url)) {
+      this.entries.set(url, { url, read, write })
+      this.saveList()
+      this.connect(url)
+    }
+    this.emit('change')
+    return url
+  }
+
+  remove(url) {
+    if (!this.entries.delete(url)) return
+    this.saveList()
+    this.disconnect(url)
+    this.stats.delete(url)
+    this.infos.delete(url)
+    this.emit('change')
+  }
+
+  // role changes reconnect the relay so its subscriptions match the new roles
+  setRoles(url, { read, write }) {
+    const entry = this.entries.get(url)
+    if (!entry) return
+    if (read !== undefined) entry.read = !!read
+    if (write !== undefined) entry.write = !!write
+    this.saveList()
+    this.disconnect(url)
+    this.connect(url)
+    this.emit('change')
+  }
+
+  // merge a NIP-65 list into ours; returns the number of relays added
+  importRelayList(ev) {
+    let added = 0
+    for (const { url, read, write } of parseRelayList(ev)) {
+      const entry = this.entries.get(url)
+      if (entry) {
+        this.setRoles(url, { read: entry.read || read, write: entry.write || write })
+      } else {
+        this.add(url, { read, write })
+        added++
+      }
+    }
+    return added
+  }
+
+  // ---------- Connections ----------
+  connectAll() {
+    return Promise.allSettled([...this.entries.keys()].map(url => this.connect(url)))
+  }
+
+  async connect(url) {
+    const entry = this.entries.get(url)
+    if (!entry) return
+    clearTimeout(this.timers.get(url))
+    this.timers.delete(url)
+
+    let relay = this.handles.get(url)
+    if (!relay) {
+      relay = this.init(url)
+      this.handles.set(url, relay)
+      this.watch(url, relay)
+    }
+
+    const stats = this.statsFor(url)
+    stats.status = 'connecting'
+    stats.startedAt = Date.now()
+    this.emit('change')
+
+    try {
+      await relay.connect()
+    } catch (e) {
+      this.fail(url, e)
+    }
+  }
+
+  // skip the backoff for relays waiting to reconnect (e.g. back online)
+  reconnectNow() {
+    for (const [url, stats] of this.stats) {
+      if (stats.status === 'waiting' && this.entries.has(url)) this.connect(url)
+    }
+  }
+
+  watch(url, relay) {
+    relay.on('connect', () => {
+      if (this.handles.get(url) !== relay) return
+      const stats = this.statsFor(url)
+      stats.status = 'connected'
+      stats.latencyMs = Date.now() - (stats.startedAt || Date.now())
+      stats.attempt = 0
+      this.emit('connect', relay, this.entries.get(url))
+      this.emit('change')
+    })
+    relay.on('disconnect', () => {
+      if (this.handles.get(url) !== relay) return
+      this.fail(url, new Error('disconnected'))
+    })
+    relay.on('error', () => {
+      if (this.handles.get(url) !== relay) return
+      this.fail(url, new Error('connection error'))
+    })
+    relay.on('notice', (msg) => {
+      this.statsFor(url).lastNotice = msg
+    })
+  }
+
+  fail(url, err) {
+    if (!this.entries.has(url)) return
+    const stats = this.statsFor(url)
+    const wasConnected = stats.status === 'connected'
+    if (stats.status === 'waiting') return   // error + disconnect for the same drop
+
+    stats.status = 'waiting'
+    stats.errors++
+    stats.lastError = err?.message || String(err || 'error')
+    if (wasConnected) this.emit('disconnect', this.handles.get(url), this.entries.get(url))
+
+    const delay = backoffDelay(stats.attempt++, this.backoff)
+    stats.retryAt = Date.now() + delay
+    this.timers.set(url, setTimeout(() => {
+      this.timers.delete(url)
+      stats.reconnects++
+      this.connect(url)
+    }, delay))
+    this.emit('change')
+  }
+
+  disconnect(url) {
+    clearTimeout(this.timers.get(url))
+    this.timers.delete(url)
+    const relay = this.handles.get(url)
+    this.handles.delete(url)
+    if (!relay) return
+    const stats = this.stats.get(url)
+    if (stats?.status === 'connected') this.emit('disconnect', relay, this.entries.get(url) || { url })
+    if (stats) stats.status = 'disconnected'
+    try { relay.close() } catch {}
+  }
+
+  close() {
+    for (const url of [...this.handles.keys()]) this.disconnect(url)
+  }
+
+  statsFor(url) {
+    if (!this.stats.has(url)) {
+      this.stats.set(url, { status: 'idle', latencyMs: null, errors: 0, reconnects: 0, lastError: null, attempt: 0 })
+    }
+    return this.stats.get(url)
+  }
+
+  // ---------- Relay info ----------
+  // NIP-11 document, fetched once per session; failures are not retried
+  info(url) {
+    if (!this.infos.has(url)) this.infos.set(url, fetchRelayInfo(url, this.fetchImpl))
+    return this.infos.get(url)
+  }
+
+  // ---------- Views ----------
+  isConnected(url) {
+    return this.stats.get(url)?.status === 'connected'
+  }
+
+  connected() {
+    return [...this.handles.entries()].filter(([url]) => this.isConnected(url)).map(([, r]) => r)
+  }
+
+  readRelays() {
+    return this.connected().filter(r => this.entries.get(r.url)?.read)
+  }
+
+  writeRelays() {
+    return this.connected().filter(r => this.entries.get(r.url)?.write)
+  }
+}
@@ -0,0 +1,207 @@
+// Relay access layer: subscriptions, fetches and publishing over
+// nostr-tools relay handles. Knows filters and kinds, nothing about the DOM.
+
+import { verifySignature } from 'nostr-tools'
+
+import { KIND_NOTE, KIND_KARMA_VOTE } from './karma.js'
+import { KIND_REPORT, KIND_REPORT_REVIEW } from './moderation.js'
+import { KIND_CONTACTS, latestContactLists, parseContactList, trustDistances } from './follows.js'
+import { KIND_METADATA } from './profiles.js'
+
+// one-shot query: collect everything the relay sends within `timeoutMs`
+export function collectFromRelay(relay, filters, timeoutMs = 3000) {
+  return new Promise((resolve) => {
+    const out = {}
+    const sub = relay.sub(filters)
+
+    sub.on('event', (ev) => { out[ev.id] = ev })
+
+    setTimeout(() => {
+      try { sub.unsub() } catch {}
+      resolve(Object.values(out))
+    }, timeoutMs)
+  })
+}
+
+// one-shot query that ends on EOSE; `timeoutMs` only guards against relays
+// that never send one
+export function collectUntilEose(relay, filters, timeoutMs = 4000) {
+  return new Promise((resolve) => {
+    const out = {}
+    const sub = relay.sub(filters)
+    let done = false
+
+    const finish = () => {
+      if (done) return
+      done = true
+      clearTimeout(timer)
+      try { sub.unsub() } catch {}
+      resolve(Object.values(out))
+    }
+
+    sub.on('event', (ev) => { out[ev.id] = ev })
+    sub.on('eose', finish)
+    const timer = setTimeout(finish, timeoutMs)
+  })
+}
+
+// EOSE-terminated query against all relays in parallel, deduplicated by id
+export async function queryRelays(relays, filters, timeoutMs = 4000) {
+  const results = await Promise.allSettled(relays.map(r => collectUntilEose(r, filters, timeoutMs)))
+  const byId = {}
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      for (const ev of result.value) byId[ev.id] = ev
+    } else {
+      console.warn('query error on relay', relays[i].url, result.reason)
+    }
+  })
+  return Object.values(byId)
+}
+
+// same query across relays, deduplicated by event id
+export async function collectFromRelays(relays, filters, timeoutMs = 3000) {
+  const byId = {}
+  for (const relay of relays) {
+    try {
+      const events = await collectFromRelay(relay, filters, timeoutMs)
+      for (const ev of events) byId[ev.id] = ev
+    } catch (e) {
+      console.warn('fetch error on relay', relay.url, e)
+    }
+  }
+  return Object.values(byId)
+}
+
+export function publishToRelays(relays, ev) {
+  return Promise.allSettled(relays.map(r => r.status === 1 && r.publish(ev)))
+}
+
+// ---------- Queries ----------
+export function fetchVotesForPost(relays, eventIdHex, timeoutMs = 4000) {
+  return collectFromRelays(relays, [{ kinds: [KIND_KARMA_VOTE], '#e': [eventIdHex], limit: 200 }], timeoutMs)
+}
+
+// every vote a user received: user-level votes and per-post votes both 'p'-tag them
+export function fetchVotesForUser(relays, pubkeyHex, timeoutMs = 4000) {
+  return collectFromRelays(relays, [{ kinds: [KIND_KARMA_VOTE], '#p': [pubkeyHex], limit: 1000 }], timeoutMs)
+}
+
+export async function fetchNote(relays, eventIdHex, timeoutMs = 3000) {
+  for (const relay of relays) {
+    try {
+      const [ev] = await collectFromRelay(relay, [{ ids: [eventIdHex], limit: 1 }], timeoutMs)
+      if (ev) return ev
+    } catch (e) {
+      console.warn('note lookup error on relay', relay.url, e)
+    }
+  }
+  return null
+}
+
+export async function fetchModerationForPost(relays, eventIdHex, timeoutMs = 4000) {
+  return (await fetchModerationForPosts(relays, [eventIdHex], { timeoutMs })).get(eventIdHex)
+}
+
+// reports and reviews for many posts: one EOSE-terminated '#e' query per
+// relay and batch, split back per post: Map(post id -> { reports, reviews })
+export async function fetchModerationForPosts(relays, eventIds, { maxBatch = 100, timeoutMs = 4000 } = {}) {
+  const byPost = new Map(eventIds.map(id => [id, { reports: [], reviews: [] }]))
+  for (let i = 0; i < eventIds.length; i += maxBatch) {
+    const chunk = eventIds.slice(i, i + maxBatch)
+    const filters = [{ kinds: [KIND_REPORT, KIND_REPORT_REVIEW], '#e': chunk, limit: Math.min(5000, chunk.length * 100) }]
+    for (const ev of await queryRelays(relays, filters, timeoutMs)) {
+      const post = ev.tags.find(t => t[0] === 'e' && byPost.has(t[1]))?.[1]
+      if (!post) continue
+      byPost.get(post)[ev.kind === KIND_REPORT ? 'reports' : 'reviews'].push(ev)
+    }
+  }
+  return byPost
+}
+
+// A note's descendants. NIP-10 replies tag the root, but replies from
+// clients that only tag their parent are found by following the new ids
+// for up to `maxDepth` more rounds.
+export async function fetchThread(relays, rootId, { maxDepth = 3, timeoutMs = 4000 } = {}) {
+  const byId = {}
+  let frontier = [rootId]
+  for (let round = 0; round <= maxDepth && frontier.length; round++) {
+    const found = await queryRelays(relays, [{ kinds: [KIND_NOTE], '#e': frontier, limit: 500 }], timeoutMs)
+    frontier = []
+    for (const ev of found) {
+      if (byId[ev.id] || ev.id === rootId) continue
+      byId[ev.id] = ev
+      frontier.push(ev.id)
+    }
+  }
+  return Object.values(byId)
+}
+
+// every vote `pubkeyHex` signed, post- and user-level; unsigned or
+// misattributed events are dropped
+export async function fetchVotesByVoter(relays, pubkeyHex, { limit = 1000, timeoutMs = 4000 } = {}) {
+  const events = await queryRelays(relays, [{ kinds: [KIND_KARMA_VOTE], authors: [pubkeyHex], limit }], timeoutMs)
+  return events.filter(ev => ev.pubkey === pubkeyHex && verifySignature(ev))
+}
+
+export function fetchNotesByAuthor(relays, pubkeyHex, { limit = 20, timeoutMs = 4000 } = {}) {
+  return queryRelays(relays, [{ kinds: [KIND_NOTE], authors: [pubkeyHex], limit }], timeoutMs)
+}
+
+// How much kind-0/kind-1 history each key has: Map(pubkey -> events found),
+// 0 for keys nothing came back for. Profiles are replaceable, so one per
+// key. Notes are asked for per batch with a shared limit; when a batch hits
+// it, a few prolific keys may have used it all up, so the keys that came
+// back empty are asked again one filter each (limit 1, `filtersPerReq` per
+// REQ) before they count as having no history.
+export async function fetchVoterHistory(relays, pubkeys, { maxBatch = 100, notesPerKey = 3, filtersPerReq = 10, timeoutMs = 4000 } = {}) {
+  const history = new Map(pubkeys.map(pk => [pk, 0]))
+  const count = (events) => {
+    for (const ev of events) {
+      if (history.has(ev.pubkey)) history.set(ev.pubkey, history.get(ev.pubkey) + 1)
+    }
+  }
+
+  for (let i = 0; i < pubkeys.length; i += maxBatch) {
+    const authors = pubkeys.slice(i, i + maxBatch)
+    const limit = authors.length * notesPerKey
+    const events = await queryRelays(relays, [
+      { kinds: [KIND_METADATA], authors },
+      { kinds: [KIND_NOTE], authors, limit }
+    ], timeoutMs)
+    count(events)
+    if (events.filter(ev => ev.kind === KIND_NOTE).length < limit) continue
+
+    const unsure = authors.filter(pk => history.get(pk) === 0)
+    for (let j = 0; j < unsure.length; j += filtersPerReq) {
+      const filters = unsure.slice(j, j + filtersPerReq).map(pk => ({ kinds: [KIND_NOTE], authors: [pk], limit: 1 }))
+      count(await queryRelays(relays, filters, timeoutMs))
+    }
+  }
+  return history
+}
+
+// newest signed kind-3 per author: Map(pubkey -> event)
+export async function fetchContactLists(relays, pubkeys, { maxBatch = 100, timeoutMs = 4000 } = {}) {
+  const asked = new Set(pubkeys)
+  const events = []
+  for (let i = 0; i < pubkeys.length; i += maxBatch) {
+    const authors = pubkeys.slice(i, i + maxBatch)
+    events.push(...await queryRelays(relays, [{ kinds: [KIND_CONTACTS], authors }], timeoutMs))
+  }
+  return latestContactLists(events.filter(ev => asked.has(ev.pubkey) && verifySignature(ev)))
+}
+
+// Follow graph around `root`, one hop of contact lists at a time:
+// Map(pubkey -> hops). At most `maxAuthors` lists are fetched per hop.
+export async function fetchWebOfTrust(relays, root, { hops = 2, maxAuthors = 1000, timeoutMs = 4000 } = {}) {
+  const lists = new Map()   // pubkey -> follows
+  let frontier = [root]
+  for (let d = 0; d < hops && frontier.length; d++) {
+    const wanted = frontier.slice(0, maxAuthors)
+    const found = await fetchContactLists(relays, wanted, { timeoutMs })
+    for (const pk of wanted) lists.set(pk, parseContactList(found.get(pk)))
+    frontier = [...new Set(wanted.flatMap(pk => lists.get(pk)))].filter(pk => !lists.has(pk))
+  }
+  return trustDistances(root, pk => lists.get(pk) || [], hops)
+}
@@ -0,0 +1,100 @@
+// Scheduled posts: events signed at compose time (created_at = the chosen
+// time) wait here, persisted, until they are due. Each tick hands the due
+// ones to `publish`; an event stays queued until some relay accepts it.
+
+const STORAGE_KEY = 'nostr-karma-scheduled'
+
+export class ScheduledQueue {
+  constructor({
+    storage = globalThis.localStorage,
+    publish = async () => ({ ok: 0 }),   // event -> { ok, total } (Outbox.publish)
+    tickMs = 15000
+  } = {}) {
+    this.storage = storage
+    this.publish = publish
+    this.tickMs = tickMs
+    this.entries = new Map()   // event id -> { event, publishAt (ms) }
+    this.listeners = new Set()
+    this.timer = null
+    this.running = null
+    this.load()
+  }
+
+  onChange(cb) {
+    this.listeners.add(cb)
+    return () => this.listeners.delete(cb)
+  }
+
+  emit() {
+    for (const cb of this.listeners) cb(this.list())
+  }
+
+  add(event, publishAt = event.created_at * 1000) {
+    this.entries.set(event.id, { event, publishAt })
+    this.save()
+    this.emit()
+  }
+
+  remove(id) {
+    if (!this.entries.delete(id)) return
+    this.save()
+    this.emit()
+  }
+
+  // soonest first
+  list() {
+    return [...this.entries.values()].sort((a, b) => a.publishAt - b.publishAt)
+  }
+
+  // publish everything due; resolves to the events that went out
+  tick(now = Date.now()) {
+    if (!this.running) this.running = this.publishDue(now).finally(() => { this.running = null })
+    return this.running
+  }
+
+  async publishDue(now) {
+    const sent = []
+    for (const { event, publishAt } of this.list()) {
+      if (publishAt > now) break
+      try {
+        const result = await this.publish(event)
+        if (!result?.ok) continue
+        this.entries.delete(event.id)
+        sent.push(event)
+      } catch (e) {
+        console.warn('scheduled publish failed', e)
+      }
+    }
+    if (sent.length) {
+      this.save()
+      this.emit()
+    }
+    return sent
+  }
+
+  start() {
+    this.stop()
+    this.timer = setInterval(() => this.tick(), this.tickMs)
+    return this.tick()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]')
+      for (const entry of saved) {
+        if (entry?.event?.id && Number.isFinite(entry.publishAt)) this.entries.set(entry.event.id, entry)
+      }
+    } catch {}
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify([...this.entries.values()]))
+    } catch {}
+  }
+}
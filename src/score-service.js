@@ -0,0 +1,195 @@
+// Score service: keeps vote events for the posts on screen up to date.
+//  - requests are batched into combined '#e' filters
+//  - relay queries end on EOSE, not a fixed timeout
+//  - votes are cached in memory and IndexedDB (VoteCache)
+//  - one live subscription per relay covers every watched post
+//  - with an indexer configured, batches ask it first and fall back to
+//    the relays when it fails
+//  - getKinds() picks what counts: karma votes, plus NIP-25 reactions and
+//    NIP-57 zap receipts in the compatibility mode (src/interop.js)
+// Listeners get (postId, voteEvents) whenever a post's votes change.
+
+import { KIND_KARMA_VOTE } from './karma.js'
+import { queryRelays } from './relays.js'
+import { VoteCache } from './vote-cache.js'
+
+export class ScoreService {
+  constructor({
+    getRelays = () => [],
+    getIndexer = () => null,  // IndexerClient or null
+    getKinds = () => [KIND_KARMA_VOTE],
+    cache = new VoteCache(),
+    batchDelayMs = 50,      // how long requests accumulate before a query
+    maxBatch = 100,         // post ids per '#e' filter
+    timeoutMs = 4000,       // fallback for relays that never send EOSE
+    liveDelayMs = 250       // debounce for live resubscription
+  } = {}) {
+    this.getRelays = getRelays
+    this.getIndexer = getIndexer
+    this.getKinds = getKinds
+    this.cache = cache
+    this.batchDelayMs = batchDelayMs
+    this.maxBatch = maxBatch
+    this.timeoutMs = timeoutMs
+    this.liveDelayMs = liveDelayMs
+
+    this.listeners = new Set()
+    this.watched = new Set()     // post ids kept live
+    this.fetched = new Set()     // post ids already queried from relays
+    this.queue = new Set()       // post ids waiting for the next batch
+    this.batchTimer = null
+
+    this.liveRelays = new Set()
+    this.liveSubs = new Map()    // relay -> sub
+    this.liveTimer = null
+  }
+
+  onUpdate(cb) {
+    this.listeners.add(cb)
+    return () => this.listeners.delete(cb)
+  }
+
+  get(postId) {
+    return this.cache.get(postId)
+  }
+
+  has(postId) {
+    return this.cache.has(postId)
+  }
+
+  // start tracking a post: cached votes right away, relay fetch in the
+  // next batch, live updates after that
+  watch(postId) {
+    this.watched.add(postId)
+    if (this.cache.has(postId)) this.emit([postId])
+    this.request(postId)
+    this.scheduleLive()
+  }
+
+  unwatch(postId) {
+    if (this.watched.delete(postId)) this.scheduleLive()
+  }
+
+  request(postId, { force = false } = {}) {
+    if (!force && this.fetched.has(postId)) return
+    this.queue.add(postId)
+    if (!this.batchTimer) this.batchTimer = setTimeout(() => this.flush(), this.batchDelayMs)
+  }
+
+  // the kinds changed: ask again for every watched post, and go live on them
+  refetch() {
+    this.fetched.clear()
+    for (const id of this.watched) this.request(id, { force: true })
+    for (const relay of this.liveRelays) this.subscribeLive(relay)
+  }
+
+  // votes we already hold (e.g. our own freshly signed one)
+  add(events) {
+    this.emit(this.cache.add(events))
+  }
+
+  async flush() {
+    this.batchTimer = null
+    const ids = [...this.queue]
+    this.queue.clear()
+    if (!ids.length) return
+
+    // disk cache first so scores show before relays answer
+    this.emit(await this.cache.load(ids))
+    const rest = await this.fetchFromIndexer(ids)
+    await this.fetchBatch(this.indexerCovers() ? rest : ids, this.getRelays())
+  }
+
+  // the indexer only serves karma votes
+  indexerCovers() {
+    return !!this.getIndexer() && this.getKinds().every(kind => kind === KIND_KARMA_VOTE)
+  }
+
+  // fast path; returns the ids the indexer couldn't answer
+  async fetchFromIndexer(ids) {
+    const indexer = this.getIndexer()
+    if (!indexer) return ids
+    for (let i = 0; i < ids.length; i += this.maxBatch) {
+      const chunk = ids.slice(i, i + this.maxBatch)
+      try {
+        this.record(chunk, await indexer.votesForPosts(chunk))
+      } catch (e) {
+        console.warn('indexer unavailable, asking relays', e)
+        return ids.slice(i)
+      }
+    }
+    return []
+  }
+
+  async fetchBatch(ids, relays) {
+    if (!relays.length) return   // retried from attachRelay()
+    for (let i = 0; i < ids.length; i += this.maxBatch) {
+      const chunk = ids.slice(i, i + this.maxBatch)
+      const filters = [{ kinds: this.getKinds(), '#e': chunk, limit: Math.min(5000, chunk.length * 200) }]
+      this.record(chunk, await queryRelays(relays, filters, this.timeoutMs))
+    }
+  }
+
+  record(chunk, events) {
+    this.cache.touch(chunk)
+    this.cache.add(events)
+    chunk.forEach(id => this.fetched.add(id))
+    // every post in the batch has an answer now, even with zero votes
+    this.emit(chunk)
+  }
+
+  emit(postIds) {
+    for (const id of postIds) {
+      const votes = this.cache.get(id)
+      for (const cb of this.listeners) cb(id, votes)
+    }
+  }
+
+  // ---------- Relays ----------
+  // a relay (re)connected: catch it up on watched posts and go live on it
+  attachRelay(relay) {
+    this.liveRelays.add(relay)
+    // posts the indexer already answered don't need the relay round trip
+    const ids = this.indexerCovers() ? [...this.watched].filter(id => !this.fetched.has(id)) : [...this.watched]
+    this.fetchBatch(ids, [relay])
+    this.subscribeLive(relay)
+  }
+
+  detachRelay(relay) {
+    this.liveRelays.delete(relay)
+    this.unsubscribeLive(relay)
+  }
+
+  scheduleLive() {
+    if (this.liveTimer) return
+    this.liveTimer = setTimeout(() => {
+      this.liveTimer = null
+      for (const relay of this.liveRelays) this.subscribeLive(relay)
+    }, this.liveDelayMs)
+  }
+
+  subscribeLive(relay) {
+    this.unsubscribeLive(relay)
+    if (!this.watched.size) return
+
+    // only new votes: older ones arrive through fetchBatch
+    const since = Math.floor(Date.now() / 1000) - 60
+    const sub = relay.sub([{ kinds: this.getKinds(), '#e': [...this.watched], since }])
+    sub.on('event', (ev) => this.add([ev]))
+    this.liveSubs.set(relay, sub)
+  }
+
+  unsubscribeLive(relay) {
+    const sub = this.liveSubs.get(relay)
+    if (!sub) return
+    try { sub.unsub() } catch {}
+    this.liveSubs.delete(relay)
+  }
+
+  close() {
+    clearTimeout(this.batchTimer)
+    clearTimeout(this.liveTimer)
+    this.batchTimer = this.liveTimer = null
+    for (const relay of [...this.liveSubs.keys()]) this.unsubscribeLive(relay)
+  }
+}
@@ -0,0 +1,148 @@
+// Pluggable scoring strategies over vote events. Every mode starts from the
+// same latest-vote-per-voter rule as computeScore and only changes how much
+// each surviving vote weighs. Zap receipts (compatibility mode) add their
+// points per sender on top, weighted like a vote except in the pow and
+// stake modes: the sats were the cost already.
+
+import { latestVotesByVoter, parseVote, formatScore } from './karma.js'
+import { zapsBySender } from './interop.js'
+import { committedPow } from './validate.js'
+
+export const SCORING_MODES = [
+  { id: 'flat',       label: 'Flat (1 vote = 1)' },
+  { id: 'pow',        label: 'PoW-weighted' },
+  { id: 'stake',      label: 'Stake-weighted' },
+  { id: 'reputation', label: 'Reputation-weighted' },
+  { id: 'wilson',     label: 'Wilson lower bound' },
+  { id: 'wot',        label: 'Web of trust (follows)' }
+]
+
+export const DEFAULT_MODE = 'flat'
+
+// ---------- Weights ----------
+// +1 per `bitsPerUnit` bits of committed PoW on top of the base vote
+export function powWeight(ev, bitsPerUnit = 8) {
+  return 1 + committedPow(ev) / bitsPerUnit
+}
+
+// declared stake is unverified, so it only grows logarithmically
+export function stakeWeight(ev) {
+  const stake = parseVote(ev)?.stake || 0
+  return 1 + Math.log2(1 + stake)
+}
+
+// ---------- Reputation ----------
+// PageRank-like voter reputation over the vote graph (voter -> voted author).
+// Each voter's reputation is spread across the votes they cast; an author's
+// reputation is the damped, signed sum of what flows in:
+//   rep[a] = (1 - d) + d * Σ sign * max(0, rep[v]) / outDegree[v]
+// Negative reputation never propagates, so downvoted keys can't push others
+// around. Returns Map(pubkey -> reputation); unknown keys have (1 - d).
+export function computeReputation(voteEvents, { damping = 0.85, maxIterations = 20, tolerance = 1e-6 } = {}) {
+  // latest vote per voter per target; user-level votes target the author itself
+  const byTarget = new Map()
+  for (const ev of voteEvents) {
+    const vote = parseVote(ev)
+    if (!vote?.author) continue
+    const key = vote.post || `user:${vote.author}`
+    if (!byTarget.has(key)) byTarget.set(key, [])
+    byTarget.get(key).push(ev)
+  }
+
+  const edges = []
+  const outDegree = new Map()
+  const nodes = new Set()
+  for (const events of byTarget.values()) {
+    for (const vote of latestVotesByVoter(events).values()) {
+      nodes.add(vote.voter)
+      nodes.add(vote.author)
+      if (vote.sign === 0 || vote.voter === vote.author) continue
+      edges.push(vote)
+      outDegree.set(vote.voter, (outDegree.get(vote.voter) || 0) + 1)
+    }
+  }
+
+  let rep = new Map([...nodes].map(pk => [pk, 1]))
+  for (let i = 0; i < maxIterations; i++) {
+    const inflow = new Map()
+    for (const { voter, author, sign } of edges) {
+      const share = Math.max(0, rep.get(voter)) / outDegree.get(voter)
+      inflow.set(author, (inflow.get(author) || 0) + sign * share)
+    }
+
+    const next = new Map()
+    let delta = 0
+    for (const pk of nodes) {
+      const value = (1 - damping) + damping * (inflow.get(pk) || 0)
+      delta = Math.max(delta, Math.abs(value - rep.get(pk)))
+      next.set(pk, value)
+    }
+    rep = next
+    if (delta < tolerance) break
+  }
+  return rep
+}
+
+// ---------- Wilson ----------
+// lower bound of the Wilson score interval for the share of upvotes
+export function wilsonLowerBound(ups, downs, z = 1.96) {
+  const n = ups + downs
+  if (n === 0) return 0
+  const p = ups / n
+  const z2 = z * z
+  return (p + z2 / (2 * n) - z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n)
+}
+
+// ---------- Scoring ----------
+// score for one target's vote events under `mode`.
+// opts.reputation:    Map from computeReputation (reputation mode)
+// opts.damping:       used for the weight of voters missing from that map
+// opts.trusted:       Map/Set of pubkeys within N follow hops (wot mode);
+//                     votes from anyone else count for nothing
+// opts.flagged:       Set of voters flagged by the brigade check (src/sybil.js)
+// opts.flaggedWeight: what a flagged vote is multiplied by, in any mode
+export function scoreVotes(voteEvents, {
+  mode = DEFAULT_MODE,
+  reputation = new Map(),
+  damping = 0.85,
+  trusted = new Map(),
+  flagged = new Set(),
+  flaggedWeight = 1
+} = {}) {
+  const latest = [...latestVotesByVoter(voteEvents).values()]
+  const zaps = [...zapsBySender(voteEvents).values()]
+  const discount = (vote) => (flagged.has(vote.voter) ? flaggedWeight : 1)
+
+  if (mode === 'wilson') {
+    const count = (votes) => votes.reduce((sum, v) => sum + discount(v), 0)
+    const ups = count(latest.filter(v => v.sign > 0)) + zaps.reduce((sum, z) => sum + z.points * discount(z), 0)
+    const downs = count(latest.filter(v => v.sign < 0))
+    return wilsonLowerBound(ups, downs)
+  }
+
+  let score = 0
+  for (const vote of latest) {
+    if (vote.sign === 0) continue
+    score += vote.sign * voteWeight(mode, vote, reputation, damping, trusted) * discount(vote)
+  }
+  for (const zap of zaps) {
+    const weight = mode === 'pow' || mode === 'stake' ? 1 : voteWeight(mode, zap, reputation, damping, trusted)
+    score += zap.points * weight * discount(zap)
+  }
+  return score
+}
+
+function voteWeight(mode, vote, reputation, damping, trusted) {
+  switch (mode) {
+    case 'wot':        return trusted.has(vote.voter) ? 1 : 0
+    case 'pow':        return powWeight(vote.event)
+    case 'stake':      return stakeWeight(vote.event)
+    case 'reputation': return Math.max(0, reputation.get(vote.voter) ?? (1 - damping))
+    default:           return 1
+  }
+}
+
+export function formatModeScore(mode, score) {
+  if (mode === 'wilson') return `${Math.round(score * 100)}%`
+  return formatScore(Math.round(score * 10) / 10)
+}
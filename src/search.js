@@ -0,0 +1,38 @@
+// Search bar input: what the user typed decides the kind of search.
+//   #tag            -> { type: 'tag', tag }          '#t' feed
+//   npub / nprofile / hex pubkey -> { type: 'pubkey', pubkey }
+//   name@domain     -> { type: 'nip05', nip05 }      resolved, then the profile
+//   anything else   -> { type: 'text', text }        NIP-50 'search' filter
+
+import { nip19 } from 'nostr-tools'
+
+import { parsePubkey } from './karma.js'
+
+const NIP05_RE = /^[a-z0-9._-]+@[a-z0-9.-]+\.[a-z]{2,}$/i
+const TAG_RE = /^#([\p{L}\p{N}_-]+)$/u
+
+export function parseSearch(input) {
+  const value = (input || '').trim().replace(/^nostr:/, '').replace(/^@(?=npub1|nprofile1)/, '')
+  if (!value) return null
+
+  const tag = TAG_RE.exec(value)
+  if (tag) return { type: 'tag', tag: tag[1].toLowerCase() }
+
+  const pubkey = parsePubkey(value)
+  if (pubkey) return { type: 'pubkey', pubkey }
+  if (value.startsWith('nprofile1')) {
+    try {
+      const { type, data } = nip19.decode(value)
+      if (type === 'nprofile') return { type: 'pubkey', pubkey: data.pubkey }
+    } catch {}
+  }
+
+  if (NIP05_RE.test(value)) return { type: 'nip05', nip05: value.toLowerCase() }
+  return { type: 'text', text: value.replace(/\s+/g, ' ') }
+}
+
+// local stand-in for NIP-50 over cached notes: every word, any case
+export function matchesSearch(ev, text) {
+  const content = (ev?.content || '').toLowerCase()
+  return text.toLowerCase().split(' ').filter(Boolean).every(word => content.includes(word))
+}
@@ -0,0 +1,241 @@
+// Signers: everything that signs goes through one interface,
+//   { type, getPublicKey(): Promise<hex>, signEvent(template): Promise<event> }
+// with three backends: a local key (encrypted at rest, NIP-49), a NIP-07
+// browser extension and a NIP-46 remote bunker.
+
+import {
+  generatePrivateKey,
+  getPublicKey,
+  finishEvent,
+  getEventHash,
+  verifySignature,
+  relayInit,
+  nip04,
+  nip19
+} from 'nostr-tools'
+import { bech32 } from '@scure/base'
+import { scrypt } from '@noble/hashes/scrypt'
+import { bytesToHex, hexToBytes, randomBytes } from '@noble/hashes/utils'
+import { xchacha20poly1305 } from '@noble/ciphers/chacha'
+
+// ---------- NIP-49 (ncryptsec) ----------
+const NCRYPTSEC_VERSION = 0x02
+const KEY_SECURITY_UNKNOWN = 0x02   // we can't tell whether the key was ever exposed
+const BECH32_LIMIT = 5000
+
+function passphraseKey(passphrase, salt, logN) {
+  return scrypt(new TextEncoder().encode(passphrase.normalize('NFKC')), salt, { N: 2 ** logN, r: 8, p: 1, dkLen: 32 })
+}
+
+export function encryptPrivateKey(privateKeyHex, passphrase, { logN = 16, keySecurity = KEY_SECURITY_UNKNOWN } = {}) {
+  const salt = randomBytes(16)
+  const nonce = randomBytes(24)
+  const ad = Uint8Array.of(keySecurity)
+  const key = passphraseKey(passphrase, salt, logN)
+  const ciphertext = xchacha20poly1305(key, nonce, ad).encrypt(hexToBytes(privateKeyHex))
+
+  const payload = new Uint8Array([NCRYPTSEC_VERSION, logN, ...salt, ...nonce, ...ad, ...ciphertext])
+  return bech32.encode('ncryptsec', bech32.toWords(payload), BECH32_LIMIT)
+}
+
+// throws on a wrong passphrase or a malformed ncryptsec
+export function decryptPrivateKey(ncryptsec, passphrase) {
+  const { prefix, words } = bech32.decode(ncryptsec, BECH32_LIMIT)
+  if (prefix !== 'ncryptsec') throw new Error('not an ncryptsec')
+  const data = bech32.fromWords(words)
+  if (data[0] !== NCRYPTSEC_VERSION) throw new Error(`unsupported ncryptsec version ${data[0]}`)
+
+  const logN = data[1]
+  const salt = data.slice(2, 18)
+  const nonce = data.slice(18, 42)
+  const ad = data.slice(42, 43)
+  const ciphertext = data.slice(43)
+  const key = passphraseKey(passphrase, salt, logN)
+  return bytesToHex(xchacha20poly1305(key, nonce, ad).decrypt(ciphertext))
+}
+
+// nsec1... or 64-char hex -> hex private key, or null
+export function parsePrivateKey(input) {
+  const value = (input || '').trim()
+  if (/^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase()
+  if (value.startsWith('nsec1')) {
+    try {
+      const { type, data } = nip19.decode(value)
+      if (type === 'nsec') return data
+    } catch {}
+  }
+  return null
+}
+
+// ---------- Local key ----------
+export class LocalSigner {
+  constructor(privateKeyHex = generatePrivateKey()) {
+    this.type = 'local'
+    this.privateKey = privateKeyHex
+    this.publicKey = getPublicKey(privateKeyHex)
+  }
+
+  static fromNcryptsec(ncryptsec, passphrase) {
+    return new LocalSigner(decryptPrivateKey(ncryptsec, passphrase))
+  }
+
+  async getPublicKey() {
+    return this.publicKey
+  }
+
+  async signEvent(template) {
+    return finishEvent(template, this.privateKey)
+  }
+
+  toNcryptsec(passphrase, opts) {
+    return encryptPrivateKey(this.privateKey, passphrase, opts)
+  }
+
+  exportNsec() {
+    return nip19.nsecEncode(this.privateKey)
+  }
+}
+
+// an extension or a bunker signs out of our sight: take back only a valid
+// event by the key this signer stands for. It is copied field by field
+// first: nostr-tools trusts a verification result cached on the object
+function checkSigned(returned, pubkey) {
+  const { id, pubkey: author, created_at, kind, tags, content, sig } = returned || {}
+  const ev = { id, pubkey: author, created_at, kind, tags, content, sig }
+  if (ev.pubkey !== pubkey) throw new Error('Signer returned an event for another key')
+  if (getEventHash(ev) !== ev.id) throw new Error('Signer returned an event with a wrong id')
+  if (!verifySignature(ev)) throw new Error('Signer returned an event with a bad signature')
+  return ev
+}
+
+// ---------- NIP-07 ----------
+export class Nip07Signer {
+  constructor(nostr = globalThis.window?.nostr) {
+    if (!nostr) throw new Error('No NIP-07 extension found (window.nostr)')
+    this.type = 'nip07'
+    this.nostr = nostr
+    this.publicKey = null
+  }
+
+  async getPublicKey() {
+    if (!this.publicKey) this.publicKey = await this.nostr.getPublicKey()
+    return this.publicKey
+  }
+
+  async signEvent(template) {
+    return checkSigned(await this.nostr.signEvent(template), await this.getPublicKey())
+  }
+}
+
+// ---------- NIP-46 ----------
+export const KIND_NOSTR_CONNECT = 24133
+
+// bunker://<remote pubkey>?relay=wss://...&secret=...
+export function parseBunkerUrl(input) {
+  try {
+    const url = new URL((input || '').trim())
+    if (url.protocol !== 'bunker:') return null
+    const remotePubkey = (url.hostname || url.pathname.replace(/^\/+/, '')).toLowerCase()
+    if (!/^[0-9a-f]{64}$/.test(remotePubkey)) return null
+    const relays = url.searchParams.getAll('relay')
+    if (!relays.length) return null
+    return { remotePubkey, relays, secret: url.searchParams.get('secret') || null }
+  } catch {
+    return null
+  }
+}
+
+// onAuthUrl(url): the bunker wants the user to approve at `url` first
+export class Nip46Signer {
+  constructor(bunkerUrl, { init = relayInit, localKey = generatePrivateKey(), timeoutMs = 30000, onAuthUrl = () => {} } = {}) {
+    const bunker = parseBunkerUrl(bunkerUrl)
+    if (!bunker) throw new Error('Invalid bunker:// url')
+    this.type = 'nip46'
+    this.bunkerUrl = bunkerUrl
+    this.bunker = bunker
+    this.init = init
+    this.localKey = localKey
+    this.localPubkey = getPublicKey(localKey)
+    this.timeoutMs = timeoutMs
+    this.onAuthUrl = onAuthUrl
+
+    this.relay = null
+    this.sub = null
+    this.pending = new Map()   // request id -> { resolve, reject, timer }
+    this.publicKey = null
+  }
+
+  async connect() {
+    this.relay = this.init(this.bunker.relays[0])
+    await this.relay.connect()
+
+    this.sub = this.relay.sub([{ kinds: [KIND_NOSTR_CONNECT], '#p': [this.localPubkey] }])
+    this.sub.on('event', (ev) => this.onResponse(ev))
+
+    await this.request('connect', [this.bunker.remotePubkey, ...(this.bunker.secret ? [this.bunker.secret] : [])])
+    this.publicKey = await this.request('get_public_key', [])
+    return this
+  }
+
+  async onResponse(ev) {
+    if (ev.pubkey !== this.bunker.remotePubkey) return
+    let msg
+    try {
+      msg = JSON.parse(await nip04.decrypt(this.localKey, ev.pubkey, ev.content))
+    } catch {
+      return
+    }
+    const waiting = this.pending.get(msg.id)
+    if (!waiting) return
+
+    // bunkers that need the user to approve in a browser answer 'auth_url',
+    // then the real result once they have
+    if (msg.result === 'auth_url') return this.onAuthUrl(msg.error)
+    this.pending.delete(msg.id)
+    clearTimeout(waiting.timer)
+    if (msg.error) waiting.reject(new Error(msg.error))
+    else waiting.resolve(msg.result)
+  }
+
+  async request(method, params) {
+    if (!this.relay) throw new Error('Remote signer not connected')
+    const id = bytesToHex(randomBytes(8))
+    const content = await nip04.encrypt(this.localKey, this.bunker.remotePubkey, JSON.stringify({ id, method, params }))
+    const ev = finishEvent({
+      kind: KIND_NOSTR_CONNECT,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', this.bunker.remotePubkey]],
+      content
+    }, this.localKey)
+
+    const answer = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new Error(`Remote signer did not answer ${method}`))
+      }, this.timeoutMs)
+      this.pending.set(id, { resolve, reject, timer })
+    })
+    await this.relay.publish(ev)
+    return answer
+  }
+
+  async getPublicKey() {
+    if (!this.publicKey) this.publicKey = await this.request('get_public_key', [])
+    return this.publicKey
+  }
+
+  async signEvent(template) {
+    const ev = JSON.parse(await this.request('sign_event', [JSON.stringify(template)]))
+    return checkSigned(ev, await this.getPublicKey())
+  }
+
+  close() {
+    try { this.sub?.unsub() } catch {}
+    try { this.relay?.close() } catch {}
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer)
+      reject(new Error('Remote signer closed'))
+    }
+    this.pending.clear()
+  }
+}
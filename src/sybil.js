@@ -0,0 +1,183 @@
+// Sybil / brigade detection over kind-30010 votes. Flags voter keys and
+// summarises the flagged share per post and per author; it never drops a
+// vote itself (scoreVotes can discount flagged voters). No DOM, no network.
+
+import { newer, parseVote } from './karma.js'
+
+export const SYBIL_FLAGS = {
+  fresh:    'no kind-0 or kind-1 history',
+  burst:    'part of a voting burst on one author',
+  lockstep: 'votes in lockstep with another key'
+}
+
+export const DEFAULT_SYBIL_SETTINGS = {
+  burstWindowSecs: 600,       // same-direction votes on one author this close together...
+  burstMinVoters: 5,          // ...are a burst once this many distinct keys take part
+  lockstepMinShared: 4,       // targets two keys must both have voted on
+  lockstepAgreement: 0.9,     // share of those they voted the same way on
+  lockstepMaxVoters: 300      // bigger targets are skipped for lockstep (pairs grow n²)
+}
+
+// latest vote per voter per target (a post, or `user:<pubkey>` for user
+// votes), the same rule the scores use; cleared votes are dropped
+export function latestVotesByTarget(voteEvents) {
+  const latest = new Map()
+  for (const ev of voteEvents) {
+    const vote = parseVote(ev)
+    if (!vote?.author) continue
+    const target = vote.post || `user:${vote.author}`
+    const key = `${target}|${vote.voter}`
+    const prev = latest.get(key)
+    if (!prev || newer(vote, ev, prev)) latest.set(key, { ...vote, target, event: ev })
+  }
+  return [...latest.values()].filter(v => v.sign !== 0 && v.voter !== v.author)
+}
+
+// Keys whose history was checked and came back empty. `history` maps
+// pubkey -> number of kind-0/1 events found; keys missing from it were
+// never checked and are not judged.
+export function freshVoters(votes, history) {
+  const fresh = new Set()
+  for (const { voter } of votes) {
+    if (history.get(voter) === 0) fresh.add(voter)
+  }
+  return fresh
+}
+
+// Windows of `windowSecs` in which at least `minVoters` distinct keys voted
+// the same way on one author: [{ author, sign, start, end, voters }].
+// Overlapping windows merge into one burst.
+export function findBursts(votes, { windowSecs = DEFAULT_SYBIL_SETTINGS.burstWindowSecs, minVoters = DEFAULT_SYBIL_SETTINGS.burstMinVoters } = {}) {
+  const groups = new Map()
+  for (const vote of votes) {
+    const key = `${vote.author}|${vote.sign}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(vote)
+  }
+
+  const bursts = []
+  for (const group of groups.values()) {
+    group.sort((a, b) => a.created_at - b.created_at)
+    const inWindow = new Map()   // voter -> votes inside the window
+    let current = null
+    let first = 0
+    for (const vote of group) {
+      inWindow.set(vote.voter, (inWindow.get(vote.voter) || 0) + 1)
+      while (vote.created_at - group[first].created_at > windowSecs) {
+        const old = group[first++].voter
+        if (inWindow.get(old) === 1) inWindow.delete(old)
+        else inWindow.set(old, inWindow.get(old) - 1)
+      }
+      if (inWindow.size < minVoters) continue
+
+      if (current && group[first].created_at <= current.end) {
+        current.end = vote.created_at
+        for (const voter of inWindow.keys()) current.voters.add(voter)
+      } else {
+        current = { author: vote.author, sign: vote.sign, start: group[first].created_at, end: vote.created_at, voters: new Set(inWindow.keys()) }
+        bursts.push(current)
+      }
+    }
+  }
+  return bursts.map(b => ({ ...b, voters: [...b.voters] }))
+}
+
+// Pairs of keys that voted on at least `minShared` of the same targets and
+// agreed on at least `agreement` of them: [{ voters: [a, b], shared, agreement }]
+export function findLockstep(votes, {
+  minShared = DEFAULT_SYBIL_SETTINGS.lockstepMinShared,
+  agreement = DEFAULT_SYBIL_SETTINGS.lockstepAgreement,
+  maxVoters = DEFAULT_SYBIL_SETTINGS.lockstepMaxVoters
+} = {}) {
+  const byTarget = new Map()
+  for (const vote of votes) {
+    if (!byTarget.has(vote.target)) byTarget.set(vote.target, [])
+    byTarget.get(vote.target).push(vote)
+  }
+
+  const pairs = new Map()   // 'a|b' (a < b) -> { shared, same }
+  for (const targetVotes of byTarget.values()) {
+    if (targetVotes.length > maxVoters) continue
+    const sorted = [...targetVotes].sort((a, b) => (a.voter < b.voter ? -1 : 1))
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length; j++) {
+        const key = `${sorted[i].voter}|${sorted[j].voter}`
+        const pair = pairs.get(key) || { shared: 0, same: 0 }
+        pair.shared++
+        if (sorted[i].sign === sorted[j].sign) pair.same++
+        pairs.set(key, pair)
+      }
+    }
+  }
+
+  const lockstep = []
+  for (const [key, { shared, same }] of pairs) {
+    if (shared < minShared || same / shared < agreement) continue
+    lockstep.push({ voters: key.split('|'), shared, agreement: same / shared })
+  }
+  return lockstep.sort((a, b) => b.shared - a.shared)
+}
+
+// Full report over `voteEvents`. Plain objects and arrays only, so it can
+// be exported as JSON as is:
+//   voters:   { pubkey: ['fresh' | 'burst' | 'lockstep', ...] } (flagged only)
+//   bursts, lockstep: as returned by findBursts / findLockstep
+//   posts:    [{ id, author, votes, flagged, share, flags }] with flagged > 0
+//   authors:  [{ pubkey, votes, flagged, share, flags }] with flagged > 0
+// `flags` counts flagged votes per reason; lists are most suspicious first.
+export function analyzeVotes(voteEvents, { history = new Map(), now = Math.floor(Date.now() / 1000), ...options } = {}) {
+  const settings = { ...DEFAULT_SYBIL_SETTINGS, ...options }
+  const votes = latestVotesByTarget(voteEvents)
+
+  const bursts = findBursts(votes, { windowSecs: settings.burstWindowSecs, minVoters: settings.burstMinVoters })
+  const lockstep = findLockstep(votes, {
+    minShared: settings.lockstepMinShared,
+    agreement: settings.lockstepAgreement,
+    maxVoters: settings.lockstepMaxVoters
+  })
+
+  const flagsOf = new Map()
+  const flag = (voter, reason) => {
+    if (!flagsOf.has(voter)) flagsOf.set(voter, new Set())
+    flagsOf.get(voter).add(reason)
+  }
+  freshVoters(votes, history).forEach(voter => flag(voter, 'fresh'))
+  bursts.forEach(b => b.voters.forEach(voter => flag(voter, 'burst')))
+  lockstep.forEach(p => p.voters.forEach(voter => flag(voter, 'lockstep')))
+
+  const tally = (map, key, init, vote) => {
+    if (!map.has(key)) map.set(key, { ...init, votes: 0, flagged: 0, flags: { fresh: 0, burst: 0, lockstep: 0 } })
+    const entry = map.get(key)
+    entry.votes++
+    const reasons = flagsOf.get(vote.voter)
+    if (!reasons) return
+    entry.flagged++
+    reasons.forEach(r => entry.flags[r]++)
+  }
+  const posts = new Map()
+  const authors = new Map()
+  for (const vote of votes) {
+    if (vote.post) tally(posts, vote.post, { id: vote.post, author: vote.author }, vote)
+    tally(authors, vote.author, { pubkey: vote.author }, vote)
+  }
+
+  const suspicious = (entries) => [...entries.values()]
+    .filter(e => e.flagged > 0)
+    .map(e => ({ ...e, share: e.flagged / e.votes }))
+    .sort((a, b) => b.flagged - a.flagged || b.share - a.share)
+
+  return {
+    generated_at: now,
+    settings,
+    totals: { votes: votes.length, voters: new Set(votes.map(v => v.voter)).size, flagged: flagsOf.size, checked: history.size },
+    voters: Object.fromEntries([...flagsOf].map(([voter, reasons]) => [voter, [...reasons]])),
+    bursts,
+    lockstep,
+    posts: suspicious(posts),
+    authors: suspicious(authors)
+  }
+}
+
+export function flaggedVoters(report) {
+  return new Set(Object.keys(report?.voters || {}))
+}
@@ -0,0 +1,84 @@
+// NIP-10 threads: reply construction, root/reply resolution and tree
+// building. No DOM, no network.
+
+import { KIND_NOTE } from './karma.js'
+
+// { root, reply } event ids for a kind-1 note (null when absent). Marked
+// 'e' tags win; otherwise the deprecated positional scheme applies: first
+// 'e' is the root, last is the parent. 'mention' tags never count.
+export function parseThreadRefs(ev) {
+  const eTags = (ev?.tags || []).filter(t => t[0] === 'e' && t[1])
+  const marked = (marker) => eTags.find(t => t[3] === marker)?.[1] || null
+
+  if (eTags.some(t => t[3] === 'root' || t[3] === 'reply')) {
+    const root = marked('root')
+    const reply = marked('reply')
+    return { root: root || reply, reply: reply || root }
+  }
+
+  const positional = eTags.filter(t => !t[3])
+  if (!positional.length) return { root: null, reply: null }
+  return { root: positional[0][1], reply: positional[positional.length - 1][1] }
+}
+
+export function isReply(ev) {
+  return ev?.kind === KIND_NOTE && parseThreadRefs(ev).reply !== null
+}
+
+// Reply to `parent` (a kind-1 event) with marked 'e' tags and 'p' tags for
+// the parent's author plus everyone it already notified.
+export function buildReply({ parent, content, relayHint = '', created_at = Math.floor(Date.now() / 1000) }) {
+  const { root } = parseThreadRefs(parent)
+  const eTags = root
+    ? [['e', root, relayHint, 'root'], ['e', parent.id, relayHint, 'reply']]
+    : [['e', parent.id, relayHint, 'root']]
+
+  const pubkeys = [parent.pubkey, ...parent.tags.filter(t => t[0] === 'p').map(t => t[1])]
+  const pTags = [...new Set(pubkeys.filter(Boolean))].map(pk => ['p', pk])
+
+  return { kind: KIND_NOTE, created_at, tags: [...eTags, ...pTags], content }
+}
+
+// Arrange `events` under `rootId`:
+//   { id: rootId, children: [{ event, children: [...] }] }
+// Replies whose parent isn't among them hang off the root, so nothing that
+// belongs to the thread is lost. `compare` orders siblings.
+export function buildThread(rootId, events, compare = byOldest) {
+  const nodes = new Map()
+  for (const ev of events) {
+    if (ev.id !== rootId && isReply(ev)) nodes.set(ev.id, { event: ev, children: [] })
+  }
+
+  const parentOf = (node) => nodes.get(parseThreadRefs(node.event).reply) || null
+  // a reply chain that loops back on itself (forged tags) goes to the root
+  const loops = (node) => {
+    const seen = new Set([node])
+    for (let p = parentOf(node); p; p = parentOf(p)) {
+      if (seen.has(p)) return true
+      seen.add(p)
+    }
+    return false
+  }
+
+  const root = { id: rootId, children: [] }
+  for (const node of nodes.values()) {
+    const parent = parentOf(node)
+    ;(parent && !loops(node) ? parent : root).children.push(node)
+  }
+
+  const sort = (node) => {
+    node.children.sort((a, b) => compare(a.event, b.event))
+    node.children.forEach(sort)
+  }
+  sort(root)
+  return root
+}
+
+export function byOldest(a, b) {
+  return (a.created_at || 0) - (b.created_at || 0) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+}
+
+// siblings by karma, highest first; oldest first between equals
+export function byScore(scoreOf) {
+  return (a, b) => (scoreOf(b.id) || 0) - (scoreOf(a.id) || 0) || byOldest(a, b)
+}
@@ -0,0 +1,164 @@
+// Vote validation pipeline: decides which vote events may be counted.
+// Every dropped event is reported with a reason instead of vanishing.
+
+import { getEventHash, verifySignature, nip13, nip57 } from 'nostr-tools'
+
+import { KIND_KARMA_VOTE, parseVote, voteDTag } from './karma.js'
+import { KIND_REACTION, KIND_ZAP_RECEIPT, parseZap } from './interop.js'
+
+export const REJECT_REASONS = {
+  MALFORMED:        'malformed',         // not a usable vote (kind, v / d tag, hex fields)
+  WRONG_TARGET:     'wrong-target',      // 'e' / 'p' tag doesn't match what we asked for
+  BAD_ID:           'bad-id',            // id isn't the hash of the event
+  BAD_SIGNATURE:    'bad-signature',
+  INSUFFICIENT_POW: 'insufficient-pow',  // committed target below the minimum
+  POW_MISMATCH:     'pow-mismatch',      // id doesn't meet its own committed target
+  FUTURE:           'future',            // created_at too far ahead of now
+  DUPLICATE:        'duplicate',         // same id, or same voter/target/second seen already
+  BAD_ZAP:          'bad-zap',           // zap receipt whose embedded zap request doesn't verify
+  UNVERIFIED_ZAP:   'unverified-zap'     // receipt not signed by the recipient's LNURL server (or that's unknown)
+}
+
+// karma votes, plus what the compatibility mode reads (src/interop.js)
+const COUNTED_KINDS = new Set([KIND_KARMA_VOTE, KIND_REACTION, KIND_ZAP_RECEIPT])
+
+const HEX64 = /^[0-9a-f]{64}$/
+const HEX128 = /^[0-9a-f]{128}$/
+
+// NIP-13: difficulty = number of leading zero bits of the id
+export function countLeadingZeroBits(hex) {
+  return nip13.getPow(hex)
+}
+
+// committed NIP-13 target from ['nonce', n, target]; 0 if absent
+export function committedPow(ev) {
+  const tag = ev.tags.find(t => t[0] === 'nonce')
+  const target = Number(tag?.[2])
+  return Number.isInteger(target) && target > 0 ? target : 0
+}
+
+// null if the event's PoW satisfies `minPow`, else a reject reason
+export function checkPow(ev, minPow = 0) {
+  const target = committedPow(ev)
+  if (target > 0 && countLeadingZeroBits(ev.id) < target) return REJECT_REASONS.POW_MISMATCH
+  if (minPow > 0 && target < minPow) return REJECT_REASONS.INSUFFICIENT_POW
+  return null
+}
+
+function checkShape(ev, { postId, author, postAuthor }) {
+  if (!ev || !COUNTED_KINDS.has(ev.kind)) return REJECT_REASONS.MALFORMED
+  if (!HEX64.test(ev.id || '') || !HEX64.test(ev.pubkey || '') || !HEX128.test(ev.sig || '')) {
+    return REJECT_REASONS.MALFORMED
+  }
+  if (!Number.isInteger(ev.created_at)) return REJECT_REASONS.MALFORMED
+
+  const vote = ev.kind === KIND_ZAP_RECEIPT ? parseZap(ev) : parseVote(ev)
+  if (!vote || !vote.author || !HEX64.test(vote.author)) return REJECT_REASONS.MALFORMED
+
+  // at most one target of each kind, so a vote can't count for several posts
+  // (reactions and zaps name theirs in the last e tag)
+  const eTags = ev.tags.filter(t => t[0] === 'e')
+  const pTags = ev.tags.filter(t => t[0] === 'p')
+  if (ev.kind === KIND_KARMA_VOTE && (eTags.length > 1 || pTags.length !== 1)) return REJECT_REASONS.MALFORMED
+  // v2 votes: relays replace by d, so it has to name the same target
+  const dTags = ev.tags.filter(t => t[0] === 'd')
+  if (ev.kind === KIND_KARMA_VOTE && dTags.length && (dTags.length > 1 || dTags[0][1] !== voteDTag(vote))) {
+    return REJECT_REASONS.MALFORMED
+  }
+  if (vote.post && !HEX64.test(vote.post)) return REJECT_REASONS.MALFORMED
+
+  if (postId !== undefined && vote.post !== postId) return REJECT_REASONS.WRONG_TARGET
+  if (author !== undefined && vote.author !== author) return REJECT_REASONS.WRONG_TARGET
+  // a 'p' tag naming someone other than the note's real author would move
+  // their karma with a vote on somebody else's note
+  const realAuthor = vote.post ? postAuthor(vote.post) : undefined
+  if (realAuthor && vote.author !== realAuthor) return REJECT_REASONS.WRONG_TARGET
+  return null
+}
+
+// Split vote events into the ones that may be counted and the ones that
+// were dropped. Options:
+//   postId         expected 'e' tag (null = user-level votes only; omit to skip)
+//   author         expected 'p' tag (omit to skip)
+//   postAuthor     post id -> its author's pubkey when the note is known
+//                  (undefined otherwise); post votes must 'p'-tag that author
+//   zapperOf       author pubkey -> the nostrPubkey their LNURL server signs
+//                  zap receipts with (undefined while unknown); zaps count
+//                  only when signed by it (NIP-57 Appendix F)
+//   minPow         minimum committed NIP-13 difficulty, in bits
+//   now            unix seconds, for the future check
+//   maxFutureSecs  allowed clock skew
+export function validateVotes(events, {
+  postId,
+  author,
+  postAuthor = () => undefined,
+  zapperOf = () => undefined,
+  minPow = 0,
+  now = Math.floor(Date.now() / 1000),
+  maxFutureSecs = 300
+} = {}) {
+  const accepted = []
+  const rejected = []
+  const seenIds = new Set()
+
+  for (const ev of events) {
+    const reason = checkEvent(ev)
+    if (reason) rejected.push({ event: ev, reason })
+    else accepted.push(ev)
+  }
+
+  // two different votes from one voter on one target in the same second:
+  // there's no telling which is latest, so keep the lowest id and drop the
+  // rest (deterministic regardless of relay order)
+  const bySlot = new Map()
+  for (const ev of accepted) {
+    const slot = slotOf(ev)
+    const prev = bySlot.get(slot)
+    if (!prev) {
+      bySlot.set(slot, ev)
+    } else if (ev.id < prev.id) {
+      rejected.push({ event: prev, reason: REJECT_REASONS.DUPLICATE })
+      bySlot.set(slot, ev)
+    } else {
+      rejected.push({ event: ev, reason: REJECT_REASONS.DUPLICATE })
+    }
+  }
+
+  return { accepted: accepted.filter(ev => bySlot.get(slotOf(ev)) === ev), rejected }
+
+  function checkEvent(ev) {
+    const shape = checkShape(ev, { postId, author, postAuthor })
+    if (shape) return shape
+
+    if (seenIds.has(ev.id)) return REJECT_REASONS.DUPLICATE
+    seenIds.add(ev.id)
+
+    if (getEventHash(ev) !== ev.id) return REJECT_REASONS.BAD_ID
+    if (!verifySignature(ev)) return REJECT_REASONS.BAD_SIGNATURE
+    if (ev.created_at > now + maxFutureSecs) return REJECT_REASONS.FUTURE
+    // the receipt's own signature is the wallet server's; the zapper's is inside
+    if (ev.kind === KIND_ZAP_RECEIPT && nip57.validateZapRequest(ev.tags.find(t => t[0] === 'description')[1])) {
+      return REJECT_REASONS.BAD_ZAP
+    }
+    // anyone can sign a receipt; only the recipient's own server is paid
+    if (ev.kind === KIND_ZAP_RECEIPT && ev.pubkey !== zapperOf(parseZap(ev).author)) {
+      return REJECT_REASONS.UNVERIFIED_ZAP
+    }
+
+    return checkPow(ev, minPow)
+  }
+}
+
+// zaps add up, so each one is its own slot
+function slotOf(ev) {
+  if (ev.kind === KIND_ZAP_RECEIPT) return `zap:${ev.id}`
+  const vote = parseVote(ev)
+  return `${vote.voter}:${vote.post || vote.author}:${ev.created_at}`
+}
+
+// { reason: count } for display/logging
+export function summarizeRejections(rejected) {
+  const counts = {}
+  for (const { reason } of rejected) counts[reason] = (counts[reason] || 0) + 1
+  return counts
+}
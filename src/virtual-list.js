@@ -0,0 +1,47 @@
+// Windowing for long lists: given item heights (measured, or an estimate
+// for items never rendered) and the scroll position, which slice of the
+// list needs DOM nodes and how much space the rest takes up above and below.
+
+export const DEFAULT_ITEM_HEIGHT = 180
+
+// mean of the measured heights, for items not yet rendered
+export function estimateHeight(heights, fallback = DEFAULT_ITEM_HEIGHT) {
+  let sum = 0
+  let n = 0
+  for (const h of heights.values()) {
+    sum += h
+    n++
+  }
+  return n ? sum / n : fallback
+}
+
+// ids: list order; heights: Map(id -> px); offset: scroll position
+// relative to the top of the list; overscan: px rendered beyond each edge.
+// Returns { start, end, before, after, total }: render ids[start..end).
+export function visibleRange({ ids, heights = new Map(), offset, viewport, overscan = 800, estimate }) {
+  const guess = estimate ?? estimateHeight(heights)
+  const top = offset - overscan
+  const bottom = offset + viewport + overscan
+
+  let y = 0
+  let start = ids.length
+  let before = 0
+  let end = ids.length
+  let i = 0
+  for (; i < ids.length; i++) {
+    const h = heights.get(ids[i]) ?? guess
+    if (start === ids.length && y + h > top) {
+      start = i
+      before = y
+    }
+    if (y >= bottom) {
+      end = i
+      break
+    }
+    y += h
+  }
+  const renderedEnd = y
+  for (; i < ids.length; i++) y += heights.get(ids[i]) ?? guess
+  if (start === ids.length) before = y
+  return { start, end, before, after: y - renderedEnd, total: y }
+}
@@ -0,0 +1,92 @@
+// Vote events per post (reactions and zap receipts too, in the
+// compatibility mode): an in-memory index backed by IndexedDB when the
+// environment has it (browsers), memory-only otherwise (Node, tests).
+// The database is shared with the event store (src/event-store.js).
+
+import { parseVote } from './karma.js'
+import { parseZap } from './interop.js'
+import { openDatabase, evictOldest } from './event-store.js'
+
+const STORE = 'votes'   // { id, post, created_at, event }, indexes 'post', 'created_at'
+
+export class VoteCache {
+  constructor({
+    indexedDB = globalThis.indexedDB,
+    maxVotes = 20000,     // persisted votes kept; the oldest go first
+    evictEvery = 500      // persisted votes between eviction passes
+  } = {}) {
+    this.byPost = new Map()   // post id -> Map(event id -> vote event)
+    this.idb = indexedDB || null
+    this.maxVotes = maxVotes
+    this.evictEvery = evictEvery
+    this.writes = 0
+  }
+
+  get(postId) {
+    return [...(this.byPost.get(postId)?.values() || [])]
+  }
+
+  has(postId) {
+    return this.byPost.has(postId)
+  }
+
+  // index events in memory (and persist the new ones);
+  // returns the set of post ids whose votes changed
+  add(events, { persist = true } = {}) {
+    const changed = new Set()
+    const fresh = []
+    for (const ev of events) {
+      const post = parseVote(ev)?.post || parseZap(ev)?.post
+      if (!post) continue
+      if (!this.byPost.has(post)) this.byPost.set(post, new Map())
+      const votes = this.byPost.get(post)
+      if (votes.has(ev.id)) continue
+      votes.set(ev.id, ev)
+      changed.add(post)
+      fresh.push({ id: ev.id, post, created_at: ev.created_at || 0, event: ev })
+    }
+    if (persist && fresh.length) this.persist(fresh)
+    return changed
+  }
+
+  // mark posts as known even when they have no votes yet
+  touch(postIds) {
+    for (const id of postIds) if (!this.byPost.has(id)) this.byPost.set(id, new Map())
+  }
+
+  // pull persisted votes for these posts into memory;
+  // returns the set of post ids that gained votes
+  async load(postIds) {
+    const db = await this.open()
+    if (!db) return new Set()
+
+    const events = []
+    await Promise.all(postIds.map(post => new Promise((resolve) => {
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('post').getAll(post)
+      req.onsuccess = () => { for (const row of req.result) events.push(row.event); resolve() }
+      req.onerror = () => resolve()
+    })))
+    return this.add(events, { persist: false })
+  }
+
+  async persist(rows) {
+    const db = await this.open()
+    if (!db) return
+    try {
+      const tx = db.transaction(STORE, 'readwrite')
+      const store = tx.objectStore(STORE)
+      for (const row of rows) store.put(row)
+    } catch (e) {
+      console.warn('vote cache write failed', e)
+    }
+    this.writes += rows.length
+    if (this.writes >= this.evictEvery) {
+      this.writes = 0
+      await evictOldest(db, STORE, 'created_at', this.maxVotes)
+    }
+  }
+
+  open() {
+    return openDatabase(this.idb)
+  }
+}
@@ -0,0 +1,134 @@
+// The signed-in user's own votes: the newest one per target, persisted per
+// pubkey in localStorage and merged with their kind-30010 events from
+// relays. Post votes are keyed by post id, user votes by `user:<pubkey>`.
+// The NIP-25 reaction sent alongside a post vote is remembered per post,
+// so it can be deleted when the vote is cleared or flipped.
+
+import { VOTE_SCHEMA, parseVote, voteSchema } from './karma.js'
+
+const STORAGE_PREFIX = 'nostr-karma-my-votes:'
+const REACTIONS_PREFIX = 'nostr-karma-my-reactions:'
+
+export function voteTarget(vote) {
+  return vote.post || `user:${vote.author}`
+}
+
+export class VoteHistory {
+  constructor({ storage = globalThis.localStorage } = {}) {
+    this.storage = storage
+    this.pubkey = null
+    this.votes = new Map()   // target -> { id, post, author, sign, stake, created_at, schema }
+    this.reactions = new Map()   // post id -> id of the reaction we sent for it
+  }
+
+  // switch to `pubkey`'s history (null = nobody signed in)
+  load(pubkey) {
+    this.pubkey = pubkey
+    this.votes.clear()
+    this.reactions.clear()
+    if (!pubkey) return
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_PREFIX + pubkey) || '[]')
+      for (const entry of saved) {
+        if (entry?.author && [1, -1, 0].includes(entry.sign)) this.votes.set(voteTarget(entry), entry)
+      }
+    } catch {}
+    try {
+      const saved = JSON.parse(this.storage?.getItem(REACTIONS_PREFIX + pubkey) || '{}')
+      for (const [post, id] of Object.entries(saved)) if (typeof id === 'string') this.reactions.set(post, id)
+    } catch {}
+  }
+
+  // id of our standing reaction on `post`, or null
+  reaction(post) {
+    return this.reactions.get(post) || null
+  }
+
+  // remember the reaction just sent for `post` (null: it was deleted)
+  setReaction(post, id) {
+    if (id) this.reactions.set(post, id)
+    else this.reactions.delete(post)
+    if (!this.pubkey) return
+    try {
+      this.storage?.setItem(REACTIONS_PREFIX + this.pubkey, JSON.stringify(Object.fromEntries(this.reactions)))
+    } catch {}
+  }
+
+  // +1, -1 or 0 (none or cleared) for a post id or `user:<pubkey>`
+  sign(target) {
+    return this.votes.get(target)?.sign || 0
+  }
+
+  get(target) {
+    return this.votes.get(target) || null
+  }
+
+  // Our vote events, signed here or fetched back from relays. The newest
+  // per target wins; `replaceTies` lets a vote we just signed beat one from
+  // the same second. Returns the targets whose vote changed.
+  add(events, { replaceTies = false } = {}) {
+    const changed = new Set()
+    for (const ev of events) {
+      const vote = parseVote(ev)
+      if (!vote?.author || ev.pubkey !== this.pubkey) continue
+      const target = voteTarget(vote)
+      const prev = this.votes.get(target)
+      if (prev?.id === ev.id) continue
+      if (prev && (vote.created_at < prev.created_at || (vote.created_at === prev.created_at && !replaceTies))) continue
+      this.votes.set(target, {
+        id: ev.id, post: vote.post, author: vote.author, sign: vote.sign, stake: vote.stake,
+        created_at: vote.created_at, schema: voteSchema(ev)
+      })
+      changed.add(target)
+    }
+    if (changed.size) this.save()
+    return changed
+  }
+
+  // newest first
+  list() {
+    return [...this.votes.values()].sort((a, b) => b.created_at - a.created_at)
+  }
+
+  // standing votes still in an older schema (entries saved before the
+  // schema was recorded are v1), to re-publish in the current one
+  legacy() {
+    return this.list().filter(entry => entry.sign !== 0 && (entry.schema || 1) < VOTE_SCHEMA)
+  }
+
+  save() {
+    if (!this.pubkey) return
+    try {
+      this.storage?.setItem(STORAGE_PREFIX + this.pubkey, JSON.stringify([...this.votes.values()]))
+    } catch {}
+  }
+}
+
+// ---------- Export ----------
+const EXPORT_COLUMNS = ['target', 'post', 'author', 'sign', 'created_at', 'time', 'event_id']
+
+function exportRow(entry) {
+  return {
+    target: entry.post ? 'post' : 'user',
+    post: entry.post || '',
+    author: entry.author,
+    sign: entry.sign,
+    created_at: entry.created_at,
+    time: new Date(entry.created_at * 1000).toISOString(),
+    event_id: entry.id
+  }
+}
+
+export function voteHistoryJson(entries) {
+  return JSON.stringify(entries.map(exportRow), null, 2)
+}
+
+// RFC 4180: fields with commas, quotes or newlines are quoted
+export function voteHistoryCsv(entries) {
+  const field = (value) => {
+    const text = String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  const lines = entries.map(exportRow).map(row => EXPORT_COLUMNS.map(c => field(row[c])).join(','))
+  return [EXPORT_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n'
+}
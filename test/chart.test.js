@@ -0,0 +1,16 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { karmaChartSvg } from '../src/chart.js'
+
+test('karmaChartSvg draws one point per entry with a zero line', () => {
+  const svg = karmaChartSvg([{ t: 0, karma: -1 }, { t: 10, karma: 2 }, { t: 20, karma: 3 }])
+  const points = /points="([^"]+)"/.exec(svg)[1].split(' ')
+  assert.equal(points.length, 3)
+  assert.match(svg, /karma-chart-zero/)
+  assert.match(svg, />3<\/text>/)
+})
+
+test('karmaChartSvg is empty without points', () => {
+  assert.equal(karmaChartSvg([]), '')
+})
@@ -0,0 +1,198 @@
+// End to end: the real client (main.js) in jsdom, talking to an in-process
+// relay over WebSocket. Covers publishing, the sendVote toggle, the
+// latest-vote-wins score it renders, the notifications inbox and taking
+// back NIP-25 reactions when a vote changes, and keeping the stored key
+// when a new one gets no passphrase.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import 'fake-indexeddb/auto'
+import { JSDOM } from 'jsdom'
+import WebSocket from 'ws'
+import { finishEvent, generatePrivateKey, getPublicKey } from 'nostr-tools'
+
+import { KIND_NOTE, KIND_KARMA_VOTE, buildPostVote, computeScore, parseVote } from '../src/karma.js'
+import { KIND_DELETION, KIND_REACTION } from '../src/interop.js'
+import { buildReply } from '../src/threads.js'
+import { formatModeScore } from '../src/scoring.js'
+import { localRelay } from './fixtures/local-relay.js'
+
+const ME = generatePrivateKey()
+const AUTHOR = generatePrivateKey()
+const ALICE = generatePrivateKey()
+const BOB = generatePrivateKey()
+let passphrase = 'correct horse'   // what prompt() answers
+
+const now = Math.floor(Date.now() / 1000)
+const note = finishEvent({ kind: KIND_NOTE, created_at: now - 60, tags: [], content: 'vote on me' }, AUTHOR)
+const vote = (sk, sign, created_at) =>
+  finishEvent(buildPostVote({ author: getPublicKey(AUTHOR), eventId: note.id, sign, created_at }), sk)
+
+// what the page's globals would be in a browser
+const GLOBALS = ['window', 'document', 'localStorage', 'Node', 'HTMLElement', 'Event', 'CustomEvent',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle', 'alert', 'confirm', 'prompt']
+
+// alice changes her mind; relays keep only her downvote
+const seeded = [vote(ALICE, 1, now - 50), vote(ALICE, -1, now - 40), vote(BOB, 1, now - 30)]
+
+let relay, dom, client
+
+async function waitFor(check, what, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const value = check()
+    if (value) return value
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  throw new Error(`timed out waiting for ${what}`)
+}
+
+// replaceable votes in one second settle on the lowest id, so the toggle
+// steps each get their own second
+async function nextSecond() {
+  await new Promise(resolve => setTimeout(resolve, 1000 - (Date.now() % 1000) + 5))
+}
+
+const myVote = () => relay.events.find(ev => ev.kind === KIND_KARMA_VOTE && ev.pubkey === getPublicKey(ME))
+const myReactions = () => relay.events.filter(ev => ev.kind === KIND_REACTION && ev.pubkey === getPublicKey(ME))
+const deletionOf = (id) => relay.events.find(ev =>
+  ev.kind === KIND_DELETION && ev.pubkey === getPublicKey(ME) && ev.tags.some(t => t[0] === 'e' && t[1] === id))
+const button = (sign) => dom.window.document.querySelector(`.vote-btn[data-eid="${note.id}"][data-sign="${sign}"]`)
+
+before(async () => {
+  relay = await localRelay([note, ...seeded])
+
+  const html = await readFile(new URL('../index.html', import.meta.url), 'utf8')
+  dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true })
+  await waitFor(() => dom.window.document.readyState === 'complete', 'the page to load')
+  dom.window.alert = () => null
+  dom.window.prompt = () => passphrase   // moves the plain key below to an ncryptsec
+  dom.window.confirm = () => true
+  for (const key of GLOBALS) globalThis[key] = dom.window[key]
+  globalThis.WebSocket = WebSocket
+
+  dom.window.localStorage.setItem('nostr-karma-relays', JSON.stringify([{ url: relay.url }]))
+  dom.window.localStorage.setItem('nostr-private-key', ME)
+
+  const { NostrClient } = await import('../main.js')
+  client = new NostrClient().start(dom.window.document)
+  await waitFor(() => client.publicKey && client.writeRelays.length, 'the relay connection')
+})
+
+after(async () => {
+  client.scheduled.stop()
+  client.relayManager.close()
+  await relay.close()
+  // toasts take themselves down a few seconds later
+  await waitFor(() => !dom.window.document.querySelector('.notification'), 'the toasts to go')
+  dom.window.close()
+})
+
+test('publishNote sends a signed note the relay accepts, and shows it', async () => {
+  client.elements.noteContent.value = 'hello from the harness'
+  await client.publishNote()
+
+  const published = relay.events.find(ev => ev.content === 'hello from the harness')
+  assert.equal(published?.kind, KIND_NOTE)
+  assert.equal(published.pubkey, getPublicKey(ME))
+  assert.ok(dom.window.document.querySelector(`.vote-btn[data-eid="${published.id}"]`))
+  assert.equal(client.elements.noteContent.value, '')
+})
+
+test('sendVote upvotes, clears on a second click and flips to a downvote', async () => {
+  // notes from relays wait behind the "Show new posts" pill
+  await waitFor(() => client.buffer.some(ev => ev.id === note.id), 'the note to arrive')
+  client.elements.showNew.click()
+  assert.ok(button(1))
+  const author = getPublicKey(AUTHOR)
+
+  await client.sendVote(author, note.id, 1)
+  await waitFor(() => parseVote(myVote())?.sign === 1, 'the upvote')
+  assert.equal(client.voteHistory.sign(note.id), 1)
+  assert.ok(button(1).classList.contains('vote-upvoted'))
+
+  await nextSecond()
+  await client.sendVote(author, note.id, 1)
+  await waitFor(() => parseVote(myVote())?.sign === 0, 'the cleared vote')
+  assert.equal(client.voteHistory.sign(note.id), 0)
+  assert.ok(!button(1).classList.contains('vote-upvoted'))
+
+  await nextSecond()
+  await client.sendVote(author, note.id, -1)
+  await waitFor(() => parseVote(myVote())?.sign === -1, 'the downvote')
+  assert.ok(button(-1).classList.contains('vote-downvoted'))
+  // the relay replaced each vote by its d tag: one per voter per note
+  assert.equal(relay.events.filter(ev => ev.kind === KIND_KARMA_VOTE && ev.pubkey === getPublicKey(ME)).length, 1)
+  assert.equal(relay.received.filter(ev => ev.kind === KIND_KARMA_VOTE).length, 3)
+})
+
+test('the rendered score counts each voter\'s latest vote only', async () => {
+  // every vote ever sent: alice +1 then -1, bob +1, ours +1, 0, -1
+  const everything = [...seeded, ...relay.received.filter(ev => ev.kind === KIND_KARMA_VOTE)]
+  assert.equal(computeScore(everything), -1 + 1 - 1)
+  const kept = relay.events.filter(ev => ev.kind === KIND_KARMA_VOTE)
+  assert.equal(kept.length, 3)
+  assert.equal(computeScore(kept), computeScore(everything))
+
+  const score = dom.window.document.getElementById(`score-${note.id}`)
+  await waitFor(() => score.textContent === formatModeScore('flat', -1), 'the score to update')
+})
+
+test('replies and votes on my note show up as notifications with an unread badge', async () => {
+  const mine = relay.events.find(ev => ev.content === 'hello from the harness')
+  const at = Math.floor(Date.now() / 1000)
+  relay.emit(finishEvent(buildReply({ parent: mine, content: 'welcome!', created_at: at }), ALICE))
+  relay.emit(finishEvent(buildPostVote({ author: mine.pubkey, eventId: mine.id, sign: 1, created_at: at }), ALICE))
+  relay.emit(finishEvent(buildPostVote({ author: mine.pubkey, eventId: mine.id, sign: 1, created_at: at }), BOB))
+
+  const badge = client.elements.notifyBadge
+  await waitFor(() => !badge.hidden && badge.textContent === '2', 'the badge')
+  const items = [...client.elements.notifyList.querySelectorAll('.notify-item.unread')].map(li => li.textContent)
+  assert.ok(items.some(text => text.includes('2 people upvoted your note')))
+  assert.ok(items.some(text => text.includes('replied to you') && text.includes('welcome!')))
+
+  client.elements.notifyMarkRead.click()
+  assert.ok(badge.hidden)
+  assert.equal(client.elements.notifyList.querySelectorAll('.unread').length, 0)
+})
+
+test('a flipped or cleared vote deletes the reaction sent with the one before', async () => {
+  client.compatReactions = true
+  const author = getPublicKey(AUTHOR)
+
+  await nextSecond()
+  await client.sendVote(author, note.id, 1)   // from the downvote above
+  const up = await waitFor(() => myReactions().find(ev => ev.content === '+'), 'the + reaction')
+  assert.equal(client.voteHistory.reaction(note.id), up.id)
+
+  await nextSecond()
+  await client.sendVote(author, note.id, -1)
+  await waitFor(() => deletionOf(up.id), 'the deletion of the + reaction')
+  const down = await waitFor(() => myReactions().find(ev => ev.content === '-'), 'the - reaction')
+  assert.deepEqual(myReactions(), [down])
+
+  // cleared from the vote history, and with the option since turned off
+  client.compatReactions = false
+  await nextSecond()
+  await client.changeVote({ post: note.id, author }, 0)
+  await waitFor(() => deletionOf(down.id), 'the deletion of the - reaction')
+  assert.deepEqual(myReactions(), [])
+  assert.equal(client.voteHistory.reaction(note.id), null)
+  assert.equal(parseVote(myVote())?.sign, 0)
+})
+
+test('a new key without a passphrase leaves the stored one in place', async () => {
+  const storage = dom.window.localStorage
+  assert.equal(storage.getItem('nostr-private-key'), null)   // moved on start
+  const stored = storage.getItem('nostr-karma-ncryptsec')
+  assert.match(stored, /^ncryptsec1/)
+
+  passphrase = null
+  client.elements.keyImport.value = generatePrivateKey()
+  await client.importKey()
+  await client.generateNewKeys()
+  assert.equal(client.publicKey, getPublicKey(ME))
+  assert.equal(storage.getItem('nostr-karma-ncryptsec'), stored)
+  assert.notEqual(client.elements.keyImport.value, '')
+})
@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { nip19 } from 'nostr-tools'
+
+import {
+  buildNote,
+  contentTags,
+  contentWarning,
+  charCount,
+  mentionQuery,
+  insertMention,
+  matchProfiles
+} from '../src/composer.js'
+import { pubkeys } from './fixtures/index.js'
+
+const npub = (pk) => nip19.npubEncode(pk)
+
+test('mentions become p tags and hashtags t tags, once each', () => {
+  const content = `hi nostr:${npub(pubkeys.alice)} and nostr:${npub(pubkeys.alice)} #Nostr #nostr #karma`
+  assert.deepEqual(contentTags(content), [['p', pubkeys.alice], ['t', 'nostr'], ['t', 'karma']])
+})
+
+test('buildNote adds a NIP-36 content warning when asked', () => {
+  const plain = buildNote({ content: 'hello', created_at: 1 })
+  assert.deepEqual(plain, { kind: 1, created_at: 1, tags: [], content: 'hello' })
+  assert.equal(contentWarning(plain), null)
+
+  const warned = buildNote({ content: 'spoilers #film', contentWarning: ' ending ', created_at: 1 })
+  assert.deepEqual(warned.tags, [['t', 'film'], ['content-warning', 'ending']])
+  assert.equal(contentWarning(warned), 'ending')
+  assert.equal(contentWarning(buildNote({ content: 'x', contentWarning: '' })), '')
+})
+
+test('charCount counts code points', () => {
+  assert.equal(charCount('héllo 👋'), 7)
+  assert.equal(charCount(''), 0)
+})
+
+test('mentionQuery finds the @word around the caret', () => {
+  assert.deepEqual(mentionQuery('hey @al', 7), { start: 4, end: 7, query: 'al' })
+  assert.deepEqual(mentionQuery('hey @alice there', 7), { start: 4, end: 10, query: 'al' })
+  assert.deepEqual(mentionQuery('@', 1), { start: 0, end: 1, query: '' })
+  assert.equal(mentionQuery('mail me@home', 12), null)
+  assert.equal(mentionQuery('hey @al ice', 11), null)
+})
+
+test('insertMention swaps the query for a nostr: reference', () => {
+  const { text, caret } = insertMention('hey @al there', { start: 4, end: 7 }, pubkeys.alice)
+  assert.equal(text, `hey nostr:${npub(pubkeys.alice)} there`)
+  assert.equal(text.slice(0, caret), `hey nostr:${npub(pubkeys.alice)} `)
+})
+
+test('matchProfiles ranks prefix matches and boosted keys first', () => {
+  const profiles = [
+    { pubkey: pubkeys.alice, name: 'Alice', nip05: '' },
+    { pubkey: pubkeys.bob, name: 'Malik', nip05: '' },
+    { pubkey: pubkeys.carol, name: 'Carol', nip05: 'ali@x.test' },
+    { pubkey: pubkeys.author, name: 'Bob', nip05: '' }
+  ]
+  assert.deepEqual(matchProfiles(profiles, 'ali').map(p => p.name), ['Alice', 'Malik', 'Carol'])
+  assert.deepEqual(matchProfiles(profiles, 'ali', { boost: pk => pk === pubkeys.carol }).map(p => p.name), ['Carol', 'Alice', 'Malik'])
+  assert.deepEqual(matchProfiles(profiles, 'ali', { limit: 1 }).map(p => p.name), ['Alice'])
+})
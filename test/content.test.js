@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { nip19 } from 'nostr-tools'
+
+import { parseContent, contentHtml, escapeHtml, mediaKind } from '../src/content.js'
+import { pubkeys, notes } from './fixtures/index.js'
+
+test('escapeHtml covers markup and both quote styles', () => {
+  assert.equal(escapeHtml(`<img src=x onerror="a('b')">&`), '&lt;img src=x onerror=&quot;a(&#39;b&#39;)&quot;&gt;&amp;')
+})
+
+test('mediaKind goes by the path, not the query', () => {
+  assert.equal(mediaKind('https://x.test/a.JPG?w=100'), 'image')
+  assert.equal(mediaKind('https://x.test/clip.webm'), 'video')
+  assert.equal(mediaKind('https://x.test/page?f=a.png'), null)
+})
+
+test('urls drop trailing punctuation but keep balanced parens', () => {
+  assert.deepEqual(parseContent('see https://x.test/a. (https://w.test/Foo_(bar)), ok'), [
+    { type: 'text', text: 'see ' },
+    { type: 'link', url: 'https://x.test/a' },
+    { type: 'text', text: '. (' },
+    { type: 'link', url: 'https://w.test/Foo_(bar)' },
+    { type: 'text', text: '), ok' }
+  ])
+})
+
+test('nostr: URIs become mentions and quotes; bad ones stay text', () => {
+  const npub = nip19.npubEncode(pubkeys.alice)
+  const nprofile = nip19.nprofileEncode({ pubkey: pubkeys.bob, relays: ['wss://r.test'] })
+  const nevent = nip19.neventEncode({ id: notes.note.id })
+  const tokens = parseContent(`hi nostr:${npub} nostr:${nprofile}\nnostr:${nevent} nostr:note1zzz`)
+  assert.deepEqual(tokens, [
+    { type: 'text', text: 'hi ' },
+    { type: 'mention', pubkey: pubkeys.alice },
+    { type: 'text', text: ' ' },
+    { type: 'mention', pubkey: pubkeys.bob },
+    { type: 'text', text: '\n' },
+    { type: 'quote', id: notes.note.id },
+    { type: 'text', text: ' nostr:note1zzz' }
+  ])
+})
+
+test('hashtags need a letter and a word boundary', () => {
+  const tags = parseContent('#Nostr and #café, not #2024 or a#b').filter(t => t.type === 'hashtag')
+  assert.deepEqual(tags, [
+    { type: 'hashtag', tag: 'nostr', text: 'Nostr' },
+    { type: 'hashtag', tag: 'café', text: 'café' }
+  ])
+})
+
+test('contentHtml escapes text and attributes and only fetches media on demand', () => {
+  const html = contentHtml(parseContent(`<script>alert(1)</script> https://x.test/"onmouseover=x".png #tag`))
+  assert.ok(!html.includes('<script>'))
+  assert.ok(html.startsWith('&lt;script&gt;alert(1)&lt;/script&gt; '))
+  // the url stops at the quote, which stays escaped text
+  assert.ok(html.includes('href="https://x.test/"'))
+  assert.ok(html.includes('&quot;onmouseover=x&quot;.png'))
+  assert.ok(html.includes('<a href="#" class="hashtag" data-tag="tag">#tag</a>'))
+
+  const media = contentHtml(parseContent('https://x.test/cat.png'))
+  assert.ok(media.includes('class="media-load"'))
+  assert.ok(!media.includes('<img'))
+})
+
+test('mention names come from the caller; nested quotes render as references', () => {
+  const tokens = parseContent(`nostr:${nip19.npubEncode(pubkeys.alice)} nostr:${nip19.noteEncode(notes.note.id)}`)
+  const html = contentHtml(tokens, { name: () => '<Alice>', quotes: false })
+  assert.ok(html.includes(`data-pubkey="${pubkeys.alice}">@&lt;Alice&gt;</a>`))
+  assert.ok(!html.includes('class="quote"'))
+  assert.ok(contentHtml(tokens).includes(`<div class="quote" data-quote="${notes.note.id}">`))
+})
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { IDBFactory } from 'fake-indexeddb'
+
+import { EventStore } from '../src/event-store.js'
+import { VoteCache } from '../src/vote-cache.js'
+import { notes, votes } from './fixtures/index.js'
+
+const note = (n) => ({ id: n.toString(16).padStart(64, '0'), kind: 1, created_at: 1700000000 + n, content: `#${n}` })
+
+test('without IndexedDB nothing is stored', async () => {
+  const store = new EventStore({ indexedDB: null })
+  await store.putNotes([notes.note])
+  assert.deepEqual(await store.recentNotes(), [])
+  assert.deepEqual(await store.profiles(), [])
+})
+
+test('notes come back newest first, filtered before the limit', async () => {
+  const store = new EventStore({ indexedDB: new IDBFactory() })
+  await store.putNotes([1, 2, 3, 4, 5].map(note))
+
+  const recent = await store.recentNotes({ limit: 2, accept: ev => ev.created_at % 2 === 1 })
+  assert.deepEqual(recent.map(ev => ev.content), ['#5', '#3'])
+  assert.equal((await store.recentNotes()).length, 5)
+})
+
+test('eviction keeps the newest notes and profiles', async () => {
+  const store = new EventStore({ indexedDB: new IDBFactory(), maxNotes: 3, maxProfiles: 1, evictEvery: 1000 })
+  await store.putNotes([4, 1, 5, 2, 3].map(note))
+  await store.putProfiles([{ pubkey: 'a', content: '{}' }], 1)
+  await store.putProfiles([{ pubkey: 'b', content: '{}' }], 2)
+  await store.evict()
+
+  assert.deepEqual((await store.recentNotes()).map(ev => ev.content), ['#5', '#4', '#3'])
+  assert.deepEqual((await store.profiles()).map(ev => ev.pubkey), ['b'])
+})
+
+test('writes past evictEvery trigger an eviction pass', async () => {
+  const store = new EventStore({ indexedDB: new IDBFactory(), maxNotes: 2, evictEvery: 4 })
+  await store.putNotes([1, 2, 3].map(note))
+  assert.equal((await store.recentNotes()).length, 3)
+  await store.putNotes([note(4)])
+  assert.deepEqual((await store.recentNotes()).map(ev => ev.content), ['#4', '#3'])
+})
+
+test('votes and notes share one database', async () => {
+  const indexedDB = new IDBFactory()
+  const store = new EventStore({ indexedDB })
+  const cache = new VoteCache({ indexedDB })
+  cache.add([votes.aliceUp])
+  await cache.persist([])
+  await new Promise(resolve => setTimeout(resolve, 20))
+  await store.putNotes([notes.note])
+
+  const reloaded = new VoteCache({ indexedDB })
+  await reloaded.load([notes.note.id])
+  assert.deepEqual(reloaded.get(notes.note.id), [votes.aliceUp])
+  assert.deepEqual(await store.recentNotes(), [notes.note])
+})
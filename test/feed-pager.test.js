@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { FeedPager } from '../src/feed-pager.js'
+import { fakeRelay } from './fixtures/fake-relay.js'
+
+const note = (n, created_at = n) => ({ id: n.toString(16).padStart(64, '0'), kind: 1, pubkey: 'a'.repeat(64), created_at, tags: [], content: `#${n}` })
+const ids = (events) => events.map(ev => ev.content)
+
+test('pages back with until cursors and stops on a short page', async () => {
+  const relay = fakeRelay([1, 2, 3, 4, 5].map(n => note(n)))
+  const pager = new FeedPager({ getRelays: () => [relay], pageSize: 2, timeoutMs: 50 })
+  pager.reset({ kinds: [1] }, 4)
+
+  assert.deepEqual(ids(await pager.next()), ['#4', '#3'])
+  assert.equal(relay.subs[0].filters[0].until, 4)
+  assert.equal(relay.subs[0].filters[0].limit, 2)
+  // `until` is inclusive, so note 3 comes back and is dropped as seen
+  assert.deepEqual(ids(await pager.next()), ['#2'])
+  assert.equal(pager.done, false)
+  assert.deepEqual(ids(await pager.next()), ['#1'])
+  assert.deepEqual(await pager.next(), [])
+  assert.equal(pager.done, true)
+})
+
+test('merges relays without handing out notes a slower relay may precede', async () => {
+  const dense = fakeRelay([10, 9, 8, 7].map(n => note(n)), { url: 'wss://dense.test' })
+  const sparse = fakeRelay([10, 3, 2].map(n => note(n)), { url: 'wss://sparse.test' })
+  const pager = new FeedPager({ getRelays: () => [dense, sparse], pageSize: 2, timeoutMs: 50 })
+  pager.reset({ kinds: [1] }, 100)
+
+  // sparse reached 3, but dense may still hold anything down to 9
+  assert.deepEqual(ids(await pager.next()), ['#10', '#9'])
+  const rest = []
+  while (!pager.done) rest.push(...await pager.next())
+  assert.deepEqual(ids(rest), ['#8', '#7', '#3', '#2'])
+})
+
+test('steps past a second that holds more notes than a page', async () => {
+  const relay = fakeRelay([1, 2, 3].map(n => note(n, 50)).concat(note(4, 40)))
+  const pager = new FeedPager({ getRelays: () => [relay], pageSize: 3, timeoutMs: 50 })
+  pager.reset({ kinds: [1] }, 60)
+
+  assert.equal((await pager.next()).length, 3)
+  assert.deepEqual(await pager.next(), [])
+  assert.deepEqual(ids(await pager.next()), ['#4'])
+  assert.equal(pager.done, true)
+})
+
+test('a reset drops the fetch in flight and concurrent calls share one', async () => {
+  const relay = fakeRelay([1, 2].map(n => note(n)))
+  const pager = new FeedPager({ getRelays: () => [relay], pageSize: 5, timeoutMs: 50 })
+  pager.reset({ kinds: [1] }, 10)
+  const [a, b] = [pager.next(), pager.next()]
+  assert.equal(a, b)
+  assert.equal(relay.subs.length, 1)
+
+  pager.reset(null)
+  assert.deepEqual(await a, [])
+  assert.equal(pager.done, true)
+})
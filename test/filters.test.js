@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  KIND_MUTE_LIST,
+  parseMuteList,
+  buildMuteList,
+  compileRegexFilters,
+  muteReason,
+  lowScoreAction,
+  hasScoreRules
+} from '../src/filters.js'
+import { pubkeys, notes } from './fixtures/index.js'
+
+const note = (content, tags = [], pubkey = pubkeys.alice) => ({ id: 'x', kind: 1, pubkey, created_at: 1, tags, content })
+
+test('buildMuteList writes NIP-51 tags and parseMuteList reads them back', () => {
+  const ev = buildMuteList({ pubkeys: [pubkeys.bob.toUpperCase(), 'junk'], words: [' Spam ', 'spam'], hashtags: ['#Crypto'], created_at: 5 })
+  assert.equal(ev.kind, KIND_MUTE_LIST)
+  assert.deepEqual(ev.tags, [['p', pubkeys.bob], ['t', 'crypto'], ['word', 'spam']])
+  assert.deepEqual(parseMuteList(ev), { pubkeys: [pubkeys.bob], words: ['spam'], hashtags: ['crypto'], created_at: 5 })
+})
+
+test('buildMuteList keeps tags and private content it does not manage', () => {
+  const previous = { kind: KIND_MUTE_LIST, tags: [['e', notes.note.id], ['word', 'old']], content: 'encrypted?iv=x' }
+  const ev = buildMuteList({ pubkeys: [], words: ['new'], hashtags: [], previous, created_at: 6 })
+  assert.deepEqual(ev.tags, [['word', 'new'], ['e', notes.note.id]])
+  assert.equal(ev.content, 'encrypted?iv=x')
+})
+
+test('compileRegexFilters reports bad patterns instead of throwing', () => {
+  const { regexes, errors } = compileRegexFilters(['/^gm$/m', 'buy now', '(', ''])
+  assert.equal(regexes.length, 2)
+  assert.equal(regexes[1].flags, 'i')
+  assert.deepEqual(errors, ['('])
+})
+
+test('muteReason checks authors, hashtags, words and regexes', () => {
+  const mutes = { pubkeys: [pubkeys.bob], words: ['airdrop'], hashtags: ['nsfw'] }
+  const { regexes } = compileRegexFilters(['/\\bgm\\b/i'])
+  const opts = { mutes, regexes }
+
+  assert.equal(muteReason(note('hi', [], pubkeys.bob), opts), 'muted author')
+  assert.equal(muteReason(note('look', [['t', 'NSFW']]), opts), 'muted #nsfw')
+  assert.equal(muteReason(note('pics #nsfw'), opts), 'muted #nsfw')
+  assert.equal(muteReason(note('Free AIRDROP'), opts), 'muted word "airdrop"')
+  assert.equal(muteReason(note('GM everyone'), opts), 'filter /\\bgm\\b/i')
+  assert.equal(muteReason(note('hello karma'), opts), null)
+})
+
+test('lowScoreAction applies either threshold and ignores unknowns', () => {
+  const settings = { minScore: 0, minAuthorKarma: 5, action: 'hide' }
+  assert.equal(lowScoreAction({ score: -1, authorKarma: 10 }, settings), 'hide')
+  assert.equal(lowScoreAction({ score: 3, authorKarma: 1 }, settings), 'hide')
+  assert.equal(lowScoreAction({ score: 3, authorKarma: null }, settings), 'show')
+  assert.equal(lowScoreAction({ score: -1 }, { minScore: 0, action: 'collapse' }), 'collapse')
+  assert.equal(lowScoreAction({ score: -100 }, {}), 'show')
+  assert.equal(hasScoreRules({ minScore: null, minAuthorKarma: null }), false)
+  assert.equal(hasScoreRules({ minScore: 0 }), true)
+})
@@ -0,0 +1,66 @@
+// Stand-in for a nostr-tools relay handle. Stored events are matched
+// against sub filters (ids, kinds, authors, #e, #p, since, until, and
+// limit: the newest n) and followed by EOSE; emit() pushes a live event
+// to open subs.
+
+export function matchFilter(filter, ev) {
+  if (filter.ids && !filter.ids.includes(ev.id)) return false
+  if (filter.kinds && !filter.kinds.includes(ev.kind)) return false
+  if (filter.authors && !filter.authors.includes(ev.pubkey)) return false
+  if (filter.since !== undefined && ev.created_at < filter.since) return false
+  if (filter.until !== undefined && ev.created_at > filter.until) return false
+  for (const key of Object.keys(filter)) {
+    if (!key.startsWith('#')) continue
+    const values = filter[key]
+    const name = key.slice(1)
+    if (!ev.tags.some(t => t[0] === name && values.includes(t[1]))) return false
+  }
+  return true
+}
+
+export function fakeRelay(events = [], { status = 1, url = 'wss://fake.test', eose = true } = {}) {
+  const relay = {
+    url,
+    status,
+    events: [...events],
+    subs: [],
+    published: [],
+    sub(filters) {
+      const listeners = { event: [], eose: [] }
+      const sub = {
+        filters,
+        closed: false,
+        listeners,
+        on: (type, cb) => listeners[type]?.push(cb),
+        unsub: () => { sub.closed = true }
+      }
+      relay.subs.push(sub)
+      setTimeout(() => {
+        const stored = new Set(filters.flatMap((f) => {
+          const matches = relay.events.filter(ev => matchFilter(f, ev))
+          return f.limit > 0 ? matches.sort((a, b) => b.created_at - a.created_at).slice(0, f.limit) : matches
+        }))
+        for (const ev of relay.events) {
+          if (stored.has(ev)) listeners.event.forEach(cb => cb(ev))
+        }
+        if (eose) listeners.eose.forEach(cb => cb())
+      }, 0)
+      return sub
+    },
+    publish(ev) {
+      relay.published.push(ev)
+      relay.events.push(ev)
+      return Promise.resolve()
+    },
+    emit(ev) {
+      relay.events.push(ev)
+      for (const sub of relay.subs) {
+        if (!sub.closed && sub.filters.some(f => matchFilter(f, ev))) sub.listeners.event.forEach(cb => cb(ev))
+      }
+    },
+    openSubs() {
+      return relay.subs.filter(s => !s.closed)
+    }
+  }
+  return relay
+}
@@ -0,0 +1,13 @@
+// Signed fixture events (see events.json): one author with two notes,
+// three voters, reports and reviews against the first note.
+
+import { readFileSync } from 'node:fs'
+
+const fixtures = JSON.parse(readFileSync(new URL('./events.json', import.meta.url), 'utf8'))
+
+export const { pubkeys, notes, votes, moderation } = fixtures
+
+// fresh copies so tests can mutate freely
+export function clone(ev) {
+  return JSON.parse(JSON.stringify(ev))
+}
@@ -0,0 +1,119 @@
+// In-process NIP-01 relay over a real WebSocket, for driving the client
+// end to end with no network. Speaks REQ / EVENT / CLOSE and answers with
+// EVENT, EOSE and OK; filters match like fakeRelay's (kinds, authors, #e,
+// #p, ...). Replaceable and parameterized replaceable events keep only the
+// newest, ties going to the lowest id. A NIP-09 deletion drops the events
+// its e tags name, when they have its author. Serves a NIP-11 document over http
+// on the same port. emit() stores an event as if another client sent it.
+
+import { createServer } from 'node:http'
+import { verifySignature } from 'nostr-tools'
+import { WebSocketServer } from 'ws'
+
+import { matchFilter } from './fake-relay.js'
+
+const INFO = { name: 'local test relay', supported_nips: [1, 9, 11] }
+
+// the slot a replaceable event takes, or null for regular events
+function replaceKey(ev) {
+  if (ev.kind === 0 || ev.kind === 3 || (ev.kind >= 10000 && ev.kind < 20000)) return `${ev.kind}:${ev.pubkey}`
+  if (ev.kind >= 30000 && ev.kind < 40000) {
+    return `${ev.kind}:${ev.pubkey}:${ev.tags.find(t => t[0] === 'd')?.[1] ?? ''}`
+  }
+  return null
+}
+
+const newer = (a, b) => a.created_at > b.created_at || (a.created_at === b.created_at && a.id < b.id)
+
+// resolves to { url, events, received, subs, emit(ev), close() } once listening
+export async function localRelay(events = []) {
+  const stored = []
+  const received = []    // every EVENT a client sent, accepted or not
+  const subs = new Set() // { socket, id, filters }
+
+  const store = (ev) => {
+    if (stored.some(e => e.id === ev.id)) return 'duplicate: already have this event'
+    const key = replaceKey(ev)
+    const prev = key && stored.findIndex(e => replaceKey(e) === key)
+    if (key && prev >= 0) {
+      if (!newer(ev, stored[prev])) return 'duplicate: have a newer version'
+      stored.splice(prev, 1)
+    }
+    if (ev.kind === 5) {
+      const deleted = new Set(ev.tags.filter(t => t[0] === 'e').map(t => t[1]))
+      for (let i = stored.length - 1; i >= 0; i--) {
+        if (deleted.has(stored[i].id) && stored[i].pubkey === ev.pubkey) stored.splice(i, 1)
+      }
+    }
+    stored.push(ev)
+    for (const sub of subs) {
+      if (sub.filters.some(f => matchFilter(f, ev))) sub.socket.send(JSON.stringify(['EVENT', sub.id, ev]))
+    }
+    return ''
+  }
+  events.forEach(store)
+
+  const query = (filters) => {
+    const matched = new Set(filters.flatMap((f) => {
+      const matches = stored.filter(ev => matchFilter(f, ev)).sort((a, b) => b.created_at - a.created_at)
+      return f.limit >= 0 ? matches.slice(0, f.limit) : matches   // limit 0: live events only
+    }))
+    return stored.filter(ev => matched.has(ev)).sort((a, b) => b.created_at - a.created_at)
+  }
+
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/nostr+json', 'access-control-allow-origin': '*' })
+    res.end(JSON.stringify(INFO))
+  })
+  const wss = new WebSocketServer({ server })
+
+  wss.on('connection', (socket) => {
+    const send = (...msg) => socket.send(JSON.stringify(msg))
+    socket.on('message', (data) => {
+      let msg
+      try {
+        msg = JSON.parse(data)
+      } catch {
+        return send('NOTICE', 'error: could not parse message')
+      }
+      const [type, ...args] = Array.isArray(msg) ? msg : []
+
+      if (type === 'EVENT') {
+        const ev = args[0]
+        received.push(ev)
+        if (!ev?.id || !verifySignature(ev)) return send('OK', ev?.id ?? '', false, 'invalid: bad signature')
+        const message = store(ev)
+        return send('OK', ev.id, true, message)
+      }
+      if (type === 'REQ') {
+        const [id, ...filters] = args
+        for (const sub of subs) if (sub.socket === socket && sub.id === id) subs.delete(sub)
+        subs.add({ socket, id, filters })
+        for (const ev of query(filters)) send('EVENT', id, ev)
+        return send('EOSE', id)
+      }
+      if (type === 'CLOSE') {
+        for (const sub of subs) if (sub.socket === socket && sub.id === args[0]) subs.delete(sub)
+        return
+      }
+      send('NOTICE', `error: unknown message type ${type}`)
+    })
+    socket.on('close', () => {
+      for (const sub of subs) if (sub.socket === socket) subs.delete(sub)
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    events: stored,
+    received,
+    subs,
+    emit: store,
+    close() {
+      for (const socket of wss.clients) socket.terminate()
+      wss.close()
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
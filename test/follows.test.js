@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  KIND_CONTACTS,
+  parseContactList,
+  buildContactList,
+  latestContactLists,
+  trustDistances
+} from '../src/follows.js'
+import { pubkeys } from './fixtures/index.js'
+
+const contacts = (pubkey, follows, created_at = 1) =>
+  ({ kind: KIND_CONTACTS, pubkey, created_at, tags: follows.map(pk => ['p', pk]), content: '' })
+
+test('parseContactList returns unique, well-formed followed keys', () => {
+  const ev = contacts(pubkeys.author, [pubkeys.alice, pubkeys.alice, 'junk', pubkeys.bob])
+  ev.tags.push(['t', 'nostr'])
+  assert.deepEqual(parseContactList(ev), [pubkeys.alice, pubkeys.bob])
+  assert.deepEqual(parseContactList({ kind: 1, tags: [['p', pubkeys.alice]] }), [])
+  assert.deepEqual(parseContactList(null), [])
+})
+
+test('buildContactList keeps relay hints, petnames, other tags and content', () => {
+  const previous = {
+    kind: KIND_CONTACTS,
+    tags: [['p', pubkeys.alice, 'wss://alice.relay', 'alice'], ['p', pubkeys.bob], ['t', 'nostr']],
+    content: '{"wss://relay.example":{"read":true,"write":true}}'
+  }
+  const ev = buildContactList({ follows: [pubkeys.alice, pubkeys.carol], previous, created_at: 9 })
+  assert.equal(ev.kind, KIND_CONTACTS)
+  assert.equal(ev.created_at, 9)
+  assert.deepEqual(ev.tags, [['p', pubkeys.alice, 'wss://alice.relay', 'alice'], ['t', 'nostr'], ['p', pubkeys.carol]])
+  assert.equal(ev.content, previous.content)
+})
+
+test('latestContactLists keeps the newest list per author', () => {
+  const old = contacts(pubkeys.alice, [pubkeys.bob], 1)
+  const fresh = contacts(pubkeys.alice, [pubkeys.carol], 2)
+  const other = contacts(pubkeys.bob, [], 1)
+  const lists = latestContactLists([fresh, old, other, { ...old, kind: 1 }])
+  assert.equal(lists.size, 2)
+  assert.equal(lists.get(pubkeys.alice), fresh)
+})
+
+test('trustDistances walks follows breadth-first up to the hop limit', () => {
+  const graph = {
+    [pubkeys.author]: [pubkeys.alice],
+    [pubkeys.alice]: [pubkeys.bob, pubkeys.author],
+    [pubkeys.bob]: [pubkeys.carol]
+  }
+  const followsOf = (pk) => graph[pk] || []
+  const two = trustDistances(pubkeys.author, followsOf, 2)
+  assert.deepEqual([...two], [[pubkeys.author, 0], [pubkeys.alice, 1], [pubkeys.bob, 2]])
+  assert.equal(trustDistances(pubkeys.author, followsOf, 3).get(pubkeys.carol), 3)
+  assert.deepEqual([...trustDistances(pubkeys.author, followsOf, 0)], [[pubkeys.author, 0]])
+})
@@ -0,0 +1,194 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent, getPublicKey, nip57 } from 'nostr-tools'
+import { sha256 } from '@noble/hashes/sha256'
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils'
+import { bech32 } from '@scure/base'
+
+import {
+  KIND_REACTION,
+  parseReaction,
+  buildReaction,
+  buildReactionDeletion,
+  bolt11Msats,
+  bolt11DescriptionHash,
+  parseZap,
+  lnurlPayUrl,
+  resolveZapper,
+  zapPoints,
+  zapsBySender
+} from '../src/interop.js'
+import { buildPostVote, computeScore, parseVote } from '../src/karma.js'
+import { scoreVotes } from '../src/scoring.js'
+import { sourceCounts } from '../src/ranking.js'
+import { REJECT_REASONS, validateVotes } from '../src/validate.js'
+import { pubkeys, notes } from './fixtures/index.js'
+
+const ALICE = '1'.repeat(64)
+const BOB = '2'.repeat(64)
+const WALLET = '3'.repeat(64)   // signs receipts, like an LNURL server
+const post = notes.note.id
+
+function reaction(sk, content, created_at, tags = [['e', post], ['p', pubkeys.author]]) {
+  return finishEvent({ kind: KIND_REACTION, created_at, tags, content }, sk)
+}
+
+function vote(sk, sign, created_at) {
+  return finishEvent(buildPostVote({ author: pubkeys.author, eventId: post, sign, created_at }), sk)
+}
+
+// BOLT-11 invoice for `sats` committing to `description` (unsigned: zeros)
+function invoice(sats, description) {
+  const hash = bech32.toWords(sha256(utf8ToBytes(description)))
+  const words = [...new Array(7).fill(0), 23, 1, 20, ...hash, ...new Array(104).fill(0)]
+  return bech32.encode(`lnbc${sats * 10}n`, words, Number.MAX_SAFE_INTEGER)
+}
+
+// zap receipt for `sats` from `sk`; `asked` overrides the request's amount tag
+function zap(sk, sats, created_at, { asked = sats * 1000, target = post, wallet = WALLET, bolt11 } = {}) {
+  const request = JSON.stringify(finishEvent({
+    kind: 9734,
+    created_at,
+    content: '',
+    tags: [['p', pubkeys.author], ['e', target], ['amount', String(asked)], ['relays', 'wss://relay.test']]
+  }, sk))
+  const receipt = nip57.makeZapReceipt({
+    zapRequest: request,
+    bolt11: bolt11 || invoice(sats, request),
+    paidAt: new Date(created_at * 1000)
+  })
+  return finishEvent(receipt, wallet)
+}
+
+test('parseReaction reads +, empty and - as votes on the last e tag', () => {
+  const tags = [['e', notes.note2.id], ['e', post], ['p', pubkeys.alice], ['p', pubkeys.author]]
+  assert.deepEqual(parseReaction(reaction(ALICE, '+', 10, tags)), {
+    voter: getPublicKey(ALICE), sign: 1, post, author: pubkeys.author, stake: 0, created_at: 10
+  })
+  assert.equal(parseReaction(reaction(ALICE, '', 10)).sign, 1)
+  assert.equal(parseReaction(reaction(ALICE, '-', 10)).sign, -1)
+  assert.equal(parseReaction(reaction(ALICE, '🤙', 10)), null)
+  assert.equal(parseReaction(reaction(ALICE, '+', 10, [['p', pubkeys.author]])), null)
+  // parseVote reads them too, so every scoring mode sees them
+  assert.equal(parseVote(reaction(ALICE, '-', 10)).sign, -1)
+})
+
+test('buildReaction mirrors a vote and has nothing for a cleared one', () => {
+  const up = buildReaction({ author: pubkeys.author, eventId: post, sign: 1, created_at: 5 })
+  assert.deepEqual(up, { kind: KIND_REACTION, created_at: 5, tags: [['e', post], ['p', pubkeys.author]], content: '+' })
+  assert.equal(buildReaction({ author: pubkeys.author, eventId: post, sign: -1 }).content, '-')
+  assert.equal(buildReaction({ author: pubkeys.author, eventId: post, sign: 0 }), null)
+})
+
+test('buildReactionDeletion takes back reactions by id', () => {
+  assert.deepEqual(buildReactionDeletion(['a'.repeat(64)], 6), {
+    kind: 5, created_at: 6, tags: [['e', 'a'.repeat(64)], ['k', '7']], content: ''
+  })
+})
+
+test('bolt11Msats reads the amount from the human-readable part', () => {
+  assert.equal(bolt11Msats('lnbc2500u1pvjluez'), 250000000)
+  assert.equal(bolt11Msats('lnbc210n1pqqqqqq'), 21000)
+  assert.equal(bolt11Msats('LNBC1M1PQQQ'), 100000000)
+  assert.equal(bolt11Msats('lntb10p1pqqqqqq'), 1)
+  assert.equal(bolt11Msats('lnbc1pvjluez'), null)      // no amount
+  assert.equal(bolt11Msats('lnbc15p1pqqqqqq'), null)   // half a millisat
+  assert.equal(bolt11Msats('not an invoice'), null)
+})
+
+test('bolt11DescriptionHash reads the h field', () => {
+  assert.equal(bolt11DescriptionHash(invoice(21, 'hello')), bytesToHex(sha256(utf8ToBytes('hello'))))
+  assert.equal(bolt11DescriptionHash('lnbc210n1pqqqqqq'), null)
+  assert.equal(bolt11DescriptionHash('not an invoice'), null)
+})
+
+test('parseZap credits the zap request signer, and checks it against the receipt', () => {
+  const ev = zap(ALICE, 21, 10)
+  assert.deepEqual(parseZap(ev), { voter: getPublicKey(ALICE), post, author: pubkeys.author, msats: 21000, created_at: 10 })
+  assert.equal(parseZap(zap(ALICE, 21, 10, { asked: 1000000 })), null)
+
+  const retargeted = zap(ALICE, 21, 10)
+  retargeted.tags.find(t => t[0] === 'e')[1] = notes.note2.id
+  assert.equal(parseZap(retargeted), null)
+  assert.equal(parseZap({ ...ev, tags: ev.tags.filter(t => t[0] !== 'description') }), null)
+  // an invoice that doesn't commit to this request isn't proof of the zap
+  assert.equal(parseZap(zap(ALICE, 21, 10, { bolt11: invoice(21, 'something else') })), null)
+  assert.equal(parseZap(zap(ALICE, 21, 10, { bolt11: 'lnbc210n1pqqqqqq' })), null)
+})
+
+test('lnurlPayUrl reads lud16, then lud06', () => {
+  assert.equal(lnurlPayUrl({ lud16: 'alice@wallet.test' }), 'https://wallet.test/.well-known/lnurlp/alice')
+  const lud06 = bech32.encode('lnurl', bech32.toWords(utf8ToBytes('https://wallet.test/pay/alice')), 2000)
+  assert.equal(lnurlPayUrl({ lud16: '', lud06 }), 'https://wallet.test/pay/alice')
+  assert.equal(lnurlPayUrl({ lud06: bech32.encode('lnurl', bech32.toWords(utf8ToBytes('http://wallet.test')), 2000) }), null)
+  assert.equal(lnurlPayUrl({ lud16: 'nope' }), null)
+  assert.equal(lnurlPayUrl(null), null)
+})
+
+test('resolveZapper returns the nostrPubkey of servers that allow nostr', async () => {
+  const server = (json) => async () => ({ ok: true, json: async () => json })
+  const url = 'https://wallet.test/.well-known/lnurlp/alice'
+  assert.equal(await resolveZapper(url, server({ allowsNostr: true, nostrPubkey: getPublicKey(WALLET) })), getPublicKey(WALLET))
+  assert.equal(await resolveZapper(url, server({ allowsNostr: false, nostrPubkey: getPublicKey(WALLET) })), null)
+  assert.equal(await resolveZapper(url, server({ allowsNostr: true, nostrPubkey: 'npub1xyz' })), null)
+  assert.equal(await resolveZapper(url, async () => { throw new Error('offline') }), null)
+  assert.equal(await resolveZapper(null, server({})), null)
+})
+
+test('zaps sum per sender and count log-scaled', () => {
+  assert.equal(zapPoints(1000 * 1000), 3)
+  assert.equal(zapPoints(0), 0)
+  const senders = zapsBySender([zap(ALICE, 400, 10), zap(ALICE, 600, 11), zap(BOB, 9, 12)])
+  assert.deepEqual(senders.get(getPublicKey(ALICE)), { voter: getPublicKey(ALICE), msats: 1000000, count: 2, points: 3 })
+  assert.equal(senders.get(getPublicKey(BOB)).points, 1)
+})
+
+test('computeScore folds reactions into latest-vote-per-voter and adds zaps', () => {
+  const events = [
+    vote(ALICE, 1, 10),
+    reaction(ALICE, '-', 20),   // alice's newer reaction replaces her vote
+    reaction(BOB, '+', 10),
+    vote(BOB, 1, 20),           // and bob's vote his reaction: one voice each
+    zap(BOB, 1000, 30)
+  ]
+  assert.equal(computeScore(events), -1 + 1 + 3)
+  assert.deepEqual(sourceCounts(events), {
+    votes:     { ups: 1, downs: 0 },
+    reactions: { ups: 0, downs: 1 },
+    zaps:      { count: 1, sats: 1000, points: 3 }
+  })
+})
+
+test('zaps keep their points where pow and stake weigh votes, and follow trust in wot', () => {
+  const events = [zap(ALICE, 1000, 10)]
+  assert.equal(scoreVotes(events, { mode: 'pow' }), 3)
+  assert.equal(scoreVotes(events, { mode: 'stake' }), 3)
+  assert.equal(scoreVotes(events, { mode: 'wot', trusted: new Map() }), 0)
+  assert.equal(scoreVotes(events, { mode: 'wot', trusted: new Map([[getPublicKey(ALICE), 1]]) }), 3)
+  assert.ok(scoreVotes(events, { mode: 'wilson' }) > 0)
+})
+
+test('validateVotes accepts reactions and zaps for the post, and drops forged or unverifiable zaps', () => {
+  const good = [reaction(ALICE, '+', 10), zap(BOB, 21, 10), zap(BOB, 50, 10)]
+  const forged = zap(ALICE, 5000, 11)
+  // claims bob sent it, with an invoice that commits to the claim
+  const description = JSON.stringify({ ...JSON.parse(forged.tags.find(t => t[0] === 'description')[1]), pubkey: getPublicKey(BOB) })
+  forged.tags = forged.tags.map(t => {
+    if (t[0] === 'description') return ['description', description]
+    if (t[0] === 'bolt11') return ['bolt11', invoice(5000, description)]
+    return t
+  })
+  const resigned = finishEvent({ kind: forged.kind, created_at: forged.created_at, tags: forged.tags, content: '' }, WALLET)
+
+  const elsewhere = zap(ALICE, 5000, 12, { wallet: BOB })   // a receipt from some other server
+
+  const zapperOf = (pk) => (pk === pubkeys.author ? getPublicKey(WALLET) : undefined)
+  const wrongTarget = reaction(ALICE, '+', 10, [['e', notes.note2.id], ['p', pubkeys.author]])
+  const { accepted, rejected } = validateVotes([...good, resigned, elsewhere, wrongTarget], { postId: post, now: 100, zapperOf })
+  assert.equal(accepted.length, 3)   // two zaps from one sender in one second both count
+  assert.deepEqual(rejected.map(r => r.reason), [REJECT_REASONS.BAD_ZAP, REJECT_REASONS.UNVERIFIED_ZAP, REJECT_REASONS.WRONG_TARGET])
+
+  // until the recipient's zap key is known, no zap counts
+  const unknown = validateVotes(good, { postId: post, now: 100 })
+  assert.deepEqual(unknown.rejected.map(r => r.reason), [REJECT_REASONS.UNVERIFIED_ZAP, REJECT_REASONS.UNVERIFIED_ZAP])
+})
@@ -0,0 +1,141 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent, nip19, verifySignature } from 'nostr-tools'
+
+import {
+  KIND_KARMA_VOTE,
+  VOTE_SCHEMA,
+  parsePubkey,
+  buildPostVote,
+  buildUserVote,
+  mineAndFinish,
+  parseVote,
+  voteSchema,
+  isVoteEvent,
+  computeScore,
+  computeUserKarma,
+  karmaHistory,
+  formatScore
+} from '../src/karma.js'
+import { pubkeys, notes, votes, clone } from './fixtures/index.js'
+
+const SK = '5'.repeat(64)
+
+test('parsePubkey accepts hex and npub, rejects junk', () => {
+  assert.equal(parsePubkey(pubkeys.author.toUpperCase()), pubkeys.author)
+  assert.equal(parsePubkey(` ${nip19.npubEncode(pubkeys.alice)} `), pubkeys.alice)
+  assert.equal(parsePubkey('npub1nope'), null)
+  assert.equal(parsePubkey(nip19.noteEncode(notes.note.id)), null)
+  assert.equal(parsePubkey(''), null)
+})
+
+test('buildPostVote tags the d slot, author, post, sign and schema', () => {
+  const unsigned = buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: -1, created_at: 1 })
+  assert.equal(unsigned.kind, KIND_KARMA_VOTE)
+  assert.deepEqual(unsigned.tags, [
+    ['d', notes.note.id],
+    ['p', pubkeys.author],
+    ['e', notes.note.id],
+    ['v', '-1'],
+    ['client', 'nostr_karma_postvote'],
+    ['schema', String(VOTE_SCHEMA)]
+  ])
+})
+
+test('buildUserVote has a p tag, a stake tag and no e tag', () => {
+  const unsigned = buildUserVote({ target: pubkeys.author, sign: 1, stake: 3, created_at: 1 })
+  assert.deepEqual(unsigned.tags[0], ['d', `p:${pubkeys.author}`])
+  assert.equal(unsigned.tags.find(t => t[0] === 'e'), undefined)
+  assert.deepEqual(unsigned.tags.find(t => t[0] === 'p'), ['p', pubkeys.author])
+  assert.deepEqual(unsigned.tags.find(t => t[0] === 'stake'), ['stake', '3'])
+})
+
+test('mineAndFinish returns a signed event with the requested hex prefix', () => {
+  const ev = mineAndFinish(buildUserVote({ target: pubkeys.author, sign: 1 }), SK, 4, 5000)
+  assert.ok(verifySignature(ev))
+  assert.ok(ev.id.startsWith('0'))
+  assert.ok(ev.tags.some(t => t[0] === 'nonce'))
+})
+
+test('mineAndFinish returns null instead of an un-mined event', () => {
+  assert.equal(mineAndFinish(buildUserVote({ target: pubkeys.author, sign: 1 }), SK, 40, 50), null)
+})
+
+test('parseVote reads sign, targets and stake', () => {
+  assert.deepEqual(parseVote(votes.carolUp), {
+    voter: pubkeys.carol,
+    sign: 1,
+    post: notes.note.id,
+    author: pubkeys.author,
+    stake: 5,
+    created_at: votes.carolUp.created_at
+  })
+  assert.equal(parseVote(votes.bobUpUser).post, null)
+  assert.equal(parseVote(votes.malformedSign), null)
+  assert.equal(parseVote(notes.note), null)
+})
+
+test('voteSchema tells tagless v1 votes from v2 ones', () => {
+  assert.equal(voteSchema(votes.aliceUp), 1)
+  assert.equal(voteSchema(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1 })), VOTE_SCHEMA)
+  assert.equal(voteSchema({ tags: [['d', notes.note.id], ['schema', '3']] }), 3)
+  // both read the same
+  const v2 = finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, stake: 5, created_at: votes.carolUp.created_at }), SK)
+  assert.deepEqual({ ...parseVote(v2), voter: pubkeys.carol }, parseVote(votes.carolUp))
+})
+
+test('isVoteEvent rejects votes without a valid author tag', () => {
+  assert.ok(isVoteEvent(votes.aliceUp))
+  const ev = clone(votes.aliceUp)
+  ev.tags = ev.tags.filter(t => t[0] !== 'p')
+  assert.equal(isVoteEvent(ev), false)
+})
+
+test('computeScore counts only the latest vote per voter', () => {
+  assert.equal(computeScore([votes.aliceUp, votes.bobDown, votes.carolUp]), 1)
+  // alice cleared her vote after upvoting
+  assert.equal(computeScore([votes.aliceUp, votes.aliceClear]), 0)
+  // ...then upvoted again; order of arrival doesn't matter
+  assert.equal(computeScore([votes.aliceUpAgain, votes.aliceUp, votes.aliceClear]), 1)
+  assert.equal(computeScore([votes.malformedSign, votes.bobDown]), -1)
+  assert.equal(computeScore([]), 0)
+})
+
+test('same-second votes resolve to the lowest id, whatever the arrival order', () => {
+  const at = 1700000000
+  const up = finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, created_at: at }), SK)
+  const down = finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: -1, created_at: at }), SK)
+  const expected = up.id < down.id ? 1 : -1
+  assert.equal(computeScore([up, down]), expected)
+  assert.equal(computeScore([down, up]), expected)
+})
+
+test('computeUserKarma sums per-post and user-level votes per target', () => {
+  const all = Object.values(votes)
+  const { karma, targets, votes: count } = computeUserKarma(all)
+  // note: alice +1, bob -1, carol +1 = 1; note2: carol +1; user: bob +1, alice -1
+  assert.equal(karma, 2)
+  assert.equal(targets, 3)
+  assert.equal(count, all.length)
+})
+
+test('formatScore prefixes positive scores', () => {
+  assert.equal(formatScore(3), '+3')
+  assert.equal(formatScore(0), '0')
+  assert.equal(formatScore(-2), '-2')
+})
+
+test('karmaHistory replays votes bucket by bucket', () => {
+  const all = Object.values(votes)
+  const history = karmaHistory(all, { bucketSecs: 10 })
+  assert.deepEqual(history.map(p => p.karma), [1, 0, 1, 2, 2])
+  assert.deepEqual(history.map(p => p.t), [1700000020, 1700000030, 1700000040, 1700000050, 1700000060])
+  assert.equal(history.at(-1).karma, computeUserKarma(all.filter(ev => parseVote(ev))).karma)
+  assert.deepEqual(karmaHistory([]), [])
+})
+
+test('karmaHistory widens buckets to stay under maxPoints', () => {
+  const history = karmaHistory(Object.values(votes), { bucketSecs: 1, maxPoints: 3 })
+  assert.ok(history.length <= 4)
+  assert.equal(history.at(-1).karma, 2)
+})
@@ -0,0 +1,90 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  KIND_REPORT,
+  normalizeReportReason,
+  buildReport,
+  buildReview,
+  computeReportStatus
+} from '../src/moderation.js'
+import { pubkeys, notes, moderation } from './fixtures/index.js'
+
+const { reports, reviews } = moderation
+
+// reviewers who are no party to the reports in the fixtures
+const [DAVE, ERIN, FRANK, GRACE] = ['d', 'e', 'f', '9'].map(c => c.repeat(64))
+const review = (pubkey, decision, created_at = 1700000300) =>
+  ({ ...buildReview({ eventId: notes.note.id, decision, created_at }), pubkey })
+
+test('normalizeReportReason maps free text onto NIP-56 types', () => {
+  assert.equal(normalizeReportReason(' Spam '), 'spam')
+  assert.equal(normalizeReportReason('harassment'), 'other')
+  assert.equal(normalizeReportReason(''), 'other')
+})
+
+test('buildReport references the note and its author with a reason', () => {
+  const unsigned = buildReport({ eventId: notes.note.id, author: pubkeys.author, text: 'malware' })
+  assert.equal(unsigned.kind, KIND_REPORT)
+  assert.deepEqual(unsigned.tags.slice(0, 2), [
+    ['e', notes.note.id, 'malware'],
+    ['p', pubkeys.author, 'malware']
+  ])
+})
+
+test('buildReview is addressable by the reported event id', () => {
+  const unsigned = buildReview({ eventId: notes.note.id, decision: 'reject' })
+  assert.deepEqual(unsigned.tags.find(t => t[0] === 'd'), ['d', notes.note.id])
+  assert.deepEqual(unsigned.tags.find(t => t[0] === 'decision'), ['decision', 'reject'])
+})
+
+test('no reports means no status', () => {
+  assert.equal(computeReportStatus([], [reviews.aliceConfirm]).status, 'none')
+})
+
+test('reports stay pending until quorum', () => {
+  const result = computeReportStatus([reports.alice], [review(DAVE, 'confirm'), reviews.bobReject])
+  assert.deepEqual(result, { status: 'reported', reporters: 1, confirms: 1, rejects: 1 })
+})
+
+test('majority of latest decisions decides', () => {
+  const confirmed = computeReportStatus(
+    [reports.alice],
+    [review(DAVE, 'confirm'), reviews.bobReject, reviews.carolConfirm]
+  )
+  assert.equal(confirmed.status, 'confirmed')
+
+  // carol changed her mind: her later reject replaces her confirm
+  const rejected = computeReportStatus(
+    [reports.alice],
+    [review(DAVE, 'confirm'), reviews.bobReject, reviews.carolConfirm, reviews.carolReject]
+  )
+  assert.equal(rejected.status, 'rejected')
+  assert.equal(rejected.confirms, 1)
+})
+
+test('ties are broken by the number of distinct reporters', () => {
+  const tie = [review(DAVE, 'confirm'), review(ERIN, 'reject'), review(FRANK, 'confirm'), review(GRACE, 'reject')]
+  assert.equal(computeReportStatus([reports.alice], tie).status, 'rejected')
+  assert.equal(computeReportStatus(Object.values(reports), tie).status, 'confirmed')
+  assert.equal(computeReportStatus([reports.alice], tie, { quorum: 5 }).status, 'reported')
+})
+
+test('the reported author and the reporters are not counted as reviewers', () => {
+  const all = [reviews.aliceConfirm, reviews.bobReject, reviews.carolConfirm, reviews.authorReject]
+  const result = computeReportStatus([reports.alice, reports.carol], all, { author: pubkeys.author })
+  assert.deepEqual(result, { status: 'reported', reporters: 2, confirms: 0, rejects: 1 })
+
+  // the author can't reject their way out, nor the reporters confirm their way in
+  const outsiders = [...all, review(DAVE, 'confirm'), review(ERIN, 'confirm')]
+  assert.deepEqual(computeReportStatus([reports.alice, reports.carol], outsiders, { author: pubkeys.author }),
+    { status: 'confirmed', reporters: 2, confirms: 2, rejects: 1 })
+})
+
+test('only the configured reviewers count when there are any', () => {
+  const all = [review(pubkeys.bob, 'confirm'), review(DAVE, 'confirm'), review(ERIN, 'confirm'), review(FRANK, 'reject')]
+  assert.equal(computeReportStatus([reports.alice], all).status, 'confirmed')
+  const result = computeReportStatus([reports.alice], all, { quorum: 2, reviewers: [DAVE, FRANK, GRACE] })
+  assert.deepEqual(result, { status: 'rejected', reporters: 1, confirms: 1, rejects: 1 })
+  assert.equal(computeReportStatus([reports.alice], all, { reviewers: [DAVE, FRANK] }).status, 'reported')
+})
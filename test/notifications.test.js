@@ -0,0 +1,98 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { KIND_NOTE, buildPostVote, buildUserVote } from '../src/karma.js'
+import { buildReaction } from '../src/interop.js'
+import {
+  notificationFilter,
+  classifyNotification,
+  groupNotifications,
+  describeNotification,
+  NotificationInbox
+} from '../src/notifications.js'
+import { pubkeys, notes } from './fixtures/index.js'
+
+const ME = pubkeys.author
+const DAVE = 'd'.repeat(64)
+const post = notes.note.id
+
+let nextId = 0
+const signed = (pubkey, ev) => ({ ...ev, id: String(nextId++).padStart(64, '0'), pubkey })
+const vote = (pubkey, sign, created_at) => signed(pubkey, buildPostVote({ author: ME, eventId: post, sign, created_at }))
+const note = (pubkey, tags, created_at = 10) => signed(pubkey, { kind: KIND_NOTE, created_at, tags, content: 'hi' })
+
+function memoryStorage() {
+  const data = {}
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v) }
+  }
+}
+
+test('notificationFilter asks for notes, reactions and votes that tag me', () => {
+  assert.deepEqual(notificationFilter(ME, { since: 5 }), { kinds: [1, 7, 30010], '#p': [ME], since: 5, limit: 200 })
+})
+
+test('classifyNotification tells votes, replies and mentions apart', () => {
+  assert.deepEqual(classifyNotification(vote(pubkeys.alice, 1, 10), ME), {
+    id: String(nextId - 1).padStart(64, '0'), actor: pubkeys.alice, created_at: 10, type: 'upvote', target: post
+  })
+  const reaction = signed(pubkeys.bob, buildReaction({ author: ME, eventId: post, sign: -1, created_at: 10 }))
+  assert.equal(classifyNotification(reaction, ME).type, 'downvote')
+  const onMe = signed(pubkeys.bob, buildUserVote({ target: ME, sign: 1, created_at: 10 }))
+  assert.deepEqual([classifyNotification(onMe, ME).type, classifyNotification(onMe, ME).target], ['upvote', null])
+
+  const reply = note(pubkeys.alice, [['e', post, '', 'root'], ['p', ME]])
+  assert.deepEqual([classifyNotification(reply, ME).type, classifyNotification(reply, ME).target], ['reply', post])
+  const mention = note(pubkeys.alice, [['p', ME]])
+  assert.equal(classifyNotification(mention, ME).type, 'mention')
+
+  // not about me, or by me
+  assert.equal(classifyNotification(note(pubkeys.alice, [['p', pubkeys.bob]]), ME), null)
+  assert.equal(classifyNotification(vote(ME, 1, 10), ME), null)
+})
+
+test('groupNotifications groups votes per note by each voter\'s latest vote', () => {
+  const events = [
+    vote(pubkeys.alice, 1, 10),
+    vote(pubkeys.bob, 1, 11),
+    vote(pubkeys.carol, 1, 12),
+    vote(pubkeys.carol, -1, 20),   // carol changed her mind
+    vote(DAVE, 1, 13),
+    vote(DAVE, 0, 14),   // and dave took his back
+    note(pubkeys.alice, [['e', post, '', 'root'], ['p', ME]], 30)
+  ]
+  const groups = groupNotifications(events, ME)
+  assert.deepEqual(groups.map(g => [g.type, g.actors.length, g.created_at]), [
+    ['reply', 1, 30],
+    ['downvote', 1, 20],
+    ['upvote', 2, 11]
+  ])
+
+  const name = (pk) => (pk === pubkeys.carol ? 'Carol' : pk)
+  assert.equal(describeNotification(groups[2], name), '2 people upvoted your note')
+  assert.equal(describeNotification(groups[1], name), 'Carol downvoted your note')
+  assert.equal(describeNotification({ type: 'upvote', target: null, actors: [pubkeys.carol] }, name), 'Carol upvoted you')
+})
+
+test('NotificationInbox counts unread entries and keeps the read mark per key', () => {
+  const storage = memoryStorage()
+  const inbox = new NotificationInbox({ storage })
+  inbox.load(ME)
+  assert.equal(inbox.add([vote(pubkeys.alice, 1, 10), vote(pubkeys.bob, 1, 11), note(pubkeys.carol, [['p', ME]], 12)]), true)
+  assert.equal(inbox.add([note(pubkeys.carol, [['p', pubkeys.bob]], 12)]), false)
+  assert.equal(inbox.unreadCount(), 2)
+
+  inbox.markRead(100)
+  assert.equal(inbox.unreadCount(), 0)
+  inbox.add([vote(pubkeys.carol, 1, 101)])
+  assert.equal(inbox.unreadCount(), 1)   // the upvote group has news again
+
+  const again = new NotificationInbox({ storage })
+  again.load(ME)
+  again.add([vote(pubkeys.alice, 1, 10)])
+  assert.equal(again.unreadCount(), 0)
+  again.load(pubkeys.alice)
+  assert.equal(again.readAt, 0)
+})
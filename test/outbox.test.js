@@ -0,0 +1,114 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { Outbox, summarize, describeDelivery } from '../src/outbox.js'
+import { notes, votes } from './fixtures/index.js'
+
+function memoryStorage() {
+  const data = {}
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v) }
+  }
+}
+
+// relay whose publish() answers according to `answer`: 'ok' | 'reject' | 'silent'
+function relay(url, answer = 'ok') {
+  const listeners = { notice: [] }
+  const r = {
+    url,
+    status: 1,
+    answer,
+    sent: [],
+    on: (type, cb) => listeners[type]?.push(cb),
+    notice: (msg) => listeners.notice.forEach(cb => cb(msg)),
+    publish(ev) {
+      r.sent.push(ev.id)
+      if (r.answer === 'ok') return Promise.resolve()
+      if (r.answer === 'reject') return Promise.reject(new Error('blocked: pow too low'))
+      return new Promise(() => {})
+    }
+  }
+  return r
+}
+
+test('publish records a result per relay', async () => {
+  const relays = [relay('wss://a'), relay('wss://b', 'reject'), relay('wss://c')]
+  const outbox = new Outbox({ storage: memoryStorage(), getRelays: () => relays })
+
+  const result = await outbox.publish(notes.note)
+  assert.deepEqual(result, { ok: 2, failed: 1, pending: 0, total: 3, state: 'partial' })
+  assert.equal(outbox.get(notes.note.id).results['wss://b'].message, 'blocked: pow too low')
+  assert.equal(describeDelivery(result), 'sent to 2/3 relays')
+})
+
+test('relays that never answer time out as failed', async () => {
+  const relays = [relay('wss://a', 'silent')]
+  const outbox = new Outbox({ storage: memoryStorage(), getRelays: () => relays, timeoutMs: 10 })
+  const result = await outbox.publish(notes.note)
+  assert.equal(result.state, 'failed')
+  assert.equal(describeDelivery(result), 'failed')
+})
+
+test('a NOTICE during a pending publish is kept with the result', async () => {
+  const r = relay('wss://a', 'silent')
+  const outbox = new Outbox({ storage: memoryStorage(), getRelays: () => [r], timeoutMs: 20 })
+  outbox.attachRelay(r)
+  const sending = outbox.publish(notes.note)
+  r.notice('rate limited')
+  await sending
+  assert.equal(outbox.get(notes.note.id).results['wss://a'].notice, 'rate limited')
+})
+
+test('listeners see sending, then the final state', async () => {
+  const outbox = new Outbox({ storage: memoryStorage(), getRelays: () => [relay('wss://a')] })
+  const states = []
+  outbox.onChange((entry, summary) => states.push(summary.state))
+  await outbox.publish(votes.aliceUp, { ref: notes.note.id })
+  assert.equal(states[0], 'sending')
+  assert.equal(states.at(-1), 'delivered')
+  assert.equal(outbox.get(votes.aliceUp.id).ref, notes.note.id)
+})
+
+test('undelivered events survive a reload and retry on reconnect', async () => {
+  const storage = memoryStorage()
+  const a = relay('wss://a')
+  const b = relay('wss://b', 'reject')
+
+  const first = new Outbox({ storage, getRelays: () => [a, b] })
+  await first.publish(notes.note)
+  await first.publish(notes.note2)
+  assert.equal(first.pending().length, 2)
+
+  const second = new Outbox({ storage, getRelays: () => [] })
+  assert.equal(second.pending().length, 2)
+
+  b.answer = 'ok'
+  second.attachRelay(b)
+  await new Promise(resolve => setTimeout(resolve, 0))
+  assert.deepEqual(b.sent.slice(-2).sort(), [notes.note.id, notes.note2.id].sort())
+  assert.equal(second.summary(notes.note.id).state, 'delivered')
+  assert.equal(second.pending().length, 0)
+  assert.deepEqual(JSON.parse(storage.data['nostr-karma-outbox']), [])
+
+  // relays that already acknowledged aren't asked again
+  second.attachRelay(a)
+  assert.equal(a.sent.length, 2)
+})
+
+test('events signed with no relay up adopt the first relay that connects', async () => {
+  const outbox = new Outbox({ storage: memoryStorage(), getRelays: () => [] })
+  const result = await outbox.publish(notes.note)
+  assert.equal(describeDelivery(result), 'not sent (no relays)')
+
+  const a = relay('wss://a')
+  outbox.attachRelay(a)
+  await new Promise(resolve => setTimeout(resolve, 0))
+  assert.equal(outbox.summary(notes.note.id).state, 'delivered')
+})
+
+test('summarize', () => {
+  const entry = { targets: ['a', 'b'], results: { a: { status: 'ok' } } }
+  assert.deepEqual(summarize(entry), { ok: 1, failed: 0, pending: 1, total: 2, state: 'sending' })
+})
@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { getEventHash, nip13 } from 'nostr-tools'
+import { mineRange, mineInChunks } from '../src/pow-core.js'
+import { minePow } from '../src/pow.js'
+import { buildUserVote } from '../src/karma.js'
+import { checkPow } from '../src/validate.js'
+import { pubkeys } from './fixtures/index.js'
+
+const template = buildUserVote({ target: pubkeys.author, sign: 1, created_at: 1700000000 })
+const pubkey = pubkeys.carol
+
+test('mineRange targets exact bits, not whole nibbles', () => {
+  const { event } = mineRange(template, pubkey, 6, 0, 50000)
+  const id = getEventHash({ ...event, pubkey })
+  assert.ok(nip13.getPow(id) >= 6)
+  assert.deepEqual(event.tags.filter(t => t[0] === 'nonce').map(t => t[2]), ['6'])
+  assert.equal(checkPow({ ...event, pubkey, id }, 6), null)
+})
+
+test('mineInChunks reports progress and returns null when out of tries', async () => {
+  const progress = []
+  const result = await mineInChunks(
+    { template, pubkey, bits: 40, maxIters: 300, chunkSize: 100 },
+    { onProgress: (p) => progress.push(p.tried) }
+  )
+  assert.equal(result.event, null)
+  assert.equal(result.tried, 300)
+  assert.ok(result.best > 0)
+  assert.deepEqual(progress, [100, 200, 300])
+})
+
+test('mineInChunks stops when aborted', async () => {
+  const controller = new AbortController()
+  const run = mineInChunks(
+    { template, pubkey, bits: 40, maxIters: 1e6, chunkSize: 50 },
+    { signal: controller.signal, onProgress: () => controller.abort(), pause: () => Promise.resolve() }
+  )
+  await assert.rejects(run, { name: 'AbortError' })
+})
+
+// in-process stand-in for the Web Worker protocol of pow-worker.js
+function fakeWorker() {
+  const w = {
+    terminated: false,
+    terminate: () => { w.terminated = true },
+    async postMessage(job) {
+      const result = await mineInChunks(job, { onProgress: (p) => w.onmessage({ data: { type: 'progress', ...p } }) })
+      if (!w.terminated) w.onmessage({ data: { type: 'done', ...result } })
+    }
+  }
+  return w
+}
+
+test('minePow runs the job in a worker and terminates it', async () => {
+  let worker
+  const result = await minePow({ template, pubkey, bits: 4 }, { createWorker: () => (worker = fakeWorker()) })
+  assert.ok(nip13.getPow(getEventHash({ ...result.event, pubkey })) >= 4)
+  assert.ok(worker.terminated)
+})
+
+test('minePow falls back to the main thread without Worker support', async () => {
+  const result = await minePow({ template, pubkey, bits: 4 }, { createWorker: () => null })
+  assert.ok(result.event.tags.some(t => t[0] === 'nonce' && t[2] === '4'))
+})
+
+test('minePow rejects and terminates the worker on abort', async () => {
+  const controller = new AbortController()
+  const worker = { terminated: false, terminate() { this.terminated = true }, postMessage() {} }
+  const run = minePow({ template, pubkey, bits: 30 }, { signal: controller.signal, createWorker: () => worker })
+  controller.abort()
+  await assert.rejects(run, { name: 'AbortError' })
+  assert.ok(worker.terminated)
+})
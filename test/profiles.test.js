@@ -0,0 +1,131 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent, generatePrivateKey, getPublicKey } from 'nostr-tools'
+import { IDBFactory } from 'fake-indexeddb'
+
+import { KIND_METADATA, parseProfile, displayName, verifyNip05, resolveNip05, ProfileService } from '../src/profiles.js'
+import { EventStore } from '../src/event-store.js'
+import { fakeRelay } from './fixtures/fake-relay.js'
+
+const SK = generatePrivateKey()
+const PK = getPublicKey(SK)
+
+function metadata(meta, created_at = 1700000000) {
+  return finishEvent({ kind: KIND_METADATA, created_at, tags: [], content: JSON.stringify(meta) }, SK)
+}
+
+function memoryStorage() {
+  const data = {}
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v) }
+  }
+}
+
+test('parseProfile prefers display_name and drops non-http pictures', () => {
+  const profile = parseProfile(metadata({ name: 'al', display_name: 'Alice', picture: 'javascript:alert(1)', nip05: 'Alice@Example.com' }))
+  assert.equal(profile.name, 'Alice')
+  assert.equal(profile.picture, '')
+  assert.equal(profile.nip05, 'alice@example.com')
+  assert.equal(parseProfile({ ...metadata({}), content: 'not json' }), null)
+})
+
+test('displayName falls back to a short npub', () => {
+  assert.equal(displayName({ name: 'Alice' }, PK), 'Alice')
+  assert.match(displayName(null, PK), /^npub1.{5}….{6}$/)
+})
+
+test('verifyNip05 checks the well-known mapping', async () => {
+  const urls = []
+  const fetchImpl = async (url) => {
+    urls.push(url)
+    return { ok: true, json: async () => ({ names: { alice: PK } }) }
+  }
+  assert.equal(await verifyNip05('alice@example.com', PK, fetchImpl), true)
+  assert.deepEqual(urls, ['https://example.com/.well-known/nostr.json?name=alice'])
+  assert.equal(await verifyNip05('bob@example.com', PK, fetchImpl), false)
+  assert.equal(await verifyNip05('no-domain', PK, fetchImpl), false)
+})
+
+test('resolveNip05 returns the mapped hex pubkey or null', async () => {
+  const fetchImpl = async () => ({ ok: true, json: async () => ({ names: { alice: PK, bad: 'npub1xyz' } }) })
+  assert.equal(await resolveNip05(' alice@example.com ', fetchImpl), PK)
+  assert.equal(await resolveNip05('bad@example.com', fetchImpl), null)
+  assert.equal(await resolveNip05('carol@example.com', fetchImpl), null)
+  assert.equal(await resolveNip05('alice@example.com', async () => { throw new Error('offline') }), null)
+})
+
+test('ProfileService batches authors, keeps the newest and persists', async () => {
+  const relay = fakeRelay([metadata({ name: 'old' }, 1), metadata({ name: 'new' }, 2)])
+  const storage = memoryStorage()
+  const profiles = new ProfileService({ getRelays: () => [relay], storage, batchDelayMs: 0, timeoutMs: 50 })
+  const updates = []
+  profiles.onUpdate((pk, profile) => updates.push(profile.name))
+
+  profiles.request(PK)
+  profiles.request(PK)
+  await profiles.flush()
+  assert.equal(relay.subs.length, 1)
+  assert.deepEqual(relay.subs[0].filters[0].authors, [PK])
+  assert.equal(profiles.get(PK).name, 'new')
+  assert.deepEqual(updates, ['new'])
+
+  const reloaded = new ProfileService({ storage })
+  assert.equal(reloaded.get(PK).name, 'new')
+})
+
+test('ProfileService keeps profiles in the event store when given one', async () => {
+  const relay = fakeRelay([metadata({ name: 'stored' })])
+  const eventStore = new EventStore({ indexedDB: new IDBFactory() })
+  const storage = memoryStorage()
+  const profiles = new ProfileService({ getRelays: () => [relay], storage, eventStore, batchDelayMs: 0, timeoutMs: 50 })
+  await profiles.ready
+  profiles.request(PK)
+  await profiles.flush()
+  await new Promise(resolve => setTimeout(resolve, 20))
+  assert.deepEqual(storage.data, {})
+
+  const reloaded = new ProfileService({ eventStore })
+  await reloaded.ready
+  assert.equal(reloaded.get(PK).name, 'stored')
+})
+
+test('ProfileService ignores forged metadata', () => {
+  const profiles = new ProfileService({ storage: memoryStorage() })
+  // JSON round trip, as from a relay (nostr-tools caches verification on the object)
+  const forged = { ...JSON.parse(JSON.stringify(metadata({ name: 'mallory' }))), content: JSON.stringify({ name: 'alice' }) }
+  profiles.add([forged])
+  assert.equal(profiles.get(PK), null)
+})
+
+test('ProfileService waits for a relay before querying', async () => {
+  let relays = []
+  const relay = fakeRelay([metadata({ name: 'late' })])
+  const profiles = new ProfileService({ getRelays: () => relays, storage: memoryStorage(), batchDelayMs: 0, timeoutMs: 50 })
+  profiles.request(PK)
+  await profiles.flush()
+  assert.equal(profiles.get(PK), null)
+
+  relays = [relay]
+  await profiles.flush()
+  assert.equal(profiles.get(PK).name, 'late')
+})
+
+test('ProfileService looks up the zapper key once per lightning address', async () => {
+  const urls = []
+  const fetchImpl = async (url) => {
+    urls.push(url)
+    return { ok: true, json: async () => ({ allowsNostr: true, nostrPubkey: PK }) }
+  }
+  const profiles = new ProfileService({ storage: memoryStorage(), fetchImpl })
+  assert.equal(await profiles.zapper(PK), null)   // no profile yet
+
+  profiles.add([metadata({ name: 'alice', lud16: 'Alice@Wallet.test' }, 1)])
+  assert.equal(profiles.get(PK).lud16, 'alice@wallet.test')
+  assert.equal(await profiles.zapper(PK), PK)
+  assert.equal(await profiles.zapper(PK), PK)
+  profiles.add([metadata({ name: 'alice', lud16: 'alice@other.test' }, 2)])
+  await profiles.zapper(PK)
+  assert.deepEqual(urls, ['https://wallet.test/.well-known/lnurlp/alice', 'https://other.test/.well-known/lnurlp/alice'])
+})
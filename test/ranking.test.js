@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  FEED_SORTS,
+  voteCounts,
+  hotRank,
+  controversy,
+  inSortWindow,
+  rankPosts
+} from '../src/ranking.js'
+import { votes } from './fixtures/index.js'
+
+const NOW = 1700100000
+const HOUR = 3600
+
+const posts = [
+  { id: 'a', created_at: NOW - 2 * HOUR,      score: 10, ups: 10, downs: 0 },
+  { id: 'b', created_at: NOW - HOUR,          score: 1,  ups: 6,  downs: 5 },
+  { id: 'c', created_at: NOW - 3 * 24 * HOUR, score: 50, ups: 50, downs: 0 },
+  { id: 'd', created_at: NOW - 30 * 24 * HOUR, score: 99, ups: 99, downs: 0 },
+  { id: 'e', created_at: NOW - 10,            score: 0,  ups: 0,  downs: 0 }
+]
+
+test('every sort is selectable', () => {
+  assert.deepEqual(FEED_SORTS.map(s => s.id), ['new', 'hot', 'top-24h', 'top-7d', 'top-all', 'controversial'])
+})
+
+test('voteCounts counts the latest vote per voter', () => {
+  assert.deepEqual(voteCounts([votes.aliceUp, votes.bobDown, votes.carolUp]), { ups: 2, downs: 1 })
+  assert.deepEqual(voteCounts([votes.aliceUp, votes.aliceClear]), { ups: 0, downs: 0 })
+})
+
+test('hot rank trades score against age', () => {
+  assert.ok(hotRank({ score: 10, created_at: NOW }) > hotRank({ score: 1, created_at: NOW }))
+  assert.ok(hotRank({ score: 1, created_at: NOW }) > hotRank({ score: 1, created_at: NOW - 24 * HOUR }))
+  assert.ok(hotRank({ score: -5, created_at: NOW }) < hotRank({ score: 0, created_at: NOW }))
+})
+
+test('controversy needs both sides and favours even splits', () => {
+  assert.equal(controversy({ ups: 10, downs: 0 }), 0)
+  assert.ok(controversy({ ups: 5, downs: 5 }) > controversy({ ups: 9, downs: 1 }))
+  assert.ok(controversy({ ups: 50, downs: 50 }) > controversy({ ups: 5, downs: 5 }))
+})
+
+test('new sorts by created_at', () => {
+  assert.deepEqual(rankPosts(posts, 'new', { now: NOW }).visible, ['e', 'b', 'a', 'c', 'd'])
+})
+
+test('top windows hide older posts', () => {
+  assert.deepEqual(rankPosts(posts, 'top-24h', { now: NOW }), { visible: ['a', 'b', 'e'], hidden: ['c', 'd'] })
+  assert.deepEqual(rankPosts(posts, 'top-7d', { now: NOW }).visible, ['c', 'a', 'b', 'e'])
+  assert.deepEqual(rankPosts(posts, 'top-all', { now: NOW }).visible, ['d', 'c', 'a', 'b', 'e'])
+  assert.equal(inSortWindow('hot', posts[3], NOW), true)
+})
+
+test('controversial puts split posts first', () => {
+  assert.deepEqual(rankPosts(posts, 'controversial', { now: NOW }).visible.slice(0, 1), ['b'])
+})
+
+test('ties keep a stable order regardless of input order', () => {
+  const tied = [
+    { id: 'x', created_at: NOW, score: 1 },
+    { id: 'y', created_at: NOW, score: 1 },
+    { id: 'z', created_at: NOW - 5, score: 1 }
+  ]
+  const expected = ['x', 'y', 'z']
+  assert.deepEqual(rankPosts(tied, 'top-all', { now: NOW }).visible, expected)
+  assert.deepEqual(rankPosts([...tied].reverse(), 'top-all', { now: NOW }).visible, expected)
+})
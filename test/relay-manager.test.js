@@ -0,0 +1,224 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  RelayManager,
+  normalizeRelayUrl,
+  parseRelayList,
+  backoffDelay,
+  fetchRelayInfo,
+  supportsNip,
+  DEFAULT_RELAYS
+} from '../src/relay-manager.js'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial }
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v) }
+  }
+}
+
+// scripted relay handles: `plan[url]` is a list of outcomes for successive connects
+function fakeInit(plan = {}) {
+  const handles = {}
+  const init = (url) => {
+    const listeners = { connect: [], disconnect: [], error: [], notice: [] }
+    const relay = {
+      url,
+      status: 3,
+      connects: 0,
+      closed: false,
+      on: (type, cb) => listeners[type].push(cb),
+      fire: (type, ...args) => listeners[type].forEach(cb => cb(...args)),
+      async connect() {
+        const outcome = (plan[url] || [])[relay.connects++] || 'ok'
+        if (outcome === 'fail') {
+          relay.fire('error')
+          throw new Error('refused')
+        }
+        relay.status = 1
+        relay.fire('connect')
+      },
+      close() { relay.closed = true; relay.status = 3 },
+      drop() { relay.status = 3; relay.fire('disconnect') }
+    }
+    handles[url] = relay
+    return relay
+  }
+  return { init, handles }
+}
+
+test('normalizeRelayUrl', () => {
+  assert.equal(normalizeRelayUrl(' wss://Relay.Example.com/ '), 'wss://relay.example.com')
+  assert.equal(normalizeRelayUrl('wss://relay.example.com/path/'), 'wss://relay.example.com/path')
+  assert.equal(normalizeRelayUrl('https://relay.example.com'), null)
+  assert.equal(normalizeRelayUrl('not a url'), null)
+})
+
+test('parseRelayList reads NIP-65 markers', () => {
+  const list = parseRelayList({
+    kind: 10002,
+    tags: [['r', 'wss://a.test'], ['r', 'wss://b.test', 'read'], ['r', 'wss://c.test', 'write'], ['r', 'https://x'], ['p', 'x']]
+  })
+  assert.deepEqual(list, [
+    { url: 'wss://a.test', read: true, write: true },
+    { url: 'wss://b.test', read: true, write: false },
+    { url: 'wss://c.test', read: false, write: true }
+  ])
+})
+
+test('backoffDelay doubles up to the cap', () => {
+  const opts = { baseMs: 100, maxMs: 1000, random: () => 0.5 }
+  assert.deepEqual([0, 1, 2, 3, 4, 10].map(n => backoffDelay(n, opts)), [100, 200, 400, 800, 1000, 1000])
+})
+
+test('defaults are used until the list is edited, then persisted', () => {
+  const storage = memoryStorage()
+  const manager = new RelayManager({ storage, init: fakeInit().init })
+  assert.deepEqual(manager.list().map(e => e.url), DEFAULT_RELAYS)
+
+  manager.add('wss://new.test', { write: false })
+  manager.remove(DEFAULT_RELAYS[0])
+
+  const reloaded = new RelayManager({ storage, init: fakeInit().init })
+  assert.equal(reloaded.list().length, DEFAULT_RELAYS.length)
+  assert.deepEqual(reloaded.list().at(-1), { url: 'wss://new.test', read: true, write: false })
+})
+
+test('connectAll connects in parallel and splits read/write roles', async () => {
+  const { init } = fakeInit()
+  const manager = new RelayManager({ storage: memoryStorage(), init, defaults: ['wss://a.test', 'wss://b.test'] })
+  manager.setRoles('wss://b.test', { read: false })
+  const connected = []
+  manager.on('connect', (relay) => connected.push(relay.url))
+
+  await manager.connectAll()
+  assert.deepEqual(connected.sort(), ['wss://a.test', 'wss://b.test'])
+  assert.deepEqual(manager.readRelays().map(r => r.url), ['wss://a.test'])
+  assert.deepEqual(manager.writeRelays().map(r => r.url).sort(), ['wss://a.test', 'wss://b.test'])
+  assert.equal(typeof manager.statsFor('wss://a.test').latencyMs, 'number')
+  manager.close()
+})
+
+test('failed connects retry with backoff and count errors', async () => {
+  const { init, handles } = fakeInit({ 'wss://flaky.test': ['fail', 'fail', 'ok'] })
+  const manager = new RelayManager({
+    storage: memoryStorage(),
+    init,
+    defaults: ['wss://flaky.test'],
+    backoff: { baseMs: 5, maxMs: 20, random: () => 0.5 }
+  })
+
+  await manager.connectAll()
+  assert.equal(manager.statsFor('wss://flaky.test').status, 'waiting')
+  await wait(60)
+
+  const stats = manager.statsFor('wss://flaky.test')
+  assert.equal(stats.status, 'connected')
+  assert.equal(stats.errors, 2)
+  assert.equal(stats.reconnects, 2)
+  assert.equal(stats.attempt, 0)
+  assert.equal(handles['wss://flaky.test'].connects, 3)
+  manager.close()
+})
+
+test('dropped connections reconnect and announce both edges', async () => {
+  const { init, handles } = fakeInit()
+  const manager = new RelayManager({
+    storage: memoryStorage(),
+    init,
+    defaults: ['wss://a.test'],
+    backoff: { baseMs: 5, random: () => 0.5 }
+  })
+  const seen = []
+  manager.on('connect', () => seen.push('connect'))
+  manager.on('disconnect', () => seen.push('disconnect'))
+
+  await manager.connectAll()
+  handles['wss://a.test'].drop()
+  assert.deepEqual(manager.readRelays(), [])
+  await wait(30)
+  assert.deepEqual(seen, ['connect', 'disconnect', 'connect'])
+  manager.close()
+})
+
+test('removed relays are closed and never retried', async () => {
+  const { init, handles } = fakeInit({ 'wss://a.test': ['fail'] })
+  const manager = new RelayManager({
+    storage: memoryStorage(),
+    init,
+    defaults: ['wss://a.test'],
+    backoff: { baseMs: 5, random: () => 0.5 }
+  })
+  await manager.connectAll()
+  manager.remove('wss://a.test')
+  await wait(30)
+  assert.equal(handles['wss://a.test'].connects, 1)
+  assert.equal(handles['wss://a.test'].closed, true)
+})
+
+test('importRelayList adds new relays and widens roles of known ones', async () => {
+  const { init } = fakeInit()
+  const manager = new RelayManager({ storage: memoryStorage(), init, defaults: ['wss://a.test'] })
+  manager.setRoles('wss://a.test', { write: false })
+
+  const added = manager.importRelayList({ kind: 10002, tags: [['r', 'wss://a.test', 'write'], ['r', 'wss://b.test', 'read']] })
+  assert.equal(added, 1)
+  assert.deepEqual(manager.list(), [
+    { url: 'wss://a.test', read: true, write: true },
+    { url: 'wss://b.test', read: true, write: false }
+  ])
+  await wait(0)
+  manager.close()
+})
+
+test('reconnectNow skips the backoff of waiting relays', async () => {
+  const { init, handles } = fakeInit({ 'wss://a.test': ['fail'] })
+  const manager = new RelayManager({
+    storage: memoryStorage(),
+    init,
+    defaults: ['wss://a.test', 'wss://b.test'],
+    backoff: { baseMs: 60000, random: () => 0.5 }
+  })
+  await manager.connectAll()
+  assert.equal(manager.statsFor('wss://a.test').status, 'waiting')
+
+  await manager.reconnectNow()
+  await wait(0)
+  assert.equal(manager.statsFor('wss://a.test').status, 'connected')
+  assert.equal(handles['wss://a.test'].connects, 2)
+  // connected relays are left alone
+  assert.equal(handles['wss://b.test'].connects, 1)
+  manager.close()
+})
+
+test('fetchRelayInfo asks the http(s) address for the NIP-11 document', async () => {
+  const calls = []
+  const fetchImpl = async (url, opts) => {
+    calls.push([url, opts.headers.Accept])
+    return { ok: true, json: async () => ({ name: 'r', supported_nips: [1, 11, '50'] }) }
+  }
+  const info = await fetchRelayInfo('wss://a.test', fetchImpl)
+  assert.deepEqual(calls, [['https://a.test', 'application/nostr+json']])
+  assert.equal(supportsNip(info, 50), true)
+  assert.equal(supportsNip(info, 45), false)
+  assert.equal(supportsNip(null, 50), false)
+  assert.equal(await fetchRelayInfo('ws://b.test', async () => ({ ok: false })), null)
+  assert.equal(await fetchRelayInfo('wss://c.test', async () => { throw new Error('cors') }), null)
+})
+
+test('relay info is fetched once per relay', async () => {
+  let calls = 0
+  const fetchImpl = async () => {
+    calls++
+    return { ok: true, json: async () => ({ supported_nips: [50] }) }
+  }
+  const manager = new RelayManager({ storage: memoryStorage(), init: fakeInit().init, defaults: ['wss://a.test'], fetchImpl })
+  const [a, b] = await Promise.all([manager.info('wss://a.test'), manager.info('wss://a.test')])
+  assert.equal(a, b)
+  assert.equal(calls, 1)
+})
@@ -0,0 +1,130 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent, generatePrivateKey, getPublicKey } from 'nostr-tools'
+
+import {
+  collectFromRelays,
+  collectUntilEose,
+  queryRelays,
+  publishToRelays,
+  fetchVotesForPost,
+  fetchModerationForPost,
+  fetchModerationForPosts,
+  fetchThread,
+  fetchContactLists,
+  fetchWebOfTrust,
+  fetchVoterHistory,
+  fetchVotesByVoter
+} from '../src/relays.js'
+import { pubkeys, notes, votes, moderation } from './fixtures/index.js'
+import { fakeRelay } from './fixtures/fake-relay.js'
+
+test('collectFromRelays merges relays and dedupes by id', async () => {
+  const a = fakeRelay([votes.aliceUp, votes.bobDown])
+  const b = fakeRelay([votes.bobDown, votes.carolUp])
+  const events = await collectFromRelays([a, b], [{ kinds: [30010] }], 10)
+  assert.equal(events.length, 3)
+  assert.ok(a.subs.every(s => s.closed) && b.subs.every(s => s.closed))
+})
+
+test('fetchVotesForPost filters by #e', async () => {
+  const relay = fakeRelay([votes.aliceUp])
+  await fetchVotesForPost([relay], notes.note.id, 10)
+  assert.deepEqual(relay.subs[0].filters[0]['#e'], [notes.note.id])
+})
+
+test('fetchModerationForPost splits reports from reviews', async () => {
+  const relay = fakeRelay([moderation.reports.alice, moderation.reviews.bobReject])
+  const { reports, reviews } = await fetchModerationForPost([relay], notes.note.id, 10)
+  assert.equal(reports.length, 1)
+  assert.equal(reviews.length, 1)
+})
+
+test('fetchModerationForPosts asks once per relay and splits the answer per post', async () => {
+  const relay = fakeRelay([moderation.reports.alice, moderation.reviews.bobReject])
+  const byPost = await fetchModerationForPosts([relay], [notes.note.id, notes.note2.id], { timeoutMs: 10 })
+  assert.equal(relay.subs.length, 1)
+  assert.deepEqual(relay.subs[0].filters[0]['#e'], [notes.note.id, notes.note2.id])
+  assert.deepEqual(byPost.get(notes.note.id), { reports: [moderation.reports.alice], reviews: [moderation.reviews.bobReject] })
+  assert.deepEqual(byPost.get(notes.note2.id), { reports: [], reviews: [] })
+})
+
+test('publishToRelays only sends to connected relays', async () => {
+  const up = fakeRelay([])
+  const down = fakeRelay([], { status: 3 })
+  await publishToRelays([up, down], votes.aliceUp)
+  assert.equal(up.published.length, 1)
+  assert.equal(down.published.length, 0)
+})
+
+test('collectUntilEose resolves on EOSE, long before the timeout', async () => {
+  const relay = fakeRelay([votes.aliceUp, notes.note])
+  const started = Date.now()
+  const events = await collectUntilEose(relay, [{ kinds: [30010] }], 5000)
+  assert.deepEqual(events, [votes.aliceUp])
+  assert.ok(Date.now() - started < 1000)
+  assert.ok(relay.subs[0].closed)
+})
+
+test('collectUntilEose falls back to the timeout without EOSE', async () => {
+  const relay = fakeRelay([votes.aliceUp], { eose: false })
+  assert.equal((await collectUntilEose(relay, [{ kinds: [30010] }], 20)).length, 1)
+})
+
+test('queryRelays asks relays in parallel and dedupes', async () => {
+  const a = fakeRelay([votes.aliceUp, votes.bobDown])
+  const b = fakeRelay([votes.bobDown], { eose: false })
+  const events = await queryRelays([a, b], [{ kinds: [30010] }], 20)
+  assert.equal(events.length, 2)
+})
+
+test('fetchThread follows replies that only tag their parent', async () => {
+  const reply = (id, tags) => ({ id, kind: 1, pubkey: notes.note.pubkey, created_at: 1700000100, tags, content: '' })
+  const direct = reply('r1', [['e', notes.note.id, '', 'root']])
+  const nested = reply('r2', [['e', 'r1', '', 'reply']])
+  const relay = fakeRelay([notes.note, direct, nested, votes.aliceUp])
+  const events = await fetchThread([relay], notes.note.id, { timeoutMs: 50 })
+  assert.deepEqual(events.map(ev => ev.id).sort(), ['r1', 'r2'])
+})
+
+test('fetchContactLists and fetchWebOfTrust walk signed kind-3 lists', async () => {
+  const [rootSk, aliceSk, bobSk] = [generatePrivateKey(), generatePrivateKey(), generatePrivateKey()]
+  const [root, alice, bob, carol] = [rootSk, aliceSk, bobSk, generatePrivateKey()].map(sk => getPublicKey(sk))
+  const list = (sk, follows, created_at = 1) => finishEvent({ kind: 3, created_at, tags: follows.map(pk => ['p', pk]), content: '' }, sk)
+  const forged = { ...JSON.parse(JSON.stringify(list(aliceSk, [bob]))), tags: [['p', carol]] }
+  const relay = fakeRelay([list(rootSk, [alice]), list(aliceSk, [carol], 0), list(aliceSk, [bob], 2), forged, list(bobSk, [carol])])
+
+  const lists = await fetchContactLists([relay], [root, alice], { timeoutMs: 50 })
+  assert.deepEqual([...lists.keys()].sort(), [root, alice].sort())
+  assert.equal(lists.get(alice).created_at, 2)
+
+  const trust = await fetchWebOfTrust([relay], root, { hops: 2, timeoutMs: 50 })
+  assert.deepEqual([...trust], [[root, 0], [alice, 1], [bob, 2]])
+})
+
+test('fetchVoterHistory counts kind-0/1 events and reports 0 for silent keys', async () => {
+  const profile = { id: 'p1', kind: 0, pubkey: pubkeys.alice, created_at: 1, tags: [], content: '{}' }
+  const relay = fakeRelay([profile, notes.note, votes.aliceUp])
+  const history = await fetchVoterHistory([relay], [pubkeys.alice, pubkeys.author, pubkeys.carol], { timeoutMs: 50 })
+  assert.deepEqual([...history], [[pubkeys.alice, 1], [pubkeys.author, 1], [pubkeys.carol, 0]])
+})
+
+test('fetchVoterHistory asks quiet keys again when prolific ones use up the batch limit', async () => {
+  const chatty = Array.from({ length: 4 }, (_, i) => ({ id: `n${i}`, kind: 1, pubkey: pubkeys.alice, created_at: 10 + i, tags: [], content: '' }))
+  const quiet = { id: 'q', kind: 1, pubkey: pubkeys.bob, created_at: 1, tags: [], content: '' }
+  const relay = fakeRelay([...chatty, quiet])
+  const history = await fetchVoterHistory([relay], [pubkeys.alice, pubkeys.bob, pubkeys.carol], { notesPerKey: 1, timeoutMs: 50 })
+  assert.equal(history.get(pubkeys.bob), 1)
+  assert.equal(history.get(pubkeys.carol), 0)
+  assert.deepEqual(relay.subs[1].filters.map(f => f.authors), [[pubkeys.bob], [pubkeys.carol]])
+})
+
+test('fetchVotesByVoter keeps only validly signed votes by that key', async () => {
+  const sk = generatePrivateKey()
+  const me = getPublicKey(sk)
+  const mine = finishEvent({ kind: 30010, created_at: 1, tags: [['p', pubkeys.author], ['v', '1']], content: '' }, sk)
+  const forged = { ...JSON.parse(JSON.stringify(mine)), id: 'f'.repeat(64), tags: [['p', pubkeys.author], ['v', '-1']] }
+  const relay = fakeRelay([mine, forged, votes.aliceUp])
+  const events = await fetchVotesByVoter([relay], me, { timeoutMs: 50 })
+  assert.deepEqual(events.map(ev => ev.id), [mine.id])
+})
@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { ScheduledQueue } from '../src/scheduled.js'
+
+function memoryStorage() {
+  const data = {}
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v) }
+  }
+}
+
+const event = (id, created_at) => ({ id, created_at, kind: 1, tags: [], content: id })
+
+test('due events are published in order and leave the queue', async () => {
+  const published = []
+  const storage = memoryStorage()
+  const queue = new ScheduledQueue({ storage, publish: async (ev) => { published.push(ev.id); return { ok: 1, total: 1 } } })
+  queue.add(event('later', 300))
+  queue.add(event('soon', 100))
+  queue.add(event('sooner', 50))
+
+  const sent = await queue.tick(200 * 1000)
+  assert.deepEqual(sent.map(ev => ev.id), ['sooner', 'soon'])
+  assert.deepEqual(published, ['sooner', 'soon'])
+  assert.deepEqual(queue.list().map(e => e.event.id), ['later'])
+
+  // persisted across reloads
+  const reloaded = new ScheduledQueue({ storage })
+  assert.deepEqual(reloaded.list().map(e => e.event.id), ['later'])
+})
+
+test('events no relay accepted stay queued for the next tick', async () => {
+  let accept = false
+  const queue = new ScheduledQueue({ storage: memoryStorage(), publish: async () => ({ ok: accept ? 1 : 0, total: 1 }) })
+  queue.add(event('a', 1))
+  assert.deepEqual(await queue.tick(5000), [])
+  assert.equal(queue.list().length, 1)
+  accept = true
+  assert.deepEqual((await queue.tick(5000)).map(ev => ev.id), ['a'])
+  assert.equal(queue.list().length, 0)
+})
+
+test('cancelling removes an entry and notifies listeners', () => {
+  const queue = new ScheduledQueue({ storage: memoryStorage() })
+  const seen = []
+  queue.onChange(list => seen.push(list.length))
+  queue.add(event('a', 1))
+  queue.remove('a')
+  queue.remove('a')
+  assert.deepEqual(seen, [1, 0])
+})
@@ -0,0 +1,182 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { ScoreService } from '../src/score-service.js'
+import { VoteCache } from '../src/vote-cache.js'
+import { notes, votes } from './fixtures/index.js'
+import { fakeRelay } from './fixtures/fake-relay.js'
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+function service(relays, opts = {}) {
+  return new ScoreService({
+    getRelays: () => relays,
+    cache: new VoteCache({ indexedDB: null }),
+    batchDelayMs: 5,
+    liveDelayMs: 5,
+    ...opts
+  })
+}
+
+test('watched posts are fetched in one batched #e filter', async () => {
+  const relay = fakeRelay(Object.values(votes))
+  const scores = service([relay])
+  const updates = new Map()
+  scores.onUpdate((id, evs) => updates.set(id, evs))
+
+  scores.watch(notes.note.id)
+  scores.watch(notes.note2.id)
+  await wait(30)
+
+  const batches = relay.subs.filter(s => !s.filters[0].since)
+  assert.equal(batches.length, 1)
+  assert.deepEqual(batches[0].filters[0]['#e'], [notes.note.id, notes.note2.id])
+  assert.equal(updates.get(notes.note.id).length, 5)
+  assert.equal(updates.get(notes.note2.id).length, 1)
+  scores.close()
+})
+
+test('posts without votes still get an (empty) update', async () => {
+  const relay = fakeRelay([])
+  const scores = service([relay])
+  const updates = new Map()
+  scores.onUpdate((id, evs) => updates.set(id, evs))
+
+  scores.watch(notes.note.id)
+  await wait(30)
+  assert.deepEqual(updates.get(notes.note.id), [])
+  scores.close()
+})
+
+test('fetched posts are served from cache', async () => {
+  const relay = fakeRelay([votes.aliceUp])
+  const scores = service([relay])
+  scores.watch(notes.note.id)
+  await wait(30)
+  const queries = relay.subs.length
+
+  scores.request(notes.note.id)
+  await wait(30)
+  assert.equal(relay.subs.length, queries)
+  assert.deepEqual(scores.get(notes.note.id), [votes.aliceUp])
+  scores.close()
+})
+
+test('large batches are split by maxBatch', async () => {
+  const relay = fakeRelay([])
+  const scores = service([relay], { maxBatch: 2 })
+  for (const c of 'abcde') scores.request(c.repeat(64))
+  await wait(30)
+  assert.deepEqual(relay.subs.map(s => s.filters[0]['#e'].length), [2, 2, 1])
+})
+
+test('live subscription covers watched posts and pushes new votes', async () => {
+  const relay = fakeRelay([])
+  const scores = service([relay])
+  const updates = []
+  scores.onUpdate((id, evs) => updates.push([id, evs.length]))
+
+  scores.attachRelay(relay)
+  scores.watch(notes.note.id)
+  await wait(30)
+
+  const live = relay.openSubs().filter(s => s.filters[0].since)
+  assert.equal(live.length, 1)
+  assert.deepEqual(live[0].filters[0]['#e'], [notes.note.id])
+
+  relay.emit({ ...votes.aliceUp, created_at: Math.floor(Date.now() / 1000) })
+  assert.deepEqual(updates.at(-1), [notes.note.id, 1])
+
+  // unwatching the last post drops the live sub
+  scores.unwatch(notes.note.id)
+  await wait(30)
+  assert.equal(relay.openSubs().length, 0)
+  scores.close()
+})
+
+test('posts requested before any relay connects are fetched on attach', async () => {
+  const relays = []
+  const scores = service(relays)
+  const updates = new Map()
+  scores.onUpdate((id, evs) => updates.set(id, evs))
+
+  scores.watch(notes.note.id)
+  await wait(30)
+  assert.equal(updates.size, 0)
+
+  const relay = fakeRelay([votes.bobDown])
+  relays.push(relay)
+  scores.attachRelay(relay)
+  await wait(30)
+  assert.deepEqual(updates.get(notes.note.id), [votes.bobDown])
+  scores.close()
+})
+
+test('add() publishes our own votes immediately', () => {
+  const scores = service([])
+  let seen = null
+  scores.onUpdate((id, evs) => { seen = [id, evs] })
+  scores.add([votes.carolUp])
+  assert.deepEqual(seen, [notes.note.id, [votes.carolUp]])
+})
+
+test('an indexer answers batches and relays are not asked', async () => {
+  const relay = fakeRelay([votes.bobDown])
+  const asked = []
+  const indexer = { votesForPosts: async (ids) => { asked.push(ids); return [votes.aliceUp] } }
+  const scores = service([relay], { getIndexer: () => indexer })
+  const updates = new Map()
+  scores.onUpdate((id, evs) => updates.set(id, evs))
+
+  scores.watch(notes.note.id)
+  await wait(30)
+  assert.deepEqual(asked, [[notes.note.id]])
+  assert.deepEqual(updates.get(notes.note.id), [votes.aliceUp])
+  assert.equal(relay.subs.length, 0)
+
+  // already answered, so a relay connecting later only goes live
+  scores.attachRelay(relay)
+  await wait(30)
+  assert.deepEqual(relay.subs.map(s => !!s.filters[0].since), [true])
+  scores.close()
+})
+
+test('a failing indexer falls back to the relays', async () => {
+  const relay = fakeRelay([votes.bobDown])
+  const indexer = { votesForPosts: async () => { throw new Error('down') } }
+  const scores = service([relay], { getIndexer: () => indexer })
+  const updates = new Map()
+  scores.onUpdate((id, evs) => updates.set(id, evs))
+
+  const warn = console.warn
+  console.warn = () => {}
+  try {
+    scores.watch(notes.note.id)
+    await wait(30)
+  } finally {
+    console.warn = warn
+  }
+  assert.deepEqual(updates.get(notes.note.id), [votes.bobDown])
+  scores.close()
+})
+
+test('extra kinds go to the relays even with an indexer, and refetch() asks again', async () => {
+  const relay = fakeRelay([votes.bobDown])
+  const indexer = { votesForPosts: async () => [votes.aliceUp] }
+  let kinds = [30010]
+  const scores = service([relay], { getIndexer: () => indexer, getKinds: () => kinds })
+  scores.attachRelay(relay)
+  scores.watch(notes.note.id)
+  await wait(30)
+  assert.equal(relay.subs.filter(s => !s.filters[0].since).length, 0)
+
+  kinds = [30010, 7, 9735]
+  scores.refetch()
+  await wait(30)
+  const batches = relay.subs.filter(s => !s.filters[0].since)
+  assert.equal(batches.length, 1)
+  assert.deepEqual(batches[0].filters[0].kinds, [30010, 7, 9735])
+  assert.deepEqual(relay.openSubs().map(s => s.filters[0].kinds), [[30010, 7, 9735]])
+  assert.deepEqual(new Set(scores.get(notes.note.id)), new Set([votes.aliceUp, votes.bobDown]))
+  scores.close()
+})
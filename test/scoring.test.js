@@ -0,0 +1,104 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent, getPublicKey } from 'nostr-tools'
+
+import { buildPostVote, buildUserVote, computeScore, computeUserKarma } from '../src/karma.js'
+import {
+  SCORING_MODES,
+  powWeight,
+  stakeWeight,
+  computeReputation,
+  wilsonLowerBound,
+  scoreVotes,
+  formatModeScore
+} from '../src/scoring.js'
+import { pubkeys, notes, votes } from './fixtures/index.js'
+
+const forNote = [votes.aliceUp, votes.bobDown, votes.carolUp]
+
+test('every mode is selectable', () => {
+  assert.deepEqual(SCORING_MODES.map(m => m.id), ['flat', 'pow', 'stake', 'reputation', 'wilson', 'wot'])
+})
+
+test('flat mode matches computeScore', () => {
+  assert.equal(scoreVotes(forNote, { mode: 'flat' }), computeScore(forNote))
+  assert.equal(scoreVotes([votes.aliceUp, votes.aliceClear], { mode: 'flat' }), 0)
+})
+
+test('pow mode weighs by committed bits', () => {
+  assert.equal(powWeight(votes.aliceUp), 1)
+  assert.equal(powWeight({ tags: [['nonce', '1', '16']] }), 3)
+})
+
+test('stake mode grows logarithmically', () => {
+  assert.equal(stakeWeight(votes.aliceUp), 1)
+  assert.equal(stakeWeight(votes.carolUp), 1 + Math.log2(6))
+  // carol staked 5: alice +1, bob -1, carol +(1 + log2 6)
+  assert.equal(scoreVotes(forNote, { mode: 'stake' }), 1 + Math.log2(6))
+})
+
+test('reputation converges and follows the vote graph', () => {
+  const rep = computeReputation(Object.values(votes))
+  // the author is the only one voted on, so ends up above the voters
+  assert.ok(rep.get(pubkeys.author) > rep.get(pubkeys.alice))
+  assert.equal(rep.get(pubkeys.alice), 1 - 0.85)
+})
+
+test('reputation mode lets trusted voters outweigh fresh keys', () => {
+  const keys = ['a', 'b', 'c', 'd'].map(c => c.repeat(64))
+  const [trusted, fan1, fan2, sybil] = keys
+  const post = notes.note.id
+  const sign = (sk, unsigned) => finishEvent(unsigned, sk)
+
+  // two fans vouch for `trusted`; `trusted` upvotes the post, a fresh key downvotes it
+  const graph = [
+    sign(fan1, buildUserVote({ target: getPublicKey(trusted), sign: 1, created_at: 1 })),
+    sign(fan2, buildUserVote({ target: getPublicKey(trusted), sign: 1, created_at: 1 }))
+  ]
+  const onPost = [
+    sign(trusted, buildPostVote({ author: pubkeys.author, eventId: post, sign: 1, created_at: 2 })),
+    sign(sybil, buildPostVote({ author: pubkeys.author, eventId: post, sign: -1, created_at: 2 }))
+  ]
+
+  const reputation = computeReputation([...graph, ...onPost])
+  assert.equal(scoreVotes(onPost, { mode: 'flat' }), 0)
+  assert.ok(scoreVotes(onPost, { mode: 'reputation', reputation }) > 0)
+})
+
+test('reputation stops at the iteration cap', () => {
+  const rep = computeReputation(Object.values(votes), { maxIterations: 0 })
+  assert.equal(rep.get(pubkeys.author), 1)
+})
+
+test('wilson lower bound favours more evidence', () => {
+  assert.equal(wilsonLowerBound(0, 0), 0)
+  assert.ok(wilsonLowerBound(100, 10) > wilsonLowerBound(10, 1))
+  assert.equal(scoreVotes(forNote, { mode: 'wilson' }), wilsonLowerBound(2, 1))
+})
+
+test('user karma can be computed with any strategy', () => {
+  const all = Object.values(votes)
+  const { karma } = computeUserKarma(all, events => scoreVotes(events, { mode: 'wilson' }))
+  assert.ok(karma > 0)
+})
+
+test('formatModeScore', () => {
+  assert.equal(formatModeScore('flat', 2), '+2')
+  assert.equal(formatModeScore('stake', 3.5849), '+3.6')
+  assert.equal(formatModeScore('wilson', 0.234), '23%')
+})
+
+test('wot mode only counts trusted voters', () => {
+  const trusted = new Map([[pubkeys.alice, 1], [pubkeys.carol, 2]])
+  assert.equal(scoreVotes(forNote, { mode: 'wot', trusted }), 2)
+  assert.equal(scoreVotes(forNote, { mode: 'wot', trusted: new Map([[pubkeys.bob, 1]]) }), -1)
+  assert.equal(scoreVotes(forNote, { mode: 'wot' }), 0)
+})
+
+test('flagged voters are discounted in every mode', () => {
+  const flagged = new Set([pubkeys.bob])
+  assert.equal(scoreVotes(forNote, { mode: 'flat', flagged, flaggedWeight: 0 }), 2)
+  assert.equal(scoreVotes(forNote, { mode: 'flat', flagged, flaggedWeight: 0.25 }), 1.75)
+  assert.equal(scoreVotes(forNote, { mode: 'flat', flagged }), 1)
+  assert.equal(scoreVotes(forNote, { mode: 'wilson', flagged, flaggedWeight: 0 }), wilsonLowerBound(2, 0))
+})
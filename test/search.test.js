@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { nip19 } from 'nostr-tools'
+
+import { parseSearch, matchesSearch } from '../src/search.js'
+import { pubkeys } from './fixtures/index.js'
+
+test('parseSearch tells tags, keys, NIP-05 and text apart', () => {
+  const npub = nip19.npubEncode(pubkeys.alice)
+  assert.deepEqual(parseSearch(' #Nostr '), { type: 'tag', tag: 'nostr' })
+  assert.deepEqual(parseSearch(npub), { type: 'pubkey', pubkey: pubkeys.alice })
+  assert.deepEqual(parseSearch(`nostr:${npub}`), { type: 'pubkey', pubkey: pubkeys.alice })
+  assert.deepEqual(parseSearch(`@${npub}`), { type: 'pubkey', pubkey: pubkeys.alice })
+  assert.deepEqual(parseSearch(nip19.nprofileEncode({ pubkey: pubkeys.bob })), { type: 'pubkey', pubkey: pubkeys.bob })
+  assert.deepEqual(parseSearch(pubkeys.carol.toUpperCase()), { type: 'pubkey', pubkey: pubkeys.carol })
+  assert.deepEqual(parseSearch('Alice@Example.com'), { type: 'nip05', nip05: 'alice@example.com' })
+  assert.deepEqual(parseSearch('  zap   splits '), { type: 'text', text: 'zap splits' })
+  assert.deepEqual(parseSearch('#two words'), { type: 'text', text: '#two words' })
+  assert.equal(parseSearch('   '), null)
+})
+
+test('matchesSearch needs every word, in any case', () => {
+  const ev = { content: 'Zaps and Splits are live' }
+  assert.equal(matchesSearch(ev, 'zap splits'), true)
+  assert.equal(matchesSearch(ev, 'zap nutzaps'), false)
+  assert.equal(matchesSearch({}, 'zap'), false)
+})
@@ -0,0 +1,163 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { finishEvent, generatePrivateKey, getEventHash, getPublicKey, verifySignature, nip04, nip19 } from 'nostr-tools'
+import {
+  encryptPrivateKey,
+  decryptPrivateKey,
+  parsePrivateKey,
+  parseBunkerUrl,
+  LocalSigner,
+  Nip07Signer,
+  Nip46Signer,
+  KIND_NOSTR_CONNECT
+} from '../src/signers.js'
+import { mineEvent, buildPostVote } from '../src/karma.js'
+import { notes } from './fixtures/index.js'
+
+const SK = '3501454135014541350145413501453fefb02227e449e57cf4d3a3ce05378683'
+const TEMPLATE = { kind: 1, created_at: 1700000000, tags: [], content: 'hi' }
+
+// what a broken or hostile signer could hand back for `local`'s key
+function forgeries(local) {
+  const changed = async (t) => ({ ...(await local.signEvent(t)), content: 'changed' })
+  return {
+    'another key': (t) => new LocalSigner(generatePrivateKey()).signEvent(t),
+    'wrong id': changed,
+    'bad signature': async (t) => {
+      const ev = await changed(t)
+      return { ...ev, id: getEventHash(ev) }
+    }
+  }
+}
+
+// a bunker behind a fake relay, answering each request with handle(method, params):
+// one { result, error } or several in a row
+function fakeBunker(handle) {
+  const key = generatePrivateKey()
+  let onEvent = null
+  const relay = {
+    connect: async () => {},
+    sub: () => ({ on: (type, cb) => { if (type === 'event') onEvent = cb }, unsub() {} }),
+    close() {},
+    publish: async (ev) => {
+      const { id, method, params } = JSON.parse(await nip04.decrypt(key, ev.pubkey, ev.content))
+      for (const answer of [].concat(await handle(method, params))) {
+        const content = await nip04.encrypt(key, ev.pubkey, JSON.stringify({ id, ...answer }))
+        await onEvent(finishEvent({ kind: KIND_NOSTR_CONNECT, created_at: ev.created_at, tags: [['p', ev.pubkey]], content }, key))
+      }
+    }
+  }
+  return { url: `bunker://${getPublicKey(key)}?relay=wss://bunker.example`, init: () => relay }
+}
+
+test('decryptPrivateKey reads the NIP-49 spec vector', () => {
+  const ncryptsec = 'ncryptsec1qgg9947rlpvqu76pj5ecreduf9jxhselq2nae2kghhvd5g7dgjtcxfqtd67p9m0w57lspw8gsq6yphnm8623nsl8xn9j4jdzz84zm3frztj3z7s35vpzmqf6ksu8r89qk5z2zxfmu5gv8th8wclt0h4p'
+  assert.equal(decryptPrivateKey(ncryptsec, 'nostr'), SK)
+})
+
+test('encryptPrivateKey round-trips and rejects a wrong passphrase', () => {
+  const ncryptsec = encryptPrivateKey(SK, 'hunter2', { logN: 4 })
+  assert.ok(ncryptsec.startsWith('ncryptsec1'))
+  assert.equal(decryptPrivateKey(ncryptsec, 'hunter2'), SK)
+  assert.throws(() => decryptPrivateKey(ncryptsec, 'hunter3'))
+})
+
+test('parsePrivateKey accepts nsec and hex only', () => {
+  assert.equal(parsePrivateKey(nip19.nsecEncode(SK)), SK)
+  assert.equal(parsePrivateKey(SK.toUpperCase()), SK)
+  assert.equal(parsePrivateKey(nip19.npubEncode(notes.note.pubkey)), null)
+  assert.equal(parsePrivateKey('nope'), null)
+})
+
+test('LocalSigner signs and exports its key', async () => {
+  const signer = new LocalSigner(SK)
+  const ev = await signer.signEvent({ kind: 1, created_at: 1700000000, tags: [], content: 'hi' })
+  assert.equal(ev.pubkey, await signer.getPublicKey())
+  assert.ok(verifySignature(ev))
+  assert.equal(parsePrivateKey(signer.exportNsec()), SK)
+
+  const restored = LocalSigner.fromNcryptsec(signer.toNcryptsec('pw', { logN: 4 }), 'pw')
+  assert.equal(restored.publicKey, signer.publicKey)
+})
+
+test('Nip07Signer delegates to window.nostr', async () => {
+  const local = new LocalSigner(SK)
+  const calls = []
+  const nostr = {
+    getPublicKey: async () => { calls.push('getPublicKey'); return local.publicKey },
+    signEvent: async (t) => { calls.push('signEvent'); return local.signEvent(t) }
+  }
+  const signer = new Nip07Signer(nostr)
+  assert.equal(await signer.getPublicKey(), local.publicKey)
+  await signer.getPublicKey()
+  const ev = await signer.signEvent({ kind: 1, created_at: 1700000000, tags: [], content: 'hi' })
+  assert.ok(verifySignature(ev))
+  assert.deepEqual(calls, ['getPublicKey', 'signEvent'])
+
+  assert.throws(() => new Nip07Signer(undefined), /NIP-07/)
+})
+
+test('Nip07Signer rejects events it was not handed back right', async () => {
+  const local = new LocalSigner(SK)
+  for (const [what, sign] of Object.entries(forgeries(local))) {
+    const signer = new Nip07Signer({ getPublicKey: async () => local.publicKey, signEvent: sign })
+    await assert.rejects(signer.signEvent(TEMPLATE), new RegExp(what), what)
+  }
+})
+
+test('Nip46Signer signs through the bunker and rejects what it did not sign right', async () => {
+  const local = new LocalSigner(SK)
+  let sign = (t) => local.signEvent(t)
+  const bunker = fakeBunker(async (method, params) => {
+    if (method === 'connect') return { result: 'ack' }
+    if (method === 'get_public_key') return { result: local.publicKey }
+    return { result: JSON.stringify(await sign(JSON.parse(params[0]))) }
+  })
+  const signer = await new Nip46Signer(bunker.url, { init: bunker.init }).connect()
+  assert.equal(await signer.getPublicKey(), local.publicKey)
+  assert.ok(verifySignature(await signer.signEvent(TEMPLATE)))
+
+  for (const [what, forge] of Object.entries(forgeries(local))) {
+    sign = forge
+    await assert.rejects(signer.signEvent(TEMPLATE), new RegExp(what), what)
+  }
+  signer.close()
+})
+
+test('Nip46Signer hands auth_url to the client and waits for the real answer', async () => {
+  const local = new LocalSigner(SK)
+  const approve = 'https://bunker.example/approve/1'
+  const bunker = fakeBunker(async (method, params) => {
+    if (method === 'connect') return { result: 'ack' }
+    if (method === 'get_public_key') return { result: local.publicKey }
+    return [{ result: 'auth_url', error: approve }, { result: JSON.stringify(await local.signEvent(JSON.parse(params[0]))) }]
+  })
+  const asked = []
+  const signer = await new Nip46Signer(bunker.url, { init: bunker.init, onAuthUrl: (url) => asked.push(url) }).connect()
+  assert.ok(verifySignature(await signer.signEvent(TEMPLATE)))
+  assert.deepEqual(asked, [approve])
+  signer.close()
+})
+
+test('parseBunkerUrl needs a hex pubkey and a relay', () => {
+  const pk = notes.note.pubkey
+  assert.deepEqual(parseBunkerUrl(`bunker://${pk}?relay=wss://r.example&secret=abc`), {
+    remotePubkey: pk,
+    relays: ['wss://r.example'],
+    secret: 'abc'
+  })
+  assert.equal(parseBunkerUrl(`bunker://${pk}`), null)
+  assert.equal(parseBunkerUrl('bunker://nothex?relay=wss://r.example'), null)
+  assert.equal(parseBunkerUrl(`nostrconnect://${pk}?relay=wss://r.example`), null)
+})
+
+test('mineEvent commits to PoW for the signer pubkey', async () => {
+  const signer = new LocalSigner(SK)
+  const unsigned = buildPostVote({ author: notes.note.pubkey, eventId: notes.note.id, sign: 1, created_at: 1700000000 })
+  const mined = mineEvent(unsigned, signer.publicKey, 8, 50000)
+  const ev = await signer.signEvent(mined)
+  assert.equal(ev.id, getEventHash(ev))
+  assert.ok(ev.id.startsWith('00'))
+  assert.deepEqual(ev.tags.find(t => t[0] === 'nonce').slice(2), ['8'])
+})
@@ -0,0 +1,102 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { buildPostVote, buildUserVote } from '../src/karma.js'
+import {
+  latestVotesByTarget,
+  freshVoters,
+  findBursts,
+  findLockstep,
+  analyzeVotes,
+  flaggedVoters
+} from '../src/sybil.js'
+import { pubkeys, notes } from './fixtures/index.js'
+
+const key = (n) => n.toString(16).padStart(64, '0')
+const postId = (n) => `e${n}`.padEnd(64, '0')
+
+let nextId = 0
+const vote = (voter, { post = notes.note.id, author = pubkeys.author, sign = 1, created_at = 1000 } = {}) => ({
+  ...(post ? buildPostVote({ author, eventId: post, sign, created_at }) : buildUserVote({ target: author, sign, created_at })),
+  id: String(nextId++),
+  pubkey: voter
+})
+
+test('latestVotesByTarget keeps each voter\'s newest vote per target and drops cleared ones', () => {
+  const votes = latestVotesByTarget([
+    vote(pubkeys.alice, { sign: 1, created_at: 1 }),
+    vote(pubkeys.alice, { sign: -1, created_at: 2 }),
+    vote(pubkeys.alice, { post: null, sign: 1 }),
+    vote(pubkeys.bob, { sign: 0 })
+  ])
+  assert.deepEqual(votes.map(v => [v.voter, v.target, v.sign]), [
+    [pubkeys.alice, notes.note.id, -1],
+    [pubkeys.alice, `user:${pubkeys.author}`, 1]
+  ])
+})
+
+test('latestVotesByTarget settles a same-second tie on the lowest id, in any order', () => {
+  const up = { ...vote(pubkeys.alice, { sign: 1 }), id: 'b'.repeat(64) }
+  const down = { ...vote(pubkeys.alice, { sign: -1 }), id: 'a'.repeat(64) }
+  assert.equal(latestVotesByTarget([up, down])[0].sign, -1)
+  assert.equal(latestVotesByTarget([down, up])[0].sign, -1)
+})
+
+test('freshVoters only flags keys whose history was checked and is empty', () => {
+  const votes = latestVotesByTarget([vote(pubkeys.alice), vote(pubkeys.bob), vote(pubkeys.carol)])
+  const history = new Map([[pubkeys.alice, 0], [pubkeys.bob, 4]])
+  assert.deepEqual([...freshVoters(votes, history)], [pubkeys.alice])
+})
+
+test('findBursts spots many keys voting one way on one author within the window', () => {
+  const brigade = [1, 2, 3, 4, 5].map(n => vote(key(n), { sign: -1, created_at: 1000 + n * 60 }))
+  const scattered = [6, 7, 8, 9, 10].map(n => vote(key(n), { sign: -1, created_at: n * 10000 }))
+  const bursts = findBursts(latestVotesByTarget([...brigade, ...scattered]), { windowSecs: 600, minVoters: 5 })
+  assert.equal(bursts.length, 1)
+  assert.deepEqual(bursts[0].voters.sort(), [1, 2, 3, 4, 5].map(key))
+  assert.deepEqual([bursts[0].author, bursts[0].sign, bursts[0].start, bursts[0].end], [pubkeys.author, -1, 1060, 1300])
+
+  // upvotes in the same minutes are not part of a downvote burst
+  const mixed = [1, 2, 3, 4, 5].map(n => vote(key(n), { sign: n % 2 ? 1 : -1, created_at: 1000 + n }))
+  assert.deepEqual(findBursts(latestVotesByTarget(mixed), { windowSecs: 600, minVoters: 5 }), [])
+})
+
+test('findLockstep pairs keys that agree on most shared targets', () => {
+  const events = []
+  for (let n = 0; n < 5; n++) {
+    const post = postId(n)
+    events.push(vote(pubkeys.alice, { post, sign: -1 }), vote(pubkeys.bob, { post, sign: -1 }))
+    events.push(vote(pubkeys.carol, { post, sign: n % 2 ? 1 : -1 }))
+  }
+  const pairs = findLockstep(latestVotesByTarget(events), { minShared: 4, agreement: 0.9 })
+  assert.equal(pairs.length, 1)
+  assert.deepEqual(pairs[0].voters.sort(), [pubkeys.alice, pubkeys.bob].sort())
+  assert.equal(pairs[0].shared, 5)
+  assert.equal(pairs[0].agreement, 1)
+})
+
+test('analyzeVotes reports flagged share per post and per author as plain JSON', () => {
+  const brigade = [1, 2, 3, 4, 5].map(n => vote(key(n), { sign: -1, created_at: 1000 + n }))
+  const honest = vote(pubkeys.alice, { post: notes.note2.id, author: pubkeys.bob, created_at: 50 })
+  const history = new Map([[key(1), 0], [pubkeys.alice, 3]])
+  const report = analyzeVotes([...brigade, honest], { history, now: 2000 })
+
+  assert.deepEqual(JSON.parse(JSON.stringify(report)), report)
+  assert.equal(report.generated_at, 2000)
+  assert.deepEqual(report.totals, { votes: 6, voters: 6, flagged: 5, checked: 2 })
+  assert.deepEqual(report.voters[key(1)].sort(), ['burst', 'fresh'])
+  assert.equal(report.voters[pubkeys.alice], undefined)
+
+  assert.equal(report.posts.length, 1)
+  assert.deepEqual(report.posts[0], {
+    id: notes.note.id,
+    author: pubkeys.author,
+    votes: 5,
+    flagged: 5,
+    share: 1,
+    flags: { fresh: 1, burst: 5, lockstep: 0 }
+  })
+  assert.deepEqual(report.authors.map(a => a.pubkey), [pubkeys.author])
+  assert.deepEqual(flaggedVoters(report), new Set([1, 2, 3, 4, 5].map(key)))
+  assert.deepEqual(flaggedVoters(null), new Set())
+})
@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parseThreadRefs, isReply, buildReply, buildThread, byScore } from '../src/threads.js'
+import { pubkeys, notes, votes } from './fixtures/index.js'
+
+const root = notes.note
+
+// unsigned stand-ins; threading only looks at ids, tags and created_at
+function reply(id, tags, created_at = 1700000100, pubkey = pubkeys.alice) {
+  return { id, kind: 1, pubkey, created_at, tags, content: id }
+}
+
+test('parseThreadRefs reads marked tags', () => {
+  const ev = reply('r2', [['e', root.id, '', 'root'], ['e', 'r1', '', 'reply'], ['e', 'x', '', 'mention']])
+  assert.deepEqual(parseThreadRefs(ev), { root: root.id, reply: 'r1' })
+  assert.deepEqual(parseThreadRefs(reply('r1', [['e', root.id, '', 'root']])), { root: root.id, reply: root.id })
+})
+
+test('parseThreadRefs falls back to positional tags', () => {
+  assert.deepEqual(parseThreadRefs(reply('r', [['e', root.id], ['e', 'mid'], ['e', 'parent']])), { root: root.id, reply: 'parent' })
+  assert.deepEqual(parseThreadRefs(root), { root: null, reply: null })
+  assert.equal(isReply(root), false)
+  assert.equal(isReply(votes.aliceUp), false)
+})
+
+test('buildReply to a top-level note tags it as root', () => {
+  const ev = buildReply({ parent: root, content: 'hi', created_at: 1 })
+  assert.deepEqual(ev.tags, [['e', root.id, '', 'root'], ['p', root.pubkey]])
+  assert.equal(ev.kind, 1)
+})
+
+test('buildReply to a reply keeps the root and notifies everyone', () => {
+  const parent = reply('r1', [['e', root.id, '', 'root'], ['p', root.pubkey]])
+  const ev = buildReply({ parent, content: 'hi', created_at: 1 })
+  assert.deepEqual(ev.tags, [
+    ['e', root.id, '', 'root'],
+    ['e', 'r1', '', 'reply'],
+    ['p', pubkeys.alice],
+    ['p', root.pubkey]
+  ])
+})
+
+test('buildThread nests replies and orders siblings', () => {
+  const a = reply('a', [['e', root.id, '', 'root']], 10)
+  const b = reply('b', [['e', root.id, '', 'root']], 20)
+  const a1 = reply('a1', [['e', root.id, '', 'root'], ['e', 'a', '', 'reply']], 30)
+  const orphan = reply('o', [['e', root.id, '', 'root'], ['e', 'missing', '', 'reply']], 40)
+
+  const tree = buildThread(root.id, [b, a1, orphan, a, root])
+  assert.deepEqual(tree.children.map(n => n.event.id), ['a', 'b', 'o'])
+  assert.deepEqual(tree.children[0].children.map(n => n.event.id), ['a1'])
+
+  const scores = new Map([['b', 5], ['o', -1]])
+  const ranked = buildThread(root.id, [a, b, orphan], byScore(id => scores.get(id)))
+  assert.deepEqual(ranked.children.map(n => n.event.id), ['b', 'a', 'o'])
+})
+
+test('buildThread survives reply loops', () => {
+  const x = reply('x', [['e', root.id, '', 'root'], ['e', 'y', '', 'reply']])
+  const y = reply('y', [['e', root.id, '', 'root'], ['e', 'x', '', 'reply']])
+  const tree = buildThread(root.id, [x, y])
+  assert.deepEqual(tree.children.map(n => n.event.id).sort(), ['x', 'y'])
+})
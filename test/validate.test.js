@@ -0,0 +1,122 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { finishEvent } from 'nostr-tools'
+
+import { buildPostVote, mineAndFinish } from '../src/karma.js'
+import {
+  REJECT_REASONS,
+  countLeadingZeroBits,
+  committedPow,
+  checkPow,
+  validateVotes,
+  summarizeRejections
+} from '../src/validate.js'
+import { pubkeys, notes, votes, clone } from './fixtures/index.js'
+
+const SK = '6'.repeat(64)
+const NOW = votes.aliceUp.created_at + 1000
+const opts = { postId: notes.note.id, now: NOW }
+
+function reasonsOf(result) {
+  return result.rejected.map(r => r.reason)
+}
+
+test('countLeadingZeroBits counts bits, not nibbles', () => {
+  assert.equal(countLeadingZeroBits('f' + '0'.repeat(63)), 0)
+  assert.equal(countLeadingZeroBits('00' + 'f'.repeat(62)), 8)
+  assert.equal(countLeadingZeroBits('001' + 'f'.repeat(61)), 11)
+})
+
+test('committedPow reads the NIP-13 target', () => {
+  assert.equal(committedPow({ tags: [['nonce', '12', '16']] }), 16)
+  assert.equal(committedPow({ tags: [['nonce', '12']] }), 0)
+  assert.equal(committedPow({ tags: [] }), 0)
+})
+
+test('fixture votes for the note pass', () => {
+  const result = validateVotes([votes.aliceUp, votes.bobDown, votes.carolUp], opts)
+  assert.equal(result.accepted.length, 3)
+  assert.deepEqual(result.rejected, [])
+})
+
+test('tampered content is rejected as bad-id', () => {
+  const ev = clone(votes.aliceUp)
+  ev.tags = ev.tags.map(t => t[0] === 'v' ? ['v', '-1'] : t)
+  assert.deepEqual(reasonsOf(validateVotes([ev], opts)), [REJECT_REASONS.BAD_ID])
+})
+
+test('a forged signature is rejected', () => {
+  const ev = clone(votes.aliceUp)
+  ev.sig = votes.bobDown.sig
+  assert.deepEqual(reasonsOf(validateVotes([ev], opts)), [REJECT_REASONS.BAD_SIGNATURE])
+})
+
+test('votes for another post, or with extra targets, are rejected', () => {
+  assert.deepEqual(reasonsOf(validateVotes([votes.carolUpNote2], opts)), [REJECT_REASONS.WRONG_TARGET])
+
+  const doubled = finishEvent({
+    ...buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, created_at: NOW }),
+    tags: [['p', pubkeys.author], ['e', notes.note.id], ['e', notes.note2.id], ['v', '1']]
+  }, SK)
+  assert.deepEqual(reasonsOf(validateVotes([doubled], opts)), [REJECT_REASONS.MALFORMED])
+  assert.deepEqual(reasonsOf(validateVotes([votes.malformedSign], opts)), [REJECT_REASONS.MALFORMED])
+})
+
+test('a v2 vote whose d tag names another target is rejected', () => {
+  const unsigned = buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, created_at: NOW })
+  const good = finishEvent(unsigned, SK)
+  const elsewhere = finishEvent({ ...unsigned, tags: [['d', notes.note2.id], ...unsigned.tags.slice(1)] }, SK)
+  const twice = finishEvent({ ...unsigned, tags: [['d', notes.note2.id], ...unsigned.tags] }, SK)
+  const result = validateVotes([good, elsewhere, twice], opts)
+  assert.deepEqual(result.accepted, [good])
+  assert.deepEqual(reasonsOf(result), [REJECT_REASONS.MALFORMED, REJECT_REASONS.MALFORMED])
+})
+
+test('a vote tagging someone other than the known note author is rejected', () => {
+  const forged = finishEvent(buildPostVote({ author: pubkeys.bob, eventId: notes.note.id, sign: -1, created_at: NOW }), SK)
+  const postAuthor = (id) => (id === notes.note.id ? notes.note.pubkey : undefined)
+  const result = validateVotes([votes.aliceUp, forged], { ...opts, postAuthor })
+  assert.deepEqual(result.accepted, [votes.aliceUp])
+  assert.deepEqual(reasonsOf(result), [REJECT_REASONS.WRONG_TARGET])
+  // unknown note: nothing to compare against
+  assert.equal(validateVotes([forged], opts).accepted.length, 1)
+})
+
+test('user-level validation wants no e tag when postId is null', () => {
+  const result = validateVotes([votes.bobUpUser, votes.aliceUp], { postId: null, author: pubkeys.author, now: NOW })
+  assert.deepEqual(result.accepted, [votes.bobUpUser])
+  assert.deepEqual(reasonsOf(result), [REJECT_REASONS.WRONG_TARGET])
+})
+
+test('future-dated votes are rejected beyond the allowed skew', () => {
+  const ev = finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, created_at: NOW + 600 }), SK)
+  assert.deepEqual(reasonsOf(validateVotes([ev], opts)), [REJECT_REASONS.FUTURE])
+  assert.equal(validateVotes([ev], { ...opts, maxFutureSecs: 3600 }).accepted.length, 1)
+})
+
+test('duplicate ids and same-second votes are dropped deterministically', () => {
+  const up = finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, created_at: NOW }), SK)
+  const down = finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: -1, created_at: NOW }), SK)
+  const keep = up.id < down.id ? up : down
+
+  const a = validateVotes([up, down, up], opts)
+  const b = validateVotes([down, up], opts)
+  assert.deepEqual(a.accepted, [keep])
+  assert.deepEqual(b.accepted, [keep])
+  assert.deepEqual(summarizeRejections(a.rejected), { duplicate: 2 })
+})
+
+test('minimum PoW requires a committed target the id actually meets', () => {
+  const unsigned = buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1, created_at: NOW })
+  const mined = mineAndFinish(unsigned, SK, 8, 50000)
+  assert.equal(committedPow(mined), 8)
+  assert.ok(countLeadingZeroBits(mined.id) >= 8)
+
+  assert.equal(validateVotes([mined], { ...opts, minPow: 8 }).accepted.length, 1)
+  assert.deepEqual(reasonsOf(validateVotes([mined], { ...opts, minPow: 12 })), [REJECT_REASONS.INSUFFICIENT_POW])
+  assert.deepEqual(reasonsOf(validateVotes([votes.aliceUp], { ...opts, minPow: 1 })), [REJECT_REASONS.INSUFFICIENT_POW])
+
+  // claiming a target the id doesn't meet is worse than claiming none
+  const liar = finishEvent({ ...unsigned, tags: [...unsigned.tags, ['nonce', '0', '32']] }, SK)
+  assert.equal(checkPow(liar), REJECT_REASONS.POW_MISMATCH)
+})
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { visibleRange, estimateHeight, DEFAULT_ITEM_HEIGHT } from '../src/virtual-list.js'
+
+const ids = Array.from({ length: 100 }, (_, i) => `n${i}`)
+
+test('estimateHeight averages measured heights', () => {
+  assert.equal(estimateHeight(new Map()), DEFAULT_ITEM_HEIGHT)
+  assert.equal(estimateHeight(new Map([['a', 100], ['b', 200]])), 150)
+})
+
+test('renders the viewport plus overscan and pads the rest', () => {
+  const range = visibleRange({ ids, offset: 1000, viewport: 500, overscan: 200, estimate: 100 })
+  assert.deepEqual(range, { start: 8, end: 17, before: 800, after: 8300, total: 10000 })
+})
+
+test('measured heights override the estimate', () => {
+  const heights = new Map([['n0', 1000]])
+  const range = visibleRange({ ids, heights, offset: 0, viewport: 500, overscan: 0, estimate: 100 })
+  assert.deepEqual(range, { start: 0, end: 1, before: 0, after: 9900, total: 10900 })
+})
+
+test('scrolled past the end renders nothing', () => {
+  const range = visibleRange({ ids: ids.slice(0, 3), offset: 5000, viewport: 500, overscan: 0, estimate: 100 })
+  assert.deepEqual(range, { start: 3, end: 3, before: 300, after: 0, total: 300 })
+  assert.deepEqual(visibleRange({ ids: [], offset: 0, viewport: 500 }), { start: 0, end: 0, before: 0, after: 0, total: 0 })
+})
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { IDBFactory } from 'fake-indexeddb'
+
+import { VoteCache } from '../src/vote-cache.js'
+import { notes, votes } from './fixtures/index.js'
+
+test('memory-only cache indexes votes by post', () => {
+  const cache = new VoteCache({ indexedDB: null })
+  const changed = cache.add([votes.aliceUp, votes.carolUpNote2, votes.bobUpUser])
+  assert.deepEqual([...changed].sort(), [notes.note.id, notes.note2.id].sort())
+  assert.deepEqual(cache.get(notes.note.id), [votes.aliceUp])
+
+  // re-adding known votes changes nothing
+  assert.equal(cache.add([votes.aliceUp]).size, 0)
+  assert.equal(cache.has(notes.note2.id), true)
+})
+
+test('touch marks posts as known without votes', () => {
+  const cache = new VoteCache({ indexedDB: null })
+  cache.touch(['a'.repeat(64)])
+  assert.equal(cache.has('a'.repeat(64)), true)
+  assert.deepEqual(cache.get('a'.repeat(64)), [])
+})
+
+test('votes persist to IndexedDB and load back in a new cache', async () => {
+  const indexedDB = new IDBFactory()
+  const first = new VoteCache({ indexedDB })
+  first.add([votes.aliceUp, votes.bobDown, votes.carolUpNote2])
+  await first.persist([])   // wait for the db to be open and the writes queued
+  await new Promise(resolve => setTimeout(resolve, 20))
+
+  const second = new VoteCache({ indexedDB })
+  const changed = await second.load([notes.note.id])
+  assert.deepEqual([...changed], [notes.note.id])
+  assert.equal(second.get(notes.note.id).length, 2)
+  assert.equal(second.has(notes.note2.id), false)
+})
@@ -0,0 +1,120 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { finishEvent, getPublicKey } from 'nostr-tools'
+
+import { buildPostVote } from '../src/karma.js'
+import { VoteHistory, voteTarget, voteHistoryJson, voteHistoryCsv } from '../src/vote-history.js'
+import { pubkeys, notes, votes } from './fixtures/index.js'
+
+function memoryStorage() {
+  const data = {}
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v) }
+  }
+}
+
+test('the newest vote per target wins and only our own votes count', () => {
+  const history = new VoteHistory({ storage: memoryStorage() })
+  history.load(pubkeys.alice)
+  const changed = history.add([votes.aliceUp, votes.aliceClear, votes.bobDown, votes.aliceDownUser])
+  assert.deepEqual([...changed].sort(), [notes.note.id, `user:${pubkeys.author}`].sort())
+  assert.equal(history.sign(notes.note.id), 0)
+  assert.equal(history.sign(`user:${pubkeys.author}`), -1)
+
+  // older events fetched later don't undo a newer vote
+  assert.equal(history.add([votes.aliceUp]).size, 0)
+  assert.equal(history.add([votes.aliceUpAgain]).size, 1)
+  assert.equal(history.sign(notes.note.id), 1)
+  assert.deepEqual(history.list().map(voteTarget), [`user:${pubkeys.author}`, notes.note.id])
+})
+
+test('a vote signed here beats one from the same second only when asked to', () => {
+  const history = new VoteHistory({ storage: memoryStorage() })
+  history.load(pubkeys.alice)
+  history.add([votes.aliceUp])
+  const sameSecond = { ...votes.aliceClear, id: 'same', created_at: votes.aliceUp.created_at }
+  assert.equal(history.add([sameSecond]).size, 0)
+  assert.equal(history.add([sameSecond], { replaceTies: true }).size, 1)
+  assert.equal(history.sign(notes.note.id), 0)
+})
+
+test('history is persisted per pubkey and survives a reload', () => {
+  const storage = memoryStorage()
+  const history = new VoteHistory({ storage })
+  history.load(pubkeys.alice)
+  history.add([votes.aliceUpAgain])
+
+  const reloaded = new VoteHistory({ storage })
+  reloaded.load(pubkeys.alice)
+  assert.equal(reloaded.sign(notes.note.id), 1)
+  assert.equal(reloaded.get(notes.note.id).id, votes.aliceUpAgain.id)
+
+  reloaded.load(pubkeys.bob)
+  assert.equal(reloaded.sign(notes.note.id), 0)
+  reloaded.load(null)
+  assert.deepEqual(reloaded.list(), [])
+})
+
+test('standing v1 votes are listed for upgrade until a v2 vote replaces them', () => {
+  const history = new VoteHistory({ storage: memoryStorage() })
+  history.load(pubkeys.alice)
+  history.add([votes.aliceUp, votes.aliceClear, votes.aliceDownUser])
+  // the cleared post vote has nothing to carry over
+  assert.deepEqual(history.legacy().map(voteTarget), [`user:${pubkeys.author}`])
+
+  // entries saved before the schema was recorded count as v1
+  delete history.get(`user:${pubkeys.author}`).schema
+  assert.equal(history.legacy().length, 1)
+
+  const sk = '7'.repeat(64)
+  const mine = new VoteHistory({ storage: memoryStorage() })
+  mine.load(getPublicKey(sk))
+  mine.add([finishEvent(buildPostVote({ author: pubkeys.author, eventId: notes.note.id, sign: 1 }), sk)])
+  assert.deepEqual(mine.legacy(), [])
+  assert.equal(mine.get(notes.note.id).schema, 2)
+})
+
+test('exports as JSON rows and RFC 4180 CSV', () => {
+  const history = new VoteHistory({ storage: memoryStorage() })
+  history.load(pubkeys.alice)
+  history.add([votes.aliceUpAgain, votes.aliceDownUser])
+  const entries = history.list()
+
+  const rows = JSON.parse(voteHistoryJson(entries))
+  assert.deepEqual(rows[1], {
+    target: 'post',
+    post: notes.note.id,
+    author: pubkeys.author,
+    sign: 1,
+    created_at: votes.aliceUpAgain.created_at,
+    time: new Date(votes.aliceUpAgain.created_at * 1000).toISOString(),
+    event_id: votes.aliceUpAgain.id
+  })
+  assert.equal(rows[0].target, 'user')
+
+  const lines = voteHistoryCsv(entries).trimEnd().split('\r\n')
+  assert.equal(lines[0], 'target,post,author,sign,created_at,time,event_id')
+  assert.equal(lines[1], `user,,${pubkeys.author},-1,${votes.aliceDownUser.created_at},${rows[0].time},${votes.aliceDownUser.id}`)
+  assert.equal(lines.length, 3)
+})
+
+test('the reaction sent for each post is remembered per key until deleted', () => {
+  const storage = memoryStorage()
+  const history = new VoteHistory({ storage })
+  history.load(pubkeys.alice)
+  history.setReaction(notes.note.id, 'r'.repeat(64))
+  assert.equal(history.reaction(notes.note.id), 'r'.repeat(64))
+
+  const again = new VoteHistory({ storage })
+  again.load(pubkeys.alice)
+  assert.equal(again.reaction(notes.note.id), 'r'.repeat(64))
+  again.setReaction(notes.note.id, null)
+  assert.equal(again.reaction(notes.note.id), null)
+  again.load(pubkeys.bob)
+  assert.equal(again.reaction(notes.note.id), null)
+  history.load(pubkeys.alice)
+  assert.equal(history.reaction(notes.note.id), null)
+})